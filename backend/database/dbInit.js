@@ -2,8 +2,22 @@
  * Database initialization and migration module
  */
 
+/**
+ * Add a column to an existing table if it is not there yet
+ */
+const addColumnIfMissing = async (db, table, column, definition) => {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+
+  if (!columns.some(col => col.name === column)) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
 const initDatabase = async (db, reset = false) => {
   try {
+    // SQLite leaves foreign keys off per connection; the ON DELETE CASCADEs below need them
+    await db.exec('PRAGMA foreign_keys = ON');
+    
     // If reset flag is true, drop all tables
     if (reset) {
       console.log('Resetting database...');
@@ -12,6 +26,12 @@ const initDatabase = async (db, reset = false) => {
       await db.exec('DROP TABLE IF EXISTS boards');
       await db.exec('DROP TABLE IF EXISTS throws');
       await db.exec('DROP TABLE IF EXISTS match_players');
+      await db.exec('DROP TABLE IF EXISTS teams');
+      await db.exec('DROP TABLE IF EXISTS throw_images');
+      await db.exec('DROP TABLE IF EXISTS bull_shots');
+      await db.exec('DROP TABLE IF EXISTS warmup_throws');
+      await db.exec('DROP TABLE IF EXISTS practice_sessions');
+      await db.exec('DROP TABLE IF EXISTS practice_throws');
     }
 
     // Create boards table
@@ -49,12 +69,16 @@ const initDatabase = async (db, reset = false) => {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         board_id INTEGER NOT NULL,
         mode TEXT NOT NULL, -- '301', '501', 'cricket', etc.
-        state TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'warmup', 'active', 'completed', 'canceled'
+        state TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'warmup', 'bullshot', 'active', 'completed', 'canceled'
         scores TEXT, -- JSON string for current scores
         settings TEXT, -- JSON string for game settings
         start_time TIMESTAMP,
         end_time TIMESTAMP,
         winner_id INTEGER,
+        tournament_id INTEGER,
+        bull_winner_id INTEGER,
+        sets_to_win INTEGER DEFAULT 0, -- 0 plays legs only
+        legs_per_set INTEGER DEFAULT 3, -- Legs needed to win a set
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (board_id) REFERENCES boards (id) ON DELETE CASCADE,
@@ -69,7 +93,12 @@ const initDatabase = async (db, reset = false) => {
         player_id INTEGER NOT NULL,
         position INTEGER NOT NULL, -- Player position (1, 2, etc.)
         starting_score INTEGER,
-        current_score INTEGER,
+        current_score INTEGER, -- Remaining score in x01, points in cricket
+        marks TEXT, -- Cricket only: JSON { 20: 0-3, ..., 15: 0-3, 25: 0-3 }
+        team INTEGER, -- Team play only: position of the player's team
+        mode_state TEXT, -- Party modes: JSON state of the player's game mode, e.g. { target: 7 }
+        legs_won INTEGER DEFAULT 0, -- Set play only: legs won in the current set
+        sets_won INTEGER DEFAULT 0,
         is_winner BOOLEAN DEFAULT 0,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -79,23 +108,141 @@ const initDatabase = async (db, reset = false) => {
       )
     `);
 
+    // Create teams table; teammates share one score and alternate turns
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS teams (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        match_id INTEGER NOT NULL,
+        position INTEGER NOT NULL, -- Team position (1, 2, etc.), match_players.team
+        name TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (match_id, position),
+        FOREIGN KEY (match_id) REFERENCES matches (id) ON DELETE CASCADE
+      )
+    `);
+
     // Create throws table for individual dart throws
     await db.exec(`
       CREATE TABLE IF NOT EXISTS throws (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         match_id INTEGER NOT NULL,
         player_id INTEGER NOT NULL,
+        leg INTEGER DEFAULT 1,
         round INTEGER NOT NULL,
         position INTEGER NOT NULL, -- Position in round (1, 2, 3)
         segment TEXT NOT NULL, -- 'S20', 'D16', 'T19', 'BULL', 'DBULL', 'MISS'
         score INTEGER NOT NULL,
+        marks INTEGER, -- Cricket only: marks counted by the dart, including scoring marks
+        score_before INTEGER, -- x01 only: what the player had left when the dart was thrown
         is_corrected BOOLEAN DEFAULT 0,
+        scolia_throw_id TEXT, -- THROW_DETECTED message id, used for board corrections
+        coordinates TEXT, -- JSON [x, y] in mm from the bull, as reported by the board
+        angle TEXT, -- JSON { vertical, horizontal } in degrees
+        detection_time TIMESTAMP, -- When the board detected the dart
         timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (match_id) REFERENCES matches (id) ON DELETE CASCADE,
         FOREIGN KEY (player_id) REFERENCES players (id) ON DELETE CASCADE
       )
     `);
 
+    // Create throw_images table for board camera images of a throw
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS throw_images (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        throw_id INTEGER NOT NULL,
+        camera INTEGER NOT NULL, -- Camera index as reported by the board
+        image TEXT NOT NULL, -- Data URL
+        captured_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (throw_id) REFERENCES throws (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create warmup_throws table; warmup darts are kept apart so they never count towards match stats
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS warmup_throws (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        match_id INTEGER NOT NULL,
+        player_id INTEGER NOT NULL,
+        round INTEGER NOT NULL,
+        position INTEGER NOT NULL, -- Position in round (1, 2, 3)
+        segment TEXT NOT NULL,
+        score INTEGER NOT NULL,
+        coordinates TEXT, -- JSON [x, y] in mm from the bull
+        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (match_id) REFERENCES matches (id) ON DELETE CASCADE,
+        FOREIGN KEY (player_id) REFERENCES players (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create bull_shots table for the pre-game throw for bull
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS bull_shots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        match_id INTEGER NOT NULL,
+        player_id INTEGER NOT NULL,
+        attempt INTEGER NOT NULL DEFAULT 1, -- Increases each time tied players re-throw
+        segment TEXT,
+        coordinates TEXT, -- JSON [x, y] in mm from the bull
+        distance INTEGER, -- Rounded mm from the bull, NULL when off the board
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (match_id) REFERENCES matches (id) ON DELETE CASCADE,
+        FOREIGN KEY (player_id) REFERENCES players (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create practice_sessions table; solo practice on a board outside a match (see src/utils/practice.js)
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS practice_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        board_id INTEGER NOT NULL,
+        player_id INTEGER NOT NULL,
+        routine TEXT NOT NULL, -- 'bobs_27', 'around_the_doubles', 'checkout_121', 't20_100'
+        state TEXT NOT NULL DEFAULT 'active', -- 'active', 'completed', 'abandoned'
+        score INTEGER, -- Routine score, see the routine for whether lower is better
+        darts INTEGER DEFAULT 0,
+        hits INTEGER DEFAULT 0, -- Darts that hit the routine's target
+        progress TEXT, -- JSON progress of the routine
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        ended_at TIMESTAMP,
+        FOREIGN KEY (board_id) REFERENCES boards (id) ON DELETE CASCADE,
+        FOREIGN KEY (player_id) REFERENCES players (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create practice_throws table
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS practice_throws (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER NOT NULL,
+        dart INTEGER NOT NULL, -- 1-based dart number in the session
+        target TEXT, -- What the routine asked for, e.g. 'D16'
+        segment TEXT NOT NULL,
+        score INTEGER NOT NULL,
+        hit BOOLEAN DEFAULT 0,
+        coordinates TEXT, -- JSON [x, y] in mm from the bull
+        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES practice_sessions (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Add columns introduced after the initial schema
+    await addColumnIfMissing(db, 'throws', 'scolia_throw_id', 'TEXT');
+    await addColumnIfMissing(db, 'throws', 'coordinates', 'TEXT');
+    await addColumnIfMissing(db, 'throws', 'angle', 'TEXT');
+    await addColumnIfMissing(db, 'throws', 'detection_time', 'TIMESTAMP');
+    await addColumnIfMissing(db, 'throws', 'leg', 'INTEGER DEFAULT 1');
+    await addColumnIfMissing(db, 'throws', 'marks', 'INTEGER');
+    await addColumnIfMissing(db, 'throws', 'score_before', 'INTEGER');
+    await addColumnIfMissing(db, 'match_players', 'marks', 'TEXT');
+    await addColumnIfMissing(db, 'match_players', 'team', 'INTEGER');
+    await addColumnIfMissing(db, 'match_players', 'mode_state', 'TEXT');
+    await addColumnIfMissing(db, 'match_players', 'legs_won', 'INTEGER DEFAULT 0');
+    await addColumnIfMissing(db, 'match_players', 'sets_won', 'INTEGER DEFAULT 0');
+    await addColumnIfMissing(db, 'matches', 'tournament_id', 'INTEGER');
+    await addColumnIfMissing(db, 'matches', 'bull_winner_id', 'INTEGER');
+    await addColumnIfMissing(db, 'matches', 'sets_to_win', 'INTEGER DEFAULT 0');
+    await addColumnIfMissing(db, 'matches', 'legs_per_set', 'INTEGER DEFAULT 3');
+
     // Create triggers to update updated_at timestamp
     await db.exec(`
       CREATE TRIGGER IF NOT EXISTS update_boards_timestamp
@@ -1,5 +1,11 @@
 const WebSocket = require('ws');
+const crypto = require('crypto');
 const EventEmitter = require('events');
+const { ReconnectPolicy } = require('../src/utils/reconnectPolicy');
+const { measureBullShot, decideBullOff } = require('../src/utils/bullOff');
+const { getPracticeRoutine, applyPracticeDart } = require('../src/utils/practice');
+const { getGameMode } = require('../src/utils/gameModes');
+const { normalizeTeams, seatTeamPlayers, getSidePlayerIds, getSides, loadMatchTeams } = require('../src/utils/teams');
 
 /**
  * ScoliaBoardManager
@@ -15,15 +21,26 @@ class ScoliaBoardManager extends EventEmitter {
     this.db = db;
     this.wsClient = null;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
     this.reconnectTimeout = null;
-    this.reconnectDelay = 5000; // 5 seconds
+    this.reconnectPolicy = new ReconnectPolicy();
+    this.connectionState = 'disconnected';
+    this.lastCloseCode = null;
+    this.lastCloseReason = null;
+    this.nextRetryAt = null;
     this.connectedAt = null;
     this.currentMatch = null;
+    this.currentPractice = null;
     this.isConnecting = false;
     this.pingInterval = null;
     this.lastPingTime = null;
     this.isConnected = false;
+    this.sbcStatus = null;
+    this.phase = null;
+    this.pendingCommands = new Map();
+    this.commandTimeout = 10000; // 10 seconds
+    this.eventQueue = Promise.resolve(); // board events are handled one at a time, in order
+    this.autoFetchCameraImages = process.env.CAMERA_IMAGE_AUTOFETCH === 'true'; // otherwise fetched when first viewed
+    this.cameraImageRetention = parseInt(process.env.CAMERA_IMAGE_RETENTION || '200', 10); // throws
     
     // Bind methods
     this.connect = this.connect.bind(this);
@@ -39,7 +56,15 @@ class ScoliaBoardManager extends EventEmitter {
     this.endMatch = this.endMatch.bind(this);
     this.correctThrow = this.correctThrow.bind(this);
     this.manualPlayerSwitch = this.manualPlayerSwitch.bind(this);
-    this.handleBoardEvent = this.handleBoardEvent.bind(this);
+    this.handleThrowDetected = this.handleThrowDetected.bind(this);
+    this.sendCommand = this.sendCommand.bind(this);
+    this.deleteThrow = this.deleteThrow.bind(this);
+    this.getCameraImages = this.getCameraImages.bind(this);
+    this.startBullOff = this.startBullOff.bind(this);
+    this.startWarmup = this.startWarmup.bind(this);
+    this.endWarmup = this.endWarmup.bind(this);
+    this.startPractice = this.startPractice.bind(this);
+    this.endPractice = this.endPractice.bind(this);
     
     // If board has serial_number and access_token, connect automatically
     if (board.serial_number && board.access_token) {
@@ -48,7 +73,8 @@ class ScoliaBoardManager extends EventEmitter {
   }
   
   /**
-   * Connect to the Scolia board via WebSocket
+   * Connect to the Scolia board via WebSocket. SCOLIA_API_URL, read on every
+   * connect, points the board at another server such as the simulator
    */
   async connect() {
     if (this.wsClient || this.isConnecting) {
@@ -57,6 +83,13 @@ class ScoliaBoardManager extends EventEmitter {
     }
     
     this.isConnecting = true;
+    this.connectionState = 'connecting';
+    this.nextRetryAt = null;
+    
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
     
     try {
       console.log(`Connecting to board ${this.board.name}...`);
@@ -64,15 +97,16 @@ class ScoliaBoardManager extends EventEmitter {
       // Update board status in database
       await this.updateBoardStatus('connecting');
       
-      // Create WebSocket connection
-      const wsUrl = `wss://boards.scolia.online/${this.board.serial_number}?accessToken=${this.board.access_token}`;
+      // Create WebSocket connection to the Scolia Social API
+      const apiUrl = process.env.SCOLIA_API_URL || ScoliaBoardManager.SOCIAL_API_URL;
+      const wsUrl = `${apiUrl}?serialNumber=${encodeURIComponent(this.board.serial_number)}&accessToken=${encodeURIComponent(this.board.access_token)}`;
       this.wsClient = new WebSocket(wsUrl);
       
       this.wsClient.on('open', async () => {
         console.log(`Connected to board ${this.board.name}`);
         this.isConnected = true;
         this.connectedAt = new Date();
-        this.reconnectAttempts = 0;
+        this.connectionState = 'connected';
         
         // Update board status in database
         await this.updateBoardStatus('online');
@@ -84,17 +118,8 @@ class ScoliaBoardManager extends EventEmitter {
         this.io.emit('board:updated', {
           ...this.board,
           status: 'online',
-          last_seen: this.connectedAt
-        });
-        
-        // Send initial configuration to the board
-        this.sendMessage({
-          type: 'configuration',
-          data: {
-            displayMode: 'match',
-            soundEnabled: true,
-            animationsEnabled: true
-          }
+          last_seen: this.connectedAt,
+          connection: this.getConnectionInfo()
         });
         
         this.isConnecting = false;
@@ -107,8 +132,9 @@ class ScoliaBoardManager extends EventEmitter {
     } catch (error) {
       console.error(`Error connecting to board ${this.board.name}:`, error);
       this.isConnecting = false;
+      this.wsClient = null;
       await this.updateBoardStatus('offline');
-      this.reconnect();
+      this.reconnect(this.reconnectPolicy.next(null));
     }
   }
   
@@ -137,32 +163,63 @@ class ScoliaBoardManager extends EventEmitter {
     }
     
     this.isConnected = false;
+    this.isConnecting = false;
+    this.connectionState = 'disconnected';
+    this.nextRetryAt = null;
+    this.reconnectPolicy.reset();
+    this.rejectPendingCommands('Board disconnected');
     await this.updateBoardStatus('offline');
     
     console.log(`Disconnected from board ${this.board.name}`);
   }
   
   /**
-   * Attempt to reconnect to the board
+   * Schedule a reconnect according to a ReconnectPolicy decision
    */
-  reconnect() {
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.log(`Maximum reconnect attempts reached for board ${this.board.name}`);
+  reconnect(decision = this.reconnectPolicy.next(null)) {
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+    
+    this.connectionState = decision.state;
+    
+    if (decision.delay === null) {
+      this.nextRetryAt = null;
+      console.log(`Not reconnecting to board ${this.board.name}: ${decision.reason}`);
       return;
     }
     
     this.reconnectAttempts++;
-    const delay = this.reconnectDelay * this.reconnectAttempts;
+    this.nextRetryAt = new Date(Date.now() + decision.delay);
     
-    console.log(`Reconnecting to board ${this.board.name} in ${delay}ms (attempt ${this.reconnectAttempts})`);
+    console.log(`Reconnecting to board ${this.board.name} in ${decision.delay}ms (attempt ${this.reconnectAttempts}, ${decision.reason})`);
     
     this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
       this.connect();
-    }, delay);
+    }, decision.delay);
   }
   
   /**
-   * Handle incoming WebSocket messages from the board
+   * Current connection state for the API and admin page
+   */
+  getConnectionInfo() {
+    return {
+      state: this.connectionState,
+      lastCloseCode: this.lastCloseCode,
+      lastCloseReason: this.lastCloseReason,
+      nextRetryAt: this.nextRetryAt,
+      reconnectAttempts: this.reconnectAttempts,
+      connectedAt: this.isConnected ? this.connectedAt : null,
+      sbcStatus: this.sbcStatus,
+      phase: this.phase,
+      practiceSessionId: this.currentPractice ? this.currentPractice.id : null
+    };
+  }
+  
+  /**
+   * Handle incoming Social API messages from the board
    */
   handleMessage(message) {
     try {
@@ -174,43 +231,115 @@ class ScoliaBoardManager extends EventEmitter {
       
       // Process message based on type
       switch (data.type) {
-        case 'pong':
-          this.handlePong();
+        case 'HELLO_CLIENT':
+          console.log(`Connection established with board ${this.board.name}`);
+          // Only a real session counts as success; rejected sockets open before closing
+          this.reconnectAttempts = 0;
+          this.reconnectPolicy.reset();
+          // Request board status so we know the current phase
+          this.sendMessage({ type: 'GET_SBC_STATUS' });
           break;
-          
-        case 'event':
-          this.handleBoardEvent(data.data);
+        
+        case 'THROW_DETECTED':
+          this.enqueue(data.type, () => this.handleThrowDetected(data.payload || {}, data.id));
           break;
-          
-        case 'error':
-          console.error(`Error from board ${this.board.name}:`, data.data);
+        
+        case 'SBC_STATUS_CHANGED':
+          this.enqueue(data.type, () => this.handleStatusChanged(data.payload || {}));
           break;
-          
-        case 'gameState':
-          this.handleGameState(data.data);
+        
+        case 'TAKEOUT_STARTED':
+          this.enqueue(data.type, () => this.handleTakeoutStarted(data.payload || {}));
           break;
-          
+        
+        case 'TAKEOUT_FINISHED':
+          this.enqueue(data.type, () => this.handleTakeoutFinished(data.payload || {}));
+          break;
+        
+        // Replies settle straight away: a queued handler may be waiting for one
+        case 'SBC_CONFIGURATION':
+        case 'CAMERA_IMAGES':
+          this.settleCommand(data, true);
+          break;
+        
+        case 'ACKNOWLEDGED':
+          console.log(`Command acknowledged by board ${this.board.name}:`, data.payload);
+          this.settleCommand(data, true);
+          break;
+        
+        case 'REFUSED':
+          console.error(`Command refused by board ${this.board.name}:`, data.payload);
+          this.settleCommand(data, false);
+          break;
+        
         default:
           console.log(`Unknown message type from board ${this.board.name}:`, data.type);
       }
+      
+      // Forward board events to clients
+      if (['THROW_DETECTED', 'SBC_STATUS_CHANGED', 'TAKEOUT_STARTED', 'TAKEOUT_FINISHED'].includes(data.type)) {
+        this.io.emit('board:event', {
+          boardId: this.board.id,
+          eventType: data.type,
+          data: data.payload
+        });
+      }
     } catch (error) {
       console.error(`Error handling message from board ${this.board.name}:`, error);
     }
   }
   
+  /**
+   * Run a task once every board event before it has been handled, so two
+   * darts landing close together never read the same score. A failing task
+   * is logged and does not hold up the ones after it
+   * @param {string} label - What the task handles, for the log
+   * @param {Function} task - Async function to run
+   * @returns {Promise} Settles with the task
+   */
+  enqueue(label, task) {
+    const run = this.eventQueue.then(task);
+    
+    this.eventQueue = run.catch(error => {
+      console.error(`Error handling ${label} for board ${this.board.name}:`, error);
+    });
+    
+    return run;
+  }
+  
   /**
    * Handle WebSocket close event
    */
   async handleClose(code, reason) {
-    console.log(`Connection closed to board ${this.board.name} with code: ${code}, reason: ${reason || 'No reason provided'}`);
+    const closeReason = reason ? reason.toString() : '';
+    console.log(`Connection closed to board ${this.board.name} with code: ${code}, reason: ${closeReason || 'No reason provided'}`);
+    
+    if (this.pingInterval) {
+      clearInterval(this.pingInterval);
+      this.pingInterval = null;
+    }
     
     this.wsClient = null;
     this.isConnected = false;
+    this.isConnecting = false;
+    this.lastCloseCode = code;
+    this.lastCloseReason = closeReason || null;
+    this.rejectPendingCommands(`Connection closed with code ${code}`);
     
-    await this.updateBoardStatus('offline');
+    // 4100/4102 mean bad credentials, retrying will not help
+    const decision = this.reconnectPolicy.next(code);
     
-    // Try to reconnect
-    this.reconnect();
+    if (decision.state === 'auth_failed') {
+      this.connectionState = 'auth_failed';
+      this.nextRetryAt = null;
+      this.lastCloseReason = this.lastCloseReason || decision.reason;
+      console.error(`${decision.reason} for board ${this.board.name}, giving up`);
+      await this.updateBoardStatus('auth_failed');
+      return;
+    }
+    
+    this.reconnect(decision);
+    await this.updateBoardStatus('offline');
   }
   
   /**
@@ -221,7 +350,7 @@ class ScoliaBoardManager extends EventEmitter {
   }
   
   /**
-   * Send a message to the board
+   * Send a message to the board, assigning a message id if missing
    */
   sendMessage(message) {
     if (!this.wsClient || this.wsClient.readyState !== WebSocket.OPEN) {
@@ -230,7 +359,10 @@ class ScoliaBoardManager extends EventEmitter {
     }
     
     try {
-      this.wsClient.send(JSON.stringify(message));
+      this.wsClient.send(JSON.stringify({
+        id: message.id || crypto.randomUUID(),
+        ...message
+      }));
       return true;
     } catch (error) {
       console.error(`Error sending message to board ${this.board.name}:`, error);
@@ -238,12 +370,180 @@ class ScoliaBoardManager extends EventEmitter {
     }
   }
   
+  /**
+   * Send a command to the board and wait for its ACKNOWLEDGED/REFUSED reply
+   */
+  sendCommand(type, payload) {
+    return new Promise((resolve, reject) => {
+      const id = crypto.randomUUID();
+      const message = payload === undefined ? { id, type } : { id, type, payload };
+      
+      if (!this.sendMessage(message)) {
+        const error = new Error(`Board ${this.board.name} is not connected`);
+        error.code = 'NOT_CONNECTED';
+        return reject(error);
+      }
+      
+      const timer = setTimeout(() => {
+        this.pendingCommands.delete(id);
+        const error = new Error(`Board ${this.board.name} did not answer ${type} in time`);
+        error.code = 'TIMEOUT';
+        reject(error);
+      }, this.commandTimeout);
+      
+      this.pendingCommands.set(id, { type, resolve, reject, timer });
+    });
+  }
+  
+  /**
+   * Resolve or reject the pending command a reply refers to
+   */
+  settleCommand(data, accepted) {
+    const payload = data.payload || {};
+    const commandId = [payload.requestId, payload.id, data.requestId, data.id]
+      .find(id => id && this.pendingCommands.has(id));
+    
+    if (!commandId) return;
+    
+    const command = this.pendingCommands.get(commandId);
+    this.pendingCommands.delete(commandId);
+    clearTimeout(command.timer);
+    
+    if (accepted) {
+      command.resolve(data.payload || {});
+    } else {
+      const error = new Error(payload.reason || payload.message || `Board refused ${command.type}`);
+      error.code = 'REFUSED';
+      command.reject(error);
+    }
+  }
+  
+  /**
+   * Reject every command still waiting for a reply
+   */
+  rejectPendingCommands(reason) {
+    for (const command of this.pendingCommands.values()) {
+      clearTimeout(command.timer);
+      const error = new Error(`${command.type} aborted: ${reason}`);
+      error.code = 'NOT_CONNECTED';
+      command.reject(error);
+    }
+    
+    this.pendingCommands.clear();
+  }
+  
+  /**
+   * Ask the board to recalibrate
+   */
+  recalibrate() {
+    return this.sendCommand('RECALIBRATE');
+  }
+  
+  /**
+   * Reset the board phase back to Throw
+   */
+  resetPhase() {
+    return this.sendCommand('RESET_PHASE');
+  }
+  
+  /**
+   * Request the current board status and phase
+   */
+  getSbcStatus() {
+    return this.sendCommand('GET_SBC_STATUS');
+  }
+  
+  /**
+   * Request the board configuration
+   */
+  getSbcConfiguration() {
+    return this.sendCommand('GET_SBC_CONFIGURATION');
+  }
+  
+  /**
+   * Tell the board a detected throw was removed
+   */
+  async deleteThrow(throwData) {
+    if (!throwData.scolia_throw_id) {
+      return { success: true, boardSynced: false };
+    }
+    
+    await this.sendCommand('DELETE_THROW', { throwId: throwData.scolia_throw_id });
+    
+    return { success: true, boardSynced: true };
+  }
+  
+  /**
+   * Request the camera images for one of our throws and store them
+   */
+  async getCameraImages(throwId) {
+    const throwRow = await this.db.get(
+      'SELECT id, scolia_throw_id FROM throws WHERE id = ?',
+      [throwId]
+    );
+    
+    if (!throwRow) {
+      throw new Error(`Throw ${throwId} not found`);
+    }
+    
+    const payload = await this.sendCommand(
+      'GET_CAMERA_IMAGES',
+      throwRow.scolia_throw_id ? { throwId: throwRow.scolia_throw_id } : undefined
+    );
+    
+    return this.storeCameraImages(throwRow.id, payload);
+  }
+  
+  /**
+   * Store CAMERA_IMAGES for a throw and apply the retention limit
+   */
+  async storeCameraImages(throwId, payload) {
+    const rawImages = Array.isArray(payload) ? payload : (payload.images || []);
+    
+    // Images arrive as plain base64 strings or { camera, image|data, mimeType } objects
+    const images = rawImages.map((entry, index) => {
+      const item = typeof entry === 'string' ? { image: entry } : entry;
+      const data = item.image || item.data || '';
+      
+      return {
+        camera: item.camera !== undefined ? item.camera : index,
+        image: data.startsWith('data:') ? data : `data:${item.mimeType || 'image/jpeg'};base64,${data}`
+      };
+    }).filter(image => image.image.length > 'data:;base64,'.length);
+    
+    if (images.length === 0) {
+      return [];
+    }
+    
+    await this.db.run('DELETE FROM throw_images WHERE throw_id = ?', [throwId]);
+    
+    for (const image of images) {
+      await this.db.run(
+        'INSERT INTO throw_images (throw_id, camera, image) VALUES (?, ?, ?)',
+        [throwId, image.camera, image.image]
+      );
+    }
+    
+    // Only keep images for the most recent throws
+    await this.db.run(
+      `DELETE FROM throw_images WHERE throw_id NOT IN (
+         SELECT DISTINCT throw_id FROM throw_images ORDER BY throw_id DESC LIMIT ?
+       )`,
+      [this.cameraImageRetention]
+    );
+    
+    return this.db.all(
+      'SELECT camera, image, captured_at FROM throw_images WHERE throw_id = ? ORDER BY camera',
+      [throwId]
+    );
+  }
+  
   /**
    * Send a ping to keep the connection alive
    */
   ping() {
     this.lastPingTime = new Date();
-    this.sendMessage({ type: 'ping' });
+    // The Social API handles its own heartbeat, so only track the time here
   }
   
   /**
@@ -276,7 +576,8 @@ class ScoliaBoardManager extends EventEmitter {
       this.io.emit('board:updated', {
         ...this.board,
         status,
-        last_seen: now
+        last_seen: now,
+        connection: this.getConnectionInfo()
       });
       
       return true;
@@ -287,191 +588,911 @@ class ScoliaBoardManager extends EventEmitter {
   }
   
   /**
-   * Handle board events
+   * Map a Scolia sector ("T20", "D16", "S5", "25", "Bull", "None") to our segment and score
    */
-  async handleBoardEvent(eventData) {
-    const { eventType, data } = eventData;
+  parseSector(sector, bounceout = false) {
+    if (bounceout || !sector || sector === 'None') {
+      return { segment: 'MISS', score: 0 };
+    }
     
-    switch (eventType) {
-      case 'throw':
-        await this.handleThrow(data);
-        break;
-        
-      case 'gameStarted':
-        await this.handleGameStarted(data);
-        break;
+    if (sector === '25') {
+      return { segment: 'BULL', score: 25 };
+    }
+    
+    if (sector === 'Bull' || sector === '50') {
+      return { segment: 'DBULL', score: 50 };
+    }
+    
+    const match = /^([SDT])(\d{1,2})$/.exec(sector);
+    if (match) {
+      const number = parseInt(match[2], 10);
+      const multiplier = { S: 1, D: 2, T: 3 }[match[1]];
+      
+      if (number >= 1 && number <= 20) {
+        return { segment: sector, score: number * multiplier };
+      }
+    }
+    
+    console.error(`Unknown sector "${sector}" from board ${this.board.name}`);
+    return { segment: 'MISS', score: 0 };
+  }
+  
+  /**
+   * Handle THROW_DETECTED event
+   */
+  async handleThrowDetected(throwData, scoliaThrowId) {
+    // Outside a match the darts go to a running practice session
+    if (!this.currentMatch && this.currentPractice) {
+      return this.handlePracticeThrow(throwData);
+    }
+    
+    if (!this.currentMatch) {
+      console.log(`Received throw but no active match for board ${this.board.name}`);
+      return;
+    }
+    
+    if (this.currentMatch.state === 'warmup') {
+      return this.handleWarmupThrow(throwData);
+    }
+    
+    if (this.currentMatch.state === 'bullshot') {
+      return this.handleBullShot(throwData);
+    }
+    
+    try {
+      const match = this.currentMatch;
+      const { segment, score } = this.parseSector(throwData.sector, throwData.bounceout);
+      
+      // A fourth dart without a takeout in between belongs to the next player
+      if (match.dartsThrown >= 3) {
+        await this.advanceTurn();
         
-      case 'gameEnded':
-        await this.handleGameEnded(data);
-        break;
+        // The round that ended may have decided the match
+        if (this.currentMatch !== match) return;
+      }
+      
+      // Get active player
+      const playerResult = await this.db.get(
+        'SELECT player_id, current_score, starting_score FROM match_players WHERE match_id = ? AND position = ?',
+        [match.id, match.activePosition]
+      );
+      
+      if (!playerResult) {
+        console.error(`Player position ${match.activePosition} not found for match ${match.id}`);
+        return;
+      }
+      
+      match.dartsThrown++;
+      if (match.dartsThrown === 1) {
+        match.turnStartScore = playerResult.current_score;
+      }
+      
+      // Record throw in database, keeping where the dart landed for accuracy analysis
+      const result = await this.db.run(
+        `INSERT INTO throws (
+          match_id, player_id, leg, round, position, segment, score, score_before, scolia_throw_id,
+          coordinates, angle, detection_time
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          match.id,
+          playerResult.player_id,
+          match.leg,
+          match.round,
+          match.dartsThrown,
+          segment,
+          score,
+          this.isX01(match.mode) ? playerResult.current_score : null,
+          scoliaThrowId || null,
+          throwData.coordinates ? JSON.stringify(throwData.coordinates) : null,
+          throwData.angle ? JSON.stringify(throwData.angle) : null,
+          throwData.detectionTime || null
+        ]
+      );
+      
+      let playerScore = playerResult.current_score;
+      let isBust = false;
+      let legWinnerId = null;
+      let modeResult = null;
+      
+      if (this.isX01(match.mode)) {
+        const dart = this.scoreX01Dart(playerResult.current_score, segment, score, playerResult.starting_score);
         
-      case 'playerSwitch':
-        await this.handlePlayerSwitch(data);
-        break;
+        if (dart.isBust) {
+          // Bust: restore score from the start of the turn and wait for takeout
+          isBust = true;
+          playerScore = match.turnStartScore;
+          match.dartsThrown = 3;
+        } else {
+          playerScore = dart.remaining;
+          legWinnerId = dart.isCheckout ? playerResult.player_id : null;
+        }
         
-      case 'warmupStarted':
-        await this.handleWarmupStarted(data);
-        break;
+        // Update current score for player, shared with their teammates
+        await this.updateSide(playerResult.player_id, { current_score: playerScore });
+      } else {
+        modeResult = await this.applyModeThrow(result.lastID, playerResult.player_id, segment, score);
+        playerScore = modeResult.score;
+        legWinnerId = modeResult.legWinnerId;
         
-      case 'warmupEnded':
-        await this.handleWarmupEnded(data);
+        // Knocked out by their own dart, the player's turn is over
+        if (modeResult.isOut) {
+          match.dartsThrown = 3;
+        }
+      }
+      
+      // Emit throw event
+      this.io.emit('game:throw', {
+        matchId: match.id,
+        boardId: this.board.id,
+        throwId: result.lastID,
+        playerId: playerResult.player_id,
+        round: match.round,
+        position: match.dartsThrown,
+        segment,
+        score,
+        sector: throwData.sector,
+        coordinates: throwData.coordinates || null,
+        bounceout: !!throwData.bounceout,
+        playerScore,
+        isBust,
+        modeResult
+      });
+      
+      // Keep what the cameras saw in case the dart is disputed later
+      if (this.autoFetchCameraImages && scoliaThrowId) {
+        this.getCameraImages(result.lastID).catch(error => {
+          console.error(`Error fetching camera images from board ${this.board.name}:`, error.message);
+        });
+      }
+      
+      if (legWinnerId) {
+        await this.completeLeg(legWinnerId);
+      }
+    } catch (error) {
+      console.error(`Error handling throw for board ${this.board.name}:`, error);
+    }
+  }
+  
+  /**
+   * Score an x01 dart against what the player has left, by the x01 game mode's rules
+   * @returns {{remaining: number, isBust: boolean, isCheckout: boolean}} remaining is
+   *   unchanged on a bust
+   */
+  scoreX01Dart(remaining, segment, score, startingScore) {
+    const result = getGameMode('x01').validateThrow(
+      { score: remaining, modeState: { startingScore } },
+      segment,
+      score,
+      { opponents: [], turn: [], roundComplete: false, settings: this.currentMatch.settings }
+    );
+    
+    if (result.bust) {
+      return { remaining, isBust: true, isCheckout: false };
+    }
+    
+    return { remaining: result.newScore, isBust: false, isCheckout: result.newScore === 0 };
+  }
+  
+  /**
+   * The player standing for the given player's side: their team's first
+   * player in team play, otherwise the player
+   */
+  getSideId(playerId) {
+    return getSidePlayerIds(this.currentMatch.seats, playerId)[0];
+  }
+  
+  /**
+   * Set columns on a player's seat and, in team play, on their teammates' seats,
+   * so the team keeps one score, legs and sets
+   * @param {number} playerId - ID of the player
+   * @param {Object} fields - Columns to set, e.g. { current_score: 301 }
+   */
+  async updateSide(playerId, fields) {
+    const playerIds = getSidePlayerIds(this.currentMatch.seats, playerId);
+    const columns = Object.keys(fields);
+    
+    await this.db.run(
+      `UPDATE match_players SET ${columns.map(column => `${column} = ?`).join(', ')}
+       WHERE match_id = ? AND player_id IN (${playerIds.map(() => '?').join(', ')})`,
+      [...columns.map(column => fields[column]), this.currentMatch.id, ...playerIds]
+    );
+  }
+  
+  /**
+   * Sides of the current match as the game modes see them, one per team in team play
+   * @returns {Promise<Array>} [{ id, positions, startingScore, score, originalScore, marks, modeState }]
+   *   where positions are the seats of the side's players
+   */
+  async loadModePlayers() {
+    const rows = await this.db.all(
+      'SELECT player_id, position, starting_score, current_score, marks, mode_state FROM match_players WHERE match_id = ? ORDER BY position',
+      [this.currentMatch.id]
+    );
+    
+    return rows
+      .filter(row => this.getSideId(row.player_id) === row.player_id)
+      .map(row => ({
+        id: row.player_id,
+        positions: rows.filter(seat => this.getSideId(seat.player_id) === row.player_id).map(seat => seat.position),
+        startingScore: row.starting_score,
+        score: row.current_score,
+        originalScore: row.current_score,
+        marks: row.marks ? JSON.parse(row.marks) : undefined,
+        modeState: row.mode_state ? JSON.parse(row.mode_state) : undefined
+      }));
+  }
+  
+  async saveModePlayers(players) {
+    for (const player of players) {
+      await this.updateSide(player.id, {
+        current_score: player.score,
+        marks: player.marks ? JSON.stringify(player.marks) : null,
+        mode_state: player.modeState ? JSON.stringify(player.modeState) : null
+      });
+    }
+  }
+  
+  /**
+   * Set every side up for a new leg of the match's game mode, from their
+   * starting score in x01
+   */
+  async startModeLeg() {
+    const match = this.currentMatch;
+    const gameMode = getGameMode(match.mode);
+    const players = await this.loadModePlayers();
+    
+    players.forEach((player, index) => {
+      gameMode.startLeg(player, index, { ...match.settings, startingScore: player.startingScore });
+    });
+    
+    await this.saveModePlayers(players);
+  }
+  
+  /**
+   * What the game mode sees of the match when judging a player's dart
+   */
+  getModeContext(players, player, turn, roundComplete = false) {
+    return {
+      opponents: players.filter(other => other.id !== player.id),
+      turn,
+      roundComplete,
+      settings: this.currentMatch.settings
+    };
+  }
+  
+  /**
+   * Judge and score one dart of a non-x01 mode on the players given, in place
+   * @returns {Object} { result, legWinnerId } where result is the mode's verdict on the dart
+   */
+  scoreModeDart(players, playerId, segment, score, turn) {
+    const gameMode = getGameMode(this.currentMatch.mode);
+    const thrower = players.find(player => player.id === this.getSideId(playerId));
+    const context = this.getModeContext(players, thrower, turn);
+    const result = gameMode.validateThrow(thrower, segment, score, context);
+    
+    if (result.valid) {
+      gameMode.applyThrow(thrower, result, context);
+    }
+    
+    // The thrower usually wins the leg, but a dart can also leave someone else the last one standing
+    const dartTurn = [...turn, segment];
+    const winner = [thrower, ...context.opponents].find(player => gameMode.isLegWon(
+      player,
+      this.getModeContext(players, player, player === thrower ? dartTurn : [])
+    ));
+    
+    return { result, legWinnerId: winner ? winner.id : null };
+  }
+  
+  /**
+   * Score a dart of cricket or a party mode (Around the Clock, Shanghai,
+   * Killer) through the game mode registry; a dart can change the other
+   * players too, e.g. cut-throat points or an opponent's Killer life.
+   * Cricket marks the dart counted are recorded on the throw
+   * @returns {Object} { score, points, marks, reason, legWinnerId, isOut, suggestions, players }
+   */
+  async applyModeThrow(throwId, playerId, segment, score) {
+    const match = this.currentMatch;
+    const gameMode = getGameMode(match.mode);
+    
+    // The turn so far, without the dart being scored
+    const turnThrows = await this.db.all(
+      'SELECT segment FROM throws WHERE match_id = ? AND leg = ? AND round = ? AND player_id = ? AND id != ? ORDER BY id',
+      [match.id, match.leg, match.round, playerId, throwId]
+    );
+    const turn = turnThrows.map(dart => dart.segment);
+    
+    const players = await this.loadModePlayers();
+    const { result, legWinnerId } = this.scoreModeDart(players, playerId, segment, score, turn);
+    await this.saveModePlayers(players);
+    
+    if (result.marks !== undefined) {
+      await this.db.run('UPDATE throws SET marks = ? WHERE id = ?', [result.marks, throwId]);
+    }
+    
+    const thrower = players.find(player => player.id === this.getSideId(playerId));
+    const isOut = !!(gameMode.isOut && gameMode.isOut(thrower));
+    
+    return {
+      score: thrower.score,
+      points: result.points,
+      marks: thrower.marks || null,
+      reason: result.reason || null,
+      legWinnerId,
+      isOut,
+      suggestions: legWinnerId || isOut ? null : gameMode.getSuggestions(thrower, this.getModeContext(players, thrower, [...turn, segment])),
+      players: players.map(player => ({ playerId: player.id, score: player.score, marks: player.marks, modeState: player.modeState }))
+    };
+  }
+  
+  /**
+   * Replay every dart of the current non-x01 leg, e.g. after a correction,
+   * writing back each cricket dart's marks
+   * @returns {number|null} The player who won the leg, if a dart now wins it
+   */
+  async replayModeLeg() {
+    const match = this.currentMatch;
+    const gameMode = getGameMode(match.mode);
+    const players = await this.loadModePlayers();
+    
+    players.forEach((player, index) => {
+      gameMode.startLeg(player, index, { ...match.settings, startingScore: player.startingScore });
+    });
+    
+    const throws = await this.db.all(
+      'SELECT id, player_id, round, segment, score FROM throws WHERE match_id = ? AND leg = ? ORDER BY id',
+      [match.id, match.leg]
+    );
+    
+    let turnKey = null;
+    let turn = [];
+    let winnerId = null;
+    
+    for (const dart of throws) {
+      const key = `${dart.round}:${dart.player_id}`;
+      if (key !== turnKey) {
+        turnKey = key;
+        turn = [];
+      }
+      
+      const { result, legWinnerId } = this.scoreModeDart(players, dart.player_id, dart.segment, dart.score, turn);
+      winnerId = legWinnerId;
+      turn.push(dart.segment);
+      
+      if (result.marks !== undefined) {
+        await this.db.run('UPDATE throws SET marks = ? WHERE id = ?', [result.marks, dart.id]);
+      }
+      
+      if (winnerId) break;
+    }
+    
+    await this.saveModePlayers(players);
+    return winnerId;
+  }
+  
+  /**
+   * Replay the darts of a player's side in the current x01 leg, e.g. after a
+   * correction, writing back what each dart was thrown on; in team play that
+   * is every dart of the team
+   * @returns {Object} { score, turnStartScore, turnDarts, isBust, isCheckout } where the
+   *   turn is the side's last one, or the one it checked out in
+   */
+  async replayX01Leg(playerId) {
+    const match = this.currentMatch;
+    const playerIds = getSidePlayerIds(match.seats, playerId);
+    
+    const player = await this.db.get(
+      'SELECT starting_score FROM match_players WHERE match_id = ? AND player_id = ?',
+      [match.id, playerId]
+    );
+    const throws = await this.db.all(
+      `SELECT id, player_id, round, segment, score, score_before FROM throws
+       WHERE match_id = ? AND player_id IN (${playerIds.map(() => '?').join(', ')}) AND leg = ? ORDER BY id`,
+      [match.id, ...playerIds, match.leg]
+    );
+    
+    const state = { score: player.starting_score, turnStartScore: player.starting_score, turnDarts: 0, isBust: false, isCheckout: false };
+    let turnKey = null;
+    
+    for (const dart of throws) {
+      // Teammates throw in the same round, so a turn is a round of one player
+      const key = `${dart.round}:${dart.player_id}`;
+      if (key !== turnKey) {
+        turnKey = key;
+        Object.assign(state, { turnStartScore: state.score, turnDarts: 0, isBust: false });
+      }
+      
+      state.turnDarts++;
+      if (state.isBust) continue;
+      
+      if (dart.score_before !== state.score) {
+        await this.db.run('UPDATE throws SET score_before = ? WHERE id = ?', [state.score, dart.id]);
+      }
+      
+      const result = this.scoreX01Dart(state.score, dart.segment, dart.score, player.starting_score);
+      state.isBust = result.isBust;
+      state.score = result.isBust ? state.turnStartScore : result.remaining;
+      
+      if (result.isCheckout) {
+        state.isCheckout = true;
         break;
-        
-      default:
-        console.log(`Unknown board event: ${eventType}`);
+      }
+    }
+    
+    return state;
+  }
+  
+  /**
+   * Handle SBC_STATUS_CHANGED event
+   */
+  async handleStatusChanged(statusData) {
+    const { status, phase } = statusData;
+    
+    console.log(`Board ${this.board.name} status changed to ${status}, phase: ${phase}`);
+    
+    this.sbcStatus = status || null;
+    
+    this.io.emit('board:updated', {
+      ...this.board,
+      sbc_status: this.sbcStatus,
+      phase: phase || null,
+      connection: this.getConnectionInfo()
+    });
+    
+    await this.setPhase(phase || null);
+  }
+  
+  /**
+   * Handle TAKEOUT_STARTED event
+   */
+  async handleTakeoutStarted(takeoutData) {
+    if (this.currentMatch) {
+      this.io.emit('game:takeoutStarted', {
+        matchId: this.currentMatch.id,
+        boardId: this.board.id
+      });
+    }
+    
+    await this.setPhase('Takeout');
+  }
+  
+  /**
+   * Handle TAKEOUT_FINISHED event
+   */
+  async handleTakeoutFinished(takeoutData) {
+    if (this.currentMatch) {
+      this.io.emit('game:takeoutFinished', {
+        matchId: this.currentMatch.id,
+        boardId: this.board.id
+      });
+    }
+    
+    await this.setPhase('Throw');
+  }
+  
+  /**
+   * Track the board phase (Throw/Takeout/null) and broadcast it as board:phase
+   */
+  async setPhase(phase) {
+    if (phase === this.phase) return;
+    
+    const previousPhase = this.phase;
+    this.phase = phase;
+    
+    // Darts are being pulled, so the turn is over - after 3 darts, a bust or fewer darts
+    if (phase === 'Takeout' && this.currentMatch && this.currentMatch.dartsThrown > 0) {
+      await this.advanceTurn();
     }
     
-    // Forward event to clients
-    this.io.emit('board:event', {
+    this.io.emit('board:phase', {
       boardId: this.board.id,
-      eventType,
-      data
+      matchId: this.currentMatch ? this.currentMatch.id : null,
+      phase,
+      previousPhase
     });
   }
   
   /**
-   * Handle game state updates
+   * Pass the turn to the next player
    */
-  async handleGameState(stateData) {
-    if (!this.currentMatch) {
-      console.log(`Received game state but no active match for board ${this.board.name}`);
-      return;
-    }
+  async advanceTurn() {
+    if (!this.currentMatch) return;
     
-    try {
-      // Update match in database
-      await this.db.run(
-        'UPDATE matches SET scores = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [JSON.stringify(stateData.scores), this.currentMatch.id]
-      );
+    const match = this.currentMatch;
+    
+    // Outside x01 the game mode can knock players out of the leg, and end it after a round
+    const gameMode = match.state === 'active' && !this.isX01(match.mode)
+      ? getGameMode(match.mode)
+      : null;
+    const modePlayers = gameMode ? await this.loadModePlayers() : [];
+    const isOut = position => {
+      const player = modePlayers.find(p => p.positions.includes(position));
+      return !!(gameMode.isOut && player && gameMode.isOut(player));
+    };
+    
+    // During warmup, players who have thrown all their darts are skipped
+    let skipped = 0;
+    let roundComplete = false;
+    do {
+      match.activePosition = (match.activePosition % match.playerCount) + 1;
       
-      // Update player scores in match_players
-      if (stateData.players) {
-        for (const player of stateData.players) {
-          await this.db.run(
-            'UPDATE match_players SET current_score = ? WHERE match_id = ? AND position = ?',
-            [player.score, this.currentMatch.id, player.position]
-          );
-        }
+      // A round is over once the turn is back with the player who started the leg
+      if (match.activePosition === match.legStarter) {
+        match.round++;
+        roundComplete = true;
       }
+    } while (
+      ((match.state === 'warmup' && match.warmup.counts[match.activePosition] >= match.warmup.limit) ||
+        (gameMode && isOut(match.activePosition))) &&
+      ++skipped < match.playerCount
+    );
+    
+    match.dartsThrown = 0;
+    
+    if (gameMode && roundComplete) {
+      const winner = modePlayers.find(player => gameMode.isLegWon(player, this.getModeContext(modePlayers, player, [], true)));
       
-      // Emit game update event
-      const updatedMatch = await this.getMatchDetails(this.currentMatch.id);
-      this.io.emit('game:updated', updatedMatch);
-      
-    } catch (error) {
-      console.error(`Error updating game state for board ${this.board.name}:`, error);
+      if (winner) {
+        await this.completeLeg(winner.id);
+        return;
+      }
     }
+    
+    const playerResult = await this.db.get(
+      'SELECT player_id FROM match_players WHERE match_id = ? AND position = ?',
+      [match.id, match.activePosition]
+    );
+    
+    this.io.emit('game:playerSwitch', {
+      matchId: match.id,
+      boardId: this.board.id,
+      playerId: playerResult ? playerResult.player_id : null,
+      position: match.activePosition,
+      round: match.round
+    });
   }
   
   /**
-   * Handle a throw event
+   * Put the current match into warmup. Each player throws settings.warmupDarts
+   * darts (9 by default, i.e. 3 rounds); they go to warmup_throws, not throws
    */
-  async handleThrow(throwData) {
-    if (!this.currentMatch) {
-      console.log(`Received throw but no active match for board ${this.board.name}`);
-      return;
+  async startWarmup() {
+    const match = this.currentMatch;
+    if (!match) {
+      throw new Error('No active match on this board');
     }
     
+    match.state = 'warmup';
+    match.warmup = {
+      limit: parseInt(match.settings.warmupDarts, 10) || 9,
+      counts: {}
+    };
+    match.activePosition = 1;
+    match.round = 1;
+    match.dartsThrown = 0;
+    
+    await this.db.run('UPDATE matches SET state = ? WHERE id = ?', ['warmup', match.id]);
+    
+    const updatedMatch = await this.getMatchDetails(match.id);
+    this.io.emit('game:updated', updatedMatch);
+  }
+  
+  /**
+   * Record a warmup dart and end warmup once every player has thrown their darts
+   */
+  async handleWarmupThrow(throwData) {
+    const match = this.currentMatch;
+    const warmup = match.warmup;
+    
     try {
-      const { player, round, throwIndex, segment, score } = throwData;
+      // A fourth dart without a takeout in between belongs to the next player
+      if (match.dartsThrown >= 3) {
+        await this.advanceTurn();
+      }
       
-      // Get player ID
+      const position = match.activePosition;
       const playerResult = await this.db.get(
         'SELECT player_id FROM match_players WHERE match_id = ? AND position = ?',
-        [this.currentMatch.id, player.position]
+        [match.id, position]
       );
       
       if (!playerResult) {
-        console.error(`Player position ${player.position} not found for match ${this.currentMatch.id}`);
+        console.error(`Player position ${position} not found for match ${match.id}`);
         return;
       }
       
-      // Record throw in database
-      await this.db.run(
-        'INSERT INTO throws (match_id, player_id, round, position, segment, score) VALUES (?, ?, ?, ?, ?, ?)',
-        [this.currentMatch.id, playerResult.player_id, round, throwIndex + 1, segment, score]
-      );
+      const { segment, score } = this.parseSector(throwData.sector, throwData.bounceout);
+      
+      match.dartsThrown++;
+      warmup.counts[position] = (warmup.counts[position] || 0) + 1;
       
-      // Update current score for player
       await this.db.run(
-        'UPDATE match_players SET current_score = ? WHERE match_id = ? AND player_id = ?',
-        [player.score, this.currentMatch.id, playerResult.player_id]
+        `INSERT INTO warmup_throws (
+          match_id, player_id, round, position, segment, score, coordinates
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          match.id,
+          playerResult.player_id,
+          match.round,
+          match.dartsThrown,
+          segment,
+          score,
+          throwData.coordinates ? JSON.stringify(throwData.coordinates) : null
+        ]
       );
       
-      // Emit throw event
-      this.io.emit('game:throw', {
-        matchId: this.currentMatch.id,
+      this.io.emit('warmup:throw', {
+        matchId: match.id,
         boardId: this.board.id,
         playerId: playerResult.player_id,
-        round,
-        position: throwIndex + 1,
         segment,
         score,
-        playerScore: player.score
+        coordinates: throwData.coordinates || null,
+        dartsThrown: warmup.counts[position],
+        limit: warmup.limit
       });
       
+      // This player is done, so the takeout passes the turn on
+      if (warmup.counts[position] >= warmup.limit) {
+        match.dartsThrown = 3;
+      }
+      
+      const finished = Array.from({ length: match.playerCount }, (_, i) => i + 1)
+        .every(p => warmup.counts[p] >= warmup.limit);
+      
+      if (finished) {
+        await this.endWarmup();
+      }
     } catch (error) {
-      console.error(`Error handling throw for board ${this.board.name}:`, error);
+      console.error(`Error handling warmup throw for board ${this.board.name}:`, error);
     }
   }
   
   /**
-   * Handle game started event
+   * End warmup and move on to the throw for bull, or straight into the match
    */
-  async handleGameStarted(gameData) {
-    if (!this.currentMatch) {
-      console.log(`Received game started but no active match for board ${this.board.name}`);
+  async endWarmup() {
+    const match = this.currentMatch;
+    if (!match || match.state !== 'warmup') {
+      throw new Error('No match in warmup on this board');
+    }
+    
+    match.warmup = null;
+    match.activePosition = 1;
+    match.round = 1;
+    match.dartsThrown = 0;
+    
+    this.io.emit('warmup:complete', { matchId: match.id, boardId: this.board.id });
+    
+    if (match.settings.bullOff) {
+      await this.startBullOff();
       return;
     }
     
+    match.state = 'active';
+    await this.db.run('UPDATE matches SET state = ? WHERE id = ?', ['active', match.id]);
+    
+    const updatedMatch = await this.getMatchDetails(match.id);
+    this.io.emit('game:updated', updatedMatch);
+  }
+  
+  /**
+   * Put the current match into the throw for bull: one dart per player,
+   * in player order, until a single player is closest to the bull
+   */
+  async startBullOff() {
+    const match = this.currentMatch;
+    if (!match) {
+      throw new Error('No active match on this board');
+    }
+    
+    // In team play each team's first player throws for bull
+    const positions = getSides(match.seats).map(seat => seat.position);
+    
+    match.state = 'bullshot';
+    match.bullOff = { attempt: 1, pending: positions, shots: [] };
+    match.activePosition = positions[0];
+    match.dartsThrown = 0;
+    
+    await this.db.run('UPDATE matches SET state = ? WHERE id = ?', ['bullshot', match.id]);
+    
+    const updatedMatch = await this.getMatchDetails(match.id);
+    this.io.emit('game:updated', updatedMatch);
+  }
+  
+  /**
+   * Record a bull-off dart and decide the round once every player in it has thrown
+   */
+  async handleBullShot(throwData) {
+    const match = this.currentMatch;
+    const bullOff = match.bullOff;
+    
     try {
-      // Update match in database
+      const position = bullOff.pending.shift();
+      const player = await this.db.get(
+        `SELECT mp.player_id, p.name FROM match_players mp
+         JOIN players p ON mp.player_id = p.id
+         WHERE mp.match_id = ? AND mp.position = ?`,
+        [match.id, position]
+      );
+      
+      if (!player) {
+        console.error(`Player position ${position} not found for match ${match.id}`);
+        return;
+      }
+      
+      const { segment } = this.parseSector(throwData.sector, throwData.bounceout);
+      const measurement = measureBullShot({ segment, coordinates: throwData.coordinates, bounceout: throwData.bounceout });
+      
+      const shot = {
+        playerId: player.player_id,
+        playerName: player.name,
+        position,
+        segment,
+        coordinates: throwData.coordinates || null,
+        ...measurement
+      };
+      bullOff.shots.push(shot);
+      
       await this.db.run(
-        'UPDATE matches SET state = ?, start_time = CURRENT_TIMESTAMP WHERE id = ?',
-        ['active', this.currentMatch.id]
+        'INSERT INTO bull_shots (match_id, player_id, attempt, segment, coordinates, distance) VALUES (?, ?, ?, ?, ?, ?)',
+        [
+          match.id,
+          shot.playerId,
+          bullOff.attempt,
+          segment,
+          shot.coordinates ? JSON.stringify(shot.coordinates) : null,
+          shot.distance
+        ]
       );
       
-      // Emit game started event
-      const updatedMatch = await this.getMatchDetails(this.currentMatch.id);
-      this.io.emit('game:updated', updatedMatch);
+      this.io.emit('bull:shot', {
+        matchId: match.id,
+        boardId: this.board.id,
+        attempt: bullOff.attempt,
+        shot
+      });
       
+      if (bullOff.pending.length > 0) {
+        match.activePosition = bullOff.pending[0];
+        return;
+      }
+      
+      const { winnerId, rethrow } = decideBullOff(bullOff.shots);
+      
+      this.io.emit('bull:result', {
+        matchId: match.id,
+        boardId: this.board.id,
+        attempt: bullOff.attempt,
+        shots: bullOff.shots,
+        winnerId,
+        rethrow
+      });
+      
+      if (winnerId) {
+        await this.finishBullOff(winnerId);
+      } else {
+        // Tied or nobody on the board: only those players throw again
+        bullOff.attempt++;
+        bullOff.pending = bullOff.shots
+          .filter(s => rethrow.includes(s.playerId))
+          .map(s => s.position);
+        bullOff.shots = [];
+        match.activePosition = bullOff.pending[0];
+      }
     } catch (error) {
-      console.error(`Error handling game started for board ${this.board.name}:`, error);
+      console.error(`Error handling bull shot for board ${this.board.name}:`, error);
     }
   }
   
   /**
-   * Handle game ended event
+   * Start the match with the bull-off winner throwing first
    */
-  async handleGameEnded(gameData) {
-    if (!this.currentMatch) {
-      console.log(`Received game ended but no active match for board ${this.board.name}`);
-      return;
+  async finishBullOff(winnerId) {
+    const match = this.currentMatch;
+    const winner = match.bullOff.shots.find(s => s.playerId === winnerId);
+    
+    match.state = 'active';
+    match.bullOff = null;
+    match.activePosition = winner.position;
+    match.legStarter = winner.position;
+    match.setStarter = winner.position;
+    match.round = 1;
+    match.dartsThrown = 0;
+    
+    await this.db.run(
+      'UPDATE matches SET state = ?, bull_winner_id = ? WHERE id = ?',
+      ['active', winnerId, match.id]
+    );
+    
+    const updatedMatch = await this.getMatchDetails(match.id);
+    this.io.emit('game:updated', updatedMatch);
+  }
+  
+  /**
+   * Record a won leg. Playing sets (sets_to_win above 0), legs_per_set legs win
+   * the set and sets_to_win sets the match; otherwise the leg wins the match.
+   * Leg starters rotate within a set, and each new set is started by the
+   * player after the one who started the previous set. Teammates share their
+   * legs and sets, and as teams sit alternately the starting team alternates
+   */
+  async completeLeg(winnerId) {
+    const match = this.currentMatch;
+    if (!match) return;
+    
+    const format = await this.db.get(
+      'SELECT sets_to_win, legs_per_set FROM matches WHERE id = ?',
+      [match.id]
+    );
+    
+    if (!(format.sets_to_win > 0)) {
+      return this.completeMatch(winnerId);
     }
     
-    try {
-      // Get winner player ID
-      let winnerId = null;
+    const winner = await this.db.get(
+      'SELECT legs_won, sets_won FROM match_players WHERE match_id = ? AND player_id = ?',
+      [match.id, winnerId]
+    );
+    winner.legs_won += 1;
+    await this.updateSide(winnerId, { legs_won: winner.legs_won });
+    
+    const setWon = winner.legs_won >= format.legs_per_set;
+    
+    if (setWon) {
+      await this.updateSide(winnerId, { sets_won: winner.sets_won + 1 });
       
-      if (gameData.winner) {
-        const winnerResult = await this.db.get(
-          'SELECT player_id FROM match_players WHERE match_id = ? AND position = ?',
-          [this.currentMatch.id, gameData.winner.position]
-        );
-        
-        if (winnerResult) {
-          winnerId = winnerResult.player_id;
-          
-          // Update winner in match_players
-          await this.db.run(
-            'UPDATE match_players SET is_winner = 1 WHERE match_id = ? AND player_id = ?',
-            [this.currentMatch.id, winnerId]
-          );
-        }
+      const sets = await this.db.all(
+        'SELECT player_id, sets_won FROM match_players WHERE match_id = ? ORDER BY position',
+        [match.id]
+      );
+      
+      this.io.emit('set:won', {
+        matchId: match.id,
+        boardId: this.board.id,
+        playerId: winnerId,
+        set: match.set,
+        sets: Object.fromEntries(sets.map(row => [row.player_id, row.sets_won]))
+      });
+      
+      if (winner.sets_won + 1 >= format.sets_to_win) {
+        return this.completeMatch(winnerId);
       }
       
-      // Update match in database
+      await this.db.run('UPDATE match_players SET legs_won = 0 WHERE match_id = ?', [match.id]);
+    }
+    
+    // Everyone starts the next leg afresh: x01 from their starting score, cricket from empty marks
+    await this.startModeLeg();
+    
+    const nextPosition = position => (position % match.playerCount) + 1;
+    
+    if (setWon) {
+      match.set++;
+      match.setStarter = nextPosition(match.setStarter);
+      match.legStarter = match.setStarter;
+    } else {
+      match.legStarter = nextPosition(match.legStarter);
+    }
+    
+    match.leg++;
+    match.activePosition = match.legStarter;
+    match.round = 1;
+    match.dartsThrown = 0;
+    match.turnStartScore = null;
+    
+    const updatedMatch = await this.getMatchDetails(match.id);
+    this.io.emit('game:updated', updatedMatch);
+  }
+  
+  /**
+   * Complete the current match with the given winner
+   */
+  async completeMatch(winnerId) {
+    if (!this.currentMatch) return;
+    
+    try {
+      await this.updateSide(winnerId, { is_winner: 1 });
+      
       await this.db.run(
         'UPDATE matches SET state = ?, end_time = CURRENT_TIMESTAMP, winner_id = ? WHERE id = ?',
         ['completed', winnerId, this.currentMatch.id]
@@ -483,77 +1504,178 @@ class ScoliaBoardManager extends EventEmitter {
       
       // Clear current match
       this.currentMatch = null;
-      
     } catch (error) {
-      console.error(`Error handling game ended for board ${this.board.name}:`, error);
+      console.error(`Error completing match for board ${this.board.name}:`, error);
     }
   }
   
   /**
-   * Handle player switch event
+   * Start a solo practice session; the board's darts go to it until it
+   * completes or is ended
    */
-  async handlePlayerSwitch(switchData) {
-    if (!this.currentMatch) return;
+  async startPractice(playerId, routineId) {
+    const routine = getPracticeRoutine(routineId);
     
-    // Just relay the event, no database updates needed
-    this.io.emit('game:playerSwitch', {
-      matchId: this.currentMatch.id,
-      boardId: this.board.id,
-      ...switchData
-    });
+    if (!this.isConnected) {
+      throw new Error('Board is not connected');
+    }
+    
+    if (this.currentMatch) {
+      throw new Error('Board has an active match');
+    }
+    
+    if (this.currentPractice) {
+      throw new Error('Board already has a practice session running');
+    }
+    
+    const progress = routine.start();
+    const result = await this.db.run(
+      'INSERT INTO practice_sessions (board_id, player_id, routine, score, progress) VALUES (?, ?, ?, ?, ?)',
+      [this.board.id, playerId, routine.id, routine.getScore(progress), JSON.stringify(progress)]
+    );
+    
+    this.currentPractice = {
+      id: result.lastID,
+      playerId,
+      routine: routine.id,
+      progress,
+      darts: 0,
+      hits: 0,
+      target: routine.getTarget(progress)
+    };
+    
+    const session = await this.getPracticeDetails(result.lastID);
+    this.io.emit('practice:started', session);
+    
+    return session;
   }
   
   /**
-   * Handle warmup started event
+   * Record a practice dart and finish the session once the routine is complete
    */
-  async handleWarmupStarted(warmupData) {
-    if (!this.currentMatch) {
-      console.log(`Received warmup started but no active match for board ${this.board.name}`);
-      return;
-    }
+  async handlePracticeThrow(throwData) {
+    const practice = this.currentPractice;
     
     try {
-      // Update match state
+      const { segment, score } = this.parseSector(throwData.sector, throwData.bounceout);
+      const target = practice.target;
+      const dart = applyPracticeDart(practice.routine, practice.progress, segment, score);
+      
+      practice.progress = dart.progress;
+      practice.darts++;
+      practice.hits += dart.hit ? 1 : 0;
+      practice.target = dart.target;
+      
       await this.db.run(
-        'UPDATE matches SET state = ? WHERE id = ?',
-        ['warmup', this.currentMatch.id]
+        `INSERT INTO practice_throws (
+          session_id, dart, target, segment, score, hit, coordinates
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          practice.id,
+          practice.darts,
+          target,
+          segment,
+          score,
+          dart.hit ? 1 : 0,
+          throwData.coordinates ? JSON.stringify(throwData.coordinates) : null
+        ]
       );
       
-      // Emit warmup started event
-      const updatedMatch = await this.getMatchDetails(this.currentMatch.id);
-      this.io.emit('game:updated', updatedMatch);
+      await this.db.run(
+        'UPDATE practice_sessions SET score = ?, darts = ?, hits = ?, progress = ? WHERE id = ?',
+        [dart.score, practice.darts, practice.hits, JSON.stringify(practice.progress), practice.id]
+      );
       
+      this.io.emit('practice:throw', {
+        sessionId: practice.id,
+        boardId: this.board.id,
+        playerId: practice.playerId,
+        dart: practice.darts,
+        target,
+        segment,
+        score,
+        hit: dart.hit,
+        sessionScore: dart.score,
+        nextTarget: dart.target,
+        progress: practice.progress
+      });
+      
+      if (dart.complete) {
+        await this.endPractice('completed');
+      }
     } catch (error) {
-      console.error(`Error handling warmup started for board ${this.board.name}:`, error);
+      console.error(`Error handling practice throw for board ${this.board.name}:`, error);
     }
   }
   
   /**
-   * Handle warmup ended event
+   * End the running practice session; sessions ended before the routine is
+   * complete are kept as abandoned and do not count towards personal bests
    */
-  async handleWarmupEnded(warmupData) {
-    if (!this.currentMatch) return;
+  async endPractice(state = 'abandoned') {
+    if (!this.currentPractice) {
+      throw new Error('No practice session running on this board');
+    }
     
-    try {
-      // Update match state back to pending if it was in warmup
-      const match = await this.db.get(
-        'SELECT state FROM matches WHERE id = ?',
-        [this.currentMatch.id]
-      );
-      
-      if (match && match.state === 'warmup') {
-        await this.db.run(
-          'UPDATE matches SET state = ? WHERE id = ?',
-          ['pending', this.currentMatch.id]
-        );
-        
-        // Emit update
-        const updatedMatch = await this.getMatchDetails(this.currentMatch.id);
-        this.io.emit('game:updated', updatedMatch);
-      }
-    } catch (error) {
-      console.error(`Error handling warmup ended for board ${this.board.name}:`, error);
+    const sessionId = this.currentPractice.id;
+    this.currentPractice = null;
+    
+    await this.db.run(
+      'UPDATE practice_sessions SET state = ?, ended_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [state, sessionId]
+    );
+    
+    const session = await this.getPracticeDetails(sessionId);
+    this.io.emit('practice:ended', session);
+    
+    return session;
+  }
+  
+  /**
+   * Get a practice session with its darts from the database
+   */
+  async getPracticeDetails(sessionId) {
+    const session = await this.db.get(
+      `SELECT ps.*, p.name AS player_name
+       FROM practice_sessions ps
+       JOIN players p ON ps.player_id = p.id
+       WHERE ps.id = ?`,
+      [sessionId]
+    );
+    
+    if (!session) {
+      throw new Error(`Practice session ${sessionId} not found`);
     }
+    
+    const throws = await this.db.all(
+      'SELECT * FROM practice_throws WHERE session_id = ? ORDER BY dart',
+      [sessionId]
+    );
+    
+    return {
+      ...session,
+      progress: session.progress ? JSON.parse(session.progress) : null,
+      target: this.currentPractice && this.currentPractice.id === session.id ? this.currentPractice.target : null,
+      boardId: session.board_id,
+      throws
+    };
+  }
+  
+  /**
+   * Map one of our segments back to a Scolia sector
+   */
+  segmentToSector(segment) {
+    if (segment === 'BULL') return '25';
+    if (segment === 'DBULL') return 'Bull';
+    if (!segment || segment === 'MISS') return 'None';
+    return segment;
+  }
+  
+  /**
+   * Whether the game mode is an x01 variant
+   */
+  isX01(mode) {
+    return getGameMode(String(mode)).id === 'x01';
   }
   
   /**
@@ -561,28 +1683,48 @@ class ScoliaBoardManager extends EventEmitter {
    */
   async startMatch(matchData) {
     try {
-      const { players, mode, settings } = matchData;
+      const { players, mode, settings, tournamentId, setsToWin, legsPerSet, teams = [] } = matchData;
       
       if (!players || players.length < 2) {
         throw new Error('At least two players are required');
       }
       
+      // A team match seats its players alternately from each team: A1, B1, A2, B2
+      const teamSetup = teams.length > 0 ? normalizeTeams(teams) : [];
+      const seatedPlayers = teamSetup.length > 0 ? seatTeamPlayers(players, teamSetup) : players;
+      
       // Check if board is connected
       if (!this.isConnected) {
         throw new Error('Board is not connected');
       }
       
-      // Create match in database
+      if (this.currentPractice) {
+        throw new Error('Board has a practice session running');
+      }
+      
+      // Throws for an unknown mode
+      const isX01 = this.isX01(mode);
+      
+      // Create match in database; settings.warmup and settings.bullOff add the pre-game stages
       const result = await this.db.run(
-        'INSERT INTO matches (board_id, mode, state, settings) VALUES (?, ?, ?, ?)',
-        [this.board.id, mode, 'pending', JSON.stringify(settings || {})]
+        'INSERT INTO matches (board_id, mode, state, settings, tournament_id, sets_to_win, legs_per_set, start_time) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+        [this.board.id, mode, 'active', JSON.stringify(settings || {}), tournamentId || null, parseInt(setsToWin) || 0, parseInt(legsPerSet) || 3]
       );
       
       const matchId = result.lastID;
       
+      for (const [index, team] of teamSetup.entries()) {
+        await this.db.run(
+          'INSERT INTO teams (match_id, position, name) VALUES (?, ?, ?)',
+          [matchId, index + 1, team.name]
+        );
+      }
+      
       // Add players to match
-      for (let i = 0; i < players.length; i++) {
-        const player = players[i];
+      const seats = [];
+      const teamStartingScores = {};
+      for (let i = 0; i < seatedPlayers.length; i++) {
+        const player = seatedPlayers[i];
         const position = i + 1;
         let playerId = player.id;
         
@@ -595,43 +1737,60 @@ class ScoliaBoardManager extends EventEmitter {
           playerId = playerResult.lastID;
         }
         
-        // Calculate starting score based on game mode
+        // x01 counts down from the mode's number ('501'), or settings.startingScore for
+        // plain 'x01'; a handicapped player can be given their own starting score.
+        // The other modes set their players up in startModeLeg
         let startingScore = 0;
-        if (mode === '301') startingScore = 301;
-        else if (mode === '501') startingScore = 501;
-        else if (mode === '701') startingScore = 701;
+        if (isX01) {
+          startingScore = parseInt(mode, 10) || parseInt((settings || {}).startingScore, 10) || 501;
+          
+          const handicapScore = parseInt(player.startingScore, 10);
+          if (handicapScore > 1) {
+            startingScore = handicapScore;
+          }
+        }
+        
+        // Teammates share a score, so the team starts from its first player's
+        if (player.team) {
+          teamStartingScores[player.team] = teamStartingScores[player.team] || startingScore;
+          startingScore = teamStartingScores[player.team];
+        }
         
         // Add player to match
         await this.db.run(
-          'INSERT INTO match_players (match_id, player_id, position, starting_score, current_score) VALUES (?, ?, ?, ?, ?)',
-          [matchId, playerId, position, startingScore, startingScore]
+          'INSERT INTO match_players (match_id, player_id, position, starting_score, current_score, team) VALUES (?, ?, ?, ?, ?, ?)',
+          [matchId, playerId, position, startingScore, startingScore, player.team || null]
         );
+        seats.push({ player_id: playerId, position, team: player.team || null });
       }
       
-      // Set as current match
-      this.currentMatch = { id: matchId, mode };
-      
-      // Send game configuration to board
-      const boardPlayers = players.map((player, index) => ({
-        position: index + 1,
-        name: player.name,
-        score: mode === '301' ? 301 : mode === '501' ? 501 : mode === '701' ? 701 : 0
-      }));
-      
-      const boardConfig = {
-        gameType: mode,
-        players: boardPlayers,
-        options: {
-          doubleIn: settings?.doubleIn || false,
-          doubleOut: settings?.doubleOut || true,
-          maxRounds: settings?.maxRounds || 20
-        }
+      // Set as current match and track the turn locally; the board only reports darts
+      this.currentMatch = {
+        id: matchId,
+        mode,
+        state: 'active',
+        settings: settings || {},
+        playerCount: seatedPlayers.length,
+        seats,
+        activePosition: 1,
+        legStarter: 1,
+        setStarter: 1,
+        leg: 1,
+        set: 1,
+        round: 1,
+        dartsThrown: 0,
+        turnStartScore: null,
+        warmup: null,
+        bullOff: null
       };
       
-      this.sendMessage({
-        type: 'startGame',
-        data: boardConfig
-      });
+      await this.startModeLeg();
+      
+      if (settings && settings.warmup) {
+        await this.startWarmup();
+      } else if (settings && settings.bullOff) {
+        await this.startBullOff();
+      }
       
       // Get and return match details
       const match = await this.getMatchDetails(matchId);
@@ -653,12 +1812,6 @@ class ScoliaBoardManager extends EventEmitter {
     }
     
     try {
-      // Send end game command to board
-      this.sendMessage({
-        type: 'endGame',
-        data: {}
-      });
-      
       // Update match in database
       await this.db.run(
         'UPDATE matches SET state = ?, end_time = CURRENT_TIMESTAMP WHERE id = ?',
@@ -683,39 +1836,94 @@ class ScoliaBoardManager extends EventEmitter {
   }
   
   /**
-   * Correct a throw
+   * Correct a throw, tell the board about the correction and rescore the
+   * current leg from its darts. Queued behind the board's events so a dart
+   * landing meanwhile is scored after the correction
    */
-  async correctThrow(throwData) {
+  correctThrow(throwData) {
     if (!this.currentMatch) {
-      throw new Error('No active match on this board');
+      return Promise.reject(new Error('No active match on this board'));
     }
     
+    return this.enqueue('throw correction', () => this.applyCorrection(throwData));
+  }
+  
+  async applyCorrection(throwData) {
     try {
       const { throwId, segment, score } = throwData;
       
+      const existing = await this.db.get(
+        'SELECT player_id, leg, round, scolia_throw_id FROM throws WHERE id = ?',
+        [throwId]
+      );
+      
+      // Only store the correction once the board has accepted it
+      if (existing && existing.scolia_throw_id) {
+        await this.sendCommand('THROW_CORRECTED', {
+          throwId: existing.scolia_throw_id,
+          sector: this.segmentToSector(segment)
+        });
+      }
+      
       // Update throw in database
       await this.db.run(
         'UPDATE throws SET segment = ?, score = ?, is_corrected = 1 WHERE id = ?',
         [segment, score, throwId]
       );
       
-      // Send correction to board
-      this.sendMessage({
-        type: 'correctThrow',
-        data: { 
-          throwId,
-          segment,
-          score
-        }
-      });
+      // Darts of an earlier leg only change the record, its result stands
+      const match = this.currentMatch;
+      if (match && existing && existing.leg === match.leg) {
+        await this.rescoreLeg(existing);
+      }
       
-      return { success: true };
+      if (match) {
+        this.io.emit('game:updated', await this.getMatchDetails(match.id));
+      }
+      
+      return { success: true, boardSynced: !!(existing && existing.scolia_throw_id) };
     } catch (error) {
       console.error(`Error correcting throw on board ${this.board.name}:`, error);
       throw error;
     }
   }
   
+  /**
+   * Rescore the current leg after one of its darts was corrected: the player's
+   * x01 score and whether their turn is bust, or every side of another mode.
+   * A correction that now finishes the leg completes it
+   * @param {Object} corrected - The corrected throw { player_id, round }
+   */
+  async rescoreLeg(corrected) {
+    const match = this.currentMatch;
+    
+    if (!this.isX01(match.mode)) {
+      const winnerId = await this.replayModeLeg();
+      if (winnerId) await this.completeLeg(winnerId);
+      return;
+    }
+    
+    const state = await this.replayX01Leg(corrected.player_id);
+    
+    await this.updateSide(corrected.player_id, { current_score: state.score });
+    
+    // While the side is throwing, the replay ends in the turn being thrown: a
+    // correction can move where it started and how many darts are left in it
+    const active = await this.db.get(
+      'SELECT player_id FROM match_players WHERE match_id = ? AND position = ?',
+      [match.id, match.activePosition]
+    );
+    
+    if (active && this.getSideId(active.player_id) === this.getSideId(corrected.player_id) && match.dartsThrown > 0) {
+      match.turnStartScore = state.turnStartScore;
+      match.dartsThrown = state.isBust ? 3 : state.turnDarts;
+    }
+    
+    if (state.isCheckout) {
+      await this.completeLeg(corrected.player_id);
+    }
+  }
+  
   /**
    * Manually switch active player
    */
@@ -725,11 +1933,7 @@ class ScoliaBoardManager extends EventEmitter {
     }
     
     try {
-      // Send player switch command to board
-      this.sendMessage({
-        type: 'switchPlayer',
-        data: {}
-      });
+      await this.advanceTurn();
       
       return { success: true };
     } catch (error) {
@@ -774,7 +1978,12 @@ class ScoliaBoardManager extends EventEmitter {
         ...match,
         settings: match.settings ? JSON.parse(match.settings) : {},
         scores: match.scores ? JSON.parse(match.scores) : {},
-        players,
+        players: players.map(player => ({
+          ...player,
+          marks: player.marks ? JSON.parse(player.marks) : null,
+          modeState: player.mode_state ? JSON.parse(player.mode_state) : null
+        })),
+        teams: await loadMatchTeams(this.db, matchId, players),
         throws,
         boardId: match.board_id
       };
@@ -787,4 +1996,6 @@ class ScoliaBoardManager extends EventEmitter {
   }
 }
 
+ScoliaBoardManager.SOCIAL_API_URL = 'wss://game.scoliadarts.com/api/v1/social';
+
 module.exports = ScoliaBoardManager; 
\ No newline at end of file
@@ -1,6 +1,24 @@
 const express = require('express');
 const router = express.Router();
 
+// Social API commands that can be sent through /api/boards/:id/commands/:command
+const BOARD_COMMANDS = [
+  'THROW_CORRECTED',
+  'DELETE_THROW',
+  'RECALIBRATE',
+  'RESET_PHASE',
+  'GET_SBC_STATUS',
+  'GET_SBC_CONFIGURATION'
+];
+
+/**
+ * Connection state of a board's manager, or null if it has none
+ */
+const getConnectionInfo = (boardId) => {
+  const boardManager = global.boardManagers.get(parseInt(boardId));
+  return boardManager ? boardManager.getConnectionInfo() : null;
+};
+
 /**
  * GET /api/boards
  * Get all boards
@@ -18,7 +36,8 @@ router.get('/', async (req, res) => {
       status: board.status,
       last_seen: board.last_seen,
       created_at: board.created_at,
-      updated_at: board.updated_at
+      updated_at: board.updated_at,
+      connection: getConnectionInfo(board.id)
     }));
     
     res.json(formattedBoards);
@@ -42,7 +61,7 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Board not found' });
     }
     
-    res.json(board);
+    res.json({ ...board, connection: getConnectionInfo(board.id) });
   } catch (err) {
     console.error(`Error fetching board ${req.params.id}:`, err);
     res.status(500).json({ message: 'Failed to fetch board', error: err.message });
@@ -200,7 +219,7 @@ router.delete('/:id', async (req, res) => {
     // Check if the board has active games
     const activeGame = await req.db.get(
       `SELECT id FROM matches 
-       WHERE board_id = ? AND state IN ('pending', 'warmup', 'active')`,
+       WHERE board_id = ? AND state IN ('pending', 'warmup', 'bullshot', 'active')`,
       [id]
     );
     
@@ -303,4 +322,48 @@ router.post('/:id/disconnect', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/boards/:id/commands/:command
+ * Send a Social API command to a board and wait for its reply
+ */
+router.post('/:id/commands/:command', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const command = req.params.command.toUpperCase().replace(/-/g, '_');
+    
+    if (!BOARD_COMMANDS.includes(command)) {
+      return res.status(400).json({ 
+        message: `Unknown board command. Expected one of: ${BOARD_COMMANDS.join(', ')}` 
+      });
+    }
+    
+    // Get the board manager
+    const boardManager = global.boardManagers.get(parseInt(id));
+    
+    if (!boardManager) {
+      return res.status(404).json({ message: 'Board not found' });
+    }
+    
+    if (!boardManager.isConnected) {
+      return res.status(400).json({ message: 'Board is not connected' });
+    }
+    
+    const result = await boardManager.sendCommand(command, req.body && Object.keys(req.body).length > 0 ? req.body : undefined);
+    
+    res.json({ message: 'Command acknowledged', command, result });
+  } catch (err) {
+    console.error(`Error sending command to board ${req.params.id}:`, err);
+    
+    if (err.code === 'REFUSED') {
+      return res.status(409).json({ message: 'Command refused by board', error: err.message });
+    }
+    
+    if (err.code === 'TIMEOUT') {
+      return res.status(504).json({ message: 'Board did not answer', error: err.message });
+    }
+    
+    res.status(500).json({ message: 'Failed to send command', error: err.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const { getPreferredDoubles, findRoutes, findSetups } = require('../src/utils/checkout');
+
+/**
+ * Doubles a player checks out on most often, from their recorded darts. Only
+ * darts that finished the score they were thrown on count; a double hit while
+ * scoring says nothing about finishing on it
+ */
+const getPlayerDoubles = async (db, playerId) => {
+  const rows = await db.all(
+    `SELECT segment, COUNT(*) AS hits
+     FROM throws
+     WHERE player_id = ? AND segment LIKE 'D%' AND score = score_before
+     GROUP BY segment`,
+    [playerId]
+  );
+  
+  return getPreferredDoubles(Object.fromEntries(rows.map(row => [row.segment, row.hits])));
+};
+
+/**
+ * GET /api/checkout
+ * Get the finishes of a score, best first (score, darts, playerId, limit).
+ * With a playerId, routes finishing on the doubles the player checks out on most rank higher.
+ * With no finish on the darts (above 170, a bogey number) setup holds where to
+ * aim so the next visit starts on the best finish
+ */
+router.get('/', async (req, res) => {
+  try {
+    const score = parseInt(req.query.score);
+    const darts = Math.min(Math.max(parseInt(req.query.darts) || 3, 1), 3);
+    const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+    
+    if (!score || score < 0) {
+      return res.status(400).json({ message: 'A score is required' });
+    }
+    
+    const preferredDoubles = req.query.playerId
+      ? await getPlayerDoubles(req.db, req.query.playerId)
+      : [];
+    
+    const routes = findRoutes(score, darts, { preferredDoubles, limit });
+    
+    res.json({
+      score,
+      darts,
+      preferredDoubles,
+      routes,
+      setup: routes.length === 0 ? findSetups(score, darts, { preferredDoubles, limit: Math.min(limit, 3) }) : []
+    });
+  } catch (err) {
+    console.error('Error finding checkout:', err);
+    res.status(500).json({ message: 'Failed to find checkout', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -13,7 +13,7 @@ router.post('/reset', async (req, res) => {
     // Check if there are active games
     const activeGames = await db.get(
       `SELECT COUNT(*) as count FROM matches 
-       WHERE state IN ('pending', 'warmup', 'active')`
+       WHERE state IN ('pending', 'warmup', 'bullshot', 'active')`
     );
     
     if (activeGames && activeGames.count > 0) {
@@ -38,6 +38,7 @@ router.post('/reset', async (req, res) => {
       
       DROP TABLE IF EXISTS throws;
       DROP TABLE IF EXISTS match_players;
+      DROP TABLE IF EXISTS teams;
       DROP TABLE IF EXISTS matches;
       DROP TABLE IF EXISTS players;
       DROP TABLE IF EXISTS boards;
@@ -78,6 +79,9 @@ router.post('/reset', async (req, res) => {
         state TEXT DEFAULT 'pending',
         settings TEXT,
         scores TEXT,
+        tournament_id INTEGER,
+        sets_to_win INTEGER DEFAULT 0,
+        legs_per_set INTEGER DEFAULT 3,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (board_id) REFERENCES boards (id)
@@ -89,21 +93,40 @@ router.post('/reset', async (req, res) => {
         match_id INTEGER NOT NULL,
         player_id INTEGER NOT NULL,
         position INTEGER NOT NULL,
+        marks TEXT,
+        legs_won INTEGER DEFAULT 0,
+        sets_won INTEGER DEFAULT 0,
+        team INTEGER,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (match_id) REFERENCES matches (id),
         FOREIGN KEY (player_id) REFERENCES players (id)
       );
       
+      -- Teams table
+      CREATE TABLE IF NOT EXISTS teams (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        match_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (match_id, position),
+        FOREIGN KEY (match_id) REFERENCES matches (id)
+      );
+      
       -- Throws table
       CREATE TABLE IF NOT EXISTS throws (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         match_id INTEGER NOT NULL,
         player_id INTEGER NOT NULL,
+        leg INTEGER DEFAULT 1,
         round INTEGER NOT NULL,
         throw_number INTEGER NOT NULL,
         segment TEXT NOT NULL,
         score INTEGER NOT NULL,
+        marks INTEGER,
         coordinates TEXT,
+        angle TEXT,
+        detection_time DATETIME,
         timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (match_id) REFERENCES matches (id),
         FOREIGN KEY (player_id) REFERENCES players (id)
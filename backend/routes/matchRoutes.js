@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const { isGameMode } = require('../src/utils/gameModes');
+const { normalizeTeams, seatTeamPlayers, loadMatchTeams } = require('../src/utils/teams');
 
 /**
  * GET /api/games
@@ -76,7 +78,8 @@ router.get('/', async (req, res) => {
         ...match,
         settings: match.settings ? JSON.parse(match.settings) : {},
         scores: match.scores ? JSON.parse(match.scores) : {},
-        players,
+        players: parsePlayerMarks(players),
+        teams: await loadMatchTeams(req.db, match.id, players),
         boardId: match.board_id
       };
     }));
@@ -103,7 +106,7 @@ router.get('/active', async (req, res) => {
   try {
     const matches = await req.db.all(
       `SELECT * FROM matches 
-       WHERE state IN ('pending', 'warmup', 'active') 
+       WHERE state IN ('pending', 'warmup', 'bullshot', 'active') 
        ORDER BY created_at DESC`
     );
     
@@ -130,7 +133,8 @@ router.get('/active', async (req, res) => {
         ...match,
         settings: match.settings ? JSON.parse(match.settings) : {},
         scores: match.scores ? JSON.parse(match.scores) : {},
-        players,
+        players: parsePlayerMarks(players),
+        teams: await loadMatchTeams(req.db, match.id, players),
         board,
         boardId: match.board_id
       };
@@ -184,7 +188,8 @@ router.get('/:id', async (req, res) => {
       ...match,
       settings: match.settings ? JSON.parse(match.settings) : {},
       scores: match.scores ? JSON.parse(match.scores) : {},
-      players,
+      players: parsePlayerMarks(players),
+      teams: await loadMatchTeams(req.db, match.id, players),
       board,
       throws,
       boardId: match.board_id
@@ -199,11 +204,12 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /api/games
- * Create a new game
+ * Create a new game. Pass teams ([{ name, playerIds }], the same size each)
+ * for a team match, seated A1, B1, A2, B2
  */
 router.post('/', async (req, res) => {
   try {
-    const { boardId, players, mode, settings } = req.body;
+    const { boardId, players, mode, settings, tournamentId, setsToWin, legsPerSet, teams = [] } = req.body;
     
     // Validate required fields
     if (!boardId) {
@@ -218,6 +224,18 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: 'Game mode is required' });
     }
     
+    if (!isGameMode(mode)) {
+      return res.status(400).json({ message: `Unknown game mode: ${mode}` });
+    }
+    
+    if (teams.length > 0) {
+      try {
+        seatTeamPlayers(players, normalizeTeams(teams));
+      } catch (err) {
+        return res.status(400).json({ message: err.message });
+      }
+    }
+    
     // Check if board exists
     const board = await req.db.get('SELECT * FROM boards WHERE id = ?', [boardId]);
     
@@ -233,7 +251,7 @@ router.post('/', async (req, res) => {
     // Check if board already has an active game
     const activeGame = await req.db.get(
       `SELECT id FROM matches 
-       WHERE board_id = ? AND state IN ('pending', 'warmup', 'active')`,
+       WHERE board_id = ? AND state IN ('pending', 'warmup', 'bullshot', 'active')`,
       [boardId]
     );
     
@@ -249,7 +267,7 @@ router.post('/', async (req, res) => {
     }
     
     // Start the game on the board
-    const game = await boardManager.startMatch({ players, mode, settings });
+    const game = await boardManager.startMatch({ players, mode, settings, tournamentId, setsToWin, legsPerSet, teams });
     
     res.status(201).json(game);
   } catch (err) {
@@ -274,8 +292,24 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Game not found' });
     }
     
-    // Update game state
-    if (state) {
+    // Update game state; the board manager collects warmup and bull-off darts, so it switches those stages itself
+    const boardManager = global.boardManagers.get(parseInt(match.board_id));
+    const onBoard = boardManager && boardManager.currentMatch && boardManager.currentMatch.id === match.id;
+    
+    if (state === 'warmup' || state === 'bullshot') {
+      if (!onBoard) {
+        return res.status(400).json({ message: 'Game is not running on its board' });
+      }
+      
+      if (state === 'warmup') {
+        await boardManager.startWarmup();
+      } else {
+        await boardManager.startBullOff();
+      }
+    } else if (state === 'active' && onBoard && boardManager.currentMatch.state === 'warmup') {
+      // Ending warmup early still goes through the throw for bull when it is enabled
+      await boardManager.endWarmup();
+    } else if (state) {
       await req.db.run(
         'UPDATE matches SET state = ? WHERE id = ?',
         [state, id]
@@ -300,7 +334,8 @@ router.put('/:id', async (req, res) => {
       ...updatedMatch,
       settings: updatedMatch.settings ? JSON.parse(updatedMatch.settings) : {},
       scores: updatedMatch.scores ? JSON.parse(updatedMatch.scores) : {},
-      players,
+      players: parsePlayerMarks(players),
+      teams: await loadMatchTeams(req.db, updatedMatch.id, players),
       boardId: updatedMatch.board_id
     };
     
@@ -330,7 +365,7 @@ router.delete('/:id', async (req, res) => {
     }
     
     // Check if game is active
-    if (!['pending', 'warmup', 'active'].includes(match.state)) {
+    if (!['pending', 'warmup', 'bullshot', 'active'].includes(match.state)) {
       return res.status(400).json({ message: 'Game is not active' });
     }
     
@@ -390,11 +425,16 @@ router.post('/:id/throws/:throwId/correct', async (req, res) => {
     }
     
     // Correct the throw
-    await boardManager.correctThrow({ throwId, segment, score });
+    const result = await boardManager.correctThrow({ throwId, segment, score });
     
-    res.json({ message: 'Throw corrected successfully' });
+    res.json({ message: 'Throw corrected successfully', boardSynced: result.boardSynced });
   } catch (err) {
     console.error(`Error correcting throw:`, err);
+    
+    if (err.code === 'REFUSED') {
+      return res.status(409).json({ message: 'Board refused the correction', error: err.message });
+    }
+    
     res.status(500).json({ message: 'Failed to correct throw', error: err.message });
   }
 });
@@ -468,4 +508,153 @@ router.get('/:id/throws', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/games/:id/warmup
+ * Get the warmup darts of a game with each player's grouping
+ */
+router.get('/:id/warmup', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if game exists
+    const match = await req.db.get('SELECT * FROM matches WHERE id = ?', [id]);
+    
+    if (!match) {
+      return res.status(404).json({ message: 'Game not found' });
+    }
+    
+    const settings = match.settings ? JSON.parse(match.settings) : {};
+    const limit = parseInt(settings.warmupDarts, 10) || 9;
+    
+    const players = await req.db.all(
+      `SELECT mp.player_id, mp.position, p.name
+       FROM match_players mp
+       JOIN players p ON mp.player_id = p.id
+       WHERE mp.match_id = ?
+       ORDER BY mp.position`,
+      [id]
+    );
+    
+    const throws = await req.db.all(
+      'SELECT * FROM warmup_throws WHERE match_id = ? ORDER BY timestamp, id',
+      [id]
+    );
+    
+    const result = players.map(player => {
+      const darts = throws
+        .filter(t => t.player_id === player.player_id)
+        .map(t => {
+          const coordinates = t.coordinates ? JSON.parse(t.coordinates) : null;
+          return {
+            id: t.id,
+            round: t.round,
+            segment: t.segment,
+            score: t.score,
+            x: coordinates ? coordinates[0] : null,
+            y: coordinates ? coordinates[1] : null
+          };
+        });
+      
+      return {
+        playerId: player.player_id,
+        name: player.name,
+        position: player.position,
+        dartsThrown: darts.length,
+        limit,
+        finished: darts.length >= limit,
+        grouping: calculateGrouping(darts.filter(d => d.x !== null)),
+        darts
+      };
+    });
+    
+    res.json({ matchId: match.id, state: match.state, limit, players: result });
+  } catch (err) {
+    console.error(`Error fetching warmup for game ${req.params.id}:`, err);
+    res.status(500).json({ message: 'Failed to fetch warmup', error: err.message });
+  }
+});
+
+/**
+ * GET /api/games/:id/throws/:throwId/images
+ * Get the board camera images for a throw, asking the board if none are stored
+ */
+router.get('/:id/throws/:throwId/images', async (req, res) => {
+  try {
+    const { id, throwId } = req.params;
+    
+    // Get the game
+    const match = await req.db.get('SELECT * FROM matches WHERE id = ?', [id]);
+    
+    if (!match) {
+      return res.status(404).json({ message: 'Game not found' });
+    }
+    
+    // Check if throw exists and belongs to this game
+    const throwData = await req.db.get(
+      'SELECT * FROM throws WHERE id = ? AND match_id = ?',
+      [throwId, id]
+    );
+    
+    if (!throwData) {
+      return res.status(404).json({ message: 'Throw not found or does not belong to this game' });
+    }
+    
+    let images = await req.db.all(
+      'SELECT camera, image, captured_at FROM throw_images WHERE throw_id = ? ORDER BY camera',
+      [throwId]
+    );
+    
+    // Nothing stored yet (or a refresh was requested), so ask the board
+    const boardManager = global.boardManagers.get(parseInt(match.board_id));
+    
+    if ((images.length === 0 || req.query.refresh === 'true') && boardManager && boardManager.isConnected) {
+      try {
+        images = await boardManager.getCameraImages(throwData.id);
+      } catch (err) {
+        console.error(`Could not fetch camera images for throw ${throwId}:`, err);
+      }
+    }
+    
+    res.json({ throwId: throwData.id, images });
+  } catch (err) {
+    console.error(`Error fetching images for throw ${req.params.throwId}:`, err);
+    res.status(500).json({ message: 'Failed to fetch throw images', error: err.message });
+  }
+});
+
+module.exports = router; 
+
+/**
+ * Parse the cricket marks and game mode state stored on match players
+ */
+function parsePlayerMarks(players) {
+  return players.map(player => ({
+    ...player,
+    marks: player.marks ? JSON.parse(player.marks) : null,
+    modeState: player.mode_state ? JSON.parse(player.mode_state) : null
+  }));
+}
+
+/**
+ * Centroid and RMS spread (mm) of a set of darts with board positions
+ * @param {Array} darts - [{ x, y }]
+ * @returns {Object} { centroid, spread }, both null without darts
+ */
+function calculateGrouping(darts) {
+  if (darts.length === 0) {
+    return { centroid: null, spread: null };
+  }
+  
+  const centroid = {
+    x: darts.reduce((sum, d) => sum + d.x, 0) / darts.length,
+    y: darts.reduce((sum, d) => sum + d.y, 0) / darts.length
+  };
+  
+  const spread = Math.sqrt(
+    darts.reduce((sum, d) => sum + Math.pow(d.x - centroid.x, 2) + Math.pow(d.y - centroid.y, 2), 0) / darts.length
+  );
+  
+  return { centroid, spread };
+}
+
 module.exports = router; 
\ No newline at end of file
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { calculateMarksPerRound } = require('../src/utils/cricket');
 
 /**
  * GET /api/players
@@ -100,6 +101,119 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/players/:id/stats
+ * Get calculated statistics for a player, with a pointer to their heatmap
+ */
+router.get('/:id/stats', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const player = await req.db.get('SELECT id, name, nickname FROM players WHERE id = ?', [id]);
+    
+    if (!player) {
+      return res.status(404).json({ message: 'Player not found' });
+    }
+    
+    const stats = await calculatePlayerStats(req.db, id);
+    
+    const mapped = await req.db.get(
+      'SELECT COUNT(*) as count FROM throws WHERE player_id = ? AND coordinates IS NOT NULL',
+      [id]
+    );
+    
+    res.json({
+      ...player,
+      ...stats,
+      heatmap: {
+        url: `/api/players/${id}/heatmap`,
+        page: `/players/${id}`,
+        mappedDarts: mapped.count || 0
+      }
+    });
+  } catch (err) {
+    console.error(`Error fetching stats for player ${req.params.id}:`, err);
+    res.status(500).json({ message: 'Failed to fetch player stats', error: err.message });
+  }
+});
+
+/**
+ * GET /api/players/:id/heatmap
+ * Aggregate where a player's darts landed
+ * Query: from, to (dates, inclusive), tournamentId, matchId, leg, binSize (mm, default 10)
+ */
+router.get('/:id/heatmap', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to, tournamentId, matchId, leg } = req.query;
+    const binSize = parseFloat(req.query.binSize) || 10;
+    
+    const player = await req.db.get('SELECT id, name, nickname FROM players WHERE id = ?', [id]);
+    
+    if (!player) {
+      return res.status(404).json({ message: 'Player not found' });
+    }
+    
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+    
+    let query = `
+      SELECT t.id, t.match_id, t.leg, t.segment, t.score, t.coordinates, t.angle,
+             COALESCE(t.detection_time, t.timestamp) as thrown_at
+      FROM throws t
+      JOIN matches m ON t.match_id = m.id
+      WHERE t.player_id = ? AND t.coordinates IS NOT NULL
+    `;
+    const params = [id];
+    
+    if (from) {
+      query += ' AND date(COALESCE(t.detection_time, t.timestamp)) >= date(?)';
+      params.push(from);
+    }
+    
+    if (to) {
+      query += ' AND date(COALESCE(t.detection_time, t.timestamp)) <= date(?)';
+      params.push(to);
+    }
+    
+    if (tournamentId) {
+      query += ' AND m.tournament_id = ?';
+      params.push(tournamentId);
+    }
+    
+    if (matchId) {
+      query += ' AND t.match_id = ?';
+      params.push(matchId);
+    }
+    
+    if (leg) {
+      query += ' AND t.leg = ?';
+      params.push(leg);
+    }
+    
+    query += ' ORDER BY thrown_at';
+    
+    const throws = await req.db.all(query, params);
+    
+    res.json({
+      player,
+      filters: {
+        from: from || null,
+        to: to || null,
+        tournamentId: tournamentId || null,
+        matchId: matchId || null,
+        leg: leg || null,
+        binSize
+      },
+      ...buildHeatmap(throws, binSize)
+    });
+  } catch (err) {
+    console.error(`Error fetching heatmap for player ${req.params.id}:`, err);
+    res.status(500).json({ message: 'Failed to fetch heatmap', error: err.message });
+  }
+});
+
 /**
  * POST /api/players
  * Create a new player
@@ -198,7 +312,7 @@ router.delete('/:id', async (req, res) => {
     const activeGame = await req.db.get(
       `SELECT m.id FROM match_players mp
        JOIN matches m ON mp.match_id = m.id
-       WHERE mp.player_id = ? AND m.state IN ('pending', 'warmup', 'active')`,
+       WHERE mp.player_id = ? AND m.state IN ('pending', 'warmup', 'bullshot', 'active')`,
       [id]
     );
     
@@ -256,6 +370,15 @@ async function calculatePlayerStats(db, playerId) {
       [playerId]
     );
     
+    // Get cricket marks, counting only darts thrown in cricket matches
+    const cricket = await db.get(
+      `SELECT COUNT(*) as darts, SUM(t.marks) as marks 
+       FROM throws t
+       JOIN matches m ON t.match_id = m.id
+       WHERE t.player_id = ? AND m.mode = 'cricket'`,
+      [playerId]
+    );
+    
     // Get modes played
     const modes = await db.all(
       `SELECT m.mode, COUNT(DISTINCT mp.match_id) as count 
@@ -272,6 +395,8 @@ async function calculatePlayerStats(db, playerId) {
       winRate: totalMatches.count ? (wins.count / totalMatches.count) * 100 : 0,
       avgScore: avgScore.avg_score || 0,
       highestThrow: highestThrow.highest_throw || 0,
+      cricketDarts: cricket.darts || 0,
+      marksPerRound: calculateMarksPerRound(cricket.marks || 0, cricket.darts || 0),
       modes: modes || []
     };
   } catch (err) {
@@ -280,4 +405,61 @@ async function calculatePlayerStats(db, playerId) {
   }
 }
 
+/**
+ * Helper function to bin dart coordinates into a heatmap grid
+ */
+function buildHeatmap(throws, binSize) {
+  const darts = throws.map(t => {
+    const [x, y] = JSON.parse(t.coordinates);
+    
+    return {
+      id: t.id,
+      matchId: t.match_id,
+      leg: t.leg,
+      segment: t.segment,
+      score: t.score,
+      x,
+      y,
+      angle: t.angle ? JSON.parse(t.angle) : null,
+      thrownAt: t.thrown_at
+    };
+  });
+  
+  // Count darts per grid cell, keyed by the cell's lower-left corner
+  const cells = new Map();
+  for (const dart of darts) {
+    const cellX = Math.floor(dart.x / binSize) * binSize;
+    const cellY = Math.floor(dart.y / binSize) * binSize;
+    const key = `${cellX},${cellY}`;
+    
+    if (!cells.has(key)) {
+      cells.set(key, { x: cellX, y: cellY, count: 0 });
+    }
+    cells.get(key).count++;
+  }
+  
+  let centroid = null;
+  let spread = null;
+  
+  if (darts.length > 0) {
+    centroid = {
+      x: darts.reduce((sum, d) => sum + d.x, 0) / darts.length,
+      y: darts.reduce((sum, d) => sum + d.y, 0) / darts.length
+    };
+    
+    // Root mean square distance from the centroid
+    spread = Math.sqrt(
+      darts.reduce((sum, d) => sum + Math.pow(d.x - centroid.x, 2) + Math.pow(d.y - centroid.y, 2), 0) / darts.length
+    );
+  }
+  
+  return {
+    totalDarts: darts.length,
+    centroid,
+    spread,
+    bins: Array.from(cells.values()),
+    darts
+  };
+}
+
 module.exports = router; 
\ No newline at end of file
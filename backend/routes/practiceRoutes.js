@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPracticeRoutine,
+  listPracticeRoutines,
+  summarizePracticeSessions
+} = require('../src/utils/practice');
+
+/**
+ * GET /api/practice/routines
+ * Get the practice routines
+ */
+router.get('/routines', (req, res) => {
+  res.json(listPracticeRoutines());
+});
+
+/**
+ * GET /api/practice/sessions
+ * Get practice sessions, newest first, optionally filtered by playerId, routine and state
+ */
+router.get('/sessions', async (req, res) => {
+  try {
+    const { playerId, routine, state, limit } = req.query;
+    
+    let query = `
+      SELECT ps.*, p.name AS player_name
+      FROM practice_sessions ps
+      JOIN players p ON ps.player_id = p.id
+      WHERE 1 = 1
+    `;
+    const params = [];
+    
+    if (playerId) {
+      query += ' AND ps.player_id = ?';
+      params.push(playerId);
+    }
+    
+    if (routine) {
+      query += ' AND ps.routine = ?';
+      params.push(routine);
+    }
+    
+    if (state) {
+      query += ' AND ps.state = ?';
+      params.push(state);
+    }
+    
+    query += ' ORDER BY ps.started_at DESC, ps.id DESC LIMIT ?';
+    params.push(parseInt(limit) || 50);
+    
+    const sessions = await req.db.all(query, params);
+    
+    res.json(sessions.map(session => ({
+      ...session,
+      progress: session.progress ? JSON.parse(session.progress) : null
+    })));
+  } catch (err) {
+    console.error('Error fetching practice sessions:', err);
+    res.status(500).json({ message: 'Failed to fetch practice sessions', error: err.message });
+  }
+});
+
+/**
+ * GET /api/practice/sessions/:id
+ * Get a practice session with its darts
+ */
+router.get('/sessions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const session = await req.db.get('SELECT * FROM practice_sessions WHERE id = ?', [id]);
+    
+    if (!session) {
+      return res.status(404).json({ message: 'Practice session not found' });
+    }
+    
+    const boardManager = global.boardManagers.get(parseInt(session.board_id));
+    
+    if (boardManager) {
+      return res.json(await boardManager.getPracticeDetails(session.id));
+    }
+    
+    const throws = await req.db.all(
+      'SELECT * FROM practice_throws WHERE session_id = ? ORDER BY dart',
+      [id]
+    );
+    
+    res.json({
+      ...session,
+      progress: session.progress ? JSON.parse(session.progress) : null,
+      boardId: session.board_id,
+      throws
+    });
+  } catch (err) {
+    console.error(`Error fetching practice session ${req.params.id}:`, err);
+    res.status(500).json({ message: 'Failed to fetch practice session', error: err.message });
+  }
+});
+
+/**
+ * POST /api/practice/sessions
+ * Start a practice session on a board
+ */
+router.post('/sessions', async (req, res) => {
+  try {
+    const { boardId, playerId, routine } = req.body;
+    
+    // Validate required fields
+    if (!boardId || !playerId) {
+      return res.status(400).json({ message: 'Board ID and player ID are required' });
+    }
+    
+    try {
+      getPracticeRoutine(routine);
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    
+    const player = await req.db.get('SELECT id FROM players WHERE id = ?', [playerId]);
+    
+    if (!player) {
+      return res.status(404).json({ message: 'Player not found' });
+    }
+    
+    const boardManager = global.boardManagers.get(parseInt(boardId));
+    
+    if (!boardManager) {
+      return res.status(404).json({ message: 'Board not found' });
+    }
+    
+    try {
+      const session = await boardManager.startPractice(player.id, routine);
+      res.status(201).json(session);
+    } catch (err) {
+      res.status(400).json({ message: err.message });
+    }
+  } catch (err) {
+    console.error('Error starting practice session:', err);
+    res.status(500).json({ message: 'Failed to start practice session', error: err.message });
+  }
+});
+
+/**
+ * POST /api/practice/sessions/:id/end
+ * End a running practice session before its routine is complete
+ */
+router.post('/sessions/:id/end', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const session = await req.db.get('SELECT * FROM practice_sessions WHERE id = ?', [id]);
+    
+    if (!session) {
+      return res.status(404).json({ message: 'Practice session not found' });
+    }
+    
+    const boardManager = global.boardManagers.get(parseInt(session.board_id));
+    
+    if (!boardManager || !boardManager.currentPractice || boardManager.currentPractice.id !== session.id) {
+      return res.status(400).json({ message: 'Practice session is not running' });
+    }
+    
+    res.json(await boardManager.endPractice());
+  } catch (err) {
+    console.error(`Error ending practice session ${req.params.id}:`, err);
+    res.status(500).json({ message: 'Failed to end practice session', error: err.message });
+  }
+});
+
+/**
+ * GET /api/practice/players/:id
+ * Get a player's personal best, average and recent trend for each routine;
+ * only completed sessions count
+ */
+router.get('/players/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const player = await req.db.get('SELECT id, name, nickname FROM players WHERE id = ?', [id]);
+    
+    if (!player) {
+      return res.status(404).json({ message: 'Player not found' });
+    }
+    
+    const sessions = await req.db.all(
+      `SELECT id, routine, score, darts, hits, ended_at
+       FROM practice_sessions
+       WHERE player_id = ? AND state = 'completed'
+       ORDER BY ended_at, id`,
+      [id]
+    );
+    
+    const routines = listPracticeRoutines().map(routine => summarizePracticeSessions(
+      routine.id,
+      sessions.filter(session => session.routine === routine.id)
+    ));
+    
+    res.json({ player, routines });
+  } catch (err) {
+    console.error(`Error fetching practice stats for player ${req.params.id}:`, err);
+    res.status(500).json({ message: 'Failed to fetch practice stats', error: err.message });
+  }
+});
+
+module.exports = router;
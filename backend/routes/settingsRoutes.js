@@ -34,7 +34,20 @@ router.get('/', async (req, res) => {
           startingScore: 501,
           doubleIn: false,
           doubleOut: true,
-          masterOut: false
+          masterOut: false,
+          bullOff: false,
+          warmup: false,
+          warmupDarts: 9
+        },
+        cricket: {
+          cutThroat: false
+        },
+        matchRules: {
+          format: 'first_to',
+          legs: 3,
+          twoClear: false,
+          suddenDeathAt: 0,
+          tieBreak: 'leg'
         }
       })]);
     }
@@ -136,7 +149,20 @@ router.post('/reset', async (req, res) => {
           startingScore: 501,
           doubleIn: false,
           doubleOut: true,
-          masterOut: false
+          masterOut: false,
+          bullOff: false,
+          warmup: false,
+          warmupDarts: 9
+        },
+        cricket: {
+          cutThroat: false
+        },
+        matchRules: {
+          format: 'first_to',
+          legs: 3,
+          twoClear: false,
+          suddenDeathAt: 0,
+          tieBreak: 'leg'
         }
       },
       refresh_interval: 5000,
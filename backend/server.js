@@ -11,6 +11,8 @@ const playerRoutes = require('./routes/playerRoutes');
 const matchRoutes = require('./routes/matchRoutes');
 const databaseRoutes = require('./routes/databaseRoutes');
 const settingsRoutes = require('./routes/settingsRoutes');
+const practiceRoutes = require('./routes/practiceRoutes');
+const checkoutRoutes = require('./routes/checkoutRoutes');
 const setupSocketHandlers = require('./socket/socketHandlers');
 const { initDatabase } = require('./database/dbInit');
 const ScoliaBoardManager = require('./managers/ScoliaBoardManager');
@@ -81,6 +83,8 @@ app.use('/api/players', playerRoutes);
 app.use('/api/games', matchRoutes);
 app.use('/api/database', databaseRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/practice', practiceRoutes);
+app.use('/api/checkout', checkoutRoutes);
 
 // Serve frontend static files in production
 if (process.env.NODE_ENV === 'production') {
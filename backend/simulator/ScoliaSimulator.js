@@ -0,0 +1,539 @@
+const WebSocket = require('ws');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// Board numbers clockwise, starting at the top
+const BOARD_NUMBERS = [20, 1, 18, 4, 13, 6, 10, 15, 2, 17, 3, 19, 7, 16, 8, 11, 14, 9, 12, 5];
+
+// Ring radii in millimetres, measured from the centre of the board
+const RING_RADIUS = {
+  DBULL: 3,
+  BULL: 11,
+  S_INNER: 60,
+  T: 103,
+  S_OUTER: 135,
+  D: 166,
+  MISS: 185
+};
+
+// Close codes documented in ScoliaAPI.md
+const CLOSE_CODES = {
+  PING_TIMEOUT: 4000,
+  INVALID_SERIAL: 4100,
+  ALREADY_CONNECTED: 4101,
+  INVALID_TOKEN: 4102
+};
+
+/**
+ * Small seeded PRNG so randomized sessions can be replayed
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * ScoliaSimulator
+ *
+ * Local WebSocket server that speaks the Scolia Social API v1.2
+ * Lets the board managers run full matches without a physical board
+ */
+class ScoliaSimulator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.port = options.port || 0;
+    this.host = options.host || '127.0.0.1';
+    this.path = options.path || '/api/v1/social';
+    this.defaults = {
+      mode: 'random', // 'random' or 'script'
+      dartInterval: 1500, // ms between darts
+      takeoutDelay: 1000, // ms between last dart and TAKEOUT_STARTED
+      takeoutDuration: 2000, // ms between TAKEOUT_STARTED and TAKEOUT_FINISHED
+      turns: Infinity, // turns to play in random mode
+      bounceoutRate: 0.01,
+      ...options.defaults
+    };
+    this.boards = new Map();
+    this.server = null;
+    
+    (options.boards || []).forEach(board => this.addBoard(board));
+  }
+  
+  /**
+   * Register a simulated board
+   */
+  addBoard(config) {
+    if (!config || !config.serialNumber) {
+      throw new Error('Simulated boards need a serialNumber');
+    }
+    
+    const board = {
+      ...this.defaults,
+      ...config,
+      client: null,
+      status: 'Ready',
+      phase: 'Throw',
+      throws: new Map(),
+      timers: new Set(),
+      playing: false,
+      random: createRandom(config.seed !== undefined ? config.seed : Date.now())
+    };
+    
+    this.boards.set(config.serialNumber, board);
+    return board;
+  }
+  
+  /**
+   * Start listening for board connections
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = new WebSocket.Server({ port: this.port, host: this.host });
+      
+      this.server.once('listening', () => {
+        this.port = this.server.address().port;
+        console.log(`Scolia simulator listening on ${this.url}`);
+        resolve(this.port);
+      });
+      
+      this.server.once('error', reject);
+      this.server.on('connection', (ws, req) => this.handleConnection(ws, req));
+    });
+  }
+  
+  /**
+   * Stop all playback and close every connection
+   */
+  stop() {
+    for (const board of this.boards.values()) {
+      this.stopPlayback(board.serialNumber);
+      
+      if (board.client) {
+        board.client.terminate();
+        board.client = null;
+      }
+    }
+    
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        this.server = null;
+        resolve();
+      });
+    });
+  }
+  
+  /**
+   * Base URL clients should connect to
+   */
+  get url() {
+    return `ws://${this.host}:${this.port}${this.path}`;
+  }
+  
+  /**
+   * Full connection URL for one of the simulated boards
+   */
+  getConnectionUrl(serialNumber) {
+    const board = this.boards.get(serialNumber);
+    const token = board && board.accessToken ? board.accessToken : '';
+    return `${this.url}?serialNumber=${encodeURIComponent(serialNumber)}&accessToken=${encodeURIComponent(token)}`;
+  }
+  
+  /**
+   * Validate a new client the same way the real service does
+   */
+  handleConnection(ws, req) {
+    const requestUrl = new URL(req.url, 'ws://localhost');
+    
+    // The serial normally comes as a query param; accept it as the last path segment as well
+    const serialNumber = requestUrl.searchParams.get('serialNumber') ||
+      decodeURIComponent(requestUrl.pathname.split('/').filter(Boolean).pop() || '');
+    const accessToken = requestUrl.searchParams.get('accessToken');
+    const board = this.boards.get(serialNumber);
+    
+    if (!board) {
+      return this.reject(ws, serialNumber, CLOSE_CODES.INVALID_SERIAL, 'Invalid serial number');
+    }
+    
+    if (board.accessToken && accessToken !== board.accessToken) {
+      return this.reject(ws, serialNumber, CLOSE_CODES.INVALID_TOKEN, 'Invalid access token');
+    }
+    
+    if (board.client && board.client.readyState === WebSocket.OPEN) {
+      return this.reject(ws, serialNumber, CLOSE_CODES.ALREADY_CONNECTED, 'Board already connected');
+    }
+    
+    board.client = ws;
+    
+    ws.on('message', (message) => this.handleCommand(board, message));
+    ws.on('close', (code) => {
+      if (board.client === ws) {
+        board.client = null;
+        this.stopPlayback(serialNumber);
+      }
+      this.emit('disconnection', { serialNumber, code });
+    });
+    
+    this.send(board, 'HELLO_CLIENT', {});
+    this.send(board, 'SBC_STATUS_CHANGED', { status: board.status, phase: board.phase });
+    this.emit('connection', { serialNumber });
+    
+    if (board.autoPlay) {
+      this.play(serialNumber);
+    }
+  }
+  
+  /**
+   * Close a connection that failed validation
+   */
+  reject(ws, serialNumber, code, reason) {
+    console.log(`Simulator rejected board ${serialNumber || '(none)'}: ${code} ${reason}`);
+    ws.close(code, reason);
+    this.emit('rejected', { serialNumber, code, reason });
+  }
+  
+  /**
+   * Drop a board connection with the given close code (e.g. 4000 ping timeout)
+   */
+  kick(serialNumber, code = CLOSE_CODES.PING_TIMEOUT, reason = 'Ping timeout') {
+    const board = this.getBoard(serialNumber);
+    
+    if (board.client) {
+      board.client.close(code, reason);
+    }
+  }
+  
+  /**
+   * Send a Social API message to the connected client of a board
+   */
+  send(board, type, payload, id = crypto.randomUUID()) {
+    if (!board.client || board.client.readyState !== WebSocket.OPEN) {
+      return null;
+    }
+    
+    board.client.send(JSON.stringify({ type, id, payload }));
+    return id;
+  }
+  
+  /**
+   * Answer commands sent by the client
+   */
+  handleCommand(board, rawMessage) {
+    let message;
+    
+    try {
+      message = JSON.parse(rawMessage);
+    } catch (error) {
+      console.error(`Simulator received invalid JSON for board ${board.serialNumber}`);
+      return;
+    }
+    
+    const payload = message.payload || {};
+    const reply = { requestId: message.id };
+    this.emit('command', { serialNumber: board.serialNumber, message });
+    
+    if (board.refuse && board.refuse.includes(message.type)) {
+      this.send(board, 'REFUSED', { ...reply, reason: `${message.type} refused by simulator` });
+      return;
+    }
+    
+    switch (message.type) {
+      case 'GET_SBC_STATUS':
+        this.send(board, 'ACKNOWLEDGED', { ...reply, status: board.status, phase: board.phase });
+        this.send(board, 'SBC_STATUS_CHANGED', { status: board.status, phase: board.phase });
+        break;
+      
+      case 'GET_SBC_CONFIGURATION':
+        this.send(board, 'SBC_CONFIGURATION', {
+          ...reply,
+          serialNumber: board.serialNumber,
+          firmwareVersion: 'simulator',
+          cameras: 3
+        });
+        break;
+      
+      case 'RECALIBRATE':
+        this.send(board, 'ACKNOWLEDGED', reply);
+        this.setStatus(board, 'Calibrating', null);
+        this.schedule(board, () => this.setStatus(board, 'Ready', 'Throw'), board.takeoutDuration);
+        break;
+      
+      case 'RESET_PHASE':
+        this.send(board, 'ACKNOWLEDGED', reply);
+        this.setStatus(board, board.status, 'Throw');
+        break;
+      
+      case 'THROW_CORRECTED':
+      case 'DELETE_THROW':
+        if (!board.throws.has(payload.throwId)) {
+          this.send(board, 'REFUSED', { ...reply, reason: `Unknown throw ${payload.throwId}` });
+          break;
+        }
+        
+        if (message.type === 'DELETE_THROW') {
+          board.throws.delete(payload.throwId);
+        } else {
+          board.throws.set(payload.throwId, { ...board.throws.get(payload.throwId), sector: payload.sector });
+        }
+        
+        this.send(board, 'ACKNOWLEDGED', reply);
+        break;
+      
+      case 'GET_CAMERA_IMAGES': {
+        const throwData = payload.throwId ? board.throws.get(payload.throwId) : Array.from(board.throws.values()).pop();
+        
+        if (!throwData) {
+          this.send(board, 'REFUSED', { ...reply, reason: 'No throw to show' });
+          break;
+        }
+        
+        this.send(board, 'CAMERA_IMAGES', {
+          ...reply,
+          images: [0, 1, 2].map(camera => ({
+            camera,
+            mimeType: 'image/svg+xml',
+            image: this.renderCameraImage(throwData, camera)
+          }))
+        });
+        break;
+      }
+      
+      default:
+        this.send(board, 'REFUSED', { ...reply, reason: `Unsupported command ${message.type}` });
+    }
+  }
+  
+  /**
+   * Change status/phase and report it to the client
+   */
+  setStatus(board, status, phase) {
+    board.status = status;
+    board.phase = phase;
+    this.send(board, 'SBC_STATUS_CHANGED', { status, phase });
+  }
+  
+  /**
+   * Emit a single THROW_DETECTED for a board
+   */
+  throwDart(serialNumber, dart) {
+    const board = this.getBoard(serialNumber);
+    const { sector, bounceout = false } = typeof dart === 'string' ? { sector: dart } : dart;
+    
+    const payload = {
+      sector: bounceout ? 'None' : sector,
+      coordinates: this.sectorToCoordinates(sector, board.random),
+      angle: {
+        vertical: Math.round(75 + board.random() * 15),
+        horizontal: Math.round(80 + board.random() * 20)
+      },
+      bounceout,
+      detectionTime: new Date().toISOString()
+    };
+    
+    const id = this.send(board, 'THROW_DETECTED', payload);
+    
+    if (id) {
+      board.throws.set(id, payload);
+      this.emit('throw', { serialNumber, id, ...payload });
+    }
+    
+    return id;
+  }
+  
+  /**
+   * Simulate pulling the darts out of the board
+   */
+  takeout(serialNumber) {
+    const board = this.getBoard(serialNumber);
+    
+    return new Promise((resolve, reject) => {
+      board.phase = 'Takeout';
+      this.send(board, 'TAKEOUT_STARTED', {});
+      
+      this.schedule(board, () => {
+        board.phase = 'Throw';
+        this.send(board, 'TAKEOUT_FINISHED', {});
+        resolve();
+      }, board.takeoutDuration, () => reject(new Error('Playback stopped')));
+    });
+  }
+  
+  /**
+   * Throw one turn (up to three darts) followed by a takeout
+   */
+  async playTurn(serialNumber, darts) {
+    const board = this.getBoard(serialNumber);
+    const turn = darts || [0, 1, 2].map(() => this.randomDart(board));
+    
+    for (const dart of turn) {
+      await this.wait(board, board.dartInterval);
+      this.throwDart(serialNumber, dart);
+    }
+    
+    await this.wait(board, board.takeoutDelay);
+    await this.takeout(serialNumber);
+  }
+  
+  /**
+   * Play the board's script, or random turns, until stopped
+   */
+  async play(serialNumber) {
+    const board = this.getBoard(serialNumber);
+    
+    if (board.playing) return;
+    board.playing = true;
+    
+    try {
+      if (board.mode === 'script') {
+        for (const turn of board.script || []) {
+          if (!board.playing || !board.client) break;
+          await this.playTurn(serialNumber, turn);
+        }
+      } else {
+        for (let i = 0; i < board.turns; i++) {
+          if (!board.playing || !board.client) break;
+          await this.playTurn(serialNumber);
+        }
+      }
+    } catch (error) {
+      // Playback was cancelled
+    } finally {
+      board.playing = false;
+      this.emit('playbackFinished', { serialNumber });
+    }
+  }
+  
+  /**
+   * Stop playback and cancel scheduled messages for a board
+   */
+  stopPlayback(serialNumber) {
+    const board = this.getBoard(serialNumber);
+    
+    board.playing = false;
+    for (const timer of board.timers) {
+      clearTimeout(timer.handle);
+      timer.cancel();
+    }
+    board.timers.clear();
+  }
+  
+  /**
+   * Pick a random dart weighted roughly like a club player aiming at T20
+   */
+  randomDart(board) {
+    const r = board.random();
+    
+    if (r < board.bounceoutRate) return { sector: 'S20', bounceout: true };
+    if (r < 0.05) return 'None';
+    if (r < 0.08) return '25';
+    if (r < 0.10) return 'Bull';
+    
+    // Mostly the 20 and its neighbours, sometimes anywhere on the board
+    const aimed = [20, 20, 20, 1, 5];
+    const number = board.random() < 0.8
+      ? aimed[Math.floor(board.random() * aimed.length)]
+      : BOARD_NUMBERS[Math.floor(board.random() * BOARD_NUMBERS.length)];
+    
+    const ring = board.random();
+    const prefix = ring < 0.15 ? 'T' : ring < 0.22 ? 'D' : 'S';
+    return `${prefix}${number}`;
+  }
+  
+  /**
+   * Rough board coordinates (mm, origin at the bull, y up) for a sector
+   */
+  sectorToCoordinates(sector, random = Math.random) {
+    const jitter = () => (random() - 0.5) * 4;
+    
+    if (sector === 'Bull') return [jitter() / 2, jitter() / 2];
+    if (sector === '25') {
+      const angle = random() * Math.PI * 2;
+      return [Math.cos(angle) * RING_RADIUS.BULL, Math.sin(angle) * RING_RADIUS.BULL];
+    }
+    
+    const match = /^([SDT])(\d{1,2})$/.exec(sector || '');
+    const number = match ? parseInt(match[2], 10) : BOARD_NUMBERS[Math.floor(random() * 20)];
+    let radius = RING_RADIUS.MISS;
+    
+    if (match) {
+      if (match[1] === 'T') radius = RING_RADIUS.T;
+      else if (match[1] === 'D') radius = RING_RADIUS.D;
+      else radius = random() < 0.5 ? RING_RADIUS.S_INNER : RING_RADIUS.S_OUTER;
+    }
+    
+    // Each number covers 18 degrees; 20 is centred straight up
+    const index = BOARD_NUMBERS.indexOf(number);
+    const angle = Math.PI / 2 - (index * 18 + (random() - 0.5) * 14) * Math.PI / 180;
+    
+    return [
+      Math.round((Math.cos(angle) * radius + jitter()) * 10) / 10,
+      Math.round((Math.sin(angle) * radius + jitter()) * 10) / 10
+    ];
+  }
+  
+  /**
+   * Placeholder camera frame (base64 SVG) showing where the dart landed
+   */
+  renderCameraImage(throwData, camera) {
+    const [x, y] = throwData.coordinates || [0, 0];
+    const svg = [
+      '<svg xmlns="http://www.w3.org/2000/svg" width="160" height="120" viewBox="-200 -150 400 300">',
+      '<rect x="-200" y="-150" width="400" height="300" fill="#222"/>',
+      `<circle r="${RING_RADIUS.D}" fill="#2f6f3f" stroke="#ddd"/>`,
+      `<circle r="${RING_RADIUS.T}" fill="none" stroke="#ddd"/>`,
+      `<circle r="${RING_RADIUS.BULL}" fill="#b33"/>`,
+      `<circle cx="${x}" cy="${-y}" r="6" fill="#ff0"/>`,
+      `<text x="-190" y="-130" fill="#fff" font-size="24">CAM ${camera + 1} ${throwData.sector}</text>`,
+      '</svg>'
+    ].join('');
+    
+    return Buffer.from(svg).toString('base64');
+  }
+  
+  /**
+   * Wait for a delay that is cancelled when playback stops
+   */
+  wait(board, delay) {
+    return new Promise((resolve, reject) => {
+      this.schedule(board, resolve, delay, () => reject(new Error('Playback stopped')));
+    });
+  }
+  
+  /**
+   * Schedule a callback tied to the board's lifetime
+   */
+  schedule(board, callback, delay, cancel = () => {}) {
+    const timer = { cancel };
+    timer.handle = setTimeout(() => {
+      board.timers.delete(timer);
+      callback();
+    }, delay);
+    board.timers.add(timer);
+  }
+  
+  /**
+   * Look up a simulated board or throw
+   */
+  getBoard(serialNumber) {
+    const board = this.boards.get(serialNumber);
+    
+    if (!board) {
+      throw new Error(`Unknown simulated board ${serialNumber}`);
+    }
+    
+    return board;
+  }
+}
+
+ScoliaSimulator.CLOSE_CODES = CLOSE_CODES;
+
+module.exports = ScoliaSimulator;
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Scolia simulator CLI
+ *
+ * Usage:
+ *   node simulator/cli.js [--port 8080] [--boards 4] [--token secret]
+ *                         [--mode random|script] [--script turns.json]
+ *                         [--interval 1500] [--takeout 2000] [--turns 30]
+ *                         [--seed 42] [--config boards.json] [--no-autoplay]
+ *
+ * --config points at a JSON array of per-board settings, e.g.
+ *   [{ "serialNumber": "SIM-001", "accessToken": "abc", "mode": "script",
+ *      "script": [["T20", "T20", "T20"], ["S19", { "sector": "S5", "bounceout": true }]] }]
+ */
+const fs = require('fs');
+const path = require('path');
+const ScoliaSimulator = require('./ScoliaSimulator');
+
+/**
+ * Parse --key value pairs into an options object
+ */
+const parseArgs = (argv) => {
+  const args = {};
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    
+    const key = arg.slice(2);
+    if (key.startsWith('no-')) {
+      args[key.slice(3)] = false;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      args[key] = argv[++i];
+    } else {
+      args[key] = true;
+    }
+  }
+  
+  return args;
+};
+
+/**
+ * Read a JSON file relative to the current directory
+ */
+const readJson = (file) => JSON.parse(fs.readFileSync(path.resolve(process.cwd(), file), 'utf8'));
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  
+  const defaults = {
+    mode: args.mode || (args.script ? 'script' : 'random'),
+    autoPlay: args.autoplay !== false
+  };
+  if (args.interval) defaults.dartInterval = parseInt(args.interval, 10);
+  if (args.takeout) defaults.takeoutDuration = parseInt(args.takeout, 10);
+  if (args.turns) defaults.turns = parseInt(args.turns, 10);
+  if (args.script) defaults.script = readJson(args.script);
+  
+  let boards;
+  if (args.config) {
+    boards = readJson(args.config);
+  } else {
+    const count = parseInt(args.boards || '1', 10);
+    boards = Array.from({ length: count }, (_, i) => ({
+      serialNumber: `SIM-${String(i + 1).padStart(3, '0')}`,
+      accessToken: args.token || undefined,
+      seed: args.seed !== undefined ? parseInt(args.seed, 10) + i : undefined
+    }));
+  }
+  
+  const simulator = new ScoliaSimulator({
+    port: parseInt(args.port || '8080', 10),
+    host: args.host || '127.0.0.1',
+    defaults
+  });
+  boards.forEach(board => simulator.addBoard(board));
+  
+  simulator.on('connection', ({ serialNumber }) => console.log(`[${serialNumber}] client connected`));
+  simulator.on('disconnection', ({ serialNumber, code }) => console.log(`[${serialNumber}] client disconnected (${code})`));
+  simulator.on('throw', ({ serialNumber, sector, bounceout }) => console.log(`[${serialNumber}] ${sector}${bounceout ? ' (bounce-out)' : ''}`));
+  simulator.on('command', ({ serialNumber, message }) => console.log(`[${serialNumber}] <- ${message.type}`));
+  
+  await simulator.start();
+  
+  console.log('Simulated boards:');
+  for (const serialNumber of simulator.boards.keys()) {
+    console.log(`  ${serialNumber}: ${simulator.getConnectionUrl(serialNumber)}`);
+  }
+  console.log(`Point the backend at it with SCOLIA_API_URL=${simulator.url}`);
+  
+  const shutdown = async () => {
+    await simulator.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+main().catch(err => {
+  console.error('Failed to start Scolia simulator:', err);
+  process.exit(1);
+});
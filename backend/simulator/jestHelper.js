@@ -0,0 +1,80 @@
+/**
+ * Jest helpers for running tests against the Scolia simulator
+ *
+ * Example:
+ *   const { useScoliaSimulator } = require('../simulator/jestHelper');
+ *   const sim = useScoliaSimulator({ boards: [{ serialNumber: 'SIM-001', accessToken: 'token' }] });
+ *
+ *   test('scores a turn', async () => {
+ *     process.env.SCOLIA_API_URL = sim.url;
+ *     // ...connect a ScoliaBoardManager, then
+ *     await sim.simulator.playTurn('SIM-001', ['T20', 'T20', 'T20']);
+ *   });
+ */
+const { once } = require('events');
+const ScoliaSimulator = require('./ScoliaSimulator');
+
+// Keep tests fast unless a board overrides its own timing
+const TEST_DEFAULTS = {
+  dartInterval: 5,
+  takeoutDelay: 5,
+  takeoutDuration: 5,
+  bounceoutRate: 0
+};
+
+/**
+ * Start a simulator on a random free port
+ */
+const startScoliaSimulator = async (options = {}) => {
+  const simulator = new ScoliaSimulator({
+    ...options,
+    port: options.port || 0,
+    defaults: { ...TEST_DEFAULTS, ...options.defaults }
+  });
+  
+  await simulator.start();
+  return simulator;
+};
+
+/**
+ * Register beforeAll/afterAll hooks and expose the running simulator
+ */
+const useScoliaSimulator = (options = {}) => {
+  const context = { simulator: null, url: null };
+  
+  beforeAll(async () => {
+    context.simulator = await startScoliaSimulator(options);
+    context.url = context.simulator.url;
+  });
+  
+  afterAll(async () => {
+    if (context.simulator) {
+      await context.simulator.stop();
+    }
+  });
+  
+  return context;
+};
+
+/**
+ * Wait for a simulator event, failing after a timeout
+ */
+const waitForSimulatorEvent = async (simulator, event, timeout = 2000) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  
+  try {
+    const [data] = await once(simulator, event, { signal: controller.signal });
+    return data;
+  } catch (error) {
+    throw new Error(`Timed out waiting for simulator event "${event}"`);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+module.exports = {
+  startScoliaSimulator,
+  useScoliaSimulator,
+  waitForSimulatorEvent
+};
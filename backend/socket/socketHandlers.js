@@ -33,7 +33,7 @@ function setupSocketHandlers(io, db) {
     // Start a new game on a board
     socket.on('game:start', async (data, callback) => {
       try {
-        const { boardId, players, mode, settings } = data;
+        const { boardId, players, mode, settings, setsToWin, legsPerSet, teams } = data;
         
         // Validate input
         if (!boardId) {
@@ -66,7 +66,7 @@ function setupSocketHandlers(io, db) {
         }
         
         // Start game
-        const game = await manager.startMatch({ players, mode, settings });
+        const game = await manager.startMatch({ players, mode, settings, setsToWin, legsPerSet, teams });
         
         callback({ success: true, game });
       } catch (error) {
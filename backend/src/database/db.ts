@@ -104,6 +104,7 @@ class DatabaseService {
         await this.db.exec('DROP TABLE IF EXISTS boards');
         await this.db.exec('DROP TABLE IF EXISTS throws');
         await this.db.exec('DROP TABLE IF EXISTS match_players');
+        await this.db.exec('DROP TABLE IF EXISTS teams');
       }
 
       // Create boards table
@@ -147,6 +148,9 @@ class DatabaseService {
           start_time TIMESTAMP,
           end_time TIMESTAMP,
           winner_id INTEGER,
+          sets_to_win INTEGER DEFAULT 0, -- 0 plays legs only
+          legs_per_set INTEGER DEFAULT 3, -- Legs needed to win a set
+          current_set INTEGER DEFAULT 1,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           FOREIGN KEY (board_id) REFERENCES boards (id) ON DELETE CASCADE,
@@ -162,6 +166,8 @@ class DatabaseService {
           position INTEGER NOT NULL, -- Player position (1, 2, etc.)
           starting_score INTEGER,
           current_score INTEGER,
+          team INTEGER, -- Team play only: position of the player's team
+          mode_state TEXT, -- Party modes: JSON state of the player's game mode
           is_winner BOOLEAN DEFAULT 0,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -171,6 +177,19 @@ class DatabaseService {
         )
       `);
 
+      // Create teams table; teammates share one score and alternate turns
+      await this.db.exec(`
+        CREATE TABLE IF NOT EXISTS teams (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          match_id INTEGER NOT NULL,
+          position INTEGER NOT NULL, -- Team position (1, 2, etc.), match_players.team
+          name TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (match_id, position),
+          FOREIGN KEY (match_id) REFERENCES matches (id) ON DELETE CASCADE
+        )
+      `);
+
       // Create throws table for individual dart throws
       await this.db.exec(`
         CREATE TABLE IF NOT EXISTS throws (
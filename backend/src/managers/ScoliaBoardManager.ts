@@ -327,6 +327,7 @@ class ScoliaBoardManager extends EventEmitter {
         segment: sector,
         score: score,
         coordinates: JSON.stringify(coordinates || null),
+        angle: JSON.stringify(angle || null),
         bounceout: bounceout ? 1 : 0,
         detection_time: detectionTime,
         created_at: new Date().toISOString()
@@ -334,15 +335,16 @@ class ScoliaBoardManager extends EventEmitter {
       
       await this.db.run(
         `INSERT INTO throws (
-          match_id, player_id, segment, score, coordinates, bounceout, 
+          match_id, player_id, segment, score, coordinates, angle, bounceout, 
           detection_time, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           throwRecord.match_id,
           throwRecord.player_id,
           throwRecord.segment,
           throwRecord.score,
           throwRecord.coordinates,
+          throwRecord.angle,
           throwRecord.bounceout,
           throwRecord.detection_time,
           throwRecord.created_at
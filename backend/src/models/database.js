@@ -11,10 +11,93 @@ if (!fs.existsSync(dataDir)) {
 const dbPath = path.join(dataDir, 'tournament.db');
 let db;
 
-// Initialize database and create tables if they don't exist
-const init = () => {
+// Add a column to an existing table, for databases created before it existed.
+// Resolves once the column is there
+const addColumnIfMissing = (table, column, definition) => new Promise((resolve, reject) => {
+  db.all(`PRAGMA table_info(${table})`, (err, columns) => {
+    if (err) {
+      console.error(`Error reading columns of ${table}:`, err.message);
+      return reject(err);
+    }
+    
+    if (columns.some(col => col.name === column)) {
+      return resolve();
+    }
+    
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+      if (err) {
+        console.error(`Error adding ${column} to ${table}:`, err.message);
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+});
+
+// Add the columns introduced after each table's initial schema
+const addMissingColumns = () => Promise.all([
+  addColumnIfMissing('throws', 'dart_positions', 'TEXT'),
+  addColumnIfMissing('games', 'warmup_darts', 'INTEGER DEFAULT 9'),
+  addColumnIfMissing('games', 'sets_to_win', 'INTEGER DEFAULT 0'),
+  addColumnIfMissing('games', 'legs_per_set', 'INTEGER DEFAULT 3'),
+  addColumnIfMissing('games', 'player1_sets', 'INTEGER DEFAULT 0'),
+  addColumnIfMissing('games', 'player2_sets', 'INTEGER DEFAULT 0'),
+  addColumnIfMissing('games', 'current_set', 'INTEGER DEFAULT 1'),
+  addColumnIfMissing('games', 'current_set_player1_legs', 'INTEGER DEFAULT 0'),
+  addColumnIfMissing('games', 'current_set_player2_legs', 'INTEGER DEFAULT 0'),
+  addColumnIfMissing('games', 'current_set_starter', 'INTEGER'),
+  addColumnIfMissing('legs', 'set_number', 'INTEGER DEFAULT 1'),
+  addColumnIfMissing('games', 'match_format', "TEXT DEFAULT 'first_to'"),
+  addColumnIfMissing('games', 'two_clear', 'BOOLEAN DEFAULT 0'),
+  addColumnIfMissing('games', 'sudden_death_at', 'INTEGER DEFAULT 0'),
+  addColumnIfMissing('games', 'tie_break', "TEXT DEFAULT 'leg'"),
+  addColumnIfMissing('games', 'winner_id', 'INTEGER'),
+  addColumnIfMissing('games', 'decided_by', 'TEXT'),
+  addColumnIfMissing('game_players', 'starting_score', 'INTEGER DEFAULT 501'),
+  addColumnIfMissing('game_players', 'start_legs', 'INTEGER DEFAULT 0'),
+  addColumnIfMissing('games', 'group_id', 'INTEGER'),
+  addColumnIfMissing('games', 'group_round', 'INTEGER'),
+  addColumnIfMissing('games', 'swiss_round', 'INTEGER'),
+  addColumnIfMissing('games', 'queue_position', 'INTEGER'),
+  addColumnIfMissing('games', 'pinned_board_id', 'INTEGER'),
+  addColumnIfMissing('games', 'called_at', 'TIMESTAMP'),
+  addColumnIfMissing('games', 'completed_at', 'TIMESTAMP'),
+  addColumnIfMissing('games', 'game_mode', "TEXT DEFAULT '501'"),
+  addColumnIfMissing('games', 'mode_settings', 'TEXT'),
+  addColumnIfMissing('game_players', 'marks', 'TEXT'),
+  addColumnIfMissing('game_players', 'mode_state', 'TEXT'),
+  addColumnIfMissing('game_players', 'team', 'INTEGER'),
+  // Tournament, bull-off and summary tables
+  addColumnIfMissing('tournaments', 'format', 'TEXT'),
+  addColumnIfMissing('tournaments', 'seeding', 'TEXT'),
+  addColumnIfMissing('tournaments', 'game_settings', 'TEXT'),
+  addColumnIfMissing('tournaments', 'group_settings', 'TEXT'),
+  addColumnIfMissing('tournaments', 'phases', 'TEXT'),
+  addColumnIfMissing('tournaments', 'swiss_settings', 'TEXT'),
+  addColumnIfMissing('bull_shots', 'tiebreak', 'BOOLEAN DEFAULT 0'),
+  addColumnIfMissing('match_summaries', 'match_format', 'TEXT'),
+  addColumnIfMissing('match_summaries', 'decided_by', 'TEXT'),
+  addColumnIfMissing('match_summaries', 'is_winner', 'BOOLEAN DEFAULT 0')
+]);
+
+// Seat the players of games created before game_players existed, from the
+// columns of their first two seats. Rows already seated are ignored, so this
+// is repeated safely on every start
+const seatExistingGames = () => Promise.all([1, 2].map(seat => dbRun(db, `
+  INSERT OR IGNORE INTO game_players (game_id, player_id, position, legs_won, sets_won, set_legs_won, score, darts)
+  SELECT id, player${seat}_id, ${seat}, player${seat}_legs, player${seat}_sets, current_set_player${seat}_legs,
+         current_leg_player${seat}_score, current_leg_player${seat}_darts
+  FROM games
+`).catch(err => {
+  console.error(`Error seating player ${seat} of existing games:`, err.message);
+  throw err;
+})));
+
+// Initialize database and create tables if they don't exist; tests pass
+// another file, e.g. ':memory:'
+const init = (filename = dbPath) => {
   return new Promise((resolve, reject) => {
-    db = new sqlite3.Database(dbPath, (err) => {
+    db = new sqlite3.Database(filename, (err) => {
       if (err) {
         console.error('Error opening database:', err.message);
         return reject(err);
@@ -43,6 +126,12 @@ const init = () => {
             start_date TIMESTAMP,
             end_date TIMESTAMP,
             status TEXT DEFAULT 'pending',
+            format TEXT, -- 'single_elimination' or 'double_elimination' once the bracket is drawn
+            seeding TEXT, -- 'manual', 'random' or 'average'
+            game_settings TEXT, -- JSON match rules of the bracket games
+            group_settings TEXT, -- JSON tiebreak order and match rules of the group games
+            phases TEXT, -- JSON phase definition, e.g. a group stage then a knockout
+            swiss_settings TEXT, -- JSON entrants, rounds, byes, tiebreak order and match rules of the Swiss rounds
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
           )
         `);
@@ -64,9 +153,15 @@ const init = () => {
             id INTEGER PRIMARY KEY AUTOINCREMENT,
             tournament_id INTEGER,
             board_id INTEGER,
-            legs_required INTEGER NOT NULL,
-            status TEXT DEFAULT 'pending',
-            player1_id INTEGER NOT NULL,
+            game_mode TEXT DEFAULT '501', -- x01 ('301', '501', ...), 'cricket', 'around_the_clock', 'shanghai' or 'killer'
+            mode_settings TEXT, -- JSON rules of the game mode, e.g. { cutThroat, killerLives, shanghaiRounds }
+            legs_required INTEGER NOT NULL, -- N in first to N or best of N legs
+            match_format TEXT DEFAULT 'first_to', -- 'first_to' or 'best_of'
+            two_clear BOOLEAN DEFAULT 0, -- Winner must be two legs ahead
+            sudden_death_at INTEGER DEFAULT 0, -- Legs each at which a level two-clear game goes to the tie-break, 0 for no cap
+            tie_break TEXT DEFAULT 'leg', -- 'leg' (sudden-death leg) or 'bull' (bull-off)
+            status TEXT DEFAULT 'pending', -- 'pending', 'warmup', 'bull', 'in_progress', 'tiebreak', 'completed', 'cancelled'
+            player1_id INTEGER NOT NULL, -- First two seats, every seat and its scores are in game_players
             player2_id INTEGER NOT NULL,
             player1_legs INTEGER DEFAULT 0,
             player2_legs INTEGER DEFAULT 0,
@@ -77,7 +172,25 @@ const init = () => {
             current_leg_starter INTEGER, 
             current_player INTEGER,
             warmup_complete BOOLEAN DEFAULT 0,
+            warmup_darts INTEGER DEFAULT 9, -- Warmup darts per player
+            sets_to_win INTEGER DEFAULT 0, -- 0 plays legs only, first to legs_required
+            legs_per_set INTEGER DEFAULT 3, -- Legs needed to win a set
+            player1_sets INTEGER DEFAULT 0,
+            player2_sets INTEGER DEFAULT 0,
+            current_set INTEGER DEFAULT 1,
+            current_set_player1_legs INTEGER DEFAULT 0,
+            current_set_player2_legs INTEGER DEFAULT 0,
+            current_set_starter INTEGER,
+            winner_id INTEGER,
+            decided_by TEXT, -- 'legs', 'two_clear', 'sudden_death', 'bull_off' or 'sets'
             bull_complete BOOLEAN DEFAULT 0,
+            group_id INTEGER, -- Round-robin group of a group fixture
+            group_round INTEGER, -- Round of the group fixture, from 1
+            swiss_round INTEGER, -- Round of a Swiss-system game, from 1
+            queue_position INTEGER, -- Place in the board scheduler's queue set by the organiser, NULL for queue order by age
+            pinned_board_id INTEGER, -- Board a queued game waits for, e.g. the TV board
+            called_at TIMESTAMP, -- When the scheduler called the game to its board
+            completed_at TIMESTAMP, -- When the game was won; players rest from then
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
             updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (tournament_id) REFERENCES tournaments (id),
@@ -87,12 +200,49 @@ const init = () => {
           )
         `);
         
+        // Players seated in a game, 2 to 8 in throwing order
+        db.run(`
+          CREATE TABLE IF NOT EXISTS game_players (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            game_id INTEGER NOT NULL,
+            player_id INTEGER NOT NULL,
+            position INTEGER NOT NULL, -- Seat, 1 to 8; turns and leg starters rotate through the seats
+            legs_won INTEGER DEFAULT 0,
+            sets_won INTEGER DEFAULT 0,
+            set_legs_won INTEGER DEFAULT 0, -- Legs won in the current set
+            starting_score INTEGER DEFAULT 501, -- Each leg starts here; lower or higher with a handicap
+            start_legs INTEGER DEFAULT 0, -- Handicap head start, in legs and in legs of each set
+            score INTEGER DEFAULT 501, -- Remaining in the current leg; points, progress or lives in the other modes
+            darts INTEGER DEFAULT 0, -- Darts thrown in the current leg
+            marks TEXT, -- Cricket only: JSON { 20: 0-3, ..., 15: 0-3, 25: 0-3 }
+            mode_state TEXT, -- Party modes: JSON state of the player's game mode, e.g. { target: 7 }
+            team INTEGER, -- Team play only: position of the player's team in game_teams
+            FOREIGN KEY (game_id) REFERENCES games (id),
+            FOREIGN KEY (player_id) REFERENCES players (id),
+            UNIQUE(game_id, player_id),
+            UNIQUE(game_id, position)
+          )
+        `);
+        
+        // Teams of a team game; teammates share one score, legs and sets and alternate turns
+        db.run(`
+          CREATE TABLE IF NOT EXISTS game_teams (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            game_id INTEGER NOT NULL,
+            position INTEGER NOT NULL, -- Team position (1, 2, etc.), game_players.team
+            name TEXT NOT NULL,
+            FOREIGN KEY (game_id) REFERENCES games (id),
+            UNIQUE(game_id, position)
+          )
+        `);
+        
         // Legs table
         db.run(`
           CREATE TABLE IF NOT EXISTS legs (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
             game_id INTEGER NOT NULL,
             leg_number INTEGER NOT NULL,
+            set_number INTEGER DEFAULT 1,
             winner_id INTEGER,
             player1_darts INTEGER DEFAULT 0,
             player2_darts INTEGER DEFAULT 0,
@@ -119,12 +269,44 @@ const init = () => {
             dart3 TEXT,
             remaining INTEGER NOT NULL,
             is_bust BOOLEAN DEFAULT 0,
+            dart_positions TEXT, -- JSON [{ coordinates, angle, detectionTime }] per dart, when the board reports them
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (leg_id) REFERENCES legs (id),
             FOREIGN KEY (player_id) REFERENCES players (id)
           )
         `);
         
+        // Warmup darts, kept out of throws so they never count towards game stats
+        db.run(`
+          CREATE TABLE IF NOT EXISTS warmup_throws (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            game_id INTEGER NOT NULL,
+            player_id INTEGER NOT NULL,
+            segment TEXT,
+            coordinates TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (game_id) REFERENCES games (id),
+            FOREIGN KEY (player_id) REFERENCES players (id)
+          )
+        `);
+        
+        // Bull shots table for the pre-game throw for bull
+        db.run(`
+          CREATE TABLE IF NOT EXISTS bull_shots (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            game_id INTEGER NOT NULL,
+            player_id INTEGER NOT NULL,
+            attempt INTEGER NOT NULL DEFAULT 1,
+            segment TEXT,
+            coordinates TEXT,
+            distance INTEGER, -- NULL when the dart missed the board
+            tiebreak BOOLEAN DEFAULT 0, -- Bull-off deciding a level game rather than who starts
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (game_id) REFERENCES games (id),
+            FOREIGN KEY (player_id) REFERENCES players (id)
+          )
+        `);
+        
         // Game logs table for tracking manual overrides and important events
         db.run(`
           CREATE TABLE IF NOT EXISTS game_logs (
@@ -176,12 +358,73 @@ const init = () => {
             ton_eighty INTEGER DEFAULT 0,
             total_darts INTEGER DEFAULT 0,
             darts_per_leg REAL DEFAULT 0,
+            match_format TEXT, -- Rules the match was played under, e.g. 'Best of 5 legs, two clear'
+            decided_by TEXT, -- How the match was won, see games.decided_by
+            is_winner BOOLEAN DEFAULT 0,
             match_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (match_id) REFERENCES games (id),
             FOREIGN KEY (player_id) REFERENCES players (id),
             UNIQUE(match_id, player_id)
           )
         `);
+        
+        // Knockout bracket of a tournament, one row per bracket match. A match
+        // gets its game once both players are known
+        db.run(`
+          CREATE TABLE IF NOT EXISTS bracket_matches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            tournament_id INTEGER NOT NULL,
+            bracket TEXT NOT NULL DEFAULT 'winners', -- 'winners', 'losers' or 'final' (grand final and its reset)
+            round INTEGER NOT NULL,
+            position INTEGER NOT NULL, -- Top to bottom within the round, from 1
+            player1_id INTEGER,
+            player2_id INTEGER,
+            seed1 INTEGER, -- Seeds of first-round players
+            seed2 INTEGER,
+            game_id INTEGER,
+            winner_id INTEGER,
+            loser_id INTEGER,
+            next_match_id INTEGER, -- Where the winner goes, into slot next_slot
+            next_slot INTEGER,
+            loser_match_id INTEGER, -- Where the loser drops to in double elimination
+            loser_slot INTEGER,
+            status TEXT DEFAULT 'waiting', -- 'waiting', 'ready' (game created), 'completed', 'bye' or 'skipped'
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (tournament_id) REFERENCES tournaments (id),
+            FOREIGN KEY (player1_id) REFERENCES players (id),
+            FOREIGN KEY (player2_id) REFERENCES players (id),
+            FOREIGN KEY (game_id) REFERENCES games (id),
+            FOREIGN KEY (winner_id) REFERENCES players (id),
+            UNIQUE(tournament_id, bracket, round, position)
+          )
+        `);
+        
+        // Round-robin groups of a tournament; their fixtures are games with a group_id
+        db.run(`
+          CREATE TABLE IF NOT EXISTS tournament_groups (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            tournament_id INTEGER NOT NULL,
+            name TEXT NOT NULL, -- 'Group A', 'Group B', ...
+            position INTEGER NOT NULL, -- From 1
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (tournament_id) REFERENCES tournaments (id),
+            UNIQUE(tournament_id, position)
+          )
+        `);
+        
+        // Players drawn into a group
+        db.run(`
+          CREATE TABLE IF NOT EXISTS group_players (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            group_id INTEGER NOT NULL,
+            player_id INTEGER NOT NULL,
+            position INTEGER NOT NULL, -- Draw order, the last resort when players cannot be split
+            FOREIGN KEY (group_id) REFERENCES tournament_groups (id),
+            FOREIGN KEY (player_id) REFERENCES players (id),
+            UNIQUE(group_id, player_id)
+          )
+        `);
 
         // Matches table with takeout_in_progress field
         db.run(`
@@ -206,7 +449,12 @@ const init = () => {
             console.error('Error creating tables:', err.message);
             return reject(err);
           }
-          resolve();
+          
+          // Older games are seated once every column they are read from exists
+          addMissingColumns()
+            .then(seatExistingGames)
+            .then(() => resolve())
+            .catch(reject);
         });
       });
     });
@@ -221,6 +469,29 @@ const getDb = () => {
   return db;
 };
 
+// Promise versions of get, all and run, for services that chain many queries
+const dbGet = (database, sql, params = []) => new Promise((resolve, reject) => {
+  database.get(sql, params, (err, row) => {
+    if (err) return reject(err);
+    resolve(row);
+  });
+});
+
+const dbAll = (database, sql, params = []) => new Promise((resolve, reject) => {
+  database.all(sql, params, (err, rows) => {
+    if (err) return reject(err);
+    resolve(rows);
+  });
+});
+
+// Resolves with { lastID, changes }
+const dbRun = (database, sql, params = []) => new Promise((resolve, reject) => {
+  database.run(sql, params, function(err) {
+    if (err) return reject(err);
+    resolve({ lastID: this.lastID, changes: this.changes });
+  });
+});
+
 // Close database connection
 const close = () => {
   return new Promise((resolve, reject) => {
@@ -240,4 +511,4 @@ const close = () => {
   });
 };
 
-module.exports = { init, getDb, close }; 
\ No newline at end of file
+module.exports = { init, getDb, close, dbGet, dbAll, dbRun }; 
\ No newline at end of file
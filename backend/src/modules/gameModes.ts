@@ -0,0 +1,71 @@
+/**
+ * GameModes module
+ * Rules of each game mode behind one interface that MatchManager delegates to:
+ * x01, cricket and the party and practice modes Around the Clock, Shanghai and Killer.
+ * The rules live in utils/gameModes, which the live scoring paths share; this
+ * module types them
+ */
+
+import { ValidationResult, CricketMarks } from './validator';
+import * as registry from '../utils/gameModes';
+
+// What a game mode reads and changes of a player
+export interface ModePlayer {
+  id: number;
+  score: number; // Shown on the scoreboard: remaining, points, progress or lives
+  originalScore: number; // Score at the start of the turn
+  marks?: CricketMarks;
+  modeState?: Record<string, any>; // Mode specific, e.g. the Around the Clock target
+}
+
+export interface ModeContext {
+  opponents: ModePlayer[]; // One per other side
+  turn: string[]; // Segments thrown so far this turn
+  roundComplete: boolean; // Every side has thrown its turn of the round
+  settings: any;
+}
+
+export interface ModeThrowResult extends ValidationResult {
+  points: number;
+  marks?: number; // Marks the dart counts for marks per round
+  details?: Record<string, any>; // Mode specific, from validateThrow to applyThrow
+}
+
+export interface GameMode {
+  id: string;
+  name: string;
+  // Set a player up for a new leg; side is their seat, or their team's, from 0
+  startLeg(player: ModePlayer, side: number, settings: any): void;
+  validateThrow(player: ModePlayer, segment: string, score: number, context: ModeContext): ModeThrowResult;
+  applyThrow(player: ModePlayer, result: ModeThrowResult, context: ModeContext): void;
+  isLegWon(player: ModePlayer, context: ModeContext): boolean;
+  getSuggestions(player: ModePlayer, context: ModeContext): string[] | null;
+  isOut?(player: ModePlayer): boolean; // Knocked out of the leg; their turns are skipped
+}
+
+/**
+ * Add a game mode, or replace one with the same id
+ */
+export function registerGameMode(mode: GameMode): void {
+  registry.registerGameMode(mode);
+}
+
+/**
+ * Get the rules for a mode; x01 variants such as '501' play as x01
+ */
+export function getGameMode(mode: string): GameMode {
+  return registry.getGameMode(mode) as GameMode;
+}
+
+/**
+ * Ids and names of the available modes
+ */
+export function listGameModes(): { id: string; name: string }[] {
+  return registry.listGameModes();
+}
+
+export default {
+  registerGameMode,
+  getGameMode,
+  listGameModes
+}; 
\ No newline at end of file
@@ -6,16 +6,19 @@
 
 import validator from './validator';
 import statsTracker from './statsTracker';
+import gameModes from './gameModes';
 import MatchManager from './matchManager';
 
 export { 
   validator,
   statsTracker,
+  gameModes,
   MatchManager
 };
 
 export default {
   validator,
   statsTracker,
+  gameModes,
   MatchManager
 }; 
\ No newline at end of file
@@ -5,8 +5,10 @@
 
 import { EventEmitter } from 'events';
 import * as sqlite3 from 'sqlite3';
-import validator, { ValidatorOptions, ValidationResult } from './validator';
+import validator, { ValidatorOptions, ValidationResult, CricketMarks } from './validator';
 import statsTracker, { MatchStats, PlayerStats } from './statsTracker';
+import matchRules, { MatchRules, DecidedBy } from './matchRules';
+import gameModes, { ModeContext } from './gameModes';
 import { ThrowData } from '../types/scolia';
 import { PlayerModel } from '../types/models';
 import { Database } from 'sqlite3';
@@ -31,6 +33,10 @@ interface PlayerGameStats {
   dartsPerLeg: number;
 }
 
+// Stats statsTracker keeps per player and, in team play, per team
+type TrackedStats = ReturnType<typeof statsTracker.initPlayerStats>;
+type StatsUpdate = (stats: TrackedStats) => TrackedStats;
+
 // Ensure Player properly extends PlayerModel with compatible types
 export interface Player extends Omit<PlayerModel, 'stats'> {
   position: number;
@@ -41,8 +47,12 @@ export interface Player extends Omit<PlayerModel, 'stats'> {
   currentTurn: ThrowData[];
   originalScore: number;
   dartsThrown: number;
-  legsWon: number;
+  legsWon: number; // Legs won in the current set, or in the match when not playing sets
+  setsWon: number;
   stats: PlayerGameStats;
+  marks?: CricketMarks; // Cricket only; score holds the cricket points
+  teamId?: number; // Team play only
+  modeState?: Record<string, any>; // Game mode specific, see gameModes
 }
 
 // Use Date type for timestamp to match ThrowData definition
@@ -54,21 +64,67 @@ export interface ExtendedThrowData extends ThrowData {
   isValid?: boolean;
   timestamp?: Date;
   coordinates?: [number, number];
+  angle?: ThrowAngle;
+  detectionTime?: string;
+}
+
+// Dart angle in degrees as reported in THROW_DETECTED
+export interface ThrowAngle {
+  vertical: number;
+  horizontal: number;
 }
 
 export interface ValidatorSettingsOptions extends ValidatorOptions {
   startingScore: number;
   checkoutSuggestions: boolean;
+  cutThroat: boolean;
+  warmupDarts?: number;
+  shanghaiRounds?: number;
+  killerLives?: number;
+}
+
+// Set play: first to setsToWin sets, a set going to whoever wins legsPerSet legs.
+// setsToWin 0 plays legs only, first to legsToWin
+export interface SetFormat {
+  setsToWin: number;
+  legsPerSet: number;
+}
+
+// Team play: teammates share one score and the teams throw alternately,
+// in a fixed order (A1, B1, A2, B2)
+export interface TeamSetup {
+  name: string;
+  playerIds: number[]; // Throwing order within the team
 }
 
+export interface Team {
+  id: number; // Team position, 1-based
+  name: string;
+  playerIds: number[];
+  score: number;
+  legsWon: number;
+  setsWon: number;
+  isWinner: boolean;
+}
+
+// Board phase as reported by SBC_STATUS_CHANGED / TAKEOUT_* (see ScoliaAPI.md)
+export type BoardPhase = 'Throw' | 'Takeout' | null;
+
 export interface Match {
   id?: number;
   boardId: number | string;
   mode: string;
   players: Player[];
+  teams?: Team[]; // Team play only
   legsToWin: number;
+  rules: MatchRules;
+  decidedBy?: DecidedBy;
+  setsToWin: number;
+  legsPerSet: number;
   currentLeg: number;
+  currentSet: number;
   legStarters: number[];
+  setStarters: number[];
   activePlayerIndex: number;
   round: number;
   state: 'pending' | 'warmup' | 'bullshot' | 'active' | 'completed' | 'setup' | 'playing' | 'finished';
@@ -76,21 +132,53 @@ export interface Match {
   timestamp: number;
   isAutosaved: boolean;
   stats: MatchStats;
+  boardPhase?: BoardPhase;
+  awaitingTakeout?: boolean;
+  warmup?: WarmupState;
+  bullOff?: BullOffState;
+}
+
+// Warmup darts thrown per player; warmup ends once everyone reaches the limit
+export interface WarmupState {
+  limit: number;
+  counts: Record<number, number>;
 }
 
 export interface BullResult {
   playerId: number;
   segment: string;
-  distance: number;
+  distance: number | null; // null when the dart missed the board
   formattedDistance: string;
 }
 
+// Progress of the throw for bull; tied players re-throw in a new attempt
+export interface BullOffState {
+  attempt: number;
+  pending: number[];
+  shots: BullResult[];
+  tiebreak?: boolean; // Deciding a level match rather than who starts
+}
+
+export interface BullRoundResult {
+  attempt: number;
+  shots: BullResult[];
+  winnerId: number | null;
+  rethrow: number[];
+}
+
+export interface LegResult {
+  setWon: boolean;
+  matchWon: boolean;
+  tiebreak: 'leg' | 'bull' | null; // The match went level at its tie point
+}
+
 export interface ThrowResults {
   throwData: ThrowData;
   validationResult: ValidationResult;
   bust: boolean;
   gameShot: boolean;
   legWon: boolean;
+  setWon: boolean;
   matchWon: boolean;
   checkoutSuggestion: string[] | null;
 }
@@ -107,59 +195,103 @@ export class MatchManager extends EventEmitter {
   }
 
   /**
-   * Create a new match
+   * Create a new match. Passing teams makes it a team match, with the players
+   * seated alternately from each team
    */
   async createMatch(
     boardId: number,
     players: PlayerModel[],
     mode: string = 'x01',
     legsToWin: number = 3,
-    settings: Partial<ValidatorSettingsOptions> = {}
+    settings: Partial<ValidatorSettingsOptions> = {},
+    format: Partial<SetFormat> = {},
+    rules: Partial<MatchRules> = {},
+    teams: TeamSetup[] = []
   ): Promise<Match> {
     if (this.match) {
       throw new Error('Match already in progress');
     }
 
-    // Determine starting score based on mode
+    // Fails for a mode without rules
+    gameModes.getGameMode(mode);
+
+    // Determine starting score based on mode; cricket counts points up from 0
     let startingScore = 501;
     if (mode === 'x01') {
       const x01Value = Number(settings.startingScore || 501);
       startingScore = [301, 501, 701, 901].includes(x01Value) ? x01Value : 501;
+    } else if (mode === 'cricket') {
+      startingScore = 0;
     }
 
+    // legsToWin is N in first to N, unless the rules say otherwise
+    const normalizedRules = matchRules.normalizeMatchRules({ legs: legsToWin, ...rules });
+    legsToWin = matchRules.getLegsToWin(normalizedRules);
+
     // Create validator options
     const validatorOptions: ValidatorSettingsOptions = {
       doubleIn: settings.doubleIn || false,
       doubleOut: settings.doubleOut === undefined ? true : !!settings.doubleOut,
       masterOut: settings.masterOut || false,
       startingScore,
-      checkoutSuggestions: settings.checkoutSuggestions !== false
+      checkoutSuggestions: settings.checkoutSuggestions !== false,
+      cutThroat: !!settings.cutThroat,
+      warmupDarts: settings.warmupDarts,
+      shanghaiRounds: settings.shanghaiRounds,
+      killerLives: settings.killerLives
     };
 
     // Setup player objects
-    const setupPlayers: Player[] = this.initializePlayers(players);
+    const setupPlayers: Player[] = this.initializePlayers(
+      teams.length > 0 ? this.seatTeams(players, teams) : players
+    );
+
+    const matchTeams: Team[] | undefined = teams.length > 0
+      ? teams.map((team, index) => ({
+        id: index + 1,
+        name: team.name || `Team ${index + 1}`,
+        playerIds: [...team.playerIds],
+        score: startingScore,
+        legsWon: 0,
+        setsWon: 0,
+        isWinner: false
+      }))
+      : undefined;
+    matchTeams?.forEach(team => {
+      setupPlayers
+        .filter(p => team.playerIds.includes(p.id))
+        .forEach(p => { p.teamId = team.id; });
+    });
 
     // Create match object
     const match: Match = {
       id: 0, // Will be set after saving to DB
       boardId,
       players: setupPlayers,
+      teams: matchTeams,
       legsToWin,
+      rules: normalizedRules,
+      setsToWin: Math.max(Number(format.setsToWin) || 0, 0),
+      legsPerSet: Math.max(Number(format.legsPerSet) || 3, 1),
       currentLeg: 1,
+      currentSet: 1,
       activePlayerIndex: 0,
       mode,
       state: 'pending',
       settings: validatorOptions,
       stats: statsTracker.initMatchStats(
         setupPlayers.map(p => p.id),
-        legsToWin
+        legsToWin,
+        matchTeams ? matchTeams.map(t => t.id) : []
       ),
       legStarters: [setupPlayers[0].id], // First player starts first leg
+      setStarters: [setupPlayers[0].id],
       round: 1,
       timestamp: Date.now(),
       isAutosaved: false
     };
 
+    this.startModeLeg(match);
     this.match = match;
 
     // Save match to database if available
@@ -210,6 +342,10 @@ export class MatchManager extends EventEmitter {
     }
 
     this.match.state = 'warmup';
+    this.match.warmup = {
+      limit: parseInt(this.match.settings.warmupDarts, 10) || 9,
+      counts: Object.fromEntries(this.match.players.map(p => [p.id, 0]))
+    };
     await this.saveMatchState();
 
     this.emit('warmupStarted', { ...this.match });
@@ -228,7 +364,14 @@ export class MatchManager extends EventEmitter {
       throw new Error(`Cannot end warmup in state: ${this.match.state}`);
     }
 
+    // In team play each team's first player throws for bull
     this.match.state = 'bullshot';
+    this.match.warmup = undefined;
+    this.match.bullOff = {
+      attempt: 1,
+      pending: this.getSides().map(p => p.id),
+      shots: []
+    };
     await this.saveMatchState();
 
     this.emit('bullshotStarted', { ...this.match });
@@ -236,12 +379,65 @@ export class MatchManager extends EventEmitter {
   }
 
   /**
-   * Record a bull shot and determine the closest player
+   * Record a warmup dart; warmup darts are stored apart from match throws.
+   * Ends the warmup once every player has thrown their warmup darts
+   */
+  async recordWarmupThrow(
+    playerId: number,
+    segment: string,
+    score: number,
+    coordinates: [number, number] | null = null
+  ): Promise<WarmupState> {
+    if (!this.match) {
+      throw new Error('No match in progress');
+    }
+
+    if (this.match.state !== 'warmup' || !this.match.warmup) {
+      throw new Error(`Cannot record warmup throw in state: ${this.match.state}`);
+    }
+
+    const warmup = this.match.warmup;
+    const thrown = warmup.counts[playerId] || 0;
+    if (thrown >= warmup.limit) {
+      throw new Error(`Player ${playerId} has finished warmup`);
+    }
+
+    warmup.counts[playerId] = thrown + 1;
+
+    if (this.db) {
+      await this.dbRun(
+        `INSERT INTO warmup_throws (match_id, player_id, round, position, segment, score, coordinates)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          this.match.id,
+          playerId,
+          Math.floor(thrown / 3) + 1,
+          (thrown % 3) + 1,
+          segment,
+          score,
+          coordinates ? JSON.stringify(coordinates) : null
+        ]
+      );
+    }
+
+    this.emit('warmupThrowRecorded', { playerId, segment, score, coordinates, thrown: thrown + 1, limit: warmup.limit });
+
+    if (this.match.players.every(p => (warmup.counts[p.id] || 0) >= warmup.limit)) {
+      await this.endWarmup();
+    }
+
+    return { ...warmup, counts: { ...warmup.counts } };
+  }
+
+  /**
+   * Record a bull shot and, once every player in the round has thrown,
+   * start the match with the closest player or ask tied players to re-throw
    */
   async recordBullShot(
     playerId: number,
     segment: string,
-    coordinates: [number, number]
+    coordinates: [number, number] | null,
+    bounceout: boolean = false
   ): Promise<BullResult> {
     if (!this.match) {
       throw new Error('No match in progress');
@@ -251,8 +447,17 @@ export class MatchManager extends EventEmitter {
       throw new Error(`Cannot record bull shot in state: ${this.match.state}`);
     }
 
-    // Calculate distance from bull
-    const [distance, formattedDistance] = validator.calculateDistanceFromBull(coordinates);
+    const bullOff = this.match.bullOff!;
+    if (bullOff.pending[0] !== playerId) {
+      throw new Error(`Not player ${playerId}'s bull shot`);
+    }
+
+    // A dart outside the board scores no distance
+    let distance: number | null = null;
+    let formattedDistance = 'No score';
+    if (coordinates && !bounceout && segment !== 'MISS' && validator.isOnBoard(coordinates)) {
+      [distance, formattedDistance] = validator.calculateDistanceFromBull(coordinates);
+    }
 
     const result: BullResult = {
       playerId,
@@ -261,10 +466,59 @@ export class MatchManager extends EventEmitter {
       formattedDistance
     };
 
+    bullOff.pending.shift();
+    bullOff.shots.push(result);
+    await this.saveBullShotToDb(result, coordinates, bullOff.attempt);
+
     this.emit('bullshotRecorded', result);
+
+    if (bullOff.pending.length === 0) {
+      await this.decideBullOff();
+    }
+
     return result;
   }
 
+  /**
+   * Decide a finished bull-off round
+   */
+  private async decideBullOff(): Promise<void> {
+    if (!this.match || !this.match.bullOff) return;
+
+    const bullOff = this.match.bullOff;
+    const scored = bullOff.shots.filter(s => s.distance !== null);
+    const best = Math.min(...scored.map(s => s.distance as number));
+    const closest = scored.filter(s => s.distance === best);
+
+    let rethrow: number[] = [];
+    if (scored.length === 0) {
+      rethrow = bullOff.shots.map(s => s.playerId);
+    } else if (closest.length > 1) {
+      rethrow = closest.map(s => s.playerId);
+    }
+
+    const roundResult: BullRoundResult = {
+      attempt: bullOff.attempt,
+      shots: [...bullOff.shots],
+      winnerId: rethrow.length === 0 ? closest[0].playerId : null,
+      rethrow
+    };
+
+    this.emit('bullResult', roundResult);
+
+    if (roundResult.winnerId !== null && bullOff.tiebreak) {
+      // The tie-break bull-off decides the match
+      this.match.bullOff = undefined;
+      this.match.decidedBy = 'bull_off';
+      await this.endMatch(roundResult.winnerId);
+    } else if (roundResult.winnerId !== null) {
+      await this.setBullWinner(roundResult.winnerId);
+    } else {
+      this.match.bullOff = { attempt: bullOff.attempt + 1, pending: rethrow, shots: [], tiebreak: bullOff.tiebreak };
+      await this.saveMatchState();
+    }
+  }
+
   /**
    * Set the bull winner and start the first leg
    */
@@ -283,8 +537,9 @@ export class MatchManager extends EventEmitter {
       throw new Error(`Player with id ${playerId} not found`);
     }
 
-    // Set first leg starter
+    // Set first leg and set starter
     this.match.legStarters[0] = playerId;
+    this.match.setStarters[0] = playerId;
 
     // Set active player
     this.match.players.forEach(p => { p.isActive = p.id === playerId; });
@@ -292,6 +547,7 @@ export class MatchManager extends EventEmitter {
 
     // Start the match
     this.match.state = 'active';
+    this.match.bullOff = undefined;
     await this.saveMatchState();
 
     this.emit('matchStarted', { ...this.match });
@@ -305,7 +561,9 @@ export class MatchManager extends EventEmitter {
     playerId: number,
     segment: string,
     score: number,
-    coordinates?: [number, number]
+    coordinates?: [number, number],
+    bounceout: boolean = false,
+    details: { angle?: ThrowAngle; detectionTime?: string } = {}
   ): Promise<ThrowResults> {
     if (!this.match) {
       throw new Error('No match in progress');
@@ -315,6 +573,17 @@ export class MatchManager extends EventEmitter {
       throw new Error(`Cannot process throw in state: ${this.match.state}`);
     }
 
+    // A bounce-out still uses up a dart but scores nothing
+    if (bounceout) {
+      segment = 'MISS';
+      score = 0;
+    }
+
+    // The board never reported a takeout for the finished turn, so end it now
+    if (this.match.awaitingTakeout) {
+      await this.moveToNextPlayer();
+    }
+
     // Find the player
     const playerIndex = this.match.players.findIndex(p => p.id === playerId);
     if (playerIndex === -1) {
@@ -334,14 +603,13 @@ export class MatchManager extends EventEmitter {
       throw new Error('Player has already thrown 3 darts');
     }
 
-    // Validate the throw based on game rules
-    const validationResult = validator.validateX01Throw(
-      player.score,
-      segment,
-      score,
-      dartsInTurn,
-      this.match.settings
-    );
+    // The game mode validates the dart and applies it to the scores
+    const gameMode = gameModes.getGameMode(this.match.mode);
+    const context = this.getModeContext(player);
+    const modeResult = gameMode.validateThrow(player, segment, score, context);
+    if (modeResult.valid) {
+      gameMode.applyThrow(player, modeResult, context);
+    }
 
     // Create throw data
     const throwData: ExtendedThrowData = {
@@ -353,7 +621,9 @@ export class MatchManager extends EventEmitter {
       segment,
       score,
       timestamp: new Date(),
-      coordinates
+      coordinates,
+      angle: details.angle,
+      detectionTime: details.detectionTime
     };
 
     // Add throw to player's current turn
@@ -363,62 +633,64 @@ export class MatchManager extends EventEmitter {
     let bust = false;
     let gameShot = false;
     let legWon = false;
+    let setWon = false;
     let matchWon = false;
     let checkoutSuggestion: string[] | null = null;
 
-    // Update player's score if valid
-    if (validationResult.valid && !validationResult.bust) {
-      player.score = validationResult.newScore !== undefined ? validationResult.newScore : player.score;
+    if (modeResult.bust) {
+      bust = true;
+      this.updateStats(playerId, stats => ({ ...stats, busts: stats.busts + 1 }));
+    } else if (modeResult.marks !== undefined) {
+      this.updateStats(playerId, stats => statsTracker.updateCricketThrow(stats, modeResult.marks!));
+    }
 
-      // Check for game shot
-      if (validationResult.gameShot) {
-        gameShot = true;
-        legWon = true;
+    // Any side's score can change, e.g. with cut-throat points or Killer lives
+    this.syncTeam(player);
+    context.opponents.forEach(p => this.syncTeam(p as Player));
 
-        // Update stats
-        const playerStats = this.match.stats.players.get(playerId);
-        if (playerStats) {
-          const updatedStats = statsTracker.updateLegWin(playerStats, player.dartsThrown);
-          this.match.stats.players.set(playerId, updatedStats);
-        }
+    // After the third dart, a bust or being knocked out the turn is over
+    const turnOver = dartsInTurn === 2 || bust || !!gameMode.isOut?.(player);
+    const starterIndex = this.match.players.findIndex(p => p.id === this.match!.legStarters[this.match!.currentLeg - 1]);
+    const roundComplete = turnOver && this.getNextPlayerIndex() === starterIndex;
 
-        // Check if player has won the match
-        player.isWinner = true;
-        const playerLegWins = this.getPlayerLegWins(playerId);
-        if (playerLegWins >= this.match.legsToWin) {
-          matchWon = true;
-          this.match.state = 'completed';
-        } else {
-          // Setup next leg
-          await this.setupNextLeg();
-        }
-      }
-    } else if (validationResult.bust) {
-      bust = true;
-      // Reset player's score for the turn
-      player.score = player.originalScore;
+    // The thrower usually wins the leg, but a mode can also end it at the end
+    // of a round or by knocking the thrower out
+    const legWinner = [player, ...context.opponents as Player[]]
+      .find(p => gameMode.isLegWon(p, this.getModeContext(p, roundComplete)));
 
-      // Update bust stats
-      const playerStats = this.match.stats.players.get(playerId);
-      if (playerStats) {
-        playerStats.busts += 1;
-      }
-    }
+    const validationResult: ValidationResult = {
+      ...modeResult,
+      gameShot: legWinner?.id === playerId,
+      newScore: modeResult.newScore ?? player.score
+    };
 
-    // If it's the third dart or a leg was won, move to the next player
-    if (dartsInTurn === 2 || legWon) {
-      if (!legWon) {
-        await this.moveToNextPlayer();
-      }
+    if (legWinner) {
+      gameShot = true;
+      legWon = true;
+
+      // Update stats; a team's leg counts every dart its players threw
+      const teamDarts = this.match.players
+        .filter(p => p.teamId !== undefined && p.teamId === legWinner.teamId)
+        .reduce((sum, p) => sum + p.dartsThrown, 0);
+      this.updateStats(
+        legWinner.id,
+        stats => statsTracker.updateLegWin(stats, legWinner.dartsThrown),
+        stats => statsTracker.updateLegWin(stats, teamDarts)
+      );
+
+      // Move on to the next leg, the next set or the end of the match
+      ({ setWon, matchWon } = await this.recordLegWin(legWinner.id));
+    } else if (turnOver) {
+      // The next player is activated once the board reports the takeout
+      this.match.awaitingTakeout = true;
+      this.emit('turnComplete', {
+        playerId,
+        reason: bust ? 'bust' : 'darts',
+        round: this.match.round
+      });
     } else {
-      // Provide checkout suggestion if enabled and in checkout range
-      if (this.match.settings.checkoutSuggestions &&
-          statsTracker.isCheckoutPosition(player.score)) {
-        checkoutSuggestion = validator.getCheckoutSuggestion(
-          player.score,
-          3 - (dartsInTurn + 1)
-        );
-      }
+      // Suggest where to aim next: a checkout in x01, the target in party modes
+      checkoutSuggestion = gameMode.getSuggestions(player, this.getModeContext(player));
     }
 
     // Save throw to database
@@ -440,6 +712,7 @@ export class MatchManager extends EventEmitter {
       bust,
       gameShot,
       legWon,
+      setWon,
       matchWon,
       checkoutSuggestion
     };
@@ -449,7 +722,54 @@ export class MatchManager extends EventEmitter {
   }
 
   /**
-   * Move to the next player
+   * Apply a board phase change; the turn ends as soon as takeout starts
+   */
+  async handleBoardPhase(phase: BoardPhase): Promise<void> {
+    if (!this.match) return;
+
+    const previousPhase = this.match.boardPhase ?? null;
+    if (phase === previousPhase) return;
+
+    this.match.boardPhase = phase;
+
+    if (phase === 'Takeout' && this.match.state === 'active') {
+      // Whatever was thrown this turn (3 darts, a bust or fewer darts) is final
+      const activePlayer = this.match.players[this.match.activePlayerIndex];
+      if (activePlayer && activePlayer.currentTurn.length > 0) {
+        await this.moveToNextPlayer();
+      }
+    }
+
+    if (phase === 'Throw') {
+      this.match.awaitingTakeout = false;
+    }
+
+    this.emit('boardPhaseChanged', {
+      matchId: this.match.id,
+      boardId: this.match.boardId,
+      phase,
+      previousPhase,
+      activePlayerId: this.match.players[this.match.activePlayerIndex]?.id
+    });
+  }
+
+  /**
+   * Handle TAKEOUT_STARTED from the board
+   */
+  async handleTakeoutStarted(): Promise<void> {
+    await this.handleBoardPhase('Takeout');
+  }
+
+  /**
+   * Handle TAKEOUT_FINISHED from the board
+   */
+  async handleTakeoutFinished(): Promise<void> {
+    await this.handleBoardPhase('Throw');
+  }
+
+  /**
+   * Move to the next player. Turns go round the seats, and a team match seats
+   * the teams alternately, so teammates keep a fixed order: A1, B1, A2, B2
    */
   private async moveToNextPlayer(): Promise<void> {
     if (!this.match) return;
@@ -458,11 +778,7 @@ export class MatchManager extends EventEmitter {
     
     // Calculate turn score and update stats
     const turnScore = currentPlayer.currentTurn.reduce((sum, t) => sum + t.score, 0);
-    const playerStats = this.match.stats.players.get(currentPlayer.id);
-    if (playerStats) {
-      const updatedStats = statsTracker.updatePlayerTurn(playerStats, turnScore);
-      this.match.stats.players.set(currentPlayer.id, updatedStats);
-    }
+    this.updateStats(currentPlayer.id, stats => statsTracker.updatePlayerTurn(stats, turnScore));
 
     // Move throws from current turn to history
     currentPlayer.history.push(...currentPlayer.currentTurn);
@@ -470,17 +786,20 @@ export class MatchManager extends EventEmitter {
     
     // Save the current score as the original score for the next turn
     currentPlayer.originalScore = currentPlayer.score;
+    this.syncTeam(currentPlayer);
     
     // Make current player inactive
     currentPlayer.isActive = false;
+    this.match.awaitingTakeout = false;
     
-    // Move to the next player
-    this.match.activePlayerIndex = (this.match.activePlayerIndex + 1) % this.match.players.length;
+    // Move to the next player still in the leg
+    const nextIndex = this.getNextPlayerIndex();
     
     // If we've completed a round, increment the round counter
-    if (this.match.activePlayerIndex === 0) {
+    if (nextIndex <= this.match.activePlayerIndex) {
       this.match.round++;
     }
+    this.match.activePlayerIndex = nextIndex;
     
     // Make the next player active
     this.match.players[this.match.activePlayerIndex].isActive = true;
@@ -496,9 +815,97 @@ export class MatchManager extends EventEmitter {
   }
 
   /**
-   * Setup the next leg
+   * Record a won leg and move the match on to the next leg, the next set or
+   * its end. Playing sets, legsPerSet legs win a set and setsToWin sets the
+   * match; otherwise the match rules decide, which can also send a level
+   * match to a sudden-death leg or a tie-break bull-off. Teammates share
+   * their legs and sets
    */
-  private async setupNextLeg(): Promise<void> {
+  async recordLegWin(winnerId: number): Promise<LegResult> {
+    if (!this.match) {
+      throw new Error('No match in progress');
+    }
+
+    const winner = this.match.players.find(p => p.id === winnerId);
+    if (!winner) {
+      throw new Error(`Player with id ${winnerId} not found`);
+    }
+
+    winner.legsWon = (winner.legsWon || 0) + 1;
+    this.syncTeam(winner);
+
+    let setWon = false;
+    let matchWon = false;
+    let tiebreak: LegResult['tiebreak'] = null;
+
+    if (this.match.setsToWin > 0) {
+      if (winner.legsWon >= this.match.legsPerSet) {
+        setWon = true;
+        winner.setsWon = (winner.setsWon || 0) + 1;
+        this.syncTeam(winner);
+        matchWon = winner.setsWon >= this.match.setsToWin;
+
+        this.emit('setWon', {
+          matchId: this.match.id,
+          playerId: winnerId,
+          teamId: winner.teamId,
+          set: this.match.currentSet,
+          sets: this.match.players.map(p => ({ playerId: p.id, setsWon: p.setsWon || 0 })),
+          legs: this.match.players.map(p => ({ playerId: p.id, legsWon: p.legsWon || 0 }))
+        });
+      }
+      if (matchWon) this.match.decidedBy = 'sets';
+    } else {
+      const decision = matchRules.decideMatch(
+        Object.fromEntries(this.getSides().map(p => [p.id, p.legsWon || 0])),
+        this.match.rules
+      );
+      matchWon = decision.decided;
+      if (matchWon) this.match.decidedBy = decision.decidedBy!;
+      if (decision.suddenDeath) tiebreak = 'leg';
+      if (decision.bullOff) tiebreak = 'bull';
+
+      if (tiebreak) {
+        this.emit('tiebreakStarted', {
+          matchId: this.match.id,
+          tieBreak: tiebreak,
+          players: decision.tiedPlayers,
+          legs: this.match.players.map(p => ({ playerId: p.id, legsWon: p.legsWon || 0 }))
+        });
+      }
+    }
+
+    if (matchWon) {
+      this.markWinner(winner);
+      this.match.state = 'completed';
+      this.match.stats.endTime = new Date();
+      await this.saveMatchState();
+    } else if (tiebreak === 'bull') {
+      // Tied players, or each tied team's first player, throw for bull in
+      // player order and the closest wins the match
+      this.match.state = 'bullshot';
+      this.match.awaitingTakeout = false;
+      this.match.players.forEach(p => { p.isActive = false; p.currentTurn = []; });
+      this.match.bullOff = {
+        attempt: 1,
+        pending: this.getSides().filter(p => (p.legsWon || 0) === winner.legsWon).map(p => p.id),
+        shots: [],
+        tiebreak: true
+      };
+      await this.saveMatchState();
+    } else {
+      await this.setupNextLeg(setWon);
+    }
+
+    return { setWon, matchWon, tiebreak };
+  }
+
+  /**
+   * Setup the next leg. Leg starters alternate within a set; a new set is
+   * started by the player after the previous set's starter. As teams sit
+   * alternately, the starting team alternates too
+   */
+  private async setupNextLeg(newSet: boolean = false): Promise<void> {
     if (!this.match) return;
 
     // Increment leg counter
@@ -507,25 +914,37 @@ export class MatchManager extends EventEmitter {
     this.match.stats.legsPlayed++;
 
     // Determine the next leg starter (alternating)
-    const lastStarterIndex = this.match.players.findIndex(
-      p => p.id === this.match.legStarters[this.match.currentLeg - 2]
-    );
+    const previousStarterId = newSet
+      ? this.match.setStarters[this.match.currentSet - 1]
+      : this.match.legStarters[this.match.currentLeg - 2];
+    const lastStarterIndex = this.match.players.findIndex(p => p.id === previousStarterId);
     const nextStarterIndex = (lastStarterIndex + 1) % this.match.players.length;
     const nextStarterId = this.match.players[nextStarterIndex].id;
     this.match.legStarters[this.match.currentLeg - 1] = nextStarterId;
 
-    // Reset player scores
+    // A new set starts with everyone back on zero legs
+    if (newSet) {
+      this.match.currentSet++;
+      this.match.setStarters[this.match.currentSet - 1] = nextStarterId;
+      this.match.players.forEach(player => { player.legsWon = 0; });
+    }
+
+    // Reset players, and their scores for the game mode
     this.match.players.forEach(player => {
-      player.score = this.match.settings.startingScore;
-      player.originalScore = this.match.settings.startingScore;
       player.isActive = player.id === nextStarterId;
       player.isWinner = false;
       player.currentTurn = [];
       player.dartsThrown = 0;
     });
+    this.startModeLeg(this.match);
+    this.match.teams?.forEach(team => {
+      if (newSet) team.legsWon = 0;
+      team.isWinner = false;
+    });
 
     // Set active player
     this.match.activePlayerIndex = nextStarterIndex;
+    this.match.awaitingTakeout = false;
     
     // Reset round counter
     this.match.round = 1;
@@ -534,6 +953,7 @@ export class MatchManager extends EventEmitter {
     
     this.emit('legChanged', {
       currentLeg: this.match.currentLeg,
+      currentSet: this.match.currentSet,
       legStarter: nextStarterId
     });
   }
@@ -609,6 +1029,7 @@ export class MatchManager extends EventEmitter {
       bust: false,
       gameShot: false,
       legWon: false,
+      setWon: false,
       matchWon: false,
       checkoutSuggestion: null
     };
@@ -634,9 +1055,9 @@ export class MatchManager extends EventEmitter {
 
     // If a winning player is specified, mark them as the winner
     if (winningPlayerId) {
-      const playerIndex = this.match.players.findIndex(p => p.id === winningPlayerId);
-      if (playerIndex !== -1) {
-        this.match.players[playerIndex].isWinner = true;
+      const winner = this.match.players.find(p => p.id === winningPlayerId);
+      if (winner) {
+        this.markWinner(winner);
       }
     }
 
@@ -667,20 +1088,157 @@ export class MatchManager extends EventEmitter {
   }
 
   /**
-   * Get the current match
+   * Seat team players alternately from each team (A1, B1, A2, B2). Every
+   * player must be in exactly one team and the teams must be the same size
    */
-  getMatch(): Match | null {
-    return this.match ? { ...this.match } : null;
+  private seatTeams(players: PlayerModel[], teams: TeamSetup[]): PlayerModel[] {
+    if (teams.length < 2) {
+      throw new Error('A team match needs at least 2 teams');
+    }
+
+    const teamSize = teams[0].playerIds.length;
+    if (teamSize === 0 || teams.some(t => t.playerIds.length !== teamSize)) {
+      throw new Error('Teams must have the same number of players');
+    }
+
+    const teamPlayerIds = teams.flatMap(t => t.playerIds);
+    if (
+      new Set(teamPlayerIds).size !== teamPlayerIds.length ||
+      teamPlayerIds.length !== players.length ||
+      players.some(p => !teamPlayerIds.includes(p.id))
+    ) {
+      throw new Error('Every player must be in exactly one team');
+    }
+
+    const seated: PlayerModel[] = [];
+    for (let i = 0; i < teamSize; i++) {
+      teams.forEach(team => {
+        seated.push(players.find(p => p.id === team.playerIds[i])!);
+      });
+    }
+    return seated;
   }
 
   /**
-   * Get player leg wins
+   * One player per side: every player, or each team's first player in team play
    */
-  private getPlayerLegWins(playerId: number): number {
-    if (!this.match) return 0;
-    
-    const playerStats = this.match.stats.players.get(playerId);
-    return playerStats ? playerStats.legsWon : 0;
+  private getSides(): Player[] {
+    const match = this.match!;
+    if (!match.teams) return match.players;
+
+    return match.teams.map(team => match.players.find(p => p.id === team.playerIds[0])!);
+  }
+
+  /**
+   * Set every player up for a new leg in the match's game mode; teammates
+   * share their team's side
+   */
+  private startModeLeg(match: Match): void {
+    const gameMode = gameModes.getGameMode(match.mode);
+    match.players.forEach((player, index) => {
+      gameMode.startLeg(player, player.teamId !== undefined ? player.teamId - 1 : index, match.settings);
+    });
+
+    match.teams?.forEach(team => {
+      team.score = match.players.find(p => p.id === team.playerIds[0])!.score;
+    });
+  }
+
+  /**
+   * What the game mode sees of the match when judging a player's dart
+   */
+  private getModeContext(player: Player, roundComplete: boolean = false): ModeContext {
+    return {
+      opponents: this.getSides().filter(p => !this.isSameSide(p, player)),
+      turn: player.currentTurn.map(t => t.segment),
+      roundComplete,
+      settings: this.match!.settings
+    };
+  }
+
+  /**
+   * Seat of the next player to throw, skipping players the game mode has
+   * knocked out of the leg
+   */
+  private getNextPlayerIndex(): number {
+    const match = this.match!;
+    const gameMode = gameModes.getGameMode(match.mode);
+
+    let index = match.activePlayerIndex;
+    for (let i = 0; i < match.players.length; i++) {
+      index = (index + 1) % match.players.length;
+      if (!gameMode.isOut?.(match.players[index])) return index;
+    }
+
+    return (match.activePlayerIndex + 1) % match.players.length;
+  }
+
+  /**
+   * Whether two players are the same player or teammates
+   */
+  private isSameSide(a: Player, b: Player): boolean {
+    return a.id === b.id || (a.teamId !== undefined && a.teamId === b.teamId);
+  }
+
+  /**
+   * Copy a player's shared state (score, legs, sets, cricket marks and game
+   * mode state) to their teammates and team
+   */
+  private syncTeam(player: Player): void {
+    const team = this.match?.teams?.find(t => t.id === player.teamId);
+    if (!team) return;
+
+    this.match!.players
+      .filter(p => p.teamId === team.id && p.id !== player.id)
+      .forEach(p => {
+        p.score = player.score;
+        p.originalScore = player.originalScore;
+        p.legsWon = player.legsWon;
+        p.setsWon = player.setsWon;
+        if (player.marks) p.marks = { ...player.marks };
+        if (player.modeState) p.modeState = { ...player.modeState };
+      });
+
+    team.score = player.score;
+    team.legsWon = player.legsWon;
+    team.setsWon = player.setsWon;
+  }
+
+  /**
+   * Mark the match winner, with their teammates and team in team play
+   */
+  private markWinner(winner: Player): void {
+    this.match!.players
+      .filter(p => this.isSameSide(p, winner))
+      .forEach(p => { p.isWinner = true; });
+
+    const team = this.match!.teams?.find(t => t.id === winner.teamId);
+    if (team) team.isWinner = true;
+  }
+
+  /**
+   * Update a player's stats and, in team play, their team's stats, which
+   * teamUpdate replaces when the team is counted differently
+   */
+  private updateStats(playerId: number, update: StatsUpdate, teamUpdate: StatsUpdate = update): void {
+    const stats = this.match!.stats;
+    const playerStats = stats.players.get(playerId);
+    if (playerStats) {
+      stats.players.set(playerId, update(playerStats));
+    }
+
+    const teamId = this.match!.players.find(p => p.id === playerId)?.teamId;
+    const teamStats = teamId !== undefined ? stats.teams?.get(teamId) : undefined;
+    if (teamId !== undefined && teamStats) {
+      stats.teams!.set(teamId, teamUpdate(teamStats));
+    }
+  }
+
+  /**
+   * Get the current match
+   */
+  getMatch(): Match | null {
+    return this.match ? { ...this.match } : null;
   }
 
   /**
@@ -750,18 +1308,26 @@ export class MatchManager extends EventEmitter {
     // Use the dbRun helper method instead of redefining it here
     try {
       const sql = `INSERT INTO matches (
-        board_id, mode, legs_to_win, current_leg, active_player_index,
-        state, settings, timestamp, is_autosaved
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+        board_id, mode, legs_to_win, sets_to_win, legs_per_set, current_leg, current_set,
+        active_player_index, state, settings, timestamp, is_autosaved
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
 
       const params = [
         this.match.boardId,
         this.match.mode,
         this.match.legsToWin,
+        this.match.setsToWin,
+        this.match.legsPerSet,
         this.match.currentLeg,
+        this.match.currentSet,
         this.match.activePlayerIndex,
         this.match.state,
-        JSON.stringify(this.match.settings),
+        JSON.stringify({
+          ...this.match.settings,
+          legsToWin: this.match.legsToWin,
+          rules: this.match.rules,
+          teams: this.match.teams?.map(({ id, name, playerIds }) => ({ id, name, playerIds }))
+        }),
         this.match.timestamp,
         this.match.isAutosaved ? 1 : 0
       ];
@@ -772,8 +1338,23 @@ export class MatchManager extends EventEmitter {
       // Insert player-match relationships
       for (const player of this.match.players) {
         await this.dbRun(
-          'INSERT INTO match_players (match_id, player_id, position, original_score) VALUES (?, ?, ?, ?)',
-          [matchId, player.id, player.position, player.originalScore]
+          'INSERT INTO match_players (match_id, player_id, position, original_score, team, mode_state) VALUES (?, ?, ?, ?, ?, ?)',
+          [
+            matchId,
+            player.id,
+            player.position,
+            player.originalScore,
+            player.teamId ?? null,
+            player.modeState ? JSON.stringify(player.modeState) : null
+          ]
+        );
+      }
+
+      // Insert teams
+      for (const team of this.match.teams || []) {
+        await this.dbRun(
+          'INSERT INTO teams (match_id, position, name) VALUES (?, ?, ?)',
+          [matchId, team.id, team.name]
         );
       }
 
@@ -792,6 +1373,37 @@ export class MatchManager extends EventEmitter {
     }
   }
 
+  /**
+   * Save a bull-off dart to database
+   */
+  private async saveBullShotToDb(
+    shot: BullResult,
+    coordinates: [number, number] | null,
+    attempt: number
+  ): Promise<void> {
+    if (!this.match || !this.db) {
+      throw new Error('Match or database not available');
+    }
+
+    try {
+      await this.dbRun(
+        `INSERT INTO bull_shots (match_id, player_id, attempt, segment, coordinates, distance)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          this.match.id,
+          shot.playerId,
+          attempt,
+          shot.segment,
+          coordinates ? JSON.stringify(coordinates) : null,
+          shot.distance
+        ]
+      );
+    } catch (error) {
+      console.error('Error saving bull shot to database:', error);
+      throw error;
+    }
+  }
+
   /**
    * Save throw to database
    */
@@ -804,8 +1416,8 @@ export class MatchManager extends EventEmitter {
     try {
       const sql = `INSERT INTO throws (
         match_id, player_id, leg, round, throw_order, segment, score,
-        is_valid, coordinates, timestamp
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+        is_valid, coordinates, angle, detection_time, timestamp
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
 
       const params = [
         this.match.id,
@@ -817,6 +1429,8 @@ export class MatchManager extends EventEmitter {
         throwData.score,
         throwData.isValid ? 1 : 0,
         throwData.coordinates ? JSON.stringify(throwData.coordinates) : null,
+        throwData.angle ? JSON.stringify(throwData.angle) : null,
+        throwData.detectionTime || null,
         throwData.timestamp || Date.now()
       ];
 
@@ -912,7 +1526,25 @@ export class MatchManager extends EventEmitter {
           history: [],
           currentTurn: [],
           originalScore: playerScore?.score || settings.startingScore || 501,
-          dartsThrown: 0
+          dartsThrown: 0,
+          legsWon: playerScore?.legsWon || 0,
+          setsWon: playerScore?.setsWon || 0,
+          teamId: mp.team ?? undefined,
+          modeState: mp.mode_state ? JSON.parse(mp.mode_state) : undefined
+        };
+      });
+
+      // Teams share their first player's score, legs and sets
+      const teams: Team[] | undefined = settings.teams?.map((team: any) => {
+        const first = players.find(p => p.id === team.playerIds[0]);
+        return {
+          id: team.id,
+          name: team.name,
+          playerIds: team.playerIds,
+          score: first ? first.score : settings.startingScore || 501,
+          legsWon: first?.legsWon || 0,
+          setsWon: first?.setsWon || 0,
+          isWinner: !!first?.isWinner
         };
       });
       
@@ -941,8 +1573,13 @@ export class MatchManager extends EventEmitter {
         id: matchId,
         boardId: match.board_id,
         players,
+        teams,
         legsToWin: settings.legsToWin || 3,
+        rules: matchRules.normalizeMatchRules(settings.rules || { legs: settings.legsToWin || 3 }),
+        setsToWin: match.sets_to_win || 0,
+        legsPerSet: match.legs_per_set || 3,
         currentLeg: scores.currentLeg || 1,
+        currentSet: match.current_set || scores.currentSet || 1,
         activePlayerIndex: players.findIndex(p => p.isActive),
         mode: match.mode,
         state: match.state,
@@ -951,11 +1588,20 @@ export class MatchManager extends EventEmitter {
           doubleOut: settings.doubleOut === undefined ? true : !!settings.doubleOut,
           masterOut: settings.masterOut || false,
           startingScore: settings.startingScore || 501,
-          checkoutSuggestions: settings.checkoutSuggestions !== false
+          checkoutSuggestions: settings.checkoutSuggestions !== false,
+          cutThroat: !!settings.cutThroat,
+          warmupDarts: settings.warmupDarts,
+          shanghaiRounds: settings.shanghaiRounds,
+          killerLives: settings.killerLives
         },
         stats: scores.stats ? statsTracker.deserializeMatchStats(scores.stats) : 
-          statsTracker.initMatchStats(players.map(p => p.id), settings.legsToWin || 3),
+          statsTracker.initMatchStats(
+            players.map(p => p.id),
+            settings.legsToWin || 3,
+            teams ? teams.map(t => t.id) : []
+          ),
         legStarters: scores.legStarters || [players[0].id],
+        setStarters: scores.setStarters || [players[0].id],
         round: scores.round || 1,
         timestamp: Date.now(),
         isAutosaved: false
@@ -1012,6 +1658,7 @@ export class MatchManager extends EventEmitter {
         originalScore: this.settings.startingScore,
         dartsThrown: 0,
         legsWon: 0,
+        setsWon: 0,
         stats: playerStats
       };
     });
@@ -0,0 +1,157 @@
+/**
+ * MatchRules module
+ * Decides when a legs match is over: first to N or best of N legs, optionally
+ * two clear, with a sudden-death leg or a bull-off breaking a tie
+ */
+
+export type MatchFormat = 'first_to' | 'best_of';
+export type TieBreak = 'leg' | 'bull';
+export type DecidedBy = 'legs' | 'two_clear' | 'sudden_death' | 'bull_off' | 'sets';
+
+export interface MatchRules {
+  format: MatchFormat;
+  legs: number;
+  twoClear: boolean;
+  suddenDeathAt: number; // Legs each at which a level two-clear match goes to the tie-break, 0 for no cap
+  tieBreak: TieBreak;
+}
+
+export interface MatchDecision {
+  decided: boolean;
+  winnerId: number | null;
+  decidedBy: DecidedBy | null;
+  suddenDeath: boolean; // The next leg decides the match
+  bullOff: boolean; // A bull-off between tiedPlayers decides the match
+  tiedPlayers: number[];
+}
+
+export const DEFAULT_MATCH_RULES: MatchRules = {
+  format: 'first_to',
+  legs: 3,
+  twoClear: false,
+  suddenDeathAt: 0,
+  tieBreak: 'leg'
+};
+
+/**
+ * Legs needed to win a match, before any two-clear or tie-break rule
+ */
+export function getLegsToWin(rules: MatchRules): number {
+  return rules.format === 'best_of' ? Math.floor(rules.legs / 2) + 1 : rules.legs;
+}
+
+/**
+ * Fill in defaults and discard invalid values
+ */
+export function normalizeMatchRules(rules: Partial<MatchRules> = {}): MatchRules {
+  const normalized: MatchRules = {
+    format: rules.format === 'best_of' ? 'best_of' : 'first_to',
+    legs: Math.max(Number(rules.legs) || DEFAULT_MATCH_RULES.legs, 1),
+    twoClear: !!rules.twoClear,
+    suddenDeathAt: Math.max(Number(rules.suddenDeathAt) || 0, 0),
+    tieBreak: rules.tieBreak === 'bull' ? 'bull' : 'leg'
+  };
+
+  // A cap below the winning line would end the match before anyone gets there
+  if (normalized.suddenDeathAt > 0) {
+    normalized.suddenDeathAt = Math.max(normalized.suddenDeathAt, getLegsToWin(normalized) - 1);
+  }
+
+  return normalized;
+}
+
+/**
+ * Legs each at which a level match goes to the tie-break, 0 when it cannot tie
+ */
+function getTiePoint(rules: MatchRules): number {
+  if (rules.twoClear) return rules.suddenDeathAt;
+  if (rules.format === 'best_of' && rules.legs % 2 === 0) return rules.legs / 2;
+  return 0;
+}
+
+/**
+ * Decide whether a match is over after a leg
+ * @param legsWon Legs won per player id
+ * @param rules Match rules
+ */
+export function decideMatch(legsWon: Record<number, number>, rules: Partial<MatchRules>): MatchDecision {
+  const normalized = normalizeMatchRules(rules);
+  const standings = Object.entries(legsWon)
+    .map(([playerId, legs]) => ({ playerId: Number(playerId), legs: legs || 0 }))
+    .sort((a, b) => b.legs - a.legs);
+
+  const [leader, runnerUp] = standings;
+  const lead = leader.legs - (runnerUp ? runnerUp.legs : 0);
+  const tiePoint = getTiePoint(normalized);
+  const undecided: MatchDecision = {
+    decided: false,
+    winnerId: null,
+    decidedBy: null,
+    suddenDeath: false,
+    bullOff: false,
+    tiedPlayers: []
+  };
+
+  // Past the tie point the match is decided on the next leg or by a bull-off
+  if (tiePoint > 0 && runnerUp && runnerUp.legs >= tiePoint) {
+    if (lead > 0) {
+      return { ...undecided, decided: true, winnerId: leader.playerId, decidedBy: 'sudden_death' };
+    }
+
+    const tiedPlayers = standings.filter(s => s.legs === leader.legs).map(s => s.playerId);
+    return normalized.tieBreak === 'bull'
+      ? { ...undecided, bullOff: true, tiedPlayers }
+      : { ...undecided, suddenDeath: true, tiedPlayers };
+  }
+
+  if (leader.legs >= getLegsToWin(normalized) && lead >= (normalized.twoClear ? 2 : 1)) {
+    return {
+      ...undecided,
+      decided: true,
+      winnerId: leader.playerId,
+      decidedBy: normalized.twoClear ? 'two_clear' : 'legs'
+    };
+  }
+
+  return undecided;
+}
+
+/**
+ * Human readable rules, e.g. 'Best of 5 legs, two clear, sudden-death leg at 5-5'
+ */
+export function describeMatchRules(rules: Partial<MatchRules>): string {
+  const normalized = normalizeMatchRules(rules);
+  const parts = [`${normalized.format === 'best_of' ? 'Best of' : 'First to'} ${normalized.legs} legs`];
+  const tieBreak = normalized.tieBreak === 'bull' ? 'bull-off' : 'sudden-death leg';
+  const tiePoint = getTiePoint(normalized);
+
+  if (normalized.twoClear) parts.push('two clear');
+  if (tiePoint > 0) parts.push(`${tieBreak} at ${tiePoint}-${tiePoint}`);
+
+  return parts.join(', ');
+}
+
+/**
+ * Format a games row was played under, including set play
+ */
+export function describeGameFormat(game: any): string {
+  if (game.sets_to_win > 0) {
+    return `First to ${game.sets_to_win} sets of ${game.legs_per_set} legs`;
+  }
+
+  return describeMatchRules({
+    format: game.match_format,
+    legs: game.legs_required,
+    twoClear: !!game.two_clear,
+    suddenDeathAt: game.sudden_death_at,
+    tieBreak: game.tie_break
+  });
+}
+
+export default {
+  getLegsToWin,
+  normalizeMatchRules,
+  decideMatch,
+  describeMatchRules,
+  describeGameFormat
+}; 
\ No newline at end of file
@@ -3,6 +3,8 @@
  * Calculates and stores averages, checkout percentages, and other statistics
  */
 
+import { isCheckout } from '../utils/checkout';
+
 export interface PlayerStats {
   dartsThrown: number;
   pointsScored: number;
@@ -19,10 +21,14 @@ export interface PlayerStats {
   checkoutPercentage: number;
   dartsPerLeg: number;
   bestLegDarts: number;
+  cricketDarts: number;
+  cricketMarks: number;
+  marksPerRound: number;
 }
 
 export interface MatchStats {
   players: Map<number, PlayerStats>;
+  teams?: Map<number, PlayerStats>; // Team play only, keyed by team id
   checkoutSuggestions: boolean;
   startTime: Date;
   endTime: Date | null;
@@ -51,21 +57,33 @@ export function initPlayerStats(): PlayerStats {
     averageThrow: 0,
     checkoutPercentage: 0,
     dartsPerLeg: 0,
-    bestLegDarts: 0
+    bestLegDarts: 0,
+    cricketDarts: 0,
+    cricketMarks: 0,
+    marksPerRound: 0
   };
 }
 
 /**
  * Initialize match stats
+ * @param playerIds Players in the match
+ * @param legsToWin Legs needed to win
+ * @param teamIds Teams in a team match, whose stats are kept alongside the players'
  */
-export function initMatchStats(playerIds: number[], legsToWin: number): MatchStats {
+export function initMatchStats(playerIds: number[], legsToWin: number, teamIds: number[] = []): MatchStats {
   const players = new Map<number, PlayerStats>();
   playerIds.forEach(id => {
     players.set(id, initPlayerStats());
   });
 
+  const teams = teamIds.length > 0 ? new Map<number, PlayerStats>() : undefined;
+  teamIds.forEach(id => {
+    teams!.set(id, initPlayerStats());
+  });
+
   return {
     players,
+    teams,
     checkoutSuggestions: true,
     startTime: new Date(),
     endTime: null,
@@ -198,13 +216,34 @@ export function updateLegWin(
   return updatedStats;
 }
 
+/**
+ * Update cricket stats with a new dart
+ * @param stats Current player stats
+ * @param marks Marks the dart counted on a cricket number, including scoring marks
+ * @returns Updated player stats
+ */
+export function updateCricketThrow(
+  stats: PlayerStats,
+  marks: number
+): PlayerStats {
+  const updatedStats = { ...stats };
+
+  updatedStats.cricketDarts = (updatedStats.cricketDarts || 0) + 1;
+  updatedStats.cricketMarks = (updatedStats.cricketMarks || 0) + marks;
+
+  // Marks per round (MPR) of three darts
+  updatedStats.marksPerRound = (updatedStats.cricketMarks / updatedStats.cricketDarts) * 3;
+
+  return updatedStats;
+}
+
 /**
  * Check if a player is in a checkout position
  * @param score Player's current score
  * @returns Whether the player can check out with 3 darts
  */
 export function isCheckoutPosition(score: number): boolean {
-  return score <= 170 && score !== 169 && score !== 168 && score !== 166 && score !== 165 && score !== 163 && score !== 162 && score !== 159;
+  return isCheckout(score, 3);
 }
 
 /**
@@ -223,7 +262,8 @@ export function formatPlayerStats(stats: PlayerStats): any {
     tonPlus: stats.tonPlus,
     tonFortyPlus: stats.tonFortyPlus,
     tonEightyPlus: stats.tonEightyPlus,
-    bestLegDarts: stats.bestLegDarts
+    bestLegDarts: stats.bestLegDarts,
+    marksPerRound: Math.round((stats.marksPerRound || 0) * 100) / 100
   };
 }
 
@@ -238,9 +278,18 @@ export function serializeMatchStats(matchStats: MatchStats): any {
     serializedPlayers[playerId.toString()] = stats;
   });
 
+  let serializedTeams: Record<string, PlayerStats> | undefined;
+  if (matchStats.teams) {
+    serializedTeams = {};
+    matchStats.teams.forEach((stats, teamId) => {
+      serializedTeams![teamId.toString()] = stats;
+    });
+  }
+
   return {
     ...matchStats,
-    players: serializedPlayers
+    players: serializedPlayers,
+    teams: serializedTeams
   };
 }
 
@@ -258,9 +307,18 @@ export function deserializeMatchStats(serializedStats: any): MatchStats {
     });
   }
 
+  let teams: Map<number, PlayerStats> | undefined;
+  if (serializedStats.teams) {
+    teams = new Map<number, PlayerStats>();
+    Object.entries(serializedStats.teams).forEach(([teamId, stats]) => {
+      teams!.set(parseInt(teamId), stats as PlayerStats);
+    });
+  }
+
   return {
     ...serializedStats,
     players,
+    teams,
     startTime: new Date(serializedStats.startTime),
     endTime: serializedStats.endTime ? new Date(serializedStats.endTime) : null
   };
@@ -272,6 +330,7 @@ export default {
   updatePlayerThrow,
   updatePlayerTurn,
   updateLegWin,
+  updateCricketThrow,
   isCheckoutPosition,
   formatPlayerStats,
   serializeMatchStats,
@@ -1,8 +1,10 @@
 /**
  * Validator module
- * Handles busts and double-out rules for dart games
+ * Handles busts and double-out rules for x01, and marks and closing for cricket
  */
 
+import * as checkout from '../utils/checkout';
+
 export interface ValidatorOptions {
   doubleIn: boolean;
   doubleOut: boolean;
@@ -38,6 +40,24 @@ export function isMaster(segment: string): boolean {
   return isDouble(segment) || isTriple(segment);
 }
 
+/**
+ * Number and multiplier of a segment; 25 is the bull
+ * @param segment Segment hit (e.g., 'T20', 'BULL', 'DBULL')
+ * @returns { number, multiplier }, or null for a miss
+ */
+export function parseSegment(segment: string): { number: number; multiplier: number } | null {
+  if (segment === 'DBULL') return { number: 25, multiplier: 2 };
+  if (segment === 'BULL' || segment === 'SBULL') return { number: 25, multiplier: 1 };
+
+  const match = /^([SDT])(\d{1,2})$/.exec(segment);
+  if (!match) return null;
+
+  const number = parseInt(match[2], 10);
+  if (number < 1 || number > 20) return null;
+
+  return { number, multiplier: { S: 1, D: 2, T: 3 }[match[1] as 'S' | 'D' | 'T'] };
+}
+
 /**
  * Validates a throw for X01 games
  * @param currentScore Current player score
@@ -137,6 +157,117 @@ export function validateX01Throw(
   };
 }
 
+// Numbers in play for cricket; 25 is the bull
+export const CRICKET_NUMBERS = [20, 19, 18, 17, 16, 15, 25];
+
+// Marks needed to close a number
+export const CRICKET_CLOSED = 3;
+
+export type CricketMarks = Record<number, number>;
+
+export interface CricketOptions {
+  cutThroat: boolean;
+}
+
+export interface CricketValidationResult extends ValidationResult {
+  number: number | null;
+  marksAdded: number;
+  points: number;
+  closed: boolean;
+}
+
+/**
+ * Empty cricket marks for a player
+ */
+export function createCricketMarks(): CricketMarks {
+  return CRICKET_NUMBERS.reduce((marks, number) => ({ ...marks, [number]: 0 }), {} as CricketMarks);
+}
+
+/**
+ * Number and marks a segment is worth in cricket
+ * @param segment Segment hit (e.g., 'T20', 'BULL', 'DBULL')
+ * @returns { number, marks }, or null when the dart does not count in cricket
+ */
+export function parseCricketSegment(segment: string): { number: number; marks: number } | null {
+  if (segment === 'DBULL') return { number: 25, marks: 2 };
+  if (segment === 'BULL' || segment === 'SBULL') return { number: 25, marks: 1 };
+
+  const match = /^([SDT])(\d{1,2})$/.exec(segment);
+  if (!match) return null;
+
+  const number = parseInt(match[2], 10);
+  if (!CRICKET_NUMBERS.includes(number)) return null;
+
+  return { number, marks: { S: 1, D: 2, T: 3 }[match[1] as 'S' | 'D' | 'T'] };
+}
+
+/**
+ * Validates a throw for cricket. Marks beyond the third on a number score
+ * while at least one opponent still has it open: for the thrower in standard
+ * cricket, and for every opponent with it open in cut-throat
+ * @param marks Marks of the player throwing
+ * @param opponentMarks Marks of each opponent
+ * @param segment Segment hit
+ * @param options Game options (cut-throat)
+ * @returns Validation result; points are what the dart scored
+ */
+export function validateCricketThrow(
+  marks: CricketMarks,
+  opponentMarks: CricketMarks[],
+  segment: string,
+  options: CricketOptions
+): CricketValidationResult {
+  const hit = parseCricketSegment(segment);
+
+  if (!hit) {
+    return {
+      valid: true,
+      bust: false,
+      gameShot: false,
+      number: null,
+      marksAdded: 0,
+      points: 0,
+      closed: false,
+      reason: 'No cricket number hit'
+    };
+  }
+
+  const current = marks[hit.number] || 0;
+  const marksAdded = Math.min(hit.marks, Math.max(CRICKET_CLOSED - current, 0));
+  const extraMarks = hit.marks - marksAdded;
+  const openForOpponent = opponentMarks.some(opponent => (opponent[hit.number] || 0) < CRICKET_CLOSED);
+  const points = openForOpponent ? extraMarks * hit.number : 0;
+
+  return {
+    valid: true,
+    bust: false,
+    gameShot: false,
+    number: hit.number,
+    marksAdded,
+    points,
+    closed: current < CRICKET_CLOSED && current + marksAdded >= CRICKET_CLOSED,
+    reason: extraMarks > 0 && !openForOpponent ? 'Number closed by all players' : undefined
+  };
+}
+
+/**
+ * Whether a player has won a cricket leg: every number closed and the best
+ * score, which is the highest in standard cricket and the lowest in cut-throat
+ */
+export function isCricketWon(
+  marks: CricketMarks,
+  points: number,
+  opponentPoints: number[],
+  options: CricketOptions
+): boolean {
+  const allClosed = CRICKET_NUMBERS.every(number => (marks[number] || 0) >= CRICKET_CLOSED);
+  if (!allClosed) return false;
+
+  return options.cutThroat
+    ? opponentPoints.every(opponent => points <= opponent)
+    : opponentPoints.every(opponent => points >= opponent);
+}
+
 /**
  * Calculates distance from the bull
  * @param coordinates [x, y] coordinates on the board
@@ -148,104 +279,62 @@ export function calculateDistanceFromBull(coordinates: [number, number]): [numbe
   return [distance, `${distance} mm`];
 }
 
+// Outer edge of the double ring, in mm from the bull
+export const BOARD_RADIUS = 170;
+
+/**
+ * Whether a dart landed inside the scoring area
+ * @param coordinates [x, y] coordinates on the board
+ */
+export function isOnBoard(coordinates: [number, number]): boolean {
+  const [x, y] = coordinates;
+  return Math.sqrt(x * x + y * y) <= BOARD_RADIUS;
+}
+
 /**
- * Get suggested checkout for a given score
+ * Get suggested checkout for a given score, from the shared checkout solver
  * @param score Current score
  * @param dartsLeft Number of darts left in the current turn
+ * @param preferredDoubles The player's strongest doubles, most hit first
  * @returns Array of segments to aim for, or null if not possible
  */
-export function getCheckoutSuggestion(score: number, dartsLeft: number): string[] | null {
-  // Not a possible checkout
-  if (score > 170 || score <= 0 || score === 169 || score === 168 || score === 166 || score === 165 || score === 163 || score === 162 || score === 159) {
-    return null;
-  }
-
-  // Not enough darts
-  if ((score > 40 && dartsLeft < 2) || (score > 110 && dartsLeft < 3)) {
-    return null;
-  }
-
-  // One dart checkouts (doubles)
-  if (score <= 40 && score % 2 === 0) {
-    return [`D${score / 2}`];
-  }
-
-  // Two dart checkouts
-  if (dartsLeft >= 2) {
-    // Special case for 50
-    if (score === 50) {
-      return ['BULL'];
-    }
-
-    // Check if we can do it with a single + double
-    const remainder = score - 50;
-    if (remainder > 0 && remainder <= 40 && remainder % 2 === 0) {
-      return ['BULL', `D${remainder / 2}`];
-    }
-
-    // Try treble + double combinations
-    for (let i = 1; i <= 20; i++) {
-      const remainingAfterTreble = score - (i * 3);
-      if (remainingAfterTreble > 0 && remainingAfterTreble <= 40 && remainingAfterTreble % 2 === 0) {
-        return [`T${i}`, `D${remainingAfterTreble / 2}`];
-      }
-    }
-
-    // Try single + double combinations
-    for (let i = 1; i <= 20; i++) {
-      const remainingAfterSingle = score - i;
-      if (remainingAfterSingle > 0 && remainingAfterSingle <= 40 && remainingAfterSingle % 2 === 0) {
-        return [`S${i}`, `D${remainingAfterSingle / 2}`];
-      }
-    }
-  }
-
-  // Three dart checkouts
-  if (dartsLeft >= 3) {
-    // Special cases
-    if (score === 170) return ['T20', 'T20', 'BULL'];
-    if (score === 167) return ['T20', 'T19', 'BULL'];
-    if (score === 164) return ['T20', 'T18', 'BULL'];
-    if (score === 161) return ['T20', 'T17', 'BULL'];
-    if (score === 160) return ['T20', 'T20', 'D20'];
-    if (score === 158) return ['T20', 'T20', 'D19'];
-    if (score === 157) return ['T20', 'T19', 'D20'];
-    if (score === 156) return ['T20', 'T20', 'D18'];
-    if (score === 155) return ['T20', 'T19', 'D19'];
-    if (score === 154) return ['T20', 'T18', 'D20'];
-    if (score === 153) return ['T20', 'T19', 'D18'];
-    if (score === 152) return ['T20', 'T20', 'D16'];
-    if (score === 151) return ['T20', 'T17', 'D20'];
-    if (score === 150) return ['T20', 'T18', 'D18'];
-
-    // Generic approach for other scores
-    for (let i = 20; i >= 1; i--) {
-      const remainingAfterTreble = score - (i * 3);
-      if (remainingAfterTreble > 60 && remainingAfterTreble <= 110) {
-        for (let j = 20; j >= 1; j--) {
-          const finalRemaining = remainingAfterTreble - (j * 3);
-          if (finalRemaining > 0 && finalRemaining <= 40 && finalRemaining % 2 === 0) {
-            return [`T${i}`, `T${j}`, `D${finalRemaining / 2}`];
-          }
-        }
-      }
-    }
-  }
-
-  // Fallback for odd cases
-  if (score % 2 === 1) {
-    // For odd scores, suggest hitting a single first
-    return ['S1', ...getCheckoutSuggestion(score - 1, dartsLeft - 1) || []];
-  }
+export function getCheckoutSuggestion(
+  score: number,
+  dartsLeft: number,
+  preferredDoubles: string[] = []
+): string[] | null {
+  return checkout.getCheckoutSuggestion(score, dartsLeft, { preferredDoubles });
+}
 
-  return null;
+/**
+ * Get set-up advice for a score with no checkout on the darts left: the
+ * darts that leave the best finish for the next visit
+ * @param score Current score
+ * @param dartsLeft Number of darts left in the current turn
+ * @param preferredDoubles The player's strongest doubles, most hit first
+ * @returns Array of segments to aim for, or null if no finish is in reach
+ */
+export function getSetupSuggestion(
+  score: number,
+  dartsLeft: number,
+  preferredDoubles: string[] = []
+): string[] | null {
+  const [best] = checkout.findSetups(score, dartsLeft, { preferredDoubles, limit: 1 });
+  return best && best.route ? best.darts : null;
 }
 
 export default {
+  parseSegment,
   validateX01Throw,
+  validateCricketThrow,
+  createCricketMarks,
+  parseCricketSegment,
+  isCricketWon,
   isDouble,
   isTriple,
   isMaster,
   calculateDistanceFromBull,
-  getCheckoutSuggestion
+  isOnBoard,
+  getCheckoutSuggestion,
+  getSetupSuggestion
 }; 
\ No newline at end of file
@@ -5,9 +5,31 @@ const scoringService = require('../services/scoringService');
 const scoliaService = require('../services/scoliaService');
 const { logGameAction } = require('../utils/gameLogger');
 const summaryService = require('../services/summaryService');
+const { normalizeMatchRules, describeMatchRules } = require('../utils/matchRules');
+const { MIN_PLAYERS, MAX_PLAYERS, addGamePlayers, addGameTeams, attachGamePlayers, getGameTeams, startModeLeg } = require('../utils/gamePlayers');
+const { getGameMode, isGameMode } = require('../utils/gameModes');
+const { normalizeTeams, seatTeams } = require('../utils/teams');
+const { normalizeHandicap, computeAutoStartingScores, hasHandicap, describeHandicap } = require('../utils/handicap');
 
 /**
- * Get all games with optional filtering
+ * Handicaps with each player's starting score set from their rolling 3-dart
+ * average over recent matches; any head start of legs is kept
+ */
+const getAutoHandicaps = async (playerIds, handicaps = {}) => {
+  const playerStats = await Promise.all(playerIds.map(playerId => summaryService.getPlayerStats(playerId)));
+  const startingScores = computeAutoStartingScores(Object.fromEntries(playerStats.map((stats, index) => [
+    playerIds[index],
+    stats.averageStats ? stats.averageStats.average : null
+  ])));
+  
+  return Object.fromEntries(playerIds.map(playerId => [
+    playerId,
+    normalizeHandicap({ ...handicaps[playerId], startingScore: startingScores[playerId] })
+  ]));
+};
+
+/**
+ * Get all games with optional filtering, each with its players in throwing order
  * GET /api/games?status=in_progress&tournamentId=1
  */
 router.get('/', async (req, res) => {
@@ -51,7 +73,12 @@ router.get('/', async (req, res) => {
         return res.status(500).json({ error: 'Database error' });
       }
       
-      res.json(games);
+      attachGamePlayers(db, games)
+        .then(gamesWithPlayers => res.json(gamesWithPlayers))
+        .catch(err => {
+          console.error('Error getting game players:', err);
+          res.status(500).json({ error: 'Database error' });
+        });
     });
   } catch (err) {
     console.error('Error in GET /games:', err);
@@ -60,7 +87,31 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * Get a specific game by ID
+ * Preview the automatic handicap for a set of players
+ * GET /api/games/handicaps?playerIds=1,2
+ */
+router.get('/handicaps', async (req, res) => {
+  try {
+    const playerIds = String(req.query.playerIds || '').split(',').map(id => parseInt(id, 10)).filter(Boolean);
+    
+    if (playerIds.length === 0) {
+      return res.status(400).json({ error: 'Player IDs are required' });
+    }
+    
+    const handicaps = await getAutoHandicaps(playerIds);
+    
+    res.json(Object.fromEntries(Object.entries(handicaps).map(([playerId, handicap]) => [
+      playerId,
+      { ...handicap, description: describeHandicap(handicap) }
+    ])));
+  } catch (err) {
+    console.error('Error computing handicaps:', err);
+    res.status(500).json({ error: err.message || 'Error computing handicaps' });
+  }
+});
+
+/**
+ * Get a specific game by ID, with its players in throwing order and its teams
  * GET /api/games/:id
  */
 router.get('/:id', async (req, res) => {
@@ -76,16 +127,25 @@ router.get('/:id', async (req, res) => {
       'LEFT JOIN boards b ON g.board_id = b.id ' +
       'WHERE g.id = ?',
       [gameId],
-      (err, game) => {
+      async (err, row) => {
         if (err) {
           console.error('Error getting game:', err);
           return res.status(500).json({ error: 'Database error' });
         }
         
-        if (!game) {
+        if (!row) {
           return res.status(404).json({ error: 'Game not found' });
         }
         
+        let game;
+        try {
+          [game] = await attachGamePlayers(db, [row]);
+          game.teams = await getGameTeams(db, game, game.players);
+        } catch (err) {
+          console.error('Error getting game players:', err);
+          return res.status(500).json({ error: 'Database error' });
+        }
+        
         // Get the current leg if game is in progress
         if (game.status === 'in_progress') {
           db.get(
@@ -131,6 +191,14 @@ router.get('/:id', async (req, res) => {
 /**
  * Create a new game
  * POST /api/games
+ * Body: { playerIds: [...] } with 2 to 8 players in throwing order, or { player1Id, player2Id }.
+ * Optional handicaps: { [playerId]: { startingScore, legs } }, and autoHandicap
+ * to set the starting scores from the players' averages. gameMode is '501' by
+ * default, another x01 variant such as '301', or 'cricket', 'around_the_clock',
+ * 'shanghai' or 'killer', with modeSettings such as { cutThroat, shanghaiRounds, killerLives }.
+ * For a team game pass teams: [{ name, playerIds }] instead of playerIds, the
+ * same size each; the players are seated A1, B1, A2, B2 and teammates share
+ * their first player's starting score
  */
 router.post('/', async (req, res) => {
   try {
@@ -138,16 +206,68 @@ router.post('/', async (req, res) => {
     const { 
       player1Id, 
       player2Id, 
+      teams = [],
       boardId, 
       tournamentId, 
-      legsRequired = 3
+      legsRequired = 3,
+      setsToWin = 0,
+      legsPerSet = 3,
+      handicaps = {},
+      autoHandicap = false,
+      gameMode = '501',
+      modeSettings = {}
     } = req.body;
+    const rules = normalizeMatchRules({ ...req.body, legs: legsRequired });
+    
+    // A team game seats its players from the teams
+    const teamSetup = normalizeTeams(teams);
+    let seating = [];
+    try {
+      seating = teamSetup.length > 0 ? seatTeams(teamSetup) : [];
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const playerTeams = Object.fromEntries(seating.map(seat => [seat.playerId, seat.team]));
+    const playerIds = seating.length > 0
+      ? seating.map(seat => seat.playerId)
+      : req.body.playerIds || [player1Id, player2Id];
     
     // Validate required fields
-    if (!player1Id || !player2Id) {
+    if (!Array.isArray(playerIds) || playerIds.some(id => !id)) {
       return res.status(400).json({ error: 'Player IDs are required' });
     }
     
+    if (playerIds.length < MIN_PLAYERS || playerIds.length > MAX_PLAYERS) {
+      return res.status(400).json({ error: `A game needs ${MIN_PLAYERS} to ${MAX_PLAYERS} players` });
+    }
+    
+    if (new Set(playerIds.map(String)).size !== playerIds.length) {
+      return res.status(400).json({ error: 'A player can only take one seat' });
+    }
+    
+    if (!isGameMode(String(gameMode))) {
+      return res.status(400).json({ error: `Unknown game mode: ${gameMode}` });
+    }
+    
+    // x01 variants start everyone without a handicap on the mode's score, e.g. 301
+    const isX01 = getGameMode(String(gameMode)).id === 'x01';
+    const startingScore = normalizeHandicap({ startingScore: parseInt(gameMode, 10) }).startingScore;
+    const playerHandicaps = autoHandicap
+      ? await getAutoHandicaps(playerIds, handicaps)
+      : Object.fromEntries(playerIds.map(playerId => [playerId, normalizeHandicap({
+        ...handicaps[playerId],
+        startingScore: (handicaps[playerId] || {}).startingScore || startingScore
+      })]));
+    // Teammates share one score, so they all start on their first player's
+    const seatHandicaps = Object.fromEntries(playerIds.map(playerId => [
+      playerId,
+      playerTeams[playerId] ? playerHandicaps[seating.find(seat => seat.team === playerTeams[playerId]).playerId] : playerHandicaps[playerId]
+    ]));
+    const handicapped = playerIds.filter(playerId => hasHandicap(seatHandicaps[playerId], startingScore));
+    const seatedDescription = teamSetup.length > 0
+      ? `teams ${teamSetup.map(team => `${team.name} (players ${team.playerIds.join(', ')})`).join(', ')}`
+      : `players ${playerIds.join(', ')}`;
+    
     // Start a transaction
     db.serialize(() => {
       db.run('BEGIN TRANSACTION');
@@ -156,9 +276,14 @@ router.post('/', async (req, res) => {
       db.run(
         `INSERT INTO games (
           player1_id, player2_id, board_id, tournament_id, 
-          legs_required, status, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
-        [player1Id, player2Id, boardId || null, tournamentId || null, legsRequired],
+          legs_required, match_format, two_clear, sudden_death_at, tie_break,
+          sets_to_win, legs_per_set, game_mode, mode_settings, status, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+        [
+          playerIds[0], playerIds[1], boardId || null, tournamentId || null,
+          rules.legs, rules.format, rules.twoClear ? 1 : 0, rules.suddenDeathAt, rules.tieBreak,
+          setsToWin, legsPerSet, String(gameMode), JSON.stringify(modeSettings)
+        ],
         function(err) {
           if (err) {
             db.run('ROLLBACK');
@@ -168,29 +293,44 @@ router.post('/', async (req, res) => {
           
           const gameId = this.lastID;
           
-          // Log the game creation
-          logGameAction(
-            db, 
-            gameId, 
-            'game_created', 
-            `Game created with players ${player1Id} and ${player2Id}, ${legsRequired} legs required`
-          ).then(() => {
-            db.run('COMMIT');
-            
-            // Get the created game
-            db.get('SELECT * FROM games WHERE id = ?', [gameId], (err, game) => {
-              if (err) {
-                console.error('Error getting created game:', err);
-                return res.status(500).json({ error: 'Database error' });
-              }
+          // Seat the players and set them up for the mode, then log the game creation
+          addGameTeams(db, gameId, teamSetup)
+            .then(() => addGamePlayers(db, gameId, playerIds, seatHandicaps, playerTeams))
+            .then(() => (isX01 ? null : startModeLeg(db, {
+              id: gameId,
+              game_mode: String(gameMode),
+              mode_settings: JSON.stringify(modeSettings)
+            })))
+            .then(() => logGameAction(
+              db, 
+              gameId, 
+              'game_created', 
+              `Game of ${gameMode} created with ${seatedDescription}, ${setsToWin > 0 ? `First to ${setsToWin} sets of ${legsPerSet} legs` : describeMatchRules(rules)}` +
+              handicapped.map(playerId => `, player ${playerId} handicap ${describeHandicap(seatHandicaps[playerId])}`).join('')
+            ))
+            .then(() => {
+              db.run('COMMIT');
               
-              res.status(201).json(game);
+              // Get the created game
+              db.get('SELECT * FROM games WHERE id = ?', [gameId], (err, game) => {
+                if (err) {
+                  console.error('Error getting created game:', err);
+                  return res.status(500).json({ error: 'Database error' });
+                }
+                
+                attachGamePlayers(db, [game])
+                  .then(([gameWithPlayers]) => res.status(201).json(gameWithPlayers))
+                  .catch(err => {
+                    console.error('Error getting game players:', err);
+                    res.status(500).json({ error: 'Database error' });
+                  });
+              });
+            })
+            .catch(err => {
+              db.run('ROLLBACK');
+              console.error('Error seating players or logging game creation:', err);
+              return res.status(500).json({ error: 'Database error' });
             });
-          }).catch(err => {
-            db.run('ROLLBACK');
-            console.error('Error logging game creation:', err);
-            return res.status(500).json({ error: 'Database error' });
-          });
         }
       );
     });
@@ -210,13 +350,17 @@ router.patch('/:id/status', async (req, res) => {
     const gameId = req.params.id;
     const { status } = req.body;
     
-    if (!status || !['pending', 'warmup', 'bull', 'in_progress', 'completed', 'cancelled'].includes(status)) {
+    if (!status || !['pending', 'warmup', 'bull', 'in_progress', 'tiebreak', 'completed', 'cancelled'].includes(status)) {
       return res.status(400).json({ error: 'Valid status is required' });
     }
     
+    // A game ended by hand finishes when it is first marked completed
     db.run(
-      'UPDATE games SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [status, gameId],
+      `UPDATE games SET status = ?,
+         completed_at = CASE WHEN ? = 'completed' THEN COALESCE(completed_at, CURRENT_TIMESTAMP) ELSE completed_at END,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, status, gameId],
       function(err) {
         if (err) {
           console.error('Error updating game status:', err);
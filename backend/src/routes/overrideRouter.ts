@@ -6,6 +6,14 @@ import { logGameAction } from '../utils/gameLogger';
 const router = express.Router();
 const matchManager = new MatchManager();
 
+/**
+ * Get the running board manager for a board, if the board server is active
+ */
+const getBoardManager = (boardId: number | string): any => {
+  const boardManagers = (global as any).boardManagers as Map<number, any> | undefined;
+  return boardManagers ? boardManagers.get(parseInt(String(boardId))) : undefined;
+};
+
 /**
  * Edit player score
  * PUT /api/override/match/:matchId/score
@@ -93,6 +101,22 @@ router.delete('/match/:matchId/throw/:throwId', async (req, res) => {
       return res.status(404).json({ error: 'Match not found' });
     }
     
+    // Tell the board first so it drops its own copy of the throw
+    let boardSynced = false;
+    const boardManager = getBoardManager(match.boardId);
+    
+    if (boardManager && boardManager.isConnected) {
+      try {
+        const result = await boardManager.deleteThrow(throwData);
+        boardSynced = result.boardSynced;
+      } catch (err) {
+        if ((err as any).code === 'REFUSED') {
+          return res.status(409).json({ error: `Board refused to delete the throw: ${(err as Error).message}` });
+        }
+        console.error(`Could not sync removal of throw ${throwId} to board:`, err);
+      }
+    }
+    
     // Delete the throw
     await db.run('DELETE FROM throws WHERE id = ?', [throwId]);
     
@@ -111,6 +135,7 @@ router.delete('/match/:matchId/throw/:throwId', async (req, res) => {
     res.json({
       success: true,
       message: 'Throw removed successfully',
+      boardSynced,
       match: matchManager.getMatch()
     });
   } catch (err) {
@@ -154,59 +179,26 @@ router.put('/match/:matchId/leg', async (req, res) => {
       playerStats.legsWon += 1;
     }
     
-    // Check if the match is won
-    const legsWon = playerStats?.legsWon || 0;
-    if (legsWon >= match.legsToWin) {
-      // Match is won
-      match.players[playerIndex].isWinner = true;
-      match.state = 'completed';
-      match.stats.endTime = new Date();
-    } else {
-      // Setup next leg
-      match.currentLeg++;
-      match.stats.currentLeg = match.currentLeg;
-      match.stats.legsPlayed++;
-      
-      // Determine the next leg starter (alternating)
-      const lastStarterIndex = match.players.findIndex(
-        p => p.id === match.legStarters[match.currentLeg - 2]
-      );
-      const nextStarterIndex = (lastStarterIndex + 1) % match.players.length;
-      const nextStarterId = match.players[nextStarterIndex].id;
-      match.legStarters[match.currentLeg - 1] = nextStarterId;
-
-      // Reset player scores
-      match.players.forEach(player => {
-        player.score = match.settings.startingScore;
-        player.originalScore = match.settings.startingScore;
-        player.isActive = player.id === nextStarterId;
-        player.isWinner = false;
-        player.currentTurn = [];
-        player.dartsThrown = 0;
-      });
-
-      // Set active player
-      match.activePlayerIndex = nextStarterIndex;
-      
-      // Reset round counter
-      match.round = 1;
-    }
-    
-    // Save the match state
-    await matchManager.saveMatchState();
+    // Award the leg; this can also complete the set and the match
+    const legNumber = match.currentLeg;
+    const setNumber = match.currentSet;
+    const { setWon, matchWon, tiebreak } = await matchManager.recordLegWin(parseInt(winnerId));
     
     // Log the action
     await logGameAction(
       getDb(),
       matchId,
       'leg_override',
-      `Leg ${match.currentLeg - 1} force-completed with winner ${winnerId} by admin ${adminId || 'unknown'}`,
+      `Leg ${legNumber} (set ${setNumber}) force-completed with winner ${winnerId} by admin ${adminId || 'unknown'}${matchWon ? ', match won' : setWon ? ', set won' : tiebreak ? `, tie-break by ${tiebreak === 'bull' ? 'bull-off' : 'sudden-death leg'}` : ''}`,
       adminId
     );
     
     res.json({
       success: true,
       message: 'Leg result forced successfully',
+      setWon,
+      matchWon,
+      tiebreak,
       match: matchManager.getMatch()
     });
   } catch (err) {
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { getDb } = require('../models/database');
+const { attachGamePlayers } = require('../utils/gamePlayers');
 
 /**
  * Get all players
@@ -159,24 +160,23 @@ router.get('/:id/stats', async (req, res) => {
       SELECT 
         p.id, p.name, p.nickname,
         COUNT(DISTINCT g.id) as games_played,
-        SUM(CASE WHEN g.player1_id = ? AND g.player1_legs >= g.legs_required THEN 1
-                 WHEN g.player2_id = ? AND g.player2_legs >= g.legs_required THEN 1
-                 ELSE 0 END) as games_won,
-        SUM(CASE WHEN g.player1_id = ? THEN g.player1_legs
-                 WHEN g.player2_id = ? THEN g.player2_legs
-                 ELSE 0 END) as legs_won,
+        SUM(CASE WHEN g.winner_id IS NOT NULL THEN g.winner_id = p.id
+                 WHEN g.sets_to_win > 0 THEN gp.sets_won >= g.sets_to_win
+                 ELSE gp.legs_won >= g.legs_required END) as games_won,
+        SUM(gp.legs_won) as legs_won,
         AVG(ps.three_dart_avg) as avg_three_dart_avg,
         SUM(ps.checkout_successes) as checkouts,
         SUM(ps.checkout_attempts) as checkout_attempts,
         MAX(ps.highest_checkout) as highest_checkout,
         AVG(ps.darts_per_leg) as avg_darts_per_leg
       FROM players p
-      JOIN games g ON p.id = g.player1_id OR p.id = g.player2_id
+      JOIN game_players gp ON gp.player_id = p.id
+      JOIN games g ON g.id = gp.game_id
       LEFT JOIN player_stats ps ON p.id = ps.player_id AND g.id = ps.game_id
       WHERE p.id = ?
     `;
     
-    const params = [playerId, playerId, playerId, playerId, playerId];
+    const params = [playerId];
     
     if (tournamentId) {
       query += ' AND g.tournament_id = ?';
@@ -206,7 +206,8 @@ router.get('/:id/stats', async (req, res) => {
       res.json({
         ...stats,
         checkout_percentage: checkoutPercentage,
-        win_percentage: winPercentage
+        win_percentage: winPercentage,
+        heatmap_url: `/api/players/${playerId}/heatmap`
       });
     });
   } catch (err) {
@@ -234,18 +235,23 @@ router.get('/:id/games', async (req, res) => {
       JOIN players p2 ON g.player2_id = p2.id
       LEFT JOIN tournaments t ON g.tournament_id = t.id
       LEFT JOIN boards b ON g.board_id = b.id
-      WHERE g.player1_id = ? OR g.player2_id = ?
+      WHERE g.id IN (SELECT game_id FROM game_players WHERE player_id = ?)
       ORDER BY g.updated_at DESC
       LIMIT ?
     `;
     
-    db.all(query, [playerId, playerId, limit], (err, games) => {
+    db.all(query, [playerId, limit], (err, games) => {
       if (err) {
         console.error('Error getting player games:', err);
         return res.status(500).json({ error: 'Database error' });
       }
       
-      res.json(games);
+      attachGamePlayers(db, games)
+        .then(gamesWithPlayers => res.json(gamesWithPlayers))
+        .catch(err => {
+          console.error('Error getting game players:', err);
+          res.status(500).json({ error: 'Database error' });
+        });
     });
   } catch (err) {
     console.error('Error in GET /players/:id/games:', err);
@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const { getDb, dbGet } = require('../models/database');
+const schedulerService = require('../services/schedulerService');
+
+/**
+ * Get the board scheduler's queue of ready tournament games and every board
+ * GET /api/schedule
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json(await schedulerService.getSchedule());
+  } catch (err) {
+    console.error('Error in GET /schedule:', err);
+    res.status(500).json({ error: err.message || 'Error getting schedule' });
+  }
+});
+
+/**
+ * Call the queued games that can be played now to free boards
+ * POST /api/schedule/run
+ */
+router.post('/run', async (req, res) => {
+  try {
+    const calls = await schedulerService.runScheduler(req.app.get('io'));
+    res.json({ calls });
+  } catch (err) {
+    console.error('Error in POST /schedule/run:', err);
+    res.status(500).json({ error: err.message || 'Error running scheduler' });
+  }
+});
+
+/**
+ * Reorder the queue
+ * PUT /api/schedule/order
+ * Body: { gameIds }, queued games in the order to call them
+ */
+router.put('/order', async (req, res) => {
+  try {
+    const { gameIds } = req.body;
+    
+    if (!Array.isArray(gameIds) || gameIds.some(id => !Number.isInteger(Number(id)))) {
+      return res.status(400).json({ error: 'gameIds must be a list of game IDs' });
+    }
+    
+    await schedulerService.reorderQueue(gameIds.map(Number));
+    await schedulerService.runScheduler(req.app.get('io'));
+    res.json(await schedulerService.getSchedule());
+  } catch (err) {
+    console.error('Error in PUT /schedule/order:', err);
+    res.status(500).json({ error: err.message || 'Error reordering queue' });
+  }
+});
+
+/**
+ * Pin a queued game to a board, e.g. the TV board, so it waits for that board
+ * PATCH /api/schedule/games/:id/pin
+ * Body: { boardId }, null to unpin
+ */
+router.patch('/games/:id/pin', async (req, res) => {
+  try {
+    const db = getDb();
+    const gameId = req.params.id;
+    const boardId = req.body.boardId ? Number(req.body.boardId) : null;
+    
+    const game = await dbGet(db, 'SELECT id, status, board_id FROM games WHERE id = ?', [gameId]);
+    
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    
+    if (game.status !== 'pending' || game.board_id) {
+      return res.status(409).json({ error: 'Only a game waiting for a board can be pinned' });
+    }
+    
+    if (boardId && !(await dbGet(db, 'SELECT id FROM boards WHERE id = ?', [boardId]))) {
+      return res.status(404).json({ error: 'Board not found' });
+    }
+    
+    await schedulerService.pinGame(gameId, boardId);
+    await schedulerService.runScheduler(req.app.get('io'));
+    res.json(await schedulerService.getSchedule());
+  } catch (err) {
+    console.error('Error in PATCH /schedule/games/:id/pin:', err);
+    res.status(500).json({ error: err.message || 'Error pinning game' });
+  }
+});
+
+module.exports = router;
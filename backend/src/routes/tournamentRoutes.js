@@ -1,10 +1,40 @@
 const express = require('express');
 const router = express.Router();
-const { getDb } = require('../models/database');
+const { getDb, dbGet } = require('../models/database');
+const { attachGamePlayers } = require('../utils/gamePlayers');
+const { BRACKET_FORMATS, SEEDING_METHODS, MIN_BRACKET_PLAYERS } = require('../utils/bracket');
+const { TIEBREAKERS, MIN_GROUP_PLAYERS } = require('../utils/roundRobin');
+const { SWISS_TIEBREAKERS, MIN_SWISS_PLAYERS, getMaxRounds } = require('../utils/swiss');
+const {
+  PHASE_STATUSES,
+  PHASE_NAMES,
+  validatePhases,
+  normalizePhases,
+  getPhases,
+  getPhaseStatuses,
+  getNextStatus,
+  findPhase,
+  getPhaseOptions
+} = require('../utils/tournamentPhases');
+const bracketService = require('../services/bracketService');
+const groupService = require('../services/groupService');
+const phaseService = require('../services/phaseService');
+const swissService = require('../services/swissService');
+
+// The draw that starts each kind of first phase
+const PHASE_DRAWS = {
+  groups: 'groups',
+  swiss: 'first Swiss round',
+  knockout: 'bracket'
+};
+
+// Statuses of a tournament under way, one per phase for a phased tournament
+const IN_PLAY_STATUSES = ['active', ...new Set(Object.values(PHASE_STATUSES))];
 
 /**
  * Get all tournaments
  * GET /api/tournaments
+ * Query: status; 'active' also matches tournaments in any phase
  */
 router.get('/', async (req, res) => {
   try {
@@ -14,7 +44,10 @@ router.get('/', async (req, res) => {
     let query = 'SELECT * FROM tournaments';
     const params = [];
     
-    if (status) {
+    if (status === 'active') {
+      query += ` WHERE status IN (${IN_PLAY_STATUSES.map(() => '?').join(', ')})`;
+      params.push(...IN_PLAY_STATUSES);
+    } else if (status) {
       query += ' WHERE status = ?';
       params.push(status);
     }
@@ -65,19 +98,34 @@ router.get('/:id', async (req, res) => {
 /**
  * Create a new tournament
  * POST /api/tournaments
+ * Body: { name, startDate, endDate, status, phases }; phases optionally defines the
+ *   tournament as a group stage, a knockout, or a group stage whose top players
+ *   qualify for a knockout: [{ format, legsRequired, matchFormat, ...game rules }],
+ *   format being 'round_robin', 'single_elimination' or 'double_elimination', and a
+ *   group stage also taking groups, tiebreakers and qualifiers (per group).
+ *   A phased tournament starts pending and moves through its phases
  */
 router.post('/', async (req, res) => {
   try {
     const db = getDb();
-    const { name, startDate, endDate, status = 'pending' } = req.body;
+    const { name, startDate, endDate, phases } = req.body;
     
     if (!name) {
       return res.status(400).json({ error: 'Tournament name is required' });
     }
     
+    if (phases !== undefined) {
+      const phaseError = validatePhases(phases);
+      if (phaseError) {
+        return res.status(400).json({ error: phaseError });
+      }
+    }
+    
+    const status = phases ? 'pending' : req.body.status || 'pending';
+    
     db.run(
-      'INSERT INTO tournaments (name, start_date, end_date, status, created_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)',
-      [name, startDate || null, endDate || null, status],
+      'INSERT INTO tournaments (name, start_date, end_date, status, phases, created_at) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+      [name, startDate || null, endDate || null, status, phases ? JSON.stringify(normalizePhases(phases)) : null],
       function(err) {
         if (err) {
           console.error('Error creating tournament:', err);
@@ -148,6 +196,9 @@ router.put('/:id', async (req, res) => {
 /**
  * Update a tournament's status
  * PATCH /api/tournaments/:id/status
+ * A phased tournament only moves on to its next phase (or is cancelled): its
+ * first phase starts with its draw, and moving from the groups or Swiss rounds
+ * to the knockout qualifies their top players and draws the bracket
  */
 router.patch('/:id/status', async (req, res) => {
   try {
@@ -155,8 +206,40 @@ router.patch('/:id/status', async (req, res) => {
     const tournamentId = req.params.id;
     const { status } = req.body;
     
-    if (!status || !['pending', 'active', 'completed', 'cancelled'].includes(status)) {
-      return res.status(400).json({ error: 'Valid status is required' });
+    const tournament = await dbGet(db, 'SELECT * FROM tournaments WHERE id = ?', [tournamentId]);
+    
+    if (!tournament) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+    
+    const phases = getPhases(tournament);
+    const statuses = phases.length > 0 ? [...getPhaseStatuses(phases), 'cancelled'] : ['pending', 'active', 'completed', 'cancelled'];
+    
+    if (!status || !statuses.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of ${statuses.join(', ')}` });
+    }
+    
+    if (phases.length > 0 && status !== 'cancelled') {
+      const next = getNextStatus(phases, tournament.status);
+      
+      if (status !== next) {
+        return res.status(409).json({
+          error: next ? `Tournament can only move on from ${tournament.status} to ${next}` : `Tournament is ${tournament.status}`
+        });
+      }
+      
+      if (tournament.status === 'pending') {
+        return res.status(409).json({ error: `Draw the ${PHASE_DRAWS[status]} to start the ${PHASE_NAMES[status].toLowerCase()}` });
+      }
+      
+      if (!(await phaseService.isPhaseComplete(db, tournament))) {
+        return res.status(409).json({
+          error: tournament.status === 'swiss' ? 'Every Swiss round must be completed first' : 'Every group game must be completed first'
+        });
+      }
+      
+      const updated = await phaseService.advancePhase(tournamentId);
+      return res.json({ id: tournamentId, status: updated.status });
     }
     
     db.run(
@@ -168,28 +251,25 @@ router.patch('/:id/status', async (req, res) => {
           return res.status(500).json({ error: 'Database error' });
         }
         
-        if (this.changes === 0) {
-          return res.status(404).json({ error: 'Tournament not found' });
-        }
-        
         res.json({ id: tournamentId, status });
       }
     );
   } catch (err) {
     console.error('Error in PATCH /tournaments/:id/status:', err);
-    res.status(500).json({ error: 'Server error' });
+    res.status(500).json({ error: err.message || 'Server error' });
   }
 });
 
 /**
  * Get all games for a tournament
  * GET /api/tournaments/:id/games
+ * Query: status, round (a Swiss round)
  */
 router.get('/:id/games', async (req, res) => {
   try {
     const db = getDb();
     const tournamentId = req.params.id;
-    const { status } = req.query;
+    const { status, round } = req.query;
     
     let query = `
       SELECT g.*, 
@@ -209,6 +289,11 @@ router.get('/:id/games', async (req, res) => {
       params.push(status);
     }
     
+    if (round) {
+      query += ' AND g.swiss_round = ?';
+      params.push(round);
+    }
+    
     query += ' ORDER BY g.created_at DESC';
     
     db.all(query, params, (err, games) => {
@@ -217,7 +302,12 @@ router.get('/:id/games', async (req, res) => {
         return res.status(500).json({ error: 'Database error' });
       }
       
-      res.json(games);
+      attachGamePlayers(db, games)
+        .then(gamesWithPlayers => res.json(gamesWithPlayers))
+        .catch(err => {
+          console.error('Error getting game players:', err);
+          res.status(500).json({ error: 'Database error' });
+        });
     });
   } catch (err) {
     console.error('Error in GET /tournaments/:id/games:', err);
@@ -225,6 +315,256 @@ router.get('/:id/games', async (req, res) => {
   }
 });
 
+/**
+ * Get a tournament's knockout bracket, every match with its round, players and game
+ * GET /api/tournaments/:id/bracket
+ */
+router.get('/:id/bracket', async (req, res) => {
+  try {
+    const bracket = await bracketService.getBracket(req.params.id);
+    
+    if (!bracket) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+    
+    res.json(bracket);
+  } catch (err) {
+    console.error('Error in GET /tournaments/:id/bracket:', err);
+    res.status(500).json({ error: err.message || 'Error getting bracket' });
+  }
+});
+
+/**
+ * Draw a tournament's knockout bracket and create the first-round games. Later
+ * games are created as their players win through
+ * POST /api/tournaments/:id/bracket
+ * Body: { format, seeding, playerIds, legsRequired, matchFormat, twoClear,
+ *   suddenDeathAt, tieBreak, setsToWin, legsPerSet }; playerIds are in seed
+ *   order for manual seeding. In a phased tournament the knockout phase gives
+ *   the defaults, and a knockout after a group stage or Swiss rounds is drawn
+ *   from their standings
+ */
+router.post('/:id/bracket', async (req, res) => {
+  try {
+    const existing = await bracketService.getBracket(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+    
+    if (existing.matches.length > 0) {
+      return res.status(409).json({ error: 'Tournament already has a bracket' });
+    }
+    
+    // A phased tournament's knockout is played under the rules of its phase
+    const phase = findPhase(existing.tournament, 'knockout');
+    
+    if (getPhases(existing.tournament).length > 0 && (!phase || phase.index > 0)) {
+      return res.status(409).json({
+        error: phase ? 'The knockout is drawn from the standings of the phase before it' : 'Tournament has no knockout phase'
+      });
+    }
+    
+    const body = phase ? { ...getPhaseOptions(phase), ...req.body } : req.body;
+    const { format = 'single_elimination', seeding = 'manual', playerIds } = body;
+    
+    if (!BRACKET_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of ${BRACKET_FORMATS.join(', ')}` });
+    }
+    
+    if (!SEEDING_METHODS.includes(seeding)) {
+      return res.status(400).json({ error: `Seeding must be one of ${SEEDING_METHODS.join(', ')}` });
+    }
+    
+    if (!Array.isArray(playerIds) || playerIds.length < MIN_BRACKET_PLAYERS || playerIds.some(id => !id)) {
+      return res.status(400).json({ error: `A bracket needs at least ${MIN_BRACKET_PLAYERS} players` });
+    }
+    
+    if (new Set(playerIds.map(String)).size !== playerIds.length) {
+      return res.status(400).json({ error: 'A player can only be drawn once' });
+    }
+    
+    const bracket = await bracketService.createBracket(req.params.id, { ...body, format, seeding });
+    res.status(201).json(bracket);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    
+    console.error('Error in POST /tournaments/:id/bracket:', err);
+    res.status(500).json({ error: err.message || 'Error drawing bracket' });
+  }
+});
+
+/**
+ * Get a tournament's round-robin groups with their fixtures and live standings
+ * GET /api/tournaments/:id/groups
+ */
+router.get('/:id/groups', async (req, res) => {
+  try {
+    const groups = await groupService.getGroups(req.params.id);
+    
+    if (!groups) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+    
+    res.json(groups);
+  } catch (err) {
+    console.error('Error in GET /tournaments/:id/groups:', err);
+    res.status(500).json({ error: err.message || 'Error getting groups' });
+  }
+});
+
+/**
+ * Draw a tournament's round-robin groups and create every group fixture
+ * POST /api/tournaments/:id/groups
+ * Body: { groups, seeding, playerIds, tiebreakers, legsRequired, matchFormat, twoClear,
+ *   suddenDeathAt, tieBreak, setsToWin, legsPerSet }; tiebreakers is the order
+ *   players level on wins are split by, from head_to_head, leg_difference,
+ *   legs_for and average. In a phased tournament the group stage gives the defaults
+ */
+router.post('/:id/groups', async (req, res) => {
+  try {
+    const existing = await groupService.getGroups(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+    
+    if (existing.groups.length > 0) {
+      return res.status(409).json({ error: 'Tournament already has groups' });
+    }
+    
+    // A phased tournament's groups are drawn under the rules of its group stage
+    const phase = findPhase(existing.tournament, 'groups');
+    
+    if (getPhases(existing.tournament).length > 0 && !phase) {
+      return res.status(409).json({ error: 'Tournament has no group stage' });
+    }
+    
+    const body = phase ? { ...getPhaseOptions(phase), ...req.body } : req.body;
+    const { groups = 1, seeding = 'manual', playerIds, tiebreakers } = body;
+    const groupCount = parseInt(groups, 10);
+    
+    if (!groupCount || groupCount < 1) {
+      return res.status(400).json({ error: 'At least one group is required' });
+    }
+    
+    if (!SEEDING_METHODS.includes(seeding)) {
+      return res.status(400).json({ error: `Seeding must be one of ${SEEDING_METHODS.join(', ')}` });
+    }
+    
+    if (!Array.isArray(playerIds) || playerIds.length < groupCount * MIN_GROUP_PLAYERS || playerIds.some(id => !id)) {
+      return res.status(400).json({ error: `Each group needs at least ${MIN_GROUP_PLAYERS} players` });
+    }
+    
+    if (new Set(playerIds.map(String)).size !== playerIds.length) {
+      return res.status(400).json({ error: 'A player can only be drawn once' });
+    }
+    
+    if (tiebreakers !== undefined && (!Array.isArray(tiebreakers) || tiebreakers.some(t => !TIEBREAKERS.includes(t)))) {
+      return res.status(400).json({ error: `Tiebreakers must be from ${TIEBREAKERS.join(', ')}` });
+    }
+    
+    const result = await groupService.createGroups(req.params.id, { ...body, groups: groupCount, seeding });
+    res.status(201).json(result);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    
+    console.error('Error in POST /tournaments/:id/groups:', err);
+    res.status(500).json({ error: err.message || 'Error drawing groups' });
+  }
+});
+
+/**
+ * Get a tournament's Swiss rounds with every round's pairings and live standings
+ * GET /api/tournaments/:id/swiss
+ */
+router.get('/:id/swiss', async (req, res) => {
+  try {
+    const swiss = await swissService.getSwiss(req.params.id);
+    
+    if (!swiss) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+    
+    res.json(swiss);
+  } catch (err) {
+    console.error('Error in GET /tournaments/:id/swiss:', err);
+    res.status(500).json({ error: err.message || 'Error getting Swiss rounds' });
+  }
+});
+
+/**
+ * Start a tournament's Swiss rounds and pair the first round. Each later round
+ * is paired once every game of the round before it is completed
+ * POST /api/tournaments/:id/swiss
+ * Body: { rounds, seeding, playerIds, tiebreakers, legsRequired, matchFormat, twoClear,
+ *   suddenDeathAt, tieBreak, setsToWin, legsPerSet }; tiebreakers is the order
+ *   players level on wins are split by, from buchholz, leg_difference and
+ *   legs_for. In a phased tournament the Swiss phase gives the defaults
+ */
+router.post('/:id/swiss', async (req, res) => {
+  try {
+    const existing = await swissService.getSwiss(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+    
+    if (existing.rounds > 0) {
+      return res.status(409).json({ error: 'Tournament already has Swiss rounds' });
+    }
+    
+    // A phased tournament's Swiss rounds are played under the rules of its phase
+    const phase = findPhase(existing.tournament, 'swiss');
+    
+    if (getPhases(existing.tournament).length > 0 && !phase) {
+      return res.status(409).json({ error: 'Tournament has no Swiss phase' });
+    }
+    
+    const body = phase ? { ...getPhaseOptions(phase), ...req.body } : req.body;
+    const { seeding = 'manual', playerIds, tiebreakers } = body;
+    const rounds = parseInt(body.rounds, 10);
+    
+    if (!SEEDING_METHODS.includes(seeding)) {
+      return res.status(400).json({ error: `Seeding must be one of ${SEEDING_METHODS.join(', ')}` });
+    }
+    
+    if (!Array.isArray(playerIds) || playerIds.length < MIN_SWISS_PLAYERS || playerIds.some(id => !id)) {
+      return res.status(400).json({ error: `Swiss rounds need at least ${MIN_SWISS_PLAYERS} players` });
+    }
+    
+    if (new Set(playerIds.map(String)).size !== playerIds.length) {
+      return res.status(400).json({ error: 'A player can only be drawn once' });
+    }
+    
+    if (!rounds || rounds < 1 || rounds > getMaxRounds(playerIds.length)) {
+      return res.status(400).json({ error: `Rounds must be between 1 and ${getMaxRounds(playerIds.length)}` });
+    }
+    
+    if (phase && phase.qualifiers > playerIds.length) {
+      return res.status(400).json({ error: `The knockout cut of ${phase.qualifiers} needs at least as many players` });
+    }
+    
+    if (tiebreakers !== undefined && (!Array.isArray(tiebreakers) || tiebreakers.some(t => !SWISS_TIEBREAKERS.includes(t)))) {
+      return res.status(400).json({ error: `Tiebreakers must be from ${SWISS_TIEBREAKERS.join(', ')}` });
+    }
+    
+    const result = await swissService.createSwiss(req.params.id, { ...body, rounds, seeding });
+    res.status(201).json(result);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    
+    console.error('Error in POST /tournaments/:id/swiss:', err);
+    res.status(500).json({ error: err.message || 'Error starting Swiss rounds' });
+  }
+});
+
 /**
  * Get tournament statistics
  * GET /api/tournaments/:id/stats
@@ -265,13 +605,14 @@ router.get('/:id/stats', async (req, res) => {
             `SELECT 
               p.id, p.name,
               COUNT(DISTINCT g.id) as games_played,
-              SUM(CASE WHEN g.player1_id = p.id AND g.player1_legs >= g.legs_required THEN 1
-                       WHEN g.player2_id = p.id AND g.player2_legs >= g.legs_required THEN 1
-                       ELSE 0 END) as games_won,
+              SUM(CASE WHEN g.winner_id IS NOT NULL THEN g.winner_id = p.id
+                       WHEN g.sets_to_win > 0 THEN gp.sets_won >= g.sets_to_win
+                       ELSE gp.legs_won >= g.legs_required END) as games_won,
               AVG(ps.three_dart_avg) as avg_three_dart_avg,
               MAX(ps.highest_checkout) as highest_checkout
             FROM players p
-            JOIN games g ON p.id = g.player1_id OR p.id = g.player2_id
+            JOIN game_players gp ON gp.player_id = p.id
+            JOIN games g ON g.id = gp.game_id
             LEFT JOIN player_stats ps ON p.id = ps.player_id AND g.id = ps.game_id
             WHERE g.tournament_id = ? AND g.status = 'completed'
             GROUP BY p.id
@@ -9,7 +9,9 @@ const gameRoutes = require('./routes/gameRoutes');
 const playerRoutes = require('./routes/playerRoutes');
 const tournamentRoutes = require('./routes/tournamentRoutes');
 const overrideRouter = require('./routes/overrideRouter');
+const scheduleRoutes = require('./routes/scheduleRoutes');
 const scoringService = require('./services/scoringService');
+const schedulerService = require('./services/schedulerService');
 const { setupSocketHandlers } = require('./services/socketService');
 const { connectToScoliaBoards } = require('./services/scoliaService');
 
@@ -30,12 +32,14 @@ app.use(cors({
   credentials: true
 }));
 app.use(express.json());
+app.set('io', io);
 
 // Routes
 app.use('/api/games', gameRoutes);
 app.use('/api/players', playerRoutes);
 app.use('/api/tournaments', tournamentRoutes);
 app.use('/api/override', overrideRouter);
+app.use('/api/schedule', scheduleRoutes);
 
 // Initialize database
 db.init()
@@ -52,6 +56,12 @@ db.init()
     setInterval(() => {
       scoringService.autoSaveAllGames();
     }, 30000);
+    
+    // Call queued tournament games to boards as boards free up and players rest
+    setInterval(() => {
+      schedulerService.runScheduler(io)
+        .catch(err => console.error('Error running board scheduler:', err));
+    }, 15000);
   })
   .catch(err => {
     console.error('Failed to initialize database:', err);
@@ -0,0 +1,312 @@
+const { getDb, dbGet, dbAll, dbRun } = require('../models/database');
+const { logGameAction } = require('../utils/gameLogger');
+const { normalizeGameSettings, createTournamentGame } = require('../utils/tournamentGames');
+const { seedPlayers, buildBracket, getRoundName } = require('../utils/bracket');
+const { getStartStatus } = require('../utils/tournamentPhases');
+const { createRequestError } = require('../utils/errors');
+const summaryService = require('./summaryService');
+
+// Bracket matches whose players are settled
+const SETTLED_STATUSES = ['completed', 'bye', 'skipped'];
+
+/**
+ * Create the game of a bracket match whose two players are known
+ */
+const createBracketGame = (db, tournament, match) => createTournamentGame(db, {
+  tournamentId: tournament.id,
+  playerIds: [match.player1_id, match.player2_id],
+  settings: JSON.parse(tournament.game_settings || '{}'),
+  label: 'Bracket game'
+});
+
+/**
+ * Move a finished bracket match's winner on and, in double elimination, its
+ * loser down, then settle the matches they go to
+ */
+const advanceFrom = async (db, tournament, match, winnerId, loserId) => {
+  // The grand final is only played again when the losers bracket player wins it
+  if (match.bracket === 'final' && match.round === 1) {
+    const reset = await dbGet(db, 'SELECT * FROM bracket_matches WHERE id = ?', [match.next_match_id]);
+
+    if (winnerId === match.player1_id) {
+      await dbRun(
+        db,
+        `UPDATE bracket_matches SET status = 'skipped', winner_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [winnerId, reset.id]
+      );
+      return completeTournament(db, tournament.id);
+    }
+
+    await dbRun(
+      db,
+      'UPDATE bracket_matches SET player1_id = ?, player2_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [match.player1_id, match.player2_id, reset.id]
+    );
+    return settleMatch(db, tournament, reset.id);
+  }
+
+  if (!match.next_match_id) {
+    return completeTournament(db, tournament.id);
+  }
+
+  if (winnerId) {
+    await dbRun(
+      db,
+      `UPDATE bracket_matches SET player${match.next_slot}_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [winnerId, match.next_match_id]
+    );
+  }
+  await settleMatch(db, tournament, match.next_match_id);
+
+  if (match.loser_match_id) {
+    if (loserId) {
+      await dbRun(
+        db,
+        `UPDATE bracket_matches SET player${match.loser_slot}_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [loserId, match.loser_match_id]
+      );
+    }
+    await settleMatch(db, tournament, match.loser_match_id);
+  }
+};
+
+/**
+ * Once every match feeding a bracket match is decided: create its game when it
+ * has two players, or pass its only player (or nobody) on as a bye
+ */
+const settleMatch = async (db, tournament, matchId) => {
+  const match = await dbGet(db, 'SELECT * FROM bracket_matches WHERE id = ?', [matchId]);
+  if (!match || match.status !== 'waiting') return;
+
+  const feeders = await dbAll(
+    db,
+    'SELECT status FROM bracket_matches WHERE next_match_id = ? OR loser_match_id = ?',
+    [match.id, match.id]
+  );
+  if (feeders.some(feeder => !SETTLED_STATUSES.includes(feeder.status))) return;
+
+  if (match.player1_id && match.player2_id) {
+    const gameId = await createBracketGame(db, tournament, match);
+    await dbRun(
+      db,
+      `UPDATE bracket_matches SET game_id = ?, status = 'ready', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [gameId, match.id]
+    );
+    return;
+  }
+
+  const winnerId = match.player1_id || match.player2_id || null;
+  await dbRun(
+    db,
+    `UPDATE bracket_matches SET status = 'bye', winner_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [winnerId, match.id]
+  );
+  await advanceFrom(db, tournament, match, winnerId, null);
+};
+
+const completeTournament = (db, tournamentId) => dbRun(
+  db,
+  `UPDATE tournaments SET status = 'completed', end_date = COALESCE(end_date, CURRENT_TIMESTAMP) WHERE id = ?`,
+  [tournamentId]
+);
+
+/**
+ * Order a tournament's entrants into seeds
+ * @param {Array<number>} playerIds - Player IDs, in seed order for manual seeding
+ * @param {string} seeding - 'manual', 'random' or 'average' (rolling 3-dart average over recent matches)
+ * @returns {Promise<Array<number>>} Player IDs by seed, top seed first
+ */
+const seedEntrants = async (playerIds, seeding) => {
+  const stats = seeding === 'average'
+    ? await Promise.all(playerIds.map(playerId => summaryService.getPlayerStats(playerId)))
+    : [];
+
+  return seedPlayers(playerIds.map((playerId, index) => ({
+    playerId: Number(playerId),
+    average: stats[index] && stats[index].averageStats ? stats[index].averageStats.average : null
+  })), seeding);
+};
+
+/**
+ * Lay out a tournament's knockout bracket and create the games of the first
+ * round, inside the caller's transaction
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {Object} tournament - tournaments row
+ * @param {Object} options - As for createBracket
+ */
+const drawBracket = async (db, tournament, options) => {
+  const { format = 'single_elimination', seeding = 'manual', playerIds = [] } = options;
+
+  const seeds = await seedEntrants(playerIds, seeding);
+  const matches = buildBracket(format, seeds);
+  const gameSettings = normalizeGameSettings({ ...options, format: options.matchFormat });
+
+  await dbRun(
+    db,
+    `UPDATE tournaments SET format = ?, seeding = ?, game_settings = ?, status = ?,
+       start_date = COALESCE(start_date, CURRENT_TIMESTAMP)
+     WHERE id = ?`,
+    [format, seeding, JSON.stringify(gameSettings), getStartStatus(tournament, format), tournament.id]
+  );
+
+  // Insert every match, then link each to where its winner and loser go
+  const ids = {};
+  for (const match of matches) {
+    const { lastID } = await dbRun(
+      db,
+      `INSERT INTO bracket_matches (tournament_id, bracket, round, position, player1_id, player2_id, seed1, seed2)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [tournament.id, match.bracket, match.round, match.position, match.player1Id, match.player2Id, match.seed1, match.seed2]
+    );
+    ids[match.key] = lastID;
+  }
+
+  for (const match of matches) {
+    await dbRun(
+      db,
+      `UPDATE bracket_matches SET next_match_id = ?, next_slot = ?, loser_match_id = ?, loser_slot = ? WHERE id = ?`,
+      [
+        match.next ? ids[match.next.key] : null,
+        match.next ? match.next.slot : null,
+        match.loserNext ? ids[match.loserNext.key] : null,
+        match.loserNext ? match.loserNext.slot : null,
+        ids[match.key]
+      ]
+    );
+  }
+
+  // First-round games, and byes passed straight through
+  const drawn = await dbGet(db, 'SELECT * FROM tournaments WHERE id = ?', [tournament.id]);
+  for (const match of matches.filter(m => m.bracket === 'winners' && m.round === 1)) {
+    await settleMatch(db, drawn, ids[match.key]);
+  }
+};
+
+/**
+ * Draw a tournament's knockout bracket and create the games of the first round.
+ * The format, seeding and players are checked by the caller
+ * @param {number} tournamentId - ID of the tournament
+ * @param {Object} options - { format, seeding, playerIds, legsRequired, format rules... }
+ *   format: 'single_elimination' or 'double_elimination'
+ *   seeding: 'manual' (playerIds in seed order), 'random' or 'average'
+ *   legsRequired, matchFormat, twoClear, suddenDeathAt, tieBreak, setsToWin, legsPerSet:
+ *   the rules of every bracket game, as for a new game
+ * @returns {Promise<Object>} The bracket, see getBracket
+ */
+const createBracket = async (tournamentId, options) => {
+  const db = getDb();
+
+  const tournament = await dbGet(db, 'SELECT * FROM tournaments WHERE id = ?', [tournamentId]);
+  if (!tournament) {
+    throw createRequestError(404, 'Tournament not found');
+  }
+
+  const existing = await dbGet(db, 'SELECT COUNT(*) AS count FROM bracket_matches WHERE tournament_id = ?', [tournamentId]);
+  if (existing.count > 0) {
+    throw createRequestError(409, 'Tournament already has a bracket');
+  }
+
+  await dbRun(db, 'BEGIN TRANSACTION');
+
+  try {
+    await drawBracket(db, tournament, options);
+    await dbRun(db, 'COMMIT');
+  } catch (err) {
+    await dbRun(db, 'ROLLBACK');
+    throw err;
+  }
+
+  return getBracket(tournamentId);
+};
+
+/**
+ * Record a finished game in its tournament's bracket: the winner moves on,
+ * the loser drops to the losers bracket or is out, and any match that now has
+ * both players gets its game
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {Object} game - games row, after it was completed
+ * @returns {Promise<Object|null>} The bracket match, or null when the game is not in a bracket
+ */
+const advanceBracket = async (db, game) => {
+  if (!game || !game.tournament_id || game.status !== 'completed' || !game.winner_id) return null;
+
+  const match = await dbGet(db, 'SELECT * FROM bracket_matches WHERE game_id = ?', [game.id]);
+  if (!match || match.status !== 'ready') return null;
+
+  const winnerId = game.winner_id;
+  const loserId = winnerId === match.player1_id ? match.player2_id : match.player1_id;
+  const tournament = await dbGet(db, 'SELECT * FROM tournaments WHERE id = ?', [match.tournament_id]);
+
+  await dbRun(
+    db,
+    `UPDATE bracket_matches SET status = 'completed', winner_id = ?, loser_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [winnerId, loserId, match.id]
+  );
+  await advanceFrom(db, tournament, match, winnerId, loserId);
+
+  logGameAction(db, game.id, 'bracket_advanced', `Player ${winnerId} advances in the bracket`);
+
+  return { ...match, status: 'completed', winner_id: winnerId, loser_id: loserId };
+};
+
+/**
+ * Get a tournament's bracket, each match with its round name, players and game
+ * @param {number} tournamentId - ID of the tournament
+ * @returns {Promise<Object|null>} { tournament, format, seeding, gameSettings, championId, matches },
+ *   matches being empty until the bracket is drawn, or null when there is no such tournament;
+ *   each match's player1_legs, player2_legs, player1_sets and player2_sets come from its game's seats
+ */
+const getBracket = async (tournamentId) => {
+  const db = getDb();
+
+  const tournament = await dbGet(db, 'SELECT * FROM tournaments WHERE id = ?', [tournamentId]);
+  if (!tournament) return null;
+
+  const matches = await dbAll(
+    db,
+    `SELECT bm.*,
+       p1.name AS player1_name, p2.name AS player2_name,
+       g.status AS game_status, g.board_id, g.sets_to_win,
+       gp1.legs_won AS player1_legs, gp2.legs_won AS player2_legs,
+       gp1.sets_won AS player1_sets, gp2.sets_won AS player2_sets
+     FROM bracket_matches bm
+     LEFT JOIN players p1 ON bm.player1_id = p1.id
+     LEFT JOIN players p2 ON bm.player2_id = p2.id
+     LEFT JOIN games g ON bm.game_id = g.id
+     LEFT JOIN game_players gp1 ON gp1.game_id = bm.game_id AND gp1.player_id = bm.player1_id
+     LEFT JOIN game_players gp2 ON gp2.game_id = bm.game_id AND gp2.player_id = bm.player2_id
+     WHERE bm.tournament_id = ?
+     ORDER BY CASE bm.bracket WHEN 'winners' THEN 1 WHEN 'losers' THEN 2 ELSE 3 END, bm.round, bm.position`,
+    [tournamentId]
+  );
+
+  const doubleElimination = tournament.format === 'double_elimination';
+  const rounds = {};
+  matches.forEach(match => {
+    rounds[match.bracket] = Math.max(rounds[match.bracket] || 0, match.round);
+  });
+
+  // The champion won the last match played: the final, or the grand final or its reset
+  const decisive = [...matches].reverse().find(match => match.status === 'completed' || match.status === 'bye');
+  const finished = tournament.status === 'completed';
+
+  return {
+    tournament,
+    format: tournament.format,
+    seeding: tournament.seeding,
+    gameSettings: JSON.parse(tournament.game_settings || '{}'),
+    championId: finished && decisive ? decisive.winner_id : null,
+    matches: matches.map(match => ({
+      ...match,
+      round_name: getRoundName(match.bracket, match.round, rounds[match.bracket], doubleElimination)
+    }))
+  };
+};
+
+module.exports = {
+  seedEntrants,
+  drawBracket,
+  createBracket,
+  advanceBracket,
+  getBracket
+};
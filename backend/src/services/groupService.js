@@ -0,0 +1,200 @@
+const { getDb, dbGet, dbAll, dbRun } = require('../models/database');
+const { normalizeGameSettings, createTournamentGame } = require('../utils/tournamentGames');
+const {
+  normalizeTiebreakers,
+  getGroupName,
+  drawGroups,
+  scheduleRoundRobin,
+  computeStandings
+} = require('../utils/roundRobin');
+const { getStartStatus, findPhase } = require('../utils/tournamentPhases');
+const { createRequestError } = require('../utils/errors');
+const { seedEntrants } = require('./bracketService');
+
+/**
+ * Draw a tournament's round-robin groups and create every group fixture.
+ * The group count, seeding and players are checked by the caller
+ * @param {number} tournamentId - ID of the tournament
+ * @param {Object} options - { groups, seeding, playerIds, tiebreakers, legsRequired, format rules... }
+ *   groups: number of groups; seeded players are spread evenly across them
+ *   seeding: 'manual' (playerIds in seed order), 'random' or 'average'
+ *   tiebreakers: tiebreak order, see normalizeTiebreakers
+ *   legsRequired, matchFormat, twoClear, suddenDeathAt, tieBreak, setsToWin, legsPerSet:
+ *   the rules of every group game, as for a new game
+ * @returns {Promise<Object>} The groups, see getGroups
+ */
+const createGroups = async (tournamentId, options) => {
+  const db = getDb();
+  const { groups: groupCount = 1, seeding = 'manual', playerIds = [] } = options;
+
+  const tournament = await dbGet(db, 'SELECT * FROM tournaments WHERE id = ?', [tournamentId]);
+  if (!tournament) {
+    throw createRequestError(404, 'Tournament not found');
+  }
+
+  const existing = await dbGet(db, 'SELECT COUNT(*) AS count FROM tournament_groups WHERE tournament_id = ?', [tournamentId]);
+  if (existing.count > 0) {
+    throw createRequestError(409, 'Tournament already has groups');
+  }
+
+  const seeds = await seedEntrants(playerIds, seeding);
+  const settings = {
+    tiebreakers: normalizeTiebreakers(options.tiebreakers),
+    ...normalizeGameSettings({ ...options, format: options.matchFormat })
+  };
+
+  await dbRun(db, 'BEGIN TRANSACTION');
+
+  try {
+    await dbRun(
+      db,
+      `UPDATE tournaments SET group_settings = ?, status = ?, start_date = COALESCE(start_date, CURRENT_TIMESTAMP)
+       WHERE id = ?`,
+      [JSON.stringify(settings), getStartStatus(tournament, 'round_robin'), tournamentId]
+    );
+
+    const drawn = drawGroups(seeds, parseInt(groupCount, 10));
+    for (const [index, groupPlayerIds] of drawn.entries()) {
+      const name = getGroupName(index + 1);
+      const { lastID: groupId } = await dbRun(
+        db,
+        'INSERT INTO tournament_groups (tournament_id, name, position) VALUES (?, ?, ?)',
+        [tournamentId, name, index + 1]
+      );
+
+      for (const [position, playerId] of groupPlayerIds.entries()) {
+        await dbRun(
+          db,
+          'INSERT INTO group_players (group_id, player_id, position) VALUES (?, ?, ?)',
+          [groupId, playerId, position + 1]
+        );
+      }
+
+      for (const fixture of scheduleRoundRobin(groupPlayerIds)) {
+        await createTournamentGame(db, {
+          tournamentId: Number(tournamentId),
+          playerIds: [fixture.player1Id, fixture.player2Id],
+          settings,
+          groupId,
+          groupRound: fixture.round,
+          label: `${name} game`
+        });
+      }
+    }
+
+    await dbRun(db, 'COMMIT');
+  } catch (err) {
+    await dbRun(db, 'ROLLBACK');
+    throw err;
+  }
+
+  return getGroups(tournamentId);
+};
+
+/**
+ * Get a tournament's groups, each with its players, fixtures and live standings.
+ * Standings count completed games only
+ * @param {number} tournamentId - ID of the tournament
+ * @returns {Promise<Object|null>} { tournament, tiebreakers, qualifiers, groups }, qualifiers being how
+ *   many of each group go through to a knockout phase (0 without one) and groups being
+ *   [{ id, name, position, players, fixtures, standings, complete }] and empty until the
+ *   groups are drawn, or null when there is no such tournament
+ */
+const getGroups = async (tournamentId) => {
+  const db = getDb();
+
+  const tournament = await dbGet(db, 'SELECT * FROM tournaments WHERE id = ?', [tournamentId]);
+  if (!tournament) return null;
+
+  const settings = JSON.parse(tournament.group_settings || '{}');
+  const tiebreakers = normalizeTiebreakers(settings.tiebreakers);
+  const groupPhase = findPhase(tournament, 'groups');
+
+  const [groups, groupPlayers, fixtures, seats, scoring] = await Promise.all([
+    dbAll(db, 'SELECT * FROM tournament_groups WHERE tournament_id = ? ORDER BY position', [tournamentId]),
+    dbAll(
+      db,
+      `SELECT gp.group_id, gp.player_id, gp.position, p.name, p.nickname
+       FROM group_players gp
+       JOIN tournament_groups tg ON gp.group_id = tg.id
+       JOIN players p ON gp.player_id = p.id
+       WHERE tg.tournament_id = ?
+       ORDER BY gp.group_id, gp.position`,
+      [tournamentId]
+    ),
+    dbAll(
+      db,
+      `SELECT g.id, g.group_id, g.group_round, g.status, g.board_id, g.winner_id,
+         g.player1_id, g.player2_id, p1.name AS player1_name, p2.name AS player2_name
+       FROM games g
+       JOIN players p1 ON g.player1_id = p1.id
+       JOIN players p2 ON g.player2_id = p2.id
+       WHERE g.tournament_id = ? AND g.group_id IS NOT NULL
+       ORDER BY g.group_id, g.group_round, g.id`,
+      [tournamentId]
+    ),
+    dbAll(
+      db,
+      `SELECT gp.game_id, gp.player_id, gp.legs_won
+       FROM game_players gp
+       JOIN games g ON gp.game_id = g.id
+       WHERE g.tournament_id = ? AND g.group_id IS NOT NULL`,
+      [tournamentId]
+    ),
+    // Points and darts over completed group games, for each player's average
+    dbAll(
+      db,
+      `SELECT g.group_id, t.player_id,
+         SUM(CASE WHEN t.is_bust THEN 0 ELSE t.score END) AS points,
+         SUM((t.dart1 IS NOT NULL) + (t.dart2 IS NOT NULL) + (t.dart3 IS NOT NULL)) AS darts
+       FROM throws t
+       JOIN legs l ON t.leg_id = l.id
+       JOIN games g ON l.game_id = g.id
+       WHERE g.tournament_id = ? AND g.group_id IS NOT NULL AND g.status = 'completed'
+       GROUP BY g.group_id, t.player_id`,
+      [tournamentId]
+    )
+  ]);
+
+  const legsOf = (gameId) => Object.fromEntries(
+    seats.filter(seat => seat.game_id === gameId).map(seat => [seat.player_id, seat.legs_won])
+  );
+
+  return {
+    tournament,
+    tiebreakers,
+    qualifiers: groupPhase ? groupPhase.qualifiers : 0,
+    gameSettings: normalizeGameSettings(settings),
+    groups: groups.map(group => {
+      const players = groupPlayers.filter(player => player.group_id === group.id);
+      const groupFixtures = fixtures
+        .filter(fixture => fixture.group_id === group.id)
+        .map(fixture => ({ ...fixture, legs: legsOf(fixture.id) }));
+      const results = groupFixtures
+        .filter(fixture => fixture.status === 'completed' && fixture.winner_id)
+        .map(fixture => ({
+          player1Id: fixture.player1_id,
+          player2Id: fixture.player2_id,
+          winnerId: fixture.winner_id,
+          legs: fixture.legs
+        }));
+      const groupScoring = Object.fromEntries(scoring
+        .filter(row => row.group_id === group.id)
+        .map(row => [row.player_id, { points: row.points, darts: row.darts }]));
+
+      return {
+        ...group,
+        players,
+        fixtures: groupFixtures,
+        standings: computeStandings(players.map(player => player.player_id), results, groupScoring, tiebreakers)
+          .map(row => ({ ...row, name: players.find(player => player.player_id === row.playerId).name })),
+        complete: groupFixtures.length > 0 && groupFixtures.every(fixture => fixture.status === 'completed')
+      };
+    })
+  };
+};
+
+module.exports = {
+  createGroups,
+  getGroups
+};
@@ -0,0 +1,186 @@
+const { getDb, dbGet, dbRun } = require('../models/database');
+const { logGameAction } = require('../utils/gameLogger');
+const {
+  getPhases,
+  getNextStatus,
+  findPhase,
+  getPhaseOptions,
+  crossSeedQualifiers
+} = require('../utils/tournamentPhases');
+const { drawBracket, advanceBracket } = require('./bracketService');
+const { getGroups } = require('./groupService');
+const { advanceSwiss, isSwissComplete, getSwiss } = require('./swissService');
+
+/**
+ * Whether every group game of a tournament is completed
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {number} tournamentId - ID of the tournament
+ * @returns {Promise<boolean>} False too when the groups are not drawn yet
+ */
+const isGroupStageComplete = async (db, tournamentId) => {
+  const { total, completed } = await dbGet(
+    db,
+    `SELECT COUNT(*) AS total, SUM(status = 'completed') AS completed
+     FROM games WHERE tournament_id = ? AND group_id IS NOT NULL`,
+    [tournamentId]
+  );
+  return total > 0 && total === completed;
+};
+
+/**
+ * Whether every game of a tournament's current phase, its group stage or its
+ * Swiss rounds, is completed
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {Object} tournament - tournaments row
+ * @returns {Promise<boolean>} True for a phase with nothing to wait for, such as a knockout
+ */
+const isPhaseComplete = (db, tournament) => {
+  if (tournament.status === 'groups') return isGroupStageComplete(db, tournament.id);
+  if (tournament.status === 'swiss') return isSwissComplete(db, tournament);
+  return Promise.resolve(true);
+};
+
+/**
+ * The players who qualify for the knockout: the top of each group, seeded
+ * across the groups, or the top of the Swiss standings in standings order
+ */
+const getQualifiers = async (tournament) => {
+  const { qualifiers } = findPhase(tournament, tournament.status);
+
+  if (tournament.status === 'swiss') {
+    const { standings } = await getSwiss(tournament.id);
+    return standings.slice(0, qualifiers).map(row => row.playerId);
+  }
+
+  const { groups } = await getGroups(tournament.id);
+  return crossSeedQualifiers(groups.map(group => group.standings.map(row => row.playerId)), qualifiers);
+};
+
+/**
+ * Qualify the top players of the group stage or Swiss rounds into the
+ * knockout and draw it with the knockout phase's rules, inside the caller's transaction
+ * @returns {Promise<Array<number>>} The qualifiers by knockout seed
+ */
+const startKnockout = async (db, tournament) => {
+  const playerIds = await getQualifiers(tournament);
+
+  await drawBracket(db, tournament, {
+    ...getPhaseOptions(findPhase(tournament, 'knockout')),
+    seeding: 'manual',
+    playerIds
+  });
+
+  return playerIds;
+};
+
+/**
+ * Move a tournament on from its group stage or Swiss rounds, to the knockout
+ * when one follows or else to completed, inside the caller's transaction
+ * @returns {Promise<string>} The tournament's new status
+ */
+const finishQualifyingPhase = async (db, tournament) => {
+  const next = getNextStatus(getPhases(tournament), tournament.status);
+
+  if (next === 'knockout') {
+    await startKnockout(db, tournament);
+  } else {
+    await dbRun(
+      db,
+      `UPDATE tournaments SET status = 'completed', end_date = COALESCE(end_date, CURRENT_TIMESTAMP) WHERE id = ?`,
+      [tournament.id]
+    );
+  }
+
+  return next;
+};
+
+/**
+ * Move a phased tournament on to its next status. Whether it may move on is
+ * checked by the caller: the first phase starts with its draw, and the
+ * knockout only once every group or Swiss game is completed
+ * @param {number} tournamentId - ID of the tournament
+ * @returns {Promise<Object>} The tournament
+ */
+const advancePhase = async (tournamentId) => {
+  const db = getDb();
+
+  const tournament = await dbGet(db, 'SELECT * FROM tournaments WHERE id = ?', [tournamentId]);
+  if (!tournament) {
+    throw new Error('Tournament not found');
+  }
+
+  const next = getNextStatus(getPhases(tournament), tournament.status);
+  if (!next) {
+    throw new Error(`Tournament cannot move on from ${tournament.status}`);
+  }
+
+  await dbRun(db, 'BEGIN TRANSACTION');
+
+  try {
+    if (tournament.status === 'groups' || tournament.status === 'swiss') {
+      await finishQualifyingPhase(db, tournament);
+    } else {
+      await dbRun(
+        db,
+        `UPDATE tournaments SET status = ?,
+           end_date = CASE WHEN ? = 'completed' THEN COALESCE(end_date, CURRENT_TIMESTAMP) ELSE end_date END
+         WHERE id = ?`,
+        [next, next, tournamentId]
+      );
+    }
+
+    await dbRun(db, 'COMMIT');
+  } catch (err) {
+    await dbRun(db, 'ROLLBACK');
+    throw err;
+  }
+
+  return dbGet(db, 'SELECT * FROM tournaments WHERE id = ?', [tournamentId]);
+};
+
+/**
+ * Record a finished game in its tournament: a bracket game moves its winner
+ * on, the last game of a Swiss round pairs the next round, and the last group
+ * or Swiss game of a phased tournament ends that phase, qualifying its top
+ * players into the knockout
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {Object} game - games row, after it was completed
+ * @returns {Promise<Object>} { bracketMatch, tournamentStatus }: the bracket match, see
+ *   advanceBracket, and the tournament's new status when the game moved it to its next phase
+ */
+const advanceTournament = async (db, game) => {
+  const bracketMatch = await advanceBracket(db, game);
+  let tournamentStatus = null;
+
+  if (game && game.group_id && game.status === 'completed') {
+    const tournament = await dbGet(db, 'SELECT * FROM tournaments WHERE id = ?', [game.tournament_id]);
+
+    if (tournament && tournament.status === 'groups' && await isGroupStageComplete(db, tournament.id)) {
+      tournamentStatus = await finishQualifyingPhase(db, tournament);
+      logGameAction(db, game.id, 'phase_advanced', `Group stage complete, tournament moves to ${tournamentStatus}`);
+    }
+  }
+
+  if (game && game.swiss_round && game.status === 'completed') {
+    const tournament = await dbGet(db, 'SELECT * FROM tournaments WHERE id = ?', [game.tournament_id]);
+
+    if (tournament && ['active', 'swiss'].includes(tournament.status)) {
+      const { round, paired, complete } = await advanceSwiss(db, tournament, game);
+
+      if (paired) {
+        logGameAction(db, game.id, 'swiss_round_paired', `Swiss round ${round} complete, round ${round + 1} paired`);
+      } else if (complete && tournament.status === 'swiss') {
+        tournamentStatus = await finishQualifyingPhase(db, tournament);
+        logGameAction(db, game.id, 'phase_advanced', `Swiss rounds complete, tournament moves to ${tournamentStatus}`);
+      }
+    }
+  }
+
+  return { bracketMatch, tournamentStatus };
+};
+
+module.exports = {
+  isPhaseComplete,
+  advancePhase,
+  advanceTournament
+};
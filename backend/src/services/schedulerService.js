@@ -0,0 +1,225 @@
+const { getDb, dbAll, dbRun } = require('../models/database');
+const { logGameAction } = require('../utils/gameLogger');
+const {
+  BOARD_BUSY_STATUSES,
+  FREE_BOARD_STATUSES,
+  getRestMinutes,
+  getRestedAt,
+  planAssignments
+} = require('../utils/scheduler');
+
+const BUSY_PLACEHOLDERS = BOARD_BUSY_STATUSES.map(() => '?').join(', ');
+
+// A run in progress, so runs from the timer and from the admin never overlap
+let running = null;
+
+/**
+ * Ready tournament games waiting for a board, in queue order: games moved by
+ * the organiser first, then the rest oldest first
+ */
+const loadQueue = async (db) => {
+  const [games, seats] = await Promise.all([
+    dbAll(
+      db,
+      `SELECT g.id, g.tournament_id, g.group_id, g.group_round, g.queue_position, g.pinned_board_id,
+         g.legs_required, g.match_format, g.sets_to_win, t.name AS tournament_name
+       FROM games g
+       JOIN tournaments t ON g.tournament_id = t.id
+       WHERE g.status = 'pending' AND g.board_id IS NULL AND t.status NOT IN ('completed', 'cancelled')
+       ORDER BY g.queue_position IS NULL, g.queue_position, g.id`
+    ),
+    dbAll(
+      db,
+      `SELECT gp.game_id, gp.player_id, p.name
+       FROM game_players gp
+       JOIN games g ON gp.game_id = g.id
+       JOIN players p ON gp.player_id = p.id
+       WHERE g.status = 'pending' AND g.board_id IS NULL AND g.tournament_id IS NOT NULL
+       ORDER BY gp.game_id, gp.position`
+    )
+  ]);
+
+  return games.map(game => ({
+    ...game,
+    players: seats.filter(seat => seat.game_id === game.id).map(seat => ({ id: seat.player_id, name: seat.name }))
+  }));
+};
+
+/**
+ * Every board with the game on it, if any
+ */
+const loadBoards = (db) => dbAll(
+  db,
+  `SELECT b.*,
+     (SELECT g.id FROM games g WHERE g.board_id = b.id AND g.status IN (${BUSY_PLACEHOLDERS}) ORDER BY g.id LIMIT 1) AS game_id
+   FROM boards b
+   ORDER BY b.id`,
+  BOARD_BUSY_STATUSES
+);
+
+/**
+ * Players on a board now, and when each player's last game finished
+ * @returns {Promise<Object>} { busyPlayerIds, lastPlayed: { [playerId]: time in ms } }
+ */
+const loadPlayerActivity = async (db) => {
+  const [busy, finished] = await Promise.all([
+    dbAll(
+      db,
+      `SELECT DISTINCT gp.player_id
+       FROM game_players gp
+       JOIN games g ON gp.game_id = g.id
+       WHERE g.board_id IS NOT NULL AND g.status IN (${BUSY_PLACEHOLDERS})`,
+      BOARD_BUSY_STATUSES
+    ),
+    dbAll(
+      db,
+      `SELECT gp.player_id, CAST(strftime('%s', MAX(g.completed_at)) AS INTEGER) * 1000 AS finished_at
+       FROM game_players gp
+       JOIN games g ON gp.game_id = g.id
+       WHERE g.status = 'completed'
+       GROUP BY gp.player_id`
+    )
+  ]);
+
+  return {
+    busyPlayerIds: new Set(busy.map(row => row.player_id)),
+    lastPlayed: Object.fromEntries(finished.map(row => [row.player_id, row.finished_at]))
+  };
+};
+
+const isFree = board => FREE_BOARD_STATUSES.includes(board.status) && !board.game_id;
+
+/**
+ * The scheduler's queue and boards
+ * @returns {Promise<Object>} { restMinutes, boards, queue }: boards with game_id and free;
+ *   queued games with their players, tournament, pinned_board_id, whether a player is
+ *   on a board now (playerBusy) and when the last of them is rested (restedAt, null
+ *   when they all are)
+ */
+const getSchedule = async () => {
+  const db = getDb();
+  const restMinutes = getRestMinutes();
+  const [queue, boards, { busyPlayerIds, lastPlayed }] = await Promise.all([
+    loadQueue(db),
+    loadBoards(db),
+    loadPlayerActivity(db)
+  ]);
+
+  return {
+    restMinutes,
+    boards: boards.map(board => ({ ...board, free: isFree(board) })),
+    queue: queue.map(game => {
+      const playerIds = game.players.map(player => player.id);
+      const restedAt = getRestedAt(playerIds, lastPlayed, restMinutes * 60000);
+
+      return {
+        ...game,
+        playerBusy: playerIds.some(playerId => busyPlayerIds.has(playerId)),
+        restedAt: restedAt > Date.now() ? new Date(restedAt).toISOString() : null
+      };
+    })
+  };
+};
+
+const callGames = async (io) => {
+  const db = getDb();
+  const [queue, boards, { busyPlayerIds, lastPlayed }] = await Promise.all([
+    loadQueue(db),
+    loadBoards(db),
+    loadPlayerActivity(db)
+  ]);
+
+  const planned = planAssignments(
+    queue.map(game => ({ id: game.id, playerIds: game.players.map(player => player.id), pinnedBoardId: game.pinned_board_id })),
+    boards.filter(isFree),
+    busyPlayerIds,
+    lastPlayed,
+    { restMs: getRestMinutes() * 60000 }
+  );
+
+  const calls = [];
+  for (const { gameId, boardId } of planned) {
+    // The organiser may have put the game on a board by hand in the meantime
+    const { changes } = await dbRun(
+      db,
+      `UPDATE games SET board_id = ?, called_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND board_id IS NULL AND status = 'pending'`,
+      [boardId, gameId]
+    );
+    if (changes === 0) continue;
+
+    const board = boards.find(b => b.id === boardId);
+    const players = queue.find(game => game.id === gameId).players;
+    await logGameAction(db, gameId, 'board_assigned', `Board ${boardId} (${board.name}) assigned by the scheduler`);
+
+    const call = {
+      gameId,
+      boardId,
+      boardName: board.name,
+      players,
+      message: `Next up on ${board.name}: ${players.map(player => player.name).join(' v ')}`
+    };
+    calls.push(call);
+
+    if (io) {
+      io.emit('board:call', call);
+    }
+  }
+
+  return calls;
+};
+
+/**
+ * Call the queued games that can be played now to free boards, and broadcast
+ * a 'board:call' for each ("Next up on Board 1: ...")
+ * @param {SocketIO.Server} io - The Socket.IO server instance, to broadcast the calls
+ * @returns {Promise<Array<Object>>} Calls { gameId, boardId, boardName, players, message }
+ */
+const runScheduler = (io) => {
+  if (!running) {
+    running = callGames(io).finally(() => {
+      running = null;
+    });
+  }
+  return running;
+};
+
+/**
+ * Put queued games in the given order, ahead of any game not listed
+ * @param {Array<number>} gameIds - Queued game IDs, first to be called first
+ */
+const reorderQueue = async (gameIds) => {
+  const db = getDb();
+
+  await dbRun(db, 'BEGIN TRANSACTION');
+
+  try {
+    await dbRun(db, `UPDATE games SET queue_position = NULL WHERE status = 'pending' AND board_id IS NULL`);
+    for (const [index, gameId] of gameIds.entries()) {
+      await dbRun(db, 'UPDATE games SET queue_position = ? WHERE id = ?', [index + 1, gameId]);
+    }
+    await dbRun(db, 'COMMIT');
+  } catch (err) {
+    await dbRun(db, 'ROLLBACK');
+    throw err;
+  }
+};
+
+/**
+ * Pin a queued game to a board, e.g. the TV board, or unpin it
+ * @param {number} gameId - ID of the game
+ * @param {number|null} boardId - ID of the board, or null to let it go to any board
+ */
+const pinGame = async (gameId, boardId) => {
+  const db = getDb();
+
+  await dbRun(db, 'UPDATE games SET pinned_board_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [boardId, gameId]);
+  await logGameAction(db, gameId, 'board_pinned', boardId ? `Game pinned to board ${boardId}` : 'Game unpinned');
+};
+
+module.exports = {
+  getSchedule,
+  runScheduler,
+  reorderQueue,
+  pinGame
+};
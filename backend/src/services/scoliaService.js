@@ -2,10 +2,15 @@ const WebSocket = require('ws');
 const { getDb } = require('../models/database');
 const { processThrow } = require('./scoringService');
 const { logGameAction } = require('../utils/gameLogger');
+const { getGamePlayers } = require('../utils/gamePlayers');
+const { ReconnectPolicy } = require('../utils/reconnectPolicy');
 
 // Map to track board connections
 const boardConnections = new Map();
 
+// Per-board reconnect policy, pending retry and last close details
+const connectionStates = new Map();
+
 /**
  * Connect to all Scolia boards defined in the database
  */
@@ -28,6 +33,70 @@ const connectToScoliaBoards = async () => {
   });
 };
 
+/**
+ * Get (or create) the connection state for a board
+ */
+const getConnectionState = (boardId) => {
+  if (!connectionStates.has(boardId)) {
+    connectionStates.set(boardId, {
+      policy: new ReconnectPolicy(),
+      state: 'disconnected',
+      lastCloseCode: null,
+      lastCloseReason: null,
+      nextRetryAt: null,
+      retryTimeout: null
+    });
+  }
+  
+  return connectionStates.get(boardId);
+};
+
+/**
+ * Public view of a board's connection state
+ */
+const getConnectionInfo = (boardId) => {
+  const { state, lastCloseCode, lastCloseReason, nextRetryAt } = getConnectionState(boardId);
+  return { state, lastCloseCode, lastCloseReason, nextRetryAt };
+};
+
+/**
+ * Schedule the next connection attempt, or give up, based on how the socket closed
+ */
+const scheduleReconnect = (board, code) => {
+  const connection = getConnectionState(board.id);
+  
+  // While the circuit is open only the retry already set for the end of its cooldown may run
+  if (connection.policy.isCircuitOpen() && connection.retryTimeout) {
+    console.log(`Circuit open for board ${board.name}, next retry at ${connection.nextRetryAt.toISOString()}`);
+    return;
+  }
+  
+  const decision = connection.policy.next(code);
+  
+  if (connection.retryTimeout) {
+    clearTimeout(connection.retryTimeout);
+    connection.retryTimeout = null;
+  }
+  
+  connection.state = decision.state;
+  
+  if (decision.delay === null) {
+    connection.nextRetryAt = null;
+    console.error(`${decision.reason} for board ${board.name}, not reconnecting`);
+    updateBoardStatus(board.id, 'auth_failed');
+    return;
+  }
+  
+  connection.nextRetryAt = new Date(Date.now() + decision.delay);
+  console.log(`Reconnecting to board ${board.name} in ${decision.delay}ms (${decision.reason})`);
+  
+  connection.retryTimeout = setTimeout(() => {
+    connection.retryTimeout = null;
+    connectToBoard(board)
+      .catch(err => console.error(`Failed to reconnect to board ${board.name}:`, err));
+  }, decision.delay);
+};
+
 /**
  * Connect to a specific Scolia board
  */
@@ -47,6 +116,10 @@ const connectToBoard = async (board) => {
       
       console.log(`Connecting to board ${board.name} at ${fullUrl}`);
       
+      const connection = getConnectionState(board.id);
+      connection.state = 'connecting';
+      connection.nextRetryAt = null;
+      
       // Create WebSocket connection
       const ws = new WebSocket(fullUrl);
       
@@ -55,6 +128,7 @@ const connectToBoard = async (board) => {
         
         // Store the connection
         boardConnections.set(board.id, ws);
+        connection.state = 'connected';
         
         // Send authentication if required (depends on Scolia API)
         if (process.env.SCOLIA_API_KEY) {
@@ -71,6 +145,9 @@ const connectToBoard = async (board) => {
       });
       
       ws.on('message', (data) => {
+        // The board is talking to us, so the session is healthy
+        connection.policy.reset();
+        
         try {
           const message = JSON.parse(data);
           handleScoliaMessage(board.id, message);
@@ -79,15 +156,19 @@ const connectToBoard = async (board) => {
         }
       });
       
-      ws.on('close', () => {
-        console.log(`Connection closed for board ${board.name} (${board.scolia_id})`);
+      ws.on('close', (code, reason) => {
+        console.log(`Connection closed for board ${board.name} (${board.scolia_id}) with code ${code}`);
+        
+        if (boardConnections.get(board.id) === ws) {
+          boardConnections.delete(board.id);
+        }
+        
+        connection.lastCloseCode = code;
+        connection.lastCloseReason = reason ? reason.toString() || null : null;
         updateBoardStatus(board.id, 'disconnected');
         
-        // Schedule reconnection
-        setTimeout(() => {
-          connectToBoard(board)
-            .catch(err => console.error(`Failed to reconnect to board ${board.name}:`, err));
-        }, 5000);
+        // Schedule reconnection according to the close code
+        scheduleReconnect(board, code);
       });
       
       ws.on('error', (err) => {
@@ -146,11 +227,19 @@ const handleScoliaMessage = async (boardId, message) => {
               return;
             }
             
-            // Map Scolia player ID to our player ID
-            const playerId = message.player === 1 ? game.player1_id : game.player2_id;
+            let playerId;
             
-            // Process the throw
-            processThrow(game.id, playerId, message.score, message.darts || [])
+            // Map the Scolia player number to the player in that seat
+            getGamePlayers(db, game.id)
+              .then(players => {
+                const seat = players.find(p => p.position === message.player);
+                if (!seat) {
+                  throw new Error(`No player in seat ${message.player}`);
+                }
+                
+                playerId = seat.player_id;
+                return processThrow(game.id, playerId, message.score, message.darts || []);
+              })
               .then(updatedGame => {
                 console.log(`Processed throw for game ${game.id}, player ${playerId}, score ${message.score}`);
               })
@@ -179,6 +268,7 @@ const handleScoliaMessage = async (boardId, message) => {
 
 /**
  * Send game configuration to a Scolia board
+ * @param {Object} gameConfig - { players: [name, ...] } in seat order, or { player1Name, player2Name }
  */
 const configureBoard = async (boardId, gameConfig) => {
   const ws = boardConnections.get(boardId);
@@ -193,10 +283,8 @@ const configureBoard = async (boardId, gameConfig) => {
     type: 'configure',
     game_type: 'x01',
     starting_score: 501,
-    players: [
-      { id: 1, name: gameConfig.player1Name },
-      { id: 2, name: gameConfig.player2Name }
-    ],
+    players: (gameConfig.players || [gameConfig.player1Name, gameConfig.player2Name])
+      .map((name, index) => ({ id: index + 1, name })),
     options: {
       double_in: false,
       double_out: true
@@ -287,7 +375,8 @@ const getAllBoards = async () => {
         
         return {
           ...board,
-          connected: isConnected
+          connected: isConnected,
+          connection: getConnectionInfo(board.id)
         };
       });
       
@@ -299,6 +388,7 @@ const getAllBoards = async () => {
 module.exports = {
   connectToScoliaBoards,
   connectToBoard,
+  getConnectionInfo,
   configureBoard,
   startGame,
   registerBoard,
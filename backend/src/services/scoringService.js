@@ -1,16 +1,72 @@
 const { getDb } = require('../models/database');
 const { logGameAction } = require('../utils/gameLogger');
+const { measureBullShot, decideBullOff } = require('../utils/bullOff');
+const { getGameMatchRules, decideMatch } = require('../utils/matchRules');
+const {
+  getGamePlayers,
+  updateGamePlayer,
+  updateGameSide,
+  getModeSettings,
+  toModePlayers,
+  saveModePlayers,
+  startModeLeg,
+  getNextPlayerId,
+  formatScoreLine
+} = require('../utils/gamePlayers');
+const { getGameMode, parseSegment } = require('../utils/gameModes');
+const { getSidePlayerIds, getSides } = require('../utils/teams');
+const { advanceTournament } = require('./phaseService');
+
+/**
+ * Pull the board-reported position of each dart out of a throw, if any
+ * @param {Array} darts - Dart notation strings or dart objects
+ * @returns {string|null} JSON array aligned with the darts, or null when no positions were reported
+ */
+const getDartPositions = (darts) => {
+  const positions = darts.map(dart => (dart && typeof dart === 'object' && dart.coordinates ? {
+    coordinates: dart.coordinates,
+    angle: dart.angle || null,
+    detectionTime: dart.detectionTime || null
+  } : null));
+  
+  return positions.some(position => position) ? JSON.stringify(positions) : null;
+};
+
+const isX01Game = game => getGameMode(game.game_mode || '501').id === 'x01';
+
+/**
+ * Segment the game mode registry takes for a dart in notation, e.g. '20' is
+ * 'S20', '25' the bull and '50' the bullseye
+ * @param {string} dart - Dart notation, e.g. 'T20', 'D16', '0' for a miss
+ * @returns {string} Segment, 'MISS' when nothing scoring was hit
+ */
+const toSegment = (dart) => {
+  const notation = String(dart || '').trim().toUpperCase();
+  if (parseSegment(notation)) return notation;
+
+  const match = /^([SDT])?(\d+)$/.exec(notation);
+  if (!match) return 'MISS';
+
+  const number = parseInt(match[2], 10);
+  if (number === 50 && !match[1]) return 'DBULL';
+  if (number === 25 && match[1] !== 'T') return match[1] === 'D' ? 'DBULL' : 'BULL';
+
+  return number >= 1 && number <= 20 ? `${match[1] || 'S'}${number}` : 'MISS';
+};
 
 /**
  * Process a throw in the current game
  * @param {Object} gameState - Current game state
  * @param {number} playerId - ID of the player making the throw
  * @param {number} score - Score for the current throw (3 darts)
- * @param {Array} darts - Array of dart notation for each dart [dart1, dart2, dart3]
+ * @param {Array} darts - Dart notation for each dart [dart1, dart2, dart3], or
+ *   { segment, coordinates, angle, detectionTime } objects when the board reports positions
  * @returns {Object} Updated game state
  */
 const processThrow = async (gameId, playerId, score, darts) => {
   const db = getDb();
+  const dartPositions = getDartPositions(darts);
+  darts = darts.map(dart => (dart && typeof dart === 'object' ? dart.segment : dart));
   let game, currentLeg;
   
   // Start a transaction
@@ -61,120 +117,127 @@ const processThrow = async (gameId, playerId, score, darts) => {
             
             currentLeg = legRow;
             
-            // Determine which player and current score
-            const isPlayer1 = playerId === game.player1_id;
-            const currentScore = isPlayer1 ? game.current_leg_player1_score : game.current_leg_player2_score;
-            const dartsThrown = isPlayer1 ? game.current_leg_player1_darts : game.current_leg_player2_darts;
-            
-            // Calculate new score and check if it's valid
-            const newScore = currentScore - score;
-            
-            // Check if it's a bust (less than 0 or 1)
-            const isBust = newScore < 0 || newScore === 1;
-            
-            // If it's a bust, score doesn't change but we log the throw
-            const finalScore = isBust ? currentScore : newScore;
-            const dartsThrownAfter = dartsThrown + darts.filter(d => d).length;
-            
-            // Record the throw
-            db.run(
-              `INSERT INTO throws 
-                (leg_id, player_id, score, dart1, dart2, dart3, remaining, is_bust) 
-               VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-              [
-                currentLeg.id, 
-                playerId, 
-                score, 
-                darts[0] || null, 
-                darts[1] || null, 
-                darts[2] || null, 
-                finalScore,
-                isBust ? 1 : 0
-              ],
-              function(err) {
-                if (err) {
-                  db.run('ROLLBACK');
-                  return reject(err);
-                }
-                
-                // Update the current leg score and darts thrown
-                let updateQuery, updateParams;
-                
-                if (isPlayer1) {
-                  updateQuery = `
-                    UPDATE games 
-                    SET current_leg_player1_score = ?, 
-                        current_leg_player1_darts = ?,
-                        current_player = ?,
-                        updated_at = CURRENT_TIMESTAMP
-                    WHERE id = ?
-                  `;
-                  updateParams = [
-                    finalScore, 
-                    dartsThrownAfter, 
-                    game.player2_id,  // Switch to the other player
-                    gameId
-                  ];
-                } else {
-                  updateQuery = `
-                    UPDATE games 
-                    SET current_leg_player2_score = ?, 
-                        current_leg_player2_darts = ?,
-                        current_player = ?,
-                        updated_at = CURRENT_TIMESTAMP
-                    WHERE id = ?
-                  `;
-                  updateParams = [
-                    finalScore, 
-                    dartsThrownAfter, 
-                    game.player1_id,  // Switch to the other player
-                    gameId
-                  ];
-                }
-                
-                // If checkout (score = 0), also update leg and possibly game
-                if (newScore === 0) {
-                  handleCheckout(db, game, currentLeg, playerId, dartsThrownAfter)
-                    .then(updatedGame => {
-                      db.run('COMMIT');
-                      resolve(updatedGame);
+            getGamePlayers(db, gameId).then(players => {
+              // Determine the player's seat and current score
+              const player = players.find(p => p.player_id === playerId);
+              
+              if (!player) {
+                db.run('ROLLBACK');
+                return reject(new Error('Player is not in this game'));
+              }
+              
+              // Modes other than x01 are scored dart by dart through the game mode registry
+              if (!isX01Game(game)) {
+                scoreModeTurn(db, game, players, currentLeg, playerId, darts, dartPositions)
+                  .then(updatedGame => {
+                    db.run('COMMIT');
+                    resolve(updatedGame);
+                  })
+                  .catch(err => {
+                    db.run('ROLLBACK');
+                    reject(err);
+                  });
+                return;
+              }
+              
+              const currentScore = player.score;
+              const dartsThrown = player.darts;
+              
+              // Calculate new score and check if it's valid
+              const newScore = currentScore - score;
+              
+              // Check if it's a bust (less than 0 or 1)
+              const isBust = newScore < 0 || newScore === 1;
+              
+              // If it's a bust, score doesn't change but we log the throw
+              const finalScore = isBust ? currentScore : newScore;
+              const dartsThrownAfter = dartsThrown + darts.filter(d => d).length;
+              
+              // Record the throw
+              db.run(
+                `INSERT INTO throws 
+                  (leg_id, player_id, score, dart1, dart2, dart3, remaining, is_bust, dart_positions) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                  currentLeg.id, 
+                  playerId, 
+                  score, 
+                  darts[0] || null, 
+                  darts[1] || null, 
+                  darts[2] || null, 
+                  finalScore,
+                  isBust ? 1 : 0,
+                  dartPositions
+                ],
+                function(err) {
+                  if (err) {
+                    db.run('ROLLBACK');
+                    return reject(err);
+                  }
+                  
+                  // If checkout (score = 0), also update leg and possibly game
+                  if (newScore === 0) {
+                    handleCheckout(db, game, players, currentLeg, playerId, dartsThrownAfter)
+                      .then(updatedGame => {
+                        db.run('COMMIT');
+                        resolve(updatedGame);
+                      })
+                      .catch(err => {
+                        db.run('ROLLBACK');
+                        reject(err);
+                      });
+                    return;
+                  }
+                  
+                  // Just update the current score, shared by a team, and pass the turn to the next seat
+                  updateGameSide(db, gameId, players, playerId, { score: finalScore })
+                    .then(() => updateGamePlayer(db, gameId, playerId, { darts: dartsThrownAfter }))
+                    .then(() => {
+                      db.run(
+                        `UPDATE games 
+                         SET current_player = ?, 
+                             updated_at = CURRENT_TIMESTAMP
+                         WHERE id = ?`,
+                        [getNextPlayerId(players, playerId), gameId],
+                        function(err) {
+                          if (err) {
+                            db.run('ROLLBACK');
+                            return reject(err);
+                          }
+                          
+                          // If bust, log it
+                          if (isBust) {
+                            logGameAction(
+                              db, 
+                              gameId, 
+                              'bust', 
+                              `Player busted with score ${score}. Remaining: ${currentScore}`
+                            );
+                          }
+                          
+                          // Get updated game state
+                          db.get('SELECT * FROM games WHERE id = ?', [gameId], (err, updatedGame) => {
+                            if (err) {
+                              db.run('ROLLBACK');
+                              return reject(err);
+                            }
+                            
+                            db.run('COMMIT');
+                            resolve(updatedGame);
+                          });
+                        }
+                      );
                     })
                     .catch(err => {
                       db.run('ROLLBACK');
                       reject(err);
                     });
-                } else {
-                  // Just update the current score and switch players
-                  db.run(updateQuery, updateParams, function(err) {
-                    if (err) {
-                      db.run('ROLLBACK');
-                      return reject(err);
-                    }
-                    
-                    // If bust, log it
-                    if (isBust) {
-                      logGameAction(
-                        db, 
-                        gameId, 
-                        'bust', 
-                        `Player busted with score ${score}. Remaining: ${currentScore}`
-                      );
-                    }
-                    
-                    // Get updated game state
-                    db.get('SELECT * FROM games WHERE id = ?', [gameId], (err, updatedGame) => {
-                      if (err) {
-                        db.run('ROLLBACK');
-                        return reject(err);
-                      }
-                      
-                      db.run('COMMIT');
-                      resolve(updatedGame);
-                    });
-                  });
                 }
-              }
-            );
+              );
+            }).catch(err => {
+              db.run('ROLLBACK');
+              reject(err);
+            });
           }
         );
       });
@@ -183,136 +246,332 @@ const processThrow = async (gameId, playerId, score, darts) => {
 };
 
 /**
- * Handle checkout (player reached exactly 0)
+ * Score a turn of a mode other than x01 (cricket, Around the Clock, Shanghai,
+ * Killer) through the game mode registry, inside the caller's transaction.
+ * Every dart is played, a dart left out counting as a miss, until the leg is
+ * won or the thrower is out; a dart can change other players too, e.g.
+ * costing an opponent a Killer life. Modes decided over a whole round are
+ * checked once the turn passes the leg starter again. A team plays as one
+ * side, whichever teammate throws
+ * @param {Array} players - game_players rows in throwing order
+ * @param {Array<string>} darts - Dart notation for each dart
+ * @returns {Promise<Object>} Updated game, see processThrow
  */
-const handleCheckout = async (db, game, leg, playerId, dartsThrownTotal) => {
-  return new Promise((resolve, reject) => {
-    const isPlayer1 = playerId === game.player1_id;
-    const checkoutScore = isPlayer1 ? 
-      game.current_leg_player1_score : 
-      game.current_leg_player2_score;
-      
-    // Record checkout in stats if it's a valid checkout (≤170)
-    if (checkoutScore <= 170) {
-      db.run(
-        `UPDATE player_stats
-         SET checkout_attempts = checkout_attempts + 1,
-             checkout_successes = checkout_successes + 1,
-             highest_checkout = CASE WHEN ? > highest_checkout THEN ? ELSE highest_checkout END,
-             updated_at = CURRENT_TIMESTAMP
-         WHERE player_id = ? AND game_id = ?`,
-        [checkoutScore, checkoutScore, playerId, game.id],
-        function(err) {
-          if (err) {
-            console.error('Error updating player stats:', err);
-            // Continue anyway, this is not critical
-          }
-        }
-      );
+const scoreModeTurn = async (db, game, players, leg, playerId, darts, dartPositions) => {
+  const gameMode = getGameMode(game.game_mode);
+  const settings = getModeSettings(game);
+  const modePlayers = toModePlayers(players);
+  const findSide = seatPlayerId => modePlayers.find(player => player.id === getSidePlayerIds(players, seatPlayerId)[0]);
+  const thrower = findSide(playerId);
+  const isOut = player => !!(gameMode.isOut && gameMode.isOut(player));
+  const getContext = (player, turn, roundComplete = false) => ({
+    opponents: modePlayers.filter(other => other.id !== player.id),
+    turn,
+    roundComplete,
+    settings
+  });
+  const findLegWinner = (turn, roundComplete = false) => modePlayers.find(player => gameMode.isLegWon(
+    player,
+    getContext(player, player === thrower ? turn : [], roundComplete)
+  ));
+  
+  const turn = [];
+  let points = 0;
+  let legWinner = null;
+  
+  for (const dart of [0, 1, 2].map(index => darts[index])) {
+    const segment = toSegment(dart);
+    const hit = parseSegment(segment);
+    const context = getContext(thrower, [...turn]);
+    const result = gameMode.validateThrow(thrower, segment, hit ? hit.number * hit.multiplier : 0, context);
+    
+    if (result.valid) {
+      gameMode.applyThrow(thrower, result, context);
+      points += result.points;
     }
     
-    // Update leg as completed
+    turn.push(segment);
+    legWinner = findLegWinner(turn);
+    if (legWinner || isOut(thrower)) break;
+  }
+  
+  // The next seat still in the leg; passing the leg starter completes the round
+  const legStarter = game.current_leg_starter || players[0].player_id;
+  let nextPlayerId = playerId;
+  let roundComplete = false;
+  do {
+    nextPlayerId = getNextPlayerId(players, nextPlayerId);
+    roundComplete = roundComplete || nextPlayerId === legStarter;
+  } while (nextPlayerId !== playerId && isOut(findSide(nextPlayerId)));
+  
+  if (!legWinner && roundComplete) {
+    legWinner = findLegWinner(turn, true);
+  }
+  
+  const dartsThrownAfter = players.find(p => p.player_id === playerId).darts + turn.length;
+  
+  await new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO throws 
+        (leg_id, player_id, score, dart1, dart2, dart3, remaining, is_bust, dart_positions) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?)`,
+      [leg.id, playerId, points, darts[0] || null, darts[1] || null, darts[2] || null, thrower.score, dartPositions],
+      function(err) {
+        if (err) return reject(err);
+        resolve();
+      }
+    );
+  });
+  
+  await saveModePlayers(db, game.id, modePlayers, players);
+  await updateGamePlayer(db, game.id, playerId, { darts: dartsThrownAfter });
+  
+  if (legWinner) {
+    // The leg is settled as for an x01 checkout, on the seats as they now stand,
+    // and credited to the thrower when their side won it
+    const updatedPlayers = await getGamePlayers(db, game.id);
+    const winnerId = legWinner === thrower ? playerId : legWinner.id;
+    const winnerDarts = updatedPlayers.find(p => p.player_id === winnerId).darts;
+    return handleCheckout(db, game, updatedPlayers, leg, winnerId, winnerDarts);
+  }
+  
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE games SET current_player = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [nextPlayerId, game.id],
+      function(err) {
+        if (err) return reject(err);
+        
+        db.get('SELECT * FROM games WHERE id = ?', [game.id], (err, updatedGame) => {
+          if (err) return reject(err);
+          resolve(updatedGame);
+        });
+      }
+    );
+  });
+};
+
+/**
+ * Handle a won leg: an x01 checkout (player reached exactly 0), or the leg
+ * decided by the rules of another game mode. A team's leg is credited to
+ * every teammate
+ * @param {Array} players - game_players rows in throwing order, before the checkout
+ */
+const handleCheckout = async (db, game, players, leg, playerId, dartsThrownTotal) => {
+  const isX01 = isX01Game(game);
+  const player = players.find(p => p.player_id === playerId);
+  const checkoutScore = player.score;
+  
+  // Record checkout in stats if it's a valid checkout (≤170)
+  if (isX01 && checkoutScore <= 170) {
+    db.run(
+      `UPDATE player_stats
+       SET checkout_attempts = checkout_attempts + 1,
+           checkout_successes = checkout_successes + 1,
+           highest_checkout = CASE WHEN ? > highest_checkout THEN ? ELSE highest_checkout END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE player_id = ? AND game_id = ?`,
+      [checkoutScore, checkoutScore, playerId, game.id],
+      function(err) {
+        if (err) {
+          console.error('Error updating player stats:', err);
+          // Continue anyway, this is not critical
+        }
+      }
+    );
+  }
+  
+  // Update leg as completed
+  await new Promise((resolve, reject) => {
     db.run(
       `UPDATE legs
        SET winner_id = ?,
-           ${isPlayer1 ? 'player1_darts' : 'player2_darts'} = ?,
            completed_at = CURRENT_TIMESTAMP
        WHERE id = ?`,
-      [playerId, dartsThrownTotal, leg.id],
+      [playerId, leg.id],
       function(err) {
         if (err) return reject(err);
-        
-        // Increment leg count for player
-        const legField = isPlayer1 ? 'player1_legs' : 'player2_legs';
-        const newLegCount = isPlayer1 ? game.player1_legs + 1 : game.player2_legs + 1;
-        
-        // Check if the player has won the match
-        const gameWon = newLegCount >= game.legs_required;
-        
-        // Update game state
-        let updateSql, updateParams;
-        
-        if (gameWon) {
-          // Game is complete
-          updateSql = `
-            UPDATE games
-            SET ${legField} = ${legField} + 1,
-                status = 'completed',
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-          `;
-          updateParams = [game.id];
+        resolve();
+      }
+    );
+  });
+  
+  // Credit the leg; playing sets, legs are also counted per set
+  const playingSets = game.sets_to_win > 0;
+  const setLegCount = player.set_legs_won + 1;
+  const setWon = playingSets && setLegCount >= game.legs_per_set;
+  const winnerSide = getSidePlayerIds(players, playerId);
+  const standings = players.map(p => (winnerSide.includes(p.player_id) ? {
+    ...p,
+    score: isX01 ? 0 : p.score,
+    darts: p.player_id === playerId ? dartsThrownTotal : p.darts,
+    legs_won: p.legs_won + 1,
+    set_legs_won: setLegCount,
+    sets_won: p.sets_won + (setWon ? 1 : 0)
+  } : p));
+  const winner = standings.find(p => p.player_id === playerId);
+  const sides = getSides(standings);
+  
+  await updateGameSide(db, game.id, players, playerId, {
+    score: winner.score,
+    legs_won: winner.legs_won,
+    set_legs_won: winner.set_legs_won,
+    sets_won: winner.sets_won
+  });
+  await updateGamePlayer(db, game.id, playerId, { darts: dartsThrownTotal });
+  
+  // Check if the player has won the match; legs-only games follow the match rules
+  const decision = playingSets ? null : decideMatch(
+    Object.fromEntries(sides.map(p => [p.player_id, p.legs_won])),
+    getGameMatchRules(game)
+  );
+  const gameWon = playingSets ? winner.sets_won >= game.sets_to_win : decision.decided;
+  
+  // Update game state
+  let updateSql, updateParams;
+  
+  if (gameWon) {
+    // Game is complete
+    updateSql = `
+      UPDATE games
+      SET status = 'completed',
+          winner_id = ?,
+          decided_by = ?,
+          completed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    updateParams = [playerId, playingSets ? 'sets' : decision.decidedBy, game.id];
+    
+    // Log game completion
+    const result = playingSets
+      ? `sets ${formatScoreLine(sides, 'sets_won')}`
+      : `score ${formatScoreLine(sides, 'legs_won')}`;
+    logGameAction(
+      db, 
+      game.id, 
+      'game_completed', 
+      `Game won by player ${playerId} with ${result}`
+    );
+  } else if (decision && decision.bullOff) {
+    // Level at the tie point: a bull-off between the tied players decides the game, in seat order
+    updateSql = `
+      UPDATE games
+      SET status = 'tiebreak',
+          current_player = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    updateParams = [standings.find(p => decision.tiedPlayers.includes(p.player_id)).player_id, game.id];
+    
+    logGameAction(
+      db, 
+      game.id, 
+      'tiebreak_started', 
+      `Game level at ${formatScoreLine(sides, 'legs_won')}, bull-off to decide the winner`
+    );
+  } else {
+    // Game continues with a new leg. Leg starters rotate through the seats within
+    // a set; a new set is started by the seat after the one that started the last
+    const setStarter = game.current_set_starter || game.current_leg_starter;
+    const newStarter = getNextPlayerId(players, setWon ? setStarter : game.current_leg_starter);
+    const setNumber = (game.current_set || 1) + (setWon ? 1 : 0);
+    
+    // Everyone starts the new leg on their starting score, and the new set on
+    // their head start of legs
+    await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE game_players
+         SET score = starting_score,
+             darts = 0${setWon ? ',\n             set_legs_won = start_legs' : ''}
+         WHERE game_id = ?`,
+        [game.id],
+        function(err) {
+          if (err) return reject(err);
+          resolve();
+        }
+      );
+    });
+    
+    if (!isX01) {
+      await startModeLeg(db, game);
+    }
+    
+    updateSql = `
+      UPDATE games
+      SET current_set = ?,
+          current_set_starter = ?,
+          current_leg_starter = ?,
+          current_player = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    updateParams = [setNumber, setWon ? newStarter : setStarter, newStarter, newStarter, game.id];
+    
+    if (setWon) {
+      logGameAction(
+        db, 
+        game.id, 
+        'set_completed', 
+        `Set ${game.current_set || 1} won by player ${playerId}, sets ${formatScoreLine(sides, 'sets_won')}`
+      );
+    }
+    
+    // Create a new leg
+    await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO legs (
+          game_id, 
+          leg_number, 
+          set_number, 
+          starter_id
+         ) VALUES (?, ?, ?, ?)`,
+        [game.id, leg.leg_number + 1, setNumber, newStarter],
+        function(err) {
+          if (err) return reject(err);
           
-          // Log game completion
+          // Log leg completion
           logGameAction(
             db, 
             game.id, 
-            'game_completed', 
-            `Game won by player ${playerId} with score ${newLegCount}-${isPlayer1 ? game.player2_legs : game.player1_legs}`
-          );
-        } else {
-          // Game continues with a new leg
-          updateSql = `
-            UPDATE games
-            SET ${legField} = ${legField} + 1,
-                current_leg_player1_score = 501,
-                current_leg_player2_score = 501,
-                current_leg_player1_darts = 0,
-                current_leg_player2_darts = 0,
-                current_leg_starter = ?,
-                current_player = ?,
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-          `;
-          
-          // Alternate the starter of each leg
-          const newStarter = game.current_leg_starter === game.player1_id ? 
-            game.player2_id : game.player1_id;
-            
-          updateParams = [newStarter, newStarter, game.id];
-          
-          // Create a new leg
-          db.run(
-            `INSERT INTO legs (
-              game_id, 
-              leg_number, 
-              starter_id, 
-              player1_score, 
-              player2_score
-             ) VALUES (?, ?, ?, 501, 501)`,
-            [game.id, leg.leg_number + 1, newStarter],
-            function(err) {
-              if (err) return reject(err);
-              
-              // Log leg completion
-              logGameAction(
-                db, 
-                game.id, 
-                'leg_completed', 
-                `Leg ${leg.leg_number} won by player ${playerId}. New leg starting with player ${newStarter}`
-              );
-            }
+            'leg_completed', 
+            `Leg ${leg.leg_number} won by player ${playerId}. New leg starting with player ${newStarter}${decision && decision.suddenDeath ? ', sudden-death leg' : ''}`
           );
+          resolve();
         }
+      );
+    });
+  }
+  
+  return new Promise((resolve, reject) => {
+    db.run(updateSql, updateParams, function(err) {
+      if (err) return reject(err);
+      
+      // Get updated game state; a won tournament game moves its winner on in the
+      // bracket, the last game of a Swiss round pairs the next round, and the
+      // last group or Swiss game moves the tournament on to its knockout
+      db.get('SELECT * FROM games WHERE id = ?', [game.id], (err, updatedGame) => {
+        if (err) return reject(err);
         
-        db.run(updateSql, updateParams, function(err) {
-          if (err) return reject(err);
-          
-          // Get updated game state
-          db.get('SELECT * FROM games WHERE id = ?', [game.id], (err, updatedGame) => {
-            if (err) return reject(err);
-            resolve(updatedGame);
-          });
-        });
-      }
-    );
+        advanceTournament(db, updatedGame).then(({ bracketMatch, tournamentStatus }) => resolve({
+          ...updatedGame,
+          standings,
+          setWon: setWon ? { playerId, set: game.current_set || 1 } : null,
+          suddenDeath: !!(decision && decision.suddenDeath),
+          bracketMatch,
+          tournamentStatus
+        })).catch(reject);
+      });
+    });
   });
 };
 
 /**
  * Start a warmup period for a game
+ * @param {number} gameId - ID of the game
+ * @param {number} [warmupDarts] - Darts each player throws before warmup ends, 9 unless given
  */
-const startWarmup = async (gameId) => {
+const startWarmup = async (gameId, warmupDarts) => {
   const db = getDb();
   
   return new Promise((resolve, reject) => {
@@ -324,16 +583,18 @@ const startWarmup = async (gameId) => {
         return reject(new Error('Game must be in pending state to start warmup'));
       }
       
+      const limit = parseInt(warmupDarts, 10) || game.warmup_darts || 9;
+      
       db.run(
         `UPDATE games 
-         SET status = 'warmup', updated_at = CURRENT_TIMESTAMP 
+         SET status = 'warmup', warmup_darts = ?, updated_at = CURRENT_TIMESTAMP 
          WHERE id = ?`,
-        [gameId],
+        [limit, gameId],
         function(err) {
           if (err) return reject(err);
           
-          logGameAction(db, gameId, 'warmup_started', 'Warmup period started');
-          resolve({ ...game, status: 'warmup' });
+          logGameAction(db, gameId, 'warmup_started', `Warmup period started, ${limit} darts each`);
+          resolve({ ...game, status: 'warmup', warmup_darts: limit });
         }
       );
     });
@@ -371,11 +632,87 @@ const completeWarmup = async (gameId) => {
   });
 };
 
+/**
+ * Record a warmup dart. Once every player has thrown their warmup darts the
+ * warmup completes and the game moves on to the throw for bull.
+ * @param {number} gameId - ID of the game
+ * @param {number} playerId - ID of the player throwing
+ * @param {Object} dart - { segment, coordinates } as reported by the board
+ * @returns {Object} { game, counts, complete } where counts maps player IDs to darts thrown
+ */
+const recordWarmupThrow = async (gameId, playerId, dart) => {
+  const db = getDb();
+  
+  const game = await new Promise((resolve, reject) => {
+    db.get('SELECT * FROM games WHERE id = ?', [gameId], (err, row) => {
+      if (err) return reject(err);
+      resolve(row);
+    });
+  });
+  
+  if (!game) throw new Error('Game not found');
+  if (game.status !== 'warmup') throw new Error('Game must be in warmup state');
+  
+  const players = await getGamePlayers(db, gameId);
+  if (!players.some(player => player.player_id === playerId)) {
+    throw new Error('Player is not in this game');
+  }
+  
+  const limit = game.warmup_darts || 9;
+  const counts = await getWarmupCounts(db, game, players);
+  
+  if (counts[playerId] >= limit) {
+    throw new Error(`Player ${playerId} has already thrown ${limit} warmup darts`);
+  }
+  
+  await new Promise((resolve, reject) => {
+    db.run(
+      'INSERT INTO warmup_throws (game_id, player_id, segment, coordinates) VALUES (?, ?, ?, ?)',
+      [gameId, playerId, dart.segment || null, dart.coordinates ? JSON.stringify(dart.coordinates) : null],
+      function(err) {
+        if (err) return reject(err);
+        resolve();
+      }
+    );
+  });
+  
+  counts[playerId]++;
+  
+  if (players.some(player => counts[player.player_id] < limit)) {
+    return { game, counts, complete: false };
+  }
+  
+  const updatedGame = await completeWarmup(gameId);
+  return { game: updatedGame, counts, complete: true };
+};
+
+/**
+ * Count the warmup darts each player of a game has thrown
+ */
+const getWarmupCounts = (db, game, players) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT player_id, COUNT(*) AS count FROM warmup_throws WHERE game_id = ? GROUP BY player_id',
+      [game.id],
+      (err, rows) => {
+        if (err) return reject(err);
+        
+        const counts = Object.fromEntries(players.map(player => [player.player_id, 0]));
+        rows.forEach(row => {
+          counts[row.player_id] = row.count;
+        });
+        resolve(counts);
+      }
+    );
+  });
+};
+
 /**
  * Set the winner of the bull throw
  */
 const setBullWinner = async (gameId, winnerId) => {
   const db = getDb();
+  const players = await getGamePlayers(db, gameId);
   
   return new Promise((resolve, reject) => {
     db.get('SELECT * FROM games WHERE id = ?', [gameId], (err, game) => {
@@ -387,7 +724,7 @@ const setBullWinner = async (gameId, winnerId) => {
       }
       
       // Validate that winnerId is one of the players
-      if (winnerId !== game.player1_id && winnerId !== game.player2_id) {
+      if (!players.some(player => player.player_id === winnerId)) {
         return reject(new Error('Invalid winner ID'));
       }
       
@@ -400,10 +737,11 @@ const setBullWinner = async (gameId, winnerId) => {
            SET bull_complete = 1, 
                status = 'in_progress', 
                current_leg_starter = ?, 
+               current_set_starter = ?, 
                current_player = ?,
                updated_at = CURRENT_TIMESTAMP 
            WHERE id = ?`,
-          [winnerId, winnerId, gameId],
+          [winnerId, winnerId, winnerId, gameId],
           function(err) {
             if (err) {
               db.run('ROLLBACK');
@@ -415,10 +753,8 @@ const setBullWinner = async (gameId, winnerId) => {
               `INSERT INTO legs (
                 game_id, 
                 leg_number, 
-                starter_id, 
-                player1_score, 
-                player2_score
-               ) VALUES (?, 1, ?, 501, 501)`,
+                starter_id
+               ) VALUES (?, 1, ?)`,
               [gameId, winnerId],
               function(err) {
                 if (err) {
@@ -449,6 +785,149 @@ const setBullWinner = async (gameId, winnerId) => {
   });
 };
 
+/**
+ * Complete a game tied at its tie point with the winner of the tie-break bull-off
+ */
+const completeTiebreak = async (gameId, winnerId) => {
+  const db = getDb();
+  
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE games 
+       SET status = 'completed', 
+           winner_id = ?, 
+           decided_by = 'bull_off', 
+           current_player = NULL, 
+           completed_at = CURRENT_TIMESTAMP, 
+           updated_at = CURRENT_TIMESTAMP 
+       WHERE id = ? AND status = 'tiebreak'`,
+      [winnerId, gameId],
+      function(err) {
+        if (err) return reject(err);
+        if (this.changes === 0) return reject(new Error('Game must be in tiebreak state'));
+        
+        logGameAction(db, gameId, 'game_completed', `Game won by player ${winnerId} on the tie-break bull-off`);
+        
+        db.get('SELECT * FROM games WHERE id = ?', [gameId], (err, updatedGame) => {
+          if (err) return reject(err);
+          
+          advanceTournament(db, updatedGame)
+            .then(() => resolve(updatedGame))
+            .catch(reject);
+        });
+      }
+    );
+  });
+};
+
+/**
+ * Record a throw-for-bull dart reported by the board. Players throw in seat
+ * order; once every player in the current attempt has thrown, the closest dart
+ * wins and the game starts, otherwise the tied players throw again. In a game
+ * level at its tie point (status 'tiebreak') only the players level on legs
+ * throw, and the bull-off winner wins the game. In a team game each team's
+ * first player throws for the team.
+ * @param {number} gameId - ID of the game
+ * @param {number} playerId - ID of the player throwing
+ * @param {Object} dart - { segment, coordinates, bounceout } as reported by the board
+ * @returns {Object} { game, shot, result } where result is null until the attempt is complete
+ */
+const recordBullShot = async (gameId, playerId, dart) => {
+  const db = getDb();
+  
+  const game = await new Promise((resolve, reject) => {
+    db.get('SELECT * FROM games WHERE id = ?', [gameId], (err, row) => {
+      if (err) return reject(err);
+      resolve(row);
+    });
+  });
+  
+  if (!game) throw new Error('Game not found');
+  if (game.status !== 'bull' && game.status !== 'tiebreak') {
+    throw new Error('Game must be in bull throw or tiebreak state');
+  }
+  
+  const tiebreak = game.status === 'tiebreak';
+  const shots = await new Promise((resolve, reject) => {
+    db.all(
+      'SELECT player_id AS playerId, attempt, distance FROM bull_shots WHERE game_id = ? AND tiebreak = ? ORDER BY attempt, id',
+      [gameId, tiebreak ? 1 : 0],
+      (err, rows) => {
+        if (err) return reject(err);
+        resolve(rows);
+      }
+    );
+  });
+  
+  // Work out who is still to throw in the current attempt
+  const players = await getGamePlayers(db, gameId);
+  const mostLegs = Math.max(...players.map(player => player.legs_won));
+  let attempt = 1;
+  let expected = getSides(players)
+    .filter(player => !tiebreak || player.legs_won === mostLegs)
+    .map(player => player.player_id);
+  let attemptShots = [];
+  
+  if (shots.length > 0) {
+    attempt = shots[shots.length - 1].attempt;
+    attemptShots = shots.filter(shot => shot.attempt === attempt);
+    
+    if (attempt > 1) {
+      const previous = shots.filter(shot => shot.attempt === attempt - 1);
+      expected = decideBullOff(previous).rethrow;
+    }
+    
+    if (attemptShots.length === expected.length) {
+      // The last attempt was tied, so the tied players go again
+      expected = decideBullOff(attemptShots).rethrow;
+      attempt++;
+      attemptShots = [];
+    }
+  }
+  
+  const nextPlayerId = expected[attemptShots.length];
+  if (playerId !== nextPlayerId) {
+    throw new Error(`Expected bull shot from player ${nextPlayerId}`);
+  }
+  
+  const shot = {
+    playerId,
+    segment: dart.segment || null,
+    coordinates: dart.coordinates || null,
+    ...measureBullShot(dart)
+  };
+  
+  await new Promise((resolve, reject) => {
+    db.run(
+      'INSERT INTO bull_shots (game_id, player_id, attempt, segment, coordinates, distance, tiebreak) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [gameId, playerId, attempt, shot.segment, shot.coordinates ? JSON.stringify(shot.coordinates) : null, shot.distance, tiebreak ? 1 : 0],
+      function(err) {
+        if (err) return reject(err);
+        resolve();
+      }
+    );
+  });
+  
+  attemptShots.push({ playerId, distance: shot.distance });
+  
+  if (attemptShots.length < expected.length) {
+    return { game, shot, result: null };
+  }
+  
+  const decision = decideBullOff(attemptShots);
+  const result = { attempt, shots: attemptShots, tiebreak, ...decision };
+  
+  if (!decision.winnerId) {
+    logGameAction(db, gameId, 'bull_rethrow', `Bull throw attempt ${attempt} tied, players ${decision.rethrow.join(', ')} re-throw`);
+    return { game, shot, result };
+  }
+  
+  const updatedGame = tiebreak
+    ? await completeTiebreak(gameId, decision.winnerId)
+    : await setBullWinner(gameId, decision.winnerId);
+  return { game: updatedGame, shot, result };
+};
+
 /**
  * Manually override a throw
  */
@@ -622,9 +1101,9 @@ const calculatePlayerStats = async (gameId, playerId) => {
               highestCheckout = checkoutRows.length > 0 ?
                 Math.max(...checkoutRows.map(r => r.checkout_value)) : 0;
               
-              // Get darts per leg
+              // Get darts per leg, counted from the player's throws in the legs they won
               db.all(
-                `SELECT winner_id, player1_darts, player2_darts
+                `SELECT id, winner_id
                  FROM legs
                  WHERE game_id = ? AND winner_id IS NOT NULL`,
                 [gameId],
@@ -633,8 +1112,9 @@ const calculatePlayerStats = async (gameId, playerId) => {
                   
                   const completedLegsForPlayer = legs.filter(l => l.winner_id === playerId);
                   const totalDartsForLegs = completedLegsForPlayer.reduce((sum, l) => {
-                    return sum + (l.winner_id === playerId ? 
-                      (playerId === l.player1_id ? l.player1_darts : l.player2_darts) : 0);
+                    return sum + throws
+                      .filter(t => t.leg_id === l.id)
+                      .reduce((legSum, t) => legSum + [t.dart1, t.dart2, t.dart3].filter(d => d).length, 0);
                   }, 0);
                   
                   const dartsPerLeg = completedLegsForPlayer.length > 0 ?
@@ -736,7 +1216,10 @@ module.exports = {
   processThrow,
   startWarmup,
   completeWarmup,
+  recordWarmupThrow,
   setBullWinner,
+  recordBullShot,
+  completeTiebreak,
   overrideThrow,
   getPlayerStats,
   calculatePlayerStats,
@@ -1,6 +1,8 @@
 const { getDb } = require('../models/database');
 const scoringService = require('./scoringService');
 const { logGameAction } = require('../utils/gameLogger');
+const { getGamePlayers, getGameTeams, getModeSettings } = require('../utils/gamePlayers');
+const { getSeatHandicap } = require('../utils/handicap');
 
 // Map to track active socket connections
 const activeConnections = new Map();
@@ -128,6 +130,28 @@ const setupSocketHandlers = (io) => {
         // Process the throw
         const updatedGame = await scoringService.processThrow(gameId, playerId, score, darts);
         
+        // A checkout can also win the set
+        if (updatedGame.setWon) {
+          const setData = {
+            gameId,
+            ...updatedGame.setWon,
+            sets: Object.fromEntries(updatedGame.standings.map(p => [p.player_id, p.sets_won]))
+          };
+          trackEvent('set:won', setData);
+          io.to(`game:${gameId}`).emit('set:won', setData);
+        }
+        
+        // Level at the tie point: the next leg or a bull-off decides the game
+        if (updatedGame.suddenDeath || updatedGame.status === 'tiebreak') {
+          const tiebreakData = {
+            gameId,
+            tieBreak: updatedGame.status === 'tiebreak' ? 'bull' : 'leg',
+            legs: Object.fromEntries(updatedGame.standings.map(p => [p.player_id, p.legs_won]))
+          };
+          trackEvent('tiebreak:started', tiebreakData);
+          io.to(`game:${gameId}`).emit('tiebreak:started', tiebreakData);
+        }
+        
         // Broadcast the updated game state
         const gameState = await getGameState(gameId);
         const eventData = { gameId, gameState };
@@ -142,11 +166,11 @@ const setupSocketHandlers = (io) => {
     // Handle starting a warmup
     socket.on('start_warmup', async (data) => {
       try {
-        const { gameId } = data;
+        const { gameId, warmupDarts } = data;
         if (!gameId) throw new Error('Game ID is required');
         
         // Start the warmup
-        const updatedGame = await scoringService.startWarmup(gameId);
+        const updatedGame = await scoringService.startWarmup(gameId, warmupDarts);
         
         // Broadcast the updated game state
         const gameState = await getGameState(gameId);
@@ -179,6 +203,29 @@ const setupSocketHandlers = (io) => {
       }
     });
     
+    // Handle a warmup dart; the warmup completes itself once every player is done
+    socket.on('warmup_throw', async (data) => {
+      try {
+        const { gameId, playerId, segment, coordinates } = data;
+        if (!gameId || !playerId) throw new Error('Game ID and player ID are required');
+        
+        const { game, counts, complete } = await scoringService.recordWarmupThrow(gameId, playerId, { segment, coordinates });
+        
+        const warmupData = { gameId, playerId, segment, coordinates, counts, limit: game.warmup_darts, complete };
+        trackEvent('warmup:throw', warmupData);
+        io.to(`game:${gameId}`).emit('warmup:throw', warmupData);
+        
+        // Broadcast the updated game state
+        const gameState = await getGameState(gameId);
+        const eventData = { gameId, gameState };
+        trackEvent('game_state', eventData);
+        io.to(`game:${gameId}`).emit('game_state', gameState);
+      } catch (err) {
+        console.error('Error recording warmup throw:', err);
+        socket.emit('error', { message: err.message });
+      }
+    });
+    
     // Handle setting the bull winner
     socket.on('set_bull_winner', async (data) => {
       try {
@@ -199,6 +246,31 @@ const setupSocketHandlers = (io) => {
       }
     });
     
+    // Handle a throw-for-bull dart; the winner is decided from the dart positions
+    socket.on('bull_shot', async (data) => {
+      try {
+        const { gameId, playerId, segment, coordinates, bounceout } = data;
+        if (!gameId || !playerId) throw new Error('Game ID and player ID are required');
+        
+        const { shot, result } = await scoringService.recordBullShot(gameId, playerId, { segment, coordinates, bounceout });
+        
+        if (result) {
+          const eventData = { gameId, shot, ...result };
+          trackEvent('bull:result', eventData);
+          io.to(`game:${gameId}`).emit('bull:result', eventData);
+        }
+        
+        // Broadcast the updated game state
+        const gameState = await getGameState(gameId);
+        const eventData = { gameId, gameState };
+        trackEvent('game_state', eventData);
+        io.to(`game:${gameId}`).emit('game_state', gameState);
+      } catch (err) {
+        console.error('Error recording bull shot:', err);
+        socket.emit('error', { message: err.message });
+      }
+    });
+    
     // Handle manual override
     socket.on('override_throw', async (data) => {
       try {
@@ -260,6 +332,25 @@ const setupSocketHandlers = (io) => {
   });
 };
 
+/**
+ * Stats of a team over its players' throws, as calculatePlayerStats keeps them
+ * per player: the 3-dart average, busts scoring nothing, and the highest checkout
+ * @param {Object} team - See getGameTeams
+ * @param {Array} players - Players of the game state, with their stats
+ * @param {Array} throws - throws rows of the game
+ */
+const getTeamStats = (team, players, throws) => {
+  const teamThrows = throws.filter(t => team.playerIds.includes(t.player_id));
+  const totalScore = teamThrows.reduce((sum, t) => sum + (t.is_bust ? 0 : t.score), 0);
+  const totalDarts = teamThrows.reduce((sum, t) => sum + [t.dart1, t.dart2, t.dart3].filter(d => d).length, 0);
+  const teamPlayers = players.filter(player => team.playerIds.includes(player.id));
+  
+  return {
+    three_dart_avg: totalDarts > 0 ? (totalScore / totalDarts) * 3 : 0,
+    highest_checkout: Math.max(0, ...teamPlayers.map(player => player.stats.highest_checkout || 0))
+  };
+};
+
 /**
  * Get the full game state
  * @param {number} gameId The game ID
@@ -278,21 +369,8 @@ const getGameState = async (gameId) => {
       });
     });
     
-    // Get the players
-    const players = await new Promise((resolve, reject) => {
-      db.all(
-        `SELECT p.*, 
-                (p.id = ?) as is_player1,
-                (p.id = ?) as is_player2
-         FROM players p
-         WHERE p.id IN (?, ?)`,
-        [game.player1_id, game.player2_id, game.player1_id, game.player2_id],
-        (err, rows) => {
-          if (err) return reject(err);
-          resolve(rows);
-        }
-      );
-    });
+    // Get the players in throwing order
+    const gamePlayers = await getGamePlayers(db, gameId);
     
     // Get the legs
     const legs = await new Promise((resolve, reject) => {
@@ -328,10 +406,6 @@ const getGameState = async (gameId) => {
       });
     });
     
-    // Structure player data
-    const player1 = players.find(p => p.id === game.player1_id);
-    const player2 = players.find(p => p.id === game.player2_id);
-    
     // Determine which player is active
     let activePlayerId = null;
     
@@ -342,27 +416,38 @@ const getGameState = async (gameId) => {
     // Current leg
     const currentLeg = legs.find(l => l.leg_number === legs.length) || null;
     
-    // Calculate stats
-    const player1Stats = await scoringService.calculatePlayerStats(gameId, game.player1_id);
-    const player2Stats = await scoringService.calculatePlayerStats(gameId, game.player2_id);
+    // Structure player data, with stats, in seat order
+    const players = [];
+    
+    for (const gamePlayer of gamePlayers) {
+      players.push({
+        id: gamePlayer.player_id,
+        name: gamePlayer.name,
+        nickname: gamePlayer.nickname,
+        position: gamePlayer.position,
+        team: gamePlayer.team,
+        score: gamePlayer.score,
+        dartsThrown: gamePlayer.darts,
+        legsWon: game.sets_to_win > 0 ? gamePlayer.set_legs_won : gamePlayer.legs_won,
+        setsWon: gamePlayer.sets_won,
+        handicap: getSeatHandicap(gamePlayer),
+        marks: gamePlayer.marks ? JSON.parse(gamePlayer.marks) : null,
+        modeState: gamePlayer.mode_state ? JSON.parse(gamePlayer.mode_state) : null,
+        isActive: activePlayerId === gamePlayer.player_id,
+        stats: await scoringService.calculatePlayerStats(gameId, gamePlayer.player_id)
+      });
+    }
     
-    // Return the full game state
+    // Return the full game state; player1 and player2 are the first two seats,
+    // and teams is empty outside team play
     return {
       game,
-      player1: {
-        ...player1,
-        score: game.current_leg_player1_score,
-        dartsThrown: game.current_leg_player1_darts,
-        isActive: activePlayerId === player1.id,
-        stats: player1Stats
-      },
-      player2: {
-        ...player2,
-        score: game.current_leg_player2_score,
-        dartsThrown: game.current_leg_player2_darts,
-        isActive: activePlayerId === player2.id,
-        stats: player2Stats
-      },
+      mode: game.game_mode,
+      settings: getModeSettings(game),
+      players,
+      teams: (await getGameTeams(db, game, gamePlayers)).map(team => ({ ...team, stats: getTeamStats(team, players, throws) })),
+      player1: players[0],
+      player2: players[1],
       currentLeg,
       legs,
       throws,
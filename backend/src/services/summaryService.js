@@ -1,4 +1,5 @@
 const { getDb } = require('../models/database');
+const { describeGameFormat } = require('../utils/matchRules');
 
 /**
  * Build a match summary for a given match and player
@@ -25,7 +26,9 @@ async function buildMatchSummary(matchId, playerId) {
   // Get match information
   const match = await new Promise((resolve, reject) => {
     db.get(
-      'SELECT id, created_at FROM games WHERE id = ?',
+      `SELECT id, created_at, legs_required, match_format, two_clear, sudden_death_at, tie_break,
+              sets_to_win, legs_per_set, winner_id, decided_by
+       FROM games WHERE id = ?`,
       [matchId],
       (err, row) => {
         if (err) return reject(err);
@@ -163,6 +166,9 @@ async function buildMatchSummary(matchId, playerId) {
     tonEighty,
     totalDarts,
     dartsPerLeg,
+    matchFormat: describeGameFormat(match),
+    decidedBy: match.decided_by || null,
+    isWinner: match.winner_id === playerId,
     matchDate: new Date(match.created_at)
   };
 }
@@ -180,8 +186,8 @@ async function saveMatchSummary(summary) {
         average, first_nine_average, checkout_percentage, 
         highest_checkout, checkout_attempts, checkout_successes,
         ton_plus, ton_forty_plus, ton_eighty, 
-        total_darts, darts_per_leg, match_date
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        total_darts, darts_per_leg, match_format, decided_by, is_winner, match_date
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON CONFLICT(match_id, player_id) DO UPDATE SET
         legs_played = excluded.legs_played,
         legs_won = excluded.legs_won,
@@ -195,7 +201,10 @@ async function saveMatchSummary(summary) {
         ton_forty_plus = excluded.ton_forty_plus,
         ton_eighty = excluded.ton_eighty,
         total_darts = excluded.total_darts,
-        darts_per_leg = excluded.darts_per_leg
+        darts_per_leg = excluded.darts_per_leg,
+        match_format = excluded.match_format,
+        decided_by = excluded.decided_by,
+        is_winner = excluded.is_winner
       `,
       [
         summary.matchId,
@@ -213,6 +222,9 @@ async function saveMatchSummary(summary) {
         summary.tonEighty,
         summary.totalDarts,
         summary.dartsPerLeg,
+        summary.matchFormat,
+        summary.decidedBy,
+        summary.isWinner ? 1 : 0,
         summary.matchDate
       ],
       function(err) {
@@ -278,7 +290,7 @@ async function getMatchSummaries(matchId) {
        FROM match_summaries ms
        JOIN players p ON ms.player_id = p.id
        WHERE ms.match_id = ?
-       ORDER BY ms.legs_won DESC, ms.average DESC`,
+       ORDER BY ms.is_winner DESC, ms.legs_won DESC, ms.average DESC`,
       [matchId],
       (err, rows) => {
         if (err) return reject(err);
@@ -300,6 +312,9 @@ async function getMatchSummaries(matchId) {
           tonEighty: s.ton_eighty,
           totalDarts: s.total_darts,
           dartsPerLeg: s.darts_per_leg,
+          matchFormat: s.match_format,
+          decidedBy: s.decided_by,
+          isWinner: !!s.is_winner,
           matchDate: new Date(s.match_date)
         }));
         
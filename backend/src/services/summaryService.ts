@@ -1,5 +1,6 @@
 import { getDb } from '../models/database';
 import { MatchManager } from '../modules/matchManager';
+import { describeGameFormat } from '../modules/matchRules';
 
 /**
  * Interface for match summary data
@@ -21,6 +22,9 @@ export interface MatchSummary {
   tonEighty: number;
   totalDarts: number;
   dartsPerLeg: number;
+  matchFormat: string;
+  decidedBy: string | null;
+  isWinner: boolean;
   matchDate: Date;
 }
 
@@ -42,7 +46,9 @@ export async function buildMatchSummary(matchId: number, playerId: number): Prom
   
   // Get match information
   const match = await db.get(
-    'SELECT id, created_at FROM games WHERE id = ?',
+    `SELECT id, created_at, legs_required, match_format, two_clear, sudden_death_at, tie_break,
+            sets_to_win, legs_per_set, winner_id, decided_by
+     FROM games WHERE id = ?`,
     [matchId]
   );
   
@@ -163,6 +169,9 @@ export async function buildMatchSummary(matchId: number, playerId: number): Prom
     tonEighty,
     totalDarts,
     dartsPerLeg,
+    matchFormat: describeGameFormat(match),
+    decidedBy: match.decided_by || null,
+    isWinner: match.winner_id === playerId,
     matchDate: new Date(match.created_at)
   };
 }
@@ -180,8 +189,8 @@ export async function saveMatchSummary(summary: MatchSummary): Promise<void> {
         average, first_nine_average, checkout_percentage, 
         highest_checkout, checkout_attempts, checkout_successes,
         ton_plus, ton_forty_plus, ton_eighty, 
-        total_darts, darts_per_leg, match_date
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        total_darts, darts_per_leg, match_format, decided_by, is_winner, match_date
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON CONFLICT(match_id, player_id) DO UPDATE SET
         legs_played = excluded.legs_played,
         legs_won = excluded.legs_won,
@@ -195,7 +204,10 @@ export async function saveMatchSummary(summary: MatchSummary): Promise<void> {
         ton_forty_plus = excluded.ton_forty_plus,
         ton_eighty = excluded.ton_eighty,
         total_darts = excluded.total_darts,
-        darts_per_leg = excluded.darts_per_leg
+        darts_per_leg = excluded.darts_per_leg,
+        match_format = excluded.match_format,
+        decided_by = excluded.decided_by,
+        is_winner = excluded.is_winner
       `,
       [
         summary.matchId,
@@ -213,6 +225,9 @@ export async function saveMatchSummary(summary: MatchSummary): Promise<void> {
         summary.tonEighty,
         summary.totalDarts,
         summary.dartsPerLeg,
+        summary.matchFormat,
+        summary.decidedBy,
+        summary.isWinner ? 1 : 0,
         summary.matchDate
       ]
     );
@@ -271,7 +286,7 @@ export async function getMatchSummaries(matchId: number): Promise<MatchSummary[]
        FROM match_summaries ms
        JOIN players p ON ms.player_id = p.id
        WHERE ms.match_id = ?
-       ORDER BY ms.legs_won DESC, ms.average DESC`,
+       ORDER BY ms.is_winner DESC, ms.legs_won DESC, ms.average DESC`,
       [matchId]
     );
     
@@ -292,6 +307,9 @@ export async function getMatchSummaries(matchId: number): Promise<MatchSummary[]
       tonEighty: s.ton_eighty,
       totalDarts: s.total_darts,
       dartsPerLeg: s.darts_per_leg,
+      matchFormat: s.match_format,
+      decidedBy: s.decided_by,
+      isWinner: !!s.is_winner,
       matchDate: new Date(s.match_date)
     }));
   } catch (error) {
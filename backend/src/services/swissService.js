@@ -0,0 +1,235 @@
+const { getDb, dbGet, dbAll, dbRun } = require('../models/database');
+const { normalizeGameSettings, createTournamentGame } = require('../utils/tournamentGames');
+const { normalizeSwissTiebreakers, computeSwissStandings, pairRound } = require('../utils/swiss');
+const { getStartStatus, findPhase } = require('../utils/tournamentPhases');
+const { createRequestError } = require('../utils/errors');
+const { seedEntrants } = require('./bracketService');
+
+const getSettings = (tournament) => JSON.parse(tournament.swiss_settings || '{}');
+
+/**
+ * A tournament's Swiss games so far, each with the legs its players won
+ */
+const loadSwissGames = async (db, tournamentId) => {
+  const [games, seats] = await Promise.all([
+    dbAll(
+      db,
+      `SELECT g.id, g.swiss_round, g.status, g.board_id, g.winner_id,
+         g.player1_id, g.player2_id, p1.name AS player1_name, p2.name AS player2_name
+       FROM games g
+       JOIN players p1 ON g.player1_id = p1.id
+       JOIN players p2 ON g.player2_id = p2.id
+       WHERE g.tournament_id = ? AND g.swiss_round IS NOT NULL
+       ORDER BY g.swiss_round, g.id`,
+      [tournamentId]
+    ),
+    dbAll(
+      db,
+      `SELECT gp.game_id, gp.player_id, gp.legs_won
+       FROM game_players gp
+       JOIN games g ON gp.game_id = g.id
+       WHERE g.tournament_id = ? AND g.swiss_round IS NOT NULL`,
+      [tournamentId]
+    )
+  ]);
+
+  return games.map(game => ({
+    ...game,
+    legs: Object.fromEntries(seats.filter(seat => seat.game_id === game.id).map(seat => [seat.player_id, seat.legs_won]))
+  }));
+};
+
+/**
+ * Results of the completed games, as computeSwissStandings takes them
+ */
+const getResults = (games) => games
+  .filter(game => game.status === 'completed' && game.winner_id)
+  .map(game => ({
+    player1Id: game.player1_id,
+    player2Id: game.player2_id,
+    winnerId: game.winner_id,
+    legs: game.legs
+  }));
+
+const getStandings = (settings, games) => computeSwissStandings(
+  settings.playerIds,
+  getResults(games),
+  Object.values(settings.byes || {}),
+  settings.tiebreakers
+);
+
+/**
+ * Pair a round from the standings so far and create its games, inside the
+ * caller's transaction. The player given the bye is kept in the tournament's
+ * Swiss settings
+ */
+const pairSwissRound = async (db, tournamentId, settings, games, round) => {
+  const { pairings, byePlayerId } = pairRound(getStandings(settings, games), getResults(games));
+
+  for (const pairing of pairings) {
+    await createTournamentGame(db, {
+      tournamentId: Number(tournamentId),
+      playerIds: [pairing.player1Id, pairing.player2Id],
+      settings,
+      swissRound: round,
+      label: `Swiss round ${round} game`
+    });
+  }
+
+  const updated = byePlayerId ? { ...settings, byes: { ...settings.byes, [round]: byePlayerId } } : settings;
+  await dbRun(db, 'UPDATE tournaments SET swiss_settings = ? WHERE id = ?', [JSON.stringify(updated), tournamentId]);
+};
+
+/**
+ * Start a tournament's Swiss rounds and pair the first round, top half of
+ * the seeds against the bottom half. The rounds, seeding and players are
+ * checked by the caller
+ * @param {number} tournamentId - ID of the tournament
+ * @param {Object} options - { rounds, seeding, playerIds, tiebreakers, legsRequired, format rules... }
+ *   rounds: number of rounds to play
+ *   seeding: 'manual' (playerIds in seed order), 'random' or 'average'
+ *   tiebreakers: tiebreak order, see normalizeSwissTiebreakers
+ *   legsRequired, matchFormat, twoClear, suddenDeathAt, tieBreak, setsToWin, legsPerSet:
+ *   the rules of every Swiss game, as for a new game
+ * @returns {Promise<Object>} The Swiss rounds, see getSwiss
+ */
+const createSwiss = async (tournamentId, options) => {
+  const db = getDb();
+  const { rounds, seeding = 'manual', playerIds = [] } = options;
+
+  const tournament = await dbGet(db, 'SELECT * FROM tournaments WHERE id = ?', [tournamentId]);
+  if (!tournament) {
+    throw createRequestError(404, 'Tournament not found');
+  }
+
+  if (tournament.swiss_settings) {
+    throw createRequestError(409, 'Tournament already has Swiss rounds');
+  }
+
+  const settings = {
+    playerIds: await seedEntrants(playerIds, seeding),
+    rounds: parseInt(rounds, 10),
+    byes: {},
+    tiebreakers: normalizeSwissTiebreakers(options.tiebreakers),
+    ...normalizeGameSettings({ ...options, format: options.matchFormat })
+  };
+
+  await dbRun(db, 'BEGIN TRANSACTION');
+
+  try {
+    await dbRun(
+      db,
+      `UPDATE tournaments SET swiss_settings = ?, seeding = ?, status = ?, start_date = COALESCE(start_date, CURRENT_TIMESTAMP)
+       WHERE id = ?`,
+      [JSON.stringify(settings), seeding, getStartStatus(tournament, 'swiss'), tournamentId]
+    );
+    await pairSwissRound(db, tournamentId, settings, [], 1);
+
+    await dbRun(db, 'COMMIT');
+  } catch (err) {
+    await dbRun(db, 'ROLLBACK');
+    throw err;
+  }
+
+  return getSwiss(tournamentId);
+};
+
+/**
+ * Record a finished Swiss game: once every game of its round is completed the
+ * next round is paired, inside the caller's transaction
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {Object} tournament - tournaments row
+ * @param {Object} game - games row, after it was completed
+ * @returns {Promise<Object>} { round, paired, complete }: the game's round, whether the next
+ *   round was paired, and whether that was the last round and it is now completed
+ */
+const advanceSwiss = async (db, tournament, game) => {
+  const settings = getSettings(tournament);
+  const games = await loadSwissGames(db, tournament.id);
+  const round = game.swiss_round;
+  const latest = Math.max(...games.map(g => g.swiss_round));
+
+  const roundComplete = round === latest && games
+    .filter(g => g.swiss_round === round)
+    .every(g => g.status === 'completed');
+  if (!roundComplete) return { round, paired: false, complete: false };
+
+  if (round >= settings.rounds) return { round, paired: false, complete: true };
+
+  await pairSwissRound(db, tournament.id, settings, games, round + 1);
+  return { round, paired: true, complete: false };
+};
+
+/**
+ * Whether every Swiss round of a tournament has been played
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {Object} tournament - tournaments row
+ * @returns {Promise<boolean>} False too when the rounds have not started
+ */
+const isSwissComplete = async (db, tournament) => {
+  const settings = getSettings(tournament);
+  const { total, completed, latest } = await dbGet(
+    db,
+    `SELECT COUNT(*) AS total, SUM(status = 'completed') AS completed, MAX(swiss_round) AS latest
+     FROM games WHERE tournament_id = ? AND swiss_round IS NOT NULL`,
+    [tournament.id]
+  );
+  return total > 0 && total === completed && latest >= settings.rounds;
+};
+
+/**
+ * Get a tournament's Swiss rounds, with every round's pairings and live standings.
+ * Standings count completed games only
+ * @param {number} tournamentId - ID of the tournament
+ * @returns {Promise<Object|null>} { tournament, rounds, currentRound, tiebreakers, qualifiers,
+ *   gameSettings, standings, pairings, complete }, qualifiers being how many players make the
+ *   knockout cut (0 without one) and pairings being [{ round, games, byePlayerId, byePlayerName }];
+ *   rounds is 0 and pairings empty until the first round is paired, or null when there is no
+ *   such tournament
+ */
+const getSwiss = async (tournamentId) => {
+  const db = getDb();
+
+  const tournament = await dbGet(db, 'SELECT * FROM tournaments WHERE id = ?', [tournamentId]);
+  if (!tournament) return null;
+
+  const settings = getSettings(tournament);
+  const swissPhase = findPhase(tournament, 'swiss');
+
+  const [games, players] = await Promise.all([
+    loadSwissGames(db, tournamentId),
+    settings.playerIds
+      ? dbAll(db, `SELECT id, name, nickname FROM players WHERE id IN (${settings.playerIds.map(() => '?').join(', ')})`, settings.playerIds)
+      : []
+  ]);
+
+  const nameOf = (playerId) => (players.find(player => player.id === playerId) || {}).name || null;
+  const currentRound = games.length > 0 ? games[games.length - 1].swiss_round : 0;
+  const byes = settings.byes || {};
+
+  return {
+    tournament,
+    rounds: settings.rounds || 0,
+    currentRound,
+    tiebreakers: normalizeSwissTiebreakers(settings.tiebreakers),
+    qualifiers: swissPhase ? swissPhase.qualifiers : 0,
+    gameSettings: normalizeGameSettings(settings),
+    standings: settings.playerIds
+      ? getStandings(settings, games).map(row => ({ ...row, name: nameOf(row.playerId) }))
+      : [],
+    pairings: Array.from({ length: currentRound }, (_, index) => ({
+      round: index + 1,
+      games: games.filter(game => game.swiss_round === index + 1),
+      byePlayerId: byes[index + 1] || null,
+      byePlayerName: byes[index + 1] ? nameOf(byes[index + 1]) : null
+    })),
+    complete: currentRound > 0 && currentRound >= settings.rounds && games.every(game => game.status === 'completed')
+  };
+};
+
+module.exports = {
+  createSwiss,
+  advanceSwiss,
+  isSwissComplete,
+  getSwiss
+};
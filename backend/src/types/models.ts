@@ -41,11 +41,21 @@ export interface MatchPlayerModel {
   position: number;
   starting_score: number;
   current_score: number;
+  team?: number; // Team play only: TeamModel.position
+  mode_state?: string; // JSON, see gameModes
   is_winner: boolean;
   created_at: string;
   updated_at: string;
 }
 
+export interface TeamModel {
+  id: number;
+  match_id: number;
+  position: number;
+  name: string;
+  created_at: string;
+}
+
 export interface ThrowModel {
   id: number;
   match_id: number;
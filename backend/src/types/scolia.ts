@@ -77,11 +77,11 @@ export enum WebSocketCloseCode {
   BAD_GATEWAY = 1014,
   TLS_HANDSHAKE = 1015,
   
-  // Custom codes
-  AUTH_FAILED = 4000,
-  BOARD_OFFLINE = 4001,
-  CONNECTION_LIMIT_EXCEEDED = 4002,
-  SESSION_EXPIRED = 4003
+  // Scolia Social API codes (see ScoliaAPI.md)
+  PING_TIMEOUT = 4000,
+  INVALID_SERIAL_NUMBER = 4100,
+  BOARD_ALREADY_CONNECTED = 4101,
+  INVALID_ACCESS_TOKEN = 4102
 }
 
 /**
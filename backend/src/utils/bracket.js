@@ -0,0 +1,192 @@
+/**
+ * Knockout brackets
+ *
+ * A bracket is laid out once, when a tournament's draw is made, as a list of
+ * bracket matches. Each match knows where its winner goes and, in double
+ * elimination, where its loser drops to. Seeds are placed so the top seeds
+ * can only meet late (1 v 8, 4 v 5, 2 v 7, 3 v 6 in a draw of eight), and a
+ * draw that is not a power of two gives the top seeds byes.
+ *
+ * - Single elimination: one loss and you are out
+ * - Double elimination: losers drop into a losers bracket; its winner plays
+ *   the winners bracket winner in the grand final, which is played again if
+ *   the losers bracket player wins it
+ */
+
+const { createRequestError } = require('./errors');
+
+const BRACKET_FORMATS = ['single_elimination', 'double_elimination'];
+const SEEDING_METHODS = ['manual', 'random', 'average'];
+
+const MIN_BRACKET_PLAYERS = 2;
+
+/**
+ * Order players into seeds, top seed first
+ * @param {Array<Object>} players - { playerId, average } in the order given for manual seeding
+ * @param {string} method - 'manual', 'random' or 'average' (highest 3-dart average first,
+ *   players without one last)
+ * @returns {Array<number>} Player IDs by seed
+ */
+const seedPlayers = (players, method = 'manual') => {
+  const seeded = [...players];
+
+  if (method === 'random') {
+    for (let i = seeded.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [seeded[i], seeded[j]] = [seeded[j], seeded[i]];
+    }
+  } else if (method === 'average') {
+    seeded.sort((a, b) => (b.average ?? -1) - (a.average ?? -1));
+  }
+
+  return seeded.map(player => player.playerId);
+};
+
+/**
+ * Seeds in first-round bracket order, e.g. [1, 8, 4, 5, 2, 7, 3, 6] for eight
+ */
+const getSeedOrder = (size) => {
+  let order = [1];
+  while (order.length < size) {
+    const next = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, next - seed]);
+  }
+  return order;
+};
+
+const matchKey = (bracket, round, position) => `${bracket}:${round}:${position}`;
+
+/**
+ * Lay out a bracket
+ * @param {string} format - 'single_elimination' or 'double_elimination'
+ * @param {Array<number>} seeds - Player IDs by seed, top seed first
+ * @returns {Array<Object>} Matches { key, bracket, round, position, seed1, seed2,
+ *   player1Id, player2Id, next, loserNext }, bracket being 'winners', 'losers' or
+ *   'final'. next and loserNext are { key, slot } or null; the grand final's
+ *   next is the reset, played only when the losers bracket player wins
+ */
+const buildBracket = (format, seeds) => {
+  if (!BRACKET_FORMATS.includes(format)) {
+    throw createRequestError(400, `Unknown bracket format: ${format}`);
+  }
+  if (seeds.length < MIN_BRACKET_PLAYERS) {
+    throw createRequestError(400, `A bracket needs at least ${MIN_BRACKET_PLAYERS} players`);
+  }
+
+  const rounds = Math.ceil(Math.log2(seeds.length));
+  const size = 2 ** rounds;
+  const order = getSeedOrder(size);
+  const matches = new Map();
+
+  const addMatch = (bracket, round, position, fields = {}) => {
+    const key = matchKey(bracket, round, position);
+    matches.set(key, {
+      key,
+      bracket,
+      round,
+      position,
+      seed1: null,
+      seed2: null,
+      player1Id: null,
+      player2Id: null,
+      next: null,
+      loserNext: null,
+      ...fields
+    });
+  };
+
+  const link = (from, field, to, slot) => {
+    matches.get(from)[field] = { key: to, slot };
+  };
+
+  // Winners bracket; seeds beyond the number of players are byes
+  for (let round = 1; round <= rounds; round++) {
+    for (let position = 1; position <= size / 2 ** round; position++) {
+      if (round === 1) {
+        const [seed1, seed2] = [order[position * 2 - 2], order[position * 2 - 1]];
+        addMatch('winners', 1, position, {
+          seed1: seed1 <= seeds.length ? seed1 : null,
+          seed2: seed2 <= seeds.length ? seed2 : null,
+          player1Id: seeds[seed1 - 1] || null,
+          player2Id: seeds[seed2 - 1] || null
+        });
+      } else {
+        addMatch('winners', round, position);
+      }
+
+      if (round > 1) {
+        link(matchKey('winners', round - 1, position * 2 - 1), 'next', matchKey('winners', round, position), 1);
+        link(matchKey('winners', round - 1, position * 2), 'next', matchKey('winners', round, position), 2);
+      }
+    }
+  }
+
+  if (format === 'single_elimination') {
+    return [...matches.values()];
+  }
+
+  // Losers bracket: odd rounds pair off the survivors, even rounds bring in the
+  // losers of the next winners round, in reverse order to keep rematches late
+  const losersRounds = 2 * (rounds - 1);
+  for (let round = 1; round <= losersRounds; round++) {
+    const count = size / 2 ** (Math.floor((round + 1) / 2) + 1);
+
+    for (let position = 1; position <= count; position++) {
+      const key = matchKey('losers', round, position);
+      addMatch('losers', round, position);
+
+      if (round === 1) {
+        link(matchKey('winners', 1, position * 2 - 1), 'loserNext', key, 1);
+        link(matchKey('winners', 1, position * 2), 'loserNext', key, 2);
+      } else if (round % 2 === 0) {
+        link(matchKey('losers', round - 1, position), 'next', key, 1);
+        link(matchKey('winners', round / 2 + 1, count + 1 - position), 'loserNext', key, 2);
+      } else {
+        link(matchKey('losers', round - 1, position * 2 - 1), 'next', key, 1);
+        link(matchKey('losers', round - 1, position * 2), 'next', key, 2);
+      }
+    }
+  }
+
+  addMatch('final', 1, 1);
+  addMatch('final', 2, 1);
+  link(matchKey('winners', rounds, 1), 'next', matchKey('final', 1, 1), 1);
+  link(matchKey('final', 1, 1), 'next', matchKey('final', 2, 1), 1);
+
+  // With two players the winners final loser goes straight to the grand final
+  if (losersRounds === 0) {
+    link(matchKey('winners', rounds, 1), 'loserNext', matchKey('final', 1, 1), 2);
+  } else {
+    link(matchKey('losers', losersRounds, 1), 'next', matchKey('final', 1, 1), 2);
+  }
+
+  return [...matches.values()];
+};
+
+/**
+ * Name of a bracket round, e.g. 'Quarter-final' or 'Losers round 3'
+ * @param {string} bracket - 'winners', 'losers' or 'final'
+ * @param {number} round - Round within the bracket
+ * @param {number} rounds - Rounds in the bracket
+ * @param {boolean} doubleElimination - Whether the bracket has a losers side
+ */
+const getRoundName = (bracket, round, rounds, doubleElimination = false) => {
+  if (bracket === 'final') return round === 1 ? 'Grand final' : 'Grand final reset';
+  if (bracket === 'losers') return round === rounds ? 'Losers final' : `Losers round ${round}`;
+
+  const fromEnd = rounds - round;
+  const names = ['Final', 'Semi-final', 'Quarter-final'];
+  if (fromEnd < names.length) {
+    return doubleElimination ? `Winners ${names[fromEnd].toLowerCase()}` : names[fromEnd];
+  }
+  return `Round ${round}`;
+};
+
+module.exports = {
+  BRACKET_FORMATS,
+  SEEDING_METHODS,
+  MIN_BRACKET_PLAYERS,
+  seedPlayers,
+  buildBracket,
+  getRoundName
+};
@@ -0,0 +1,70 @@
+/**
+ * Throw-for-bull helpers
+ *
+ * Implements the pre-game bull-off from Game-logic.md: each player throws one
+ * dart, the closest to the bull (0, 0) starts, a dart outside the board does
+ * not score and tied players throw again.
+ */
+
+// Outer edge of the double ring, in mm from the bull
+const BOARD_RADIUS = 170;
+
+/**
+ * Distance of a dart from the bull
+ * @param {Array} coordinates - [x, y] in mm
+ * @returns {Array} [rounded distance, label], e.g. [10, '10 mm']
+ */
+const calculateDistanceFromBull = (coordinates) => {
+  const [x, y] = coordinates;
+  const distance = Math.round(Math.sqrt(x * x + y * y));
+  return [distance, `${distance} mm`];
+};
+
+/**
+ * Measure a single bull-off dart
+ * @param {Object} shot - { segment, coordinates, bounceout }
+ * @returns {Object} { distance, formattedDistance, onBoard }, distance is null when the dart does not score
+ */
+const measureBullShot = ({ segment, coordinates, bounceout }) => {
+  if (!coordinates || bounceout || segment === 'MISS') {
+    return { distance: null, formattedDistance: 'No score', onBoard: false };
+  }
+
+  const [x, y] = coordinates;
+  if (Math.sqrt(x * x + y * y) > BOARD_RADIUS) {
+    return { distance: null, formattedDistance: 'No score', onBoard: false };
+  }
+
+  const [distance, formattedDistance] = calculateDistanceFromBull(coordinates);
+  return { distance, formattedDistance, onBoard: true };
+};
+
+/**
+ * Decide one round of the bull-off
+ * @param {Array} shots - [{ playerId, distance }], one per player in the round
+ * @returns {Object} { winnerId, rethrow }, winnerId is null and rethrow lists the
+ *   players who throw again when nobody scored or the closest darts are tied
+ */
+const decideBullOff = (shots) => {
+  const scored = shots.filter(shot => shot.distance !== null);
+
+  if (scored.length === 0) {
+    return { winnerId: null, rethrow: shots.map(shot => shot.playerId) };
+  }
+
+  const best = Math.min(...scored.map(shot => shot.distance));
+  const closest = scored.filter(shot => shot.distance === best);
+
+  if (closest.length > 1) {
+    return { winnerId: null, rethrow: closest.map(shot => shot.playerId) };
+  }
+
+  return { winnerId: closest[0].playerId, rethrow: [] };
+};
+
+module.exports = {
+  BOARD_RADIUS,
+  calculateDistanceFromBull,
+  measureBullShot,
+  decideBullOff
+};
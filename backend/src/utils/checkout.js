@@ -0,0 +1,224 @@
+/**
+ * Checkout solver
+ *
+ * Enumerates every way to finish a score on a double with the darts left in
+ * the turn and ranks the routes the way players are taught to: fewest darts
+ * first, then finishing on a favoured double (D20, D16 and the other doubles
+ * that halve down cleanly; a player's own strongest doubles move up), then
+ * easy set-up darts (singles before trebles, big trebles before small ones).
+ * A set-up treble that would still leave a finish when it drops into its
+ * single is preferred, and the route says what that miss leaves.
+ *
+ * When there is no finish (above 170, a bogey number, or too few darts left)
+ * the solver gives set-up advice instead: where to aim so the next visit
+ * starts on the best finish, e.g. a 2-dart finish or the player's favourite
+ * double.
+ */
+
+const MAX_CHECKOUT = 170;
+
+// Finishing doubles, most favoured first; 25 is the bull
+const PRO_DOUBLES = [20, 16, 8, 18, 10, 12, 4, 14, 6, 2, 1, 9, 3, 5, 7, 11, 13, 15, 17, 19, 25];
+
+const label = (multiplier, number) => {
+  if (number === 25) return multiplier === 2 ? 'DBULL' : 'BULL';
+  return `${['S', 'D', 'T'][multiplier - 1]}${number}`;
+};
+
+const NUMBERS = Array.from({ length: 20 }, (_, index) => index + 1);
+
+// Set-up cost of the trebles players set up with, the rest cost 11
+const TREBLE_COSTS = { 20: 5, 19: 7, 18: 8 };
+
+// Every scoring segment, with what it costs to aim a set-up dart at it
+const SEGMENTS = [
+  ...NUMBERS.map(number => ({ segment: label(1, number), score: number, number, multiplier: 1, cost: 1 })),
+  ...NUMBERS.map(number => ({ segment: label(2, number), score: number * 2, number, multiplier: 2, cost: 14 })),
+  ...NUMBERS.map(number => ({
+    segment: label(3, number),
+    score: number * 3,
+    number,
+    multiplier: 3,
+    cost: TREBLE_COSTS[number] || 11
+  })),
+  { segment: 'BULL', score: 25, number: 25, multiplier: 1, cost: 10 },
+  { segment: 'DBULL', score: 50, number: 25, multiplier: 2, cost: 16 }
+];
+
+const FINISHES = SEGMENTS.filter(segment => segment.multiplier === 2);
+
+/**
+ * Order doubles by how often a player checks out on them
+ * @param {Object} doubleHits - { [segment]: checkouts }, e.g. { D16: 12, D20: 9 }
+ * @returns {Array<string>} Doubles, most hit first
+ */
+const getPreferredDoubles = (doubleHits = {}) => Object.entries(doubleHits)
+  .filter(([segment, hits]) => hits > 0 && FINISHES.some(finish => finish.segment === segment))
+  .sort((a, b) => b[1] - a[1])
+  .map(([segment]) => segment);
+
+/**
+ * Whether a score can be finished with the darts left
+ */
+const isCheckout = (score, dartsLeft = 3) => findRoutes(score, dartsLeft, { limit: 1, missCheck: false }).length > 0;
+
+const finishCost = (finish, preferredDoubles) => {
+  const proRank = PRO_DOUBLES.indexOf(finish.number);
+  const playerRank = preferredDoubles.slice(0, 5).indexOf(finish.segment);
+  return proRank * 2 - (playerRank === -1 ? 0 : (5 - playerRank) * 6);
+};
+
+/**
+ * All finishes of a score with their cost, cheapest first; see findRoutes
+ */
+const rankRoutes = (score, dartsLeft, options) => {
+  const { preferredDoubles = [], missCheck = true } = options;
+  if (score < 2 || score > MAX_CHECKOUT || dartsLeft < 1) return [];
+
+  const routes = [];
+  const addRoutes = (setup, remaining) => {
+    FINISHES
+      .filter(finish => finish.score === remaining)
+      .forEach(finish => routes.push({ setup, finish }));
+  };
+
+  addRoutes([], score);
+  SEGMENTS.forEach((first, i) => {
+    if (dartsLeft < 2 || first.score >= score) return;
+    addRoutes([first], score - first.score);
+
+    // Set-up darts in a fixed order (highest first) so each pair appears once
+    SEGMENTS.slice(0, i + 1).forEach(second => {
+      if (dartsLeft < 3 || first.score + second.score >= score) return;
+      const [a, b] = first.score >= second.score ? [first, second] : [second, first];
+      addRoutes([a, b], score - first.score - second.score);
+    });
+  });
+
+  const missRoutes = new Map();
+  const ranked = routes.map(({ setup, finish }) => {
+    // The first dart counts double: it decides what the rest of the turn is about
+    let onMiss = null;
+    let cost = (setup.length + 1) * 100 +
+      finishCost(finish, preferredDoubles) +
+      setup.reduce((sum, dart, index) => sum + dart.cost * (index === 0 ? 2 : 1), 0);
+
+    // A treble that drops into the single should still leave a finish
+    if (missCheck && setup.length > 0 && setup[0].multiplier === 3) {
+      const leaves = score - setup[0].number;
+      if (!missRoutes.has(leaves)) {
+        missRoutes.set(leaves, rankRoutes(leaves, dartsLeft - 1, { preferredDoubles, missCheck: false })[0]);
+      }
+      const route = missRoutes.get(leaves);
+      onMiss = { segment: label(1, setup[0].number), leaves, route: route ? route.darts : null };
+      if (!route) cost += 10;
+    }
+
+    return { darts: [...setup.map(dart => dart.segment), finish.segment], finish: finish.segment, onMiss, cost };
+  });
+
+  return ranked.sort((a, b) => a.cost - b.cost);
+};
+
+/**
+ * All finishes of a score, best first
+ * @param {number} score - Score left
+ * @param {number} dartsLeft - Darts left in the turn, 1 to 3
+ * @param {Object} options - { preferredDoubles, limit, missCheck }
+ *   preferredDoubles: the player's strongest doubles first, see getPreferredDoubles
+ *   limit: most routes to return (default 5)
+ *   missCheck: work out what a set-up treble dropping into its single leaves (default true)
+ * @returns {Array<Object>} [{ darts, finish, onMiss }] where darts are the
+ *   segments to aim at in order and onMiss is null, or { segment, leaves, route }
+ *   for the first dart missing into its single
+ */
+const findRoutes = (score, dartsLeft = 3, options = {}) => {
+  const { limit = 5 } = options;
+
+  return rankRoutes(score, dartsLeft, options)
+    .slice(0, limit)
+    .map(({ darts, finish, onMiss }) => ({ darts, finish, onMiss }));
+};
+
+/**
+ * Best finish of a score
+ * @returns {Array<string>|null} Segments to aim at, or null when there is no finish
+ */
+const getCheckoutSuggestion = (score, dartsLeft = 3, options = {}) => {
+  const [best] = findRoutes(score, dartsLeft, { ...options, limit: 1 });
+  return best ? best.darts : null;
+};
+
+// What starting the next visit on a score is worth: its best 3-dart finish,
+// the fewer darts and the better the double the lower
+const leaveCost = (leaves, preferredDoubles, cache) => {
+  if (!cache.has(leaves)) {
+    const [best] = rankRoutes(leaves, 3, { preferredDoubles, missCheck: false });
+    cache.set(leaves, best ? { cost: best.cost, route: best.darts } : null);
+  }
+  return cache.get(leaves);
+};
+
+// Set-up darts: the singles and big trebles players score and set up with
+const SETUP_SEGMENTS = SEGMENTS.filter(segment => segment.multiplier === 1 || (segment.multiplier === 3 && TREBLE_COSTS[segment.number]));
+
+const T20 = SEGMENTS.find(segment => segment.segment === 'T20');
+
+/**
+ * Set-up advice for a score with no finish on the darts left: where to aim
+ * so the next visit starts on the best finish. Out of reach of a finish the
+ * advice is to score on the treble 20
+ * @param {number} score - Score left
+ * @param {number} dartsLeft - Darts left in the turn, 1 to 3
+ * @param {Object} options - { preferredDoubles, limit }, see findRoutes
+ * @returns {Array<Object>} [{ darts, leaves, route }] best first, route being
+ *   the finish the next visit can go for, or null when out of reach
+ */
+const findSetups = (score, dartsLeft = 3, options = {}) => {
+  const { preferredDoubles = [], limit = 3 } = options;
+  if (score < 2 || dartsLeft < 1) return [];
+
+  const cache = new Map();
+  const setups = [];
+  const addSetup = (darts) => {
+    const leaves = score - darts.reduce((sum, dart) => sum + dart.score, 0);
+    const leave = leaves >= 2 ? leaveCost(leaves, preferredDoubles, cache) : null;
+    if (!leave) return;
+
+    setups.push({
+      darts: darts.map(dart => dart.segment),
+      leaves,
+      route: leave.route,
+      cost: leave.cost + darts.reduce((sum, dart) => sum + dart.cost, 0)
+    });
+  };
+
+  // Every dart of the visit is thrown, highest first so each set appears once
+  SETUP_SEGMENTS.forEach((first, i) => {
+    if (dartsLeft === 1) return addSetup([first]);
+
+    SETUP_SEGMENTS.slice(i).forEach((second, j) => {
+      if (dartsLeft === 2) return addSetup([second, first]);
+
+      SETUP_SEGMENTS.slice(i + j).forEach(third => addSetup([third, second, first]));
+    });
+  });
+
+  if (setups.length === 0) {
+    return [{ darts: Array(dartsLeft).fill(T20.segment), leaves: score - T20.score * dartsLeft, route: null }];
+  }
+
+  return setups
+    .sort((a, b) => a.cost - b.cost)
+    .slice(0, limit)
+    .map(({ darts, leaves, route }) => ({ darts, leaves, route }));
+};
+
+module.exports = {
+  MAX_CHECKOUT,
+  getPreferredDoubles,
+  isCheckout,
+  findRoutes,
+  getCheckoutSuggestion,
+  findSetups
+};
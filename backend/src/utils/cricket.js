@@ -0,0 +1,71 @@
+/**
+ * Cricket scoring helpers, played by the cricket game mode in gameModes.js
+ *
+ * Numbers 15-20 and the bull are in play. Three marks close a number; marks
+ * beyond that score the number's value while an opponent still has it open.
+ * Standard cricket credits the thrower, cut-throat adds the points to every
+ * opponent with the number open, and the lowest score wins.
+ */
+
+// Numbers in play; 25 is the bull
+const CRICKET_NUMBERS = [20, 19, 18, 17, 16, 15, 25];
+
+// Marks needed to close a number
+const CRICKET_CLOSED = 3;
+
+/**
+ * Empty marks for a player
+ * @returns {Object} { 20: 0, ..., 15: 0, 25: 0 }
+ */
+const createCricketMarks = () => {
+  return CRICKET_NUMBERS.reduce((marks, number) => ({ ...marks, [number]: 0 }), {});
+};
+
+/**
+ * Number and marks a segment is worth
+ * @param {string} segment - Segment hit, e.g. 'T20', 'BULL', 'DBULL'
+ * @returns {Object|null} { number, marks }, or null when the dart does not count in cricket
+ */
+const parseCricketSegment = (segment) => {
+  if (segment === 'DBULL') return { number: 25, marks: 2 };
+  if (segment === 'BULL' || segment === 'SBULL') return { number: 25, marks: 1 };
+
+  const match = /^([SDT])(\d{1,2})$/.exec(segment || '');
+  if (!match) return null;
+
+  const number = parseInt(match[2], 10);
+  if (!CRICKET_NUMBERS.includes(number)) return null;
+
+  return { number, marks: { S: 1, D: 2, T: 3 }[match[1]] };
+};
+
+/**
+ * Whether a player has won the leg: every number closed and the best score,
+ * the highest in standard cricket and the lowest in cut-throat
+ */
+const isCricketWon = (player, opponents, options = {}) => {
+  const allClosed = CRICKET_NUMBERS.every(number => (player.marks[number] || 0) >= CRICKET_CLOSED);
+  if (!allClosed) return false;
+
+  return options.cutThroat
+    ? opponents.every(opponent => player.points <= opponent.points)
+    : opponents.every(opponent => player.points >= opponent.points);
+};
+
+/**
+ * Marks per round (MPR) of three darts
+ * @param {number} marks - Marks counted, including scoring marks
+ * @param {number} darts - Darts thrown
+ */
+const calculateMarksPerRound = (marks, darts) => {
+  return darts > 0 ? Math.round((marks / darts) * 3 * 100) / 100 : 0;
+};
+
+module.exports = {
+  CRICKET_NUMBERS,
+  CRICKET_CLOSED,
+  createCricketMarks,
+  parseCricketSegment,
+  isCricketWon,
+  calculateMarksPerRound
+};
@@ -0,0 +1,17 @@
+/**
+ * Request errors
+ *
+ * Services throw these for a request that cannot be met as it stands: a
+ * tournament that does not exist, too few players, a draw made twice. Routes
+ * answer with the error's status; any other error is a server failure (500).
+ */
+
+/**
+ * An error the client can fix
+ * @param {number} status - HTTP status to answer with, e.g. 400, 404 or 409
+ * @param {string} message - What is wrong, shown to the client
+ * @returns {Error} The error, with its status
+ */
+const createRequestError = (status, message) => Object.assign(new Error(message), { status });
+
+module.exports = { createRequestError };
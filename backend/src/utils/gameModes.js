@@ -0,0 +1,388 @@
+/**
+ * Game modes
+ *
+ * Rules of each game mode behind one interface, so every scoring path plays
+ * them the same way: x01, cricket and the party and practice modes Around the
+ * Clock, Shanghai and Killer.
+ *
+ * A mode works on plain players { id, score, originalScore, marks, modeState }:
+ * score is what the scoreboard shows (remaining, points, progress or lives),
+ * originalScore the score at the start of the turn and modeState whatever the
+ * mode keeps, e.g. the Around the Clock target. A dart is judged with
+ * validateThrow and, when valid, scored with applyThrow, both given a context
+ * { opponents, turn, roundComplete, settings }: one player per other side, the
+ * segments already thrown this turn, and whether every side has thrown its
+ * turn of the round.
+ */
+
+const { createCricketMarks, parseCricketSegment, isCricketWon, CRICKET_CLOSED } = require('./cricket');
+const { getCheckoutSuggestion, findSetups } = require('./checkout');
+
+/**
+ * Number and multiplier of a segment; 25 is the bull
+ * @param {string} segment - Segment hit, e.g. 'T20', 'BULL', 'DBULL'
+ * @returns {Object|null} { number, multiplier }, or null for a miss
+ */
+const parseSegment = (segment) => {
+  if (segment === 'DBULL') return { number: 25, multiplier: 2 };
+  if (segment === 'BULL' || segment === 'SBULL') return { number: 25, multiplier: 1 };
+
+  const match = /^([SDT])(\d{1,2})$/.exec(segment || '');
+  if (!match) return null;
+
+  const number = parseInt(match[2], 10);
+  if (number < 1 || number > 20) return null;
+
+  return { number, multiplier: { S: 1, D: 2, T: 3 }[match[1]] };
+};
+
+const isDouble = segment => /^D/.test(segment || '');
+
+const noEffect = reason => ({ valid: true, bust: false, gameShot: false, points: 0, reason });
+
+// x01: count down from the starting score. Double out is on unless
+// settings.doubleOut is false; double in and master out are opt-in
+const x01 = {
+  id: 'x01',
+  name: 'x01',
+
+  startLeg(player, side, settings) {
+    player.score = settings.startingScore;
+    player.originalScore = settings.startingScore;
+    player.modeState = { startingScore: settings.startingScore };
+  },
+
+  validateThrow(player, segment, score, context) {
+    const { settings } = context;
+    const doubleOut = settings.doubleOut !== false;
+    const startingScore = player.modeState ? player.modeState.startingScore : null;
+
+    if (settings.doubleIn && player.score === startingScore && !isDouble(segment)) {
+      return { ...noEffect('Must start with a double'), newScore: player.score };
+    }
+
+    const newScore = player.score - score;
+
+    if (newScore < 0) return { valid: true, bust: true, gameShot: false, points: score, reason: 'Bust: score below 0' };
+    if (newScore === 1 && doubleOut) {
+      return { valid: true, bust: true, gameShot: false, points: score, reason: 'Bust: cannot finish on 1 with double out' };
+    }
+
+    if (newScore === 0) {
+      if (doubleOut && !isDouble(segment)) {
+        return { valid: true, bust: true, gameShot: false, points: score, reason: 'Bust: must finish on a double' };
+      }
+      if (settings.masterOut && !isDouble(segment) && !/^T/.test(segment)) {
+        return { valid: true, bust: true, gameShot: false, points: score, reason: 'Bust: must finish on a double or treble' };
+      }
+    }
+
+    return { valid: true, bust: false, gameShot: newScore === 0, points: score, newScore };
+  },
+
+  applyThrow(player, result) {
+    if (result.bust) {
+      player.score = player.originalScore;
+    } else if (result.newScore !== undefined) {
+      player.score = result.newScore;
+    }
+  },
+
+  isLegWon(player) {
+    return player.score === 0;
+  },
+
+  // Without a finish on the darts left, set up the best finish for the next visit
+  getSuggestions(player, context) {
+    if (!context.settings.checkoutSuggestions) return null;
+
+    const dartsLeft = 3 - context.turn.length;
+    const [setup] = findSetups(player.score, dartsLeft, { limit: 1 });
+
+    return getCheckoutSuggestion(player.score, dartsLeft) || (setup && setup.route ? setup.darts : null);
+  }
+};
+
+// Cricket, standard or cut-throat (settings.cutThroat), see cricket.js
+const cricket = {
+  id: 'cricket',
+  name: 'Cricket',
+
+  startLeg(player) {
+    player.score = 0;
+    player.originalScore = 0;
+    player.marks = createCricketMarks();
+  },
+
+  validateThrow(player, segment, score, context) {
+    const hit = parseCricketSegment(segment);
+    if (!hit) return { ...noEffect('No cricket number hit'), marks: 0, details: { number: null, marksAdded: 0 } };
+
+    const current = (player.marks || {})[hit.number] || 0;
+    const marksAdded = Math.min(hit.marks, Math.max(CRICKET_CLOSED - current, 0));
+    const extraMarks = hit.marks - marksAdded;
+    const openForOpponent = context.opponents.some(p => ((p.marks || {})[hit.number] || 0) < CRICKET_CLOSED);
+    const scoringMarks = openForOpponent ? extraMarks : 0;
+
+    return {
+      valid: true,
+      bust: false,
+      gameShot: false,
+      points: scoringMarks * hit.number,
+      marks: marksAdded + scoringMarks,
+      details: { number: hit.number, marksAdded },
+      reason: extraMarks > 0 && !openForOpponent ? 'Number closed by all players' : undefined
+    };
+  },
+
+  // Points go to the player, or to the opponents with the number open in cut-throat
+  applyThrow(player, result, context) {
+    const { number, marksAdded } = result.details;
+    if (number === null) return;
+
+    player.marks = { ...createCricketMarks(), ...player.marks, [number]: ((player.marks || {})[number] || 0) + marksAdded };
+
+    if (result.points > 0) {
+      if (context.settings.cutThroat) {
+        context.opponents
+          .filter(p => ((p.marks || {})[number] || 0) < CRICKET_CLOSED)
+          .forEach(p => { p.score += result.points; });
+      } else {
+        player.score += result.points;
+      }
+    }
+  },
+
+  isLegWon(player, context) {
+    return isCricketWon(
+      { marks: player.marks || createCricketMarks(), points: player.score },
+      context.opponents.map(p => ({ marks: p.marks || createCricketMarks(), points: p.score })),
+      { cutThroat: !!context.settings.cutThroat }
+    );
+  },
+
+  getSuggestions() {
+    return null;
+  }
+};
+
+// Around the Clock: 1 to 20 in order, then the bull. Any segment of the
+// target counts; score is the number of targets hit
+const AROUND_THE_CLOCK_BULL = 21;
+
+const aroundTheClock = {
+  id: 'around_the_clock',
+  name: 'Around the Clock',
+
+  startLeg(player) {
+    player.score = 0;
+    player.originalScore = 0;
+    player.modeState = { target: 1 };
+  },
+
+  validateThrow(player, segment) {
+    const { target } = player.modeState;
+    const hit = parseSegment(segment);
+    const onTarget = !!hit && hit.number === (target === AROUND_THE_CLOCK_BULL ? 25 : target);
+
+    return onTarget ? { ...noEffect(), points: 1 } : noEffect('Target missed');
+  },
+
+  applyThrow(player, result) {
+    if (result.points > 0) {
+      player.modeState.target += 1;
+      player.score += 1;
+    }
+  },
+
+  isLegWon(player) {
+    return player.modeState.target > AROUND_THE_CLOCK_BULL;
+  },
+
+  getSuggestions(player) {
+    const { target } = player.modeState;
+    return [target === AROUND_THE_CLOCK_BULL ? 'BULL' : `S${target}`];
+  }
+};
+
+// Shanghai: each turn aims at the next number, 1 in the first, scoring its
+// value times the multiplier. A single, double and treble of the number in one
+// turn (a Shanghai) wins at once; otherwise the highest score after
+// settings.shanghaiRounds rounds wins, with extra rounds while the lead is shared
+const SHANGHAI_ROUNDS = 7;
+const SHANGHAI_MULTIPLIERS = ['S', 'D', 'T'];
+
+const shanghaiTarget = turn => ((turn - 1) % 20) + 1;
+
+// Turn a dart belongs to; the first dart of a turn starts the next one
+const shanghaiTurn = (player, context) => player.modeState.turn + (context.turn.length === 0 ? 1 : 0);
+
+const shanghai = {
+  id: 'shanghai',
+  name: 'Shanghai',
+
+  startLeg(player) {
+    player.score = 0;
+    player.originalScore = 0;
+    player.modeState = { turn: 0 };
+  },
+
+  validateThrow(player, segment, score, context) {
+    const target = shanghaiTarget(shanghaiTurn(player, context));
+    const hit = parseSegment(segment);
+
+    return hit && hit.number === target
+      ? { ...noEffect(), points: target * hit.multiplier }
+      : noEffect('Target missed');
+  },
+
+  applyThrow(player, result, context) {
+    if (context.turn.length === 0) {
+      player.modeState.turn += 1;
+    }
+    player.score += result.points;
+  },
+
+  isLegWon(player, context) {
+    const { turn } = player.modeState;
+    const target = shanghaiTarget(turn);
+    if (turn > 0 && SHANGHAI_MULTIPLIERS.every(m => context.turn.includes(`${m}${target}`))) {
+      return true;
+    }
+
+    return context.roundComplete &&
+      turn >= (Number(context.settings.shanghaiRounds) || SHANGHAI_ROUNDS) &&
+      context.opponents.every(p => player.score > p.score);
+  },
+
+  getSuggestions(player, context) {
+    const target = shanghaiTarget(shanghaiTurn(player, context));
+    return [...SHANGHAI_MULTIPLIERS]
+      .reverse()
+      .filter(m => !context.turn.includes(`${m}${target}`))
+      .map(m => `${m}${target}`);
+  }
+};
+
+// Killer: each side gets a number by seat and settings.killerLives lives
+// (score). A double of your own number makes you a killer; after that a
+// double of an opponent's number costs them a life, and of your own costs you
+// one. Only doubles count, and the last side with lives wins
+const KILLER_NUMBERS = [20, 1, 18, 4, 13, 6, 10, 15];
+const KILLER_LIVES = 3;
+
+const killer = {
+  id: 'killer',
+  name: 'Killer',
+
+  startLeg(player, side, settings) {
+    const lives = Number(settings.killerLives) || KILLER_LIVES;
+    player.score = lives;
+    player.originalScore = lives;
+    player.modeState = { number: KILLER_NUMBERS[side % KILLER_NUMBERS.length], killer: false };
+  },
+
+  validateThrow(player, segment, score, context) {
+    const state = player.modeState;
+    const hit = parseSegment(segment);
+    if (!hit || hit.multiplier !== 2 || hit.number === 25) {
+      return noEffect('Only doubles count');
+    }
+
+    if (hit.number === state.number) {
+      return { ...noEffect(), details: state.killer ? { victimId: player.id } : { becomesKiller: true } };
+    }
+
+    const victim = context.opponents.find(p => p.modeState.number === hit.number && p.score > 0);
+    if (!victim) return noEffect('No one left on that number');
+    if (!state.killer) return noEffect('Not a killer yet');
+
+    return { ...noEffect(), details: { victimId: victim.id } };
+  },
+
+  applyThrow(player, result, context) {
+    const details = result.details || {};
+
+    if (details.becomesKiller) {
+      player.modeState.killer = true;
+    }
+
+    if (details.victimId !== undefined) {
+      const victim = details.victimId === player.id ? player : context.opponents.find(p => p.id === details.victimId);
+      victim.score = Math.max(victim.score - 1, 0);
+    }
+  },
+
+  isLegWon(player, context) {
+    return player.score > 0 && context.opponents.every(p => p.score <= 0);
+  },
+
+  // Your own double until you are a killer, then the opponents with fewest lives
+  getSuggestions(player, context) {
+    const state = player.modeState;
+    if (!state.killer) return [`D${state.number}`];
+
+    return context.opponents
+      .filter(p => p.score > 0)
+      .sort((a, b) => a.score - b.score)
+      .map(p => `D${p.modeState.number}`);
+  },
+
+  isOut(player) {
+    return player.score <= 0;
+  }
+};
+
+const GAME_MODES = {
+  [x01.id]: x01,
+  [cricket.id]: cricket,
+  [aroundTheClock.id]: aroundTheClock,
+  [shanghai.id]: shanghai,
+  [killer.id]: killer
+};
+
+/**
+ * Add a game mode, or replace one with the same id
+ * @param {Object} mode - { id, name, startLeg, validateThrow, applyThrow, isLegWon, getSuggestions, isOut? }
+ */
+const registerGameMode = (mode) => {
+  GAME_MODES[mode.id] = mode;
+};
+
+/**
+ * Get the rules for a mode; x01 variants such as '501' play as x01
+ * @param {string} mode - Mode id, e.g. '501', 'cricket', 'killer'
+ * @returns {Object} The game mode
+ */
+const getGameMode = (mode) => {
+  if (GAME_MODES[mode]) return GAME_MODES[mode];
+  if (/^\d+01$/.test(mode)) return x01;
+
+  throw new Error(`Unknown game mode: ${mode}`);
+};
+
+/**
+ * Whether a mode is known, x01 variants included
+ */
+const isGameMode = (mode) => {
+  try {
+    getGameMode(mode);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Ids and names of the available modes
+ * @returns {Array<Object>} [{ id, name }]
+ */
+const listGameModes = () => Object.values(GAME_MODES).map(({ id, name }) => ({ id, name }));
+
+module.exports = {
+  parseSegment,
+  registerGameMode,
+  getGameMode,
+  isGameMode,
+  listGameModes
+};
@@ -0,0 +1,261 @@
+/**
+ * Players seated in a game
+ *
+ * Every game has 2 to 8 players in game_players, in throwing order. Turns and
+ * leg starters rotate through the seats; games.player1_id and player2_id hold
+ * the first two seats for listings. In a team game teammates keep their own
+ * seats but share one score, legs and sets, see teams.js.
+ */
+
+const { normalizeHandicap } = require('./handicap');
+const { getGameMode } = require('./gameModes');
+const { getSidePlayerIds, getSides, formatTeams } = require('./teams');
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 8;
+
+/**
+ * Seat players in a new game, in the order given
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {number} gameId - ID of the game
+ * @param {Array<number>} playerIds - Player IDs in throwing order
+ * @param {Object} handicaps - { [playerId]: { startingScore, legs } }, see normalizeHandicap
+ * @param {Object} teams - Team play only: { [playerId]: position of the player's team }
+ * @returns {Promise<void>}
+ */
+const addGamePlayers = (db, gameId, playerIds, handicaps = {}, teams = {}) => {
+  return Promise.all(playerIds.map((playerId, index) => new Promise((resolve, reject) => {
+    const { startingScore, legs } = normalizeHandicap(handicaps[playerId]);
+
+    db.run(
+      `INSERT INTO game_players (game_id, player_id, position, starting_score, score, start_legs, legs_won, set_legs_won, team)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [gameId, playerId, index + 1, startingScore, startingScore, legs, legs, legs, teams[playerId] || null],
+      function(err) {
+        if (err) return reject(err);
+        resolve();
+      }
+    );
+  })));
+};
+
+/**
+ * Add the teams of a new team game, in the order given
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {number} gameId - ID of the game
+ * @param {Array<Object>} teams - Normalized teams, see normalizeTeams
+ * @returns {Promise<void>}
+ */
+const addGameTeams = (db, gameId, teams) => {
+  return Promise.all(teams.map((team, index) => new Promise((resolve, reject) => {
+    db.run(
+      'INSERT INTO game_teams (game_id, position, name) VALUES (?, ?, ?)',
+      [gameId, index + 1, team.name],
+      function(err) {
+        if (err) return reject(err);
+        resolve();
+      }
+    );
+  })));
+};
+
+/**
+ * Get the teams of a game with their shared score, legs and sets, see formatTeams
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {Object} game - games row
+ * @param {Array} players - game_players rows in throwing order
+ * @returns {Promise<Array>} The teams, legsWon counting the current set when playing sets; empty outside team play
+ */
+const getGameTeams = (db, game, players) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT position, name FROM game_teams WHERE game_id = ? ORDER BY position',
+      [game.id],
+      (err, rows) => {
+        if (err) return reject(err);
+        resolve(formatTeams(rows, players, seat => ({
+          score: seat.score,
+          legsWon: game.sets_to_win > 0 ? seat.set_legs_won : seat.legs_won,
+          setsWon: seat.sets_won
+        })).map(team => ({ ...team, isWinner: team.playerIds.includes(game.winner_id) })));
+      }
+    );
+  });
+};
+
+/**
+ * Get the players of a game in throwing order
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {number} gameId - ID of the game
+ * @returns {Promise<Array>} game_players rows with the player's name and nickname
+ */
+const getGamePlayers = (db, gameId) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT gp.*, p.name, p.nickname
+       FROM game_players gp
+       JOIN players p ON gp.player_id = p.id
+       WHERE gp.game_id = ?
+       ORDER BY gp.position`,
+      [gameId],
+      (err, rows) => {
+        if (err) return reject(err);
+        resolve(rows);
+      }
+    );
+  });
+};
+
+/**
+ * Add a players array, in throwing order, to each of a list of games rows
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {Array} games - games rows
+ * @returns {Promise<Array>} The games with players attached
+ */
+const attachGamePlayers = (db, games) => {
+  if (games.length === 0) return Promise.resolve(games);
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT gp.*, p.name, p.nickname
+       FROM game_players gp
+       JOIN players p ON gp.player_id = p.id
+       WHERE gp.game_id IN (${games.map(() => '?').join(', ')})
+       ORDER BY gp.game_id, gp.position`,
+      games.map(game => game.id),
+      (err, rows) => {
+        if (err) return reject(err);
+        resolve(games.map(game => ({
+          ...game,
+          players: rows.filter(row => row.game_id === game.id)
+        })));
+      }
+    );
+  });
+};
+
+/**
+ * Update a player's state in a game
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {number} gameId - ID of the game
+ * @param {number} playerId - ID of the player
+ * @param {Object} fields - Columns to set, e.g. { score: 301, darts: 6 }
+ * @returns {Promise<void>}
+ */
+const updateGamePlayer = (db, gameId, playerId, fields) => {
+  const columns = Object.keys(fields);
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE game_players SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE game_id = ? AND player_id = ?`,
+      [...columns.map(column => fields[column]), gameId, playerId],
+      function(err) {
+        if (err) return reject(err);
+        resolve();
+      }
+    );
+  });
+};
+
+/**
+ * Update a player's state and, in a team game, their teammates', so the team
+ * keeps one score, legs and sets
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {number} gameId - ID of the game
+ * @param {Array} players - game_players rows
+ * @param {number} playerId - ID of the player
+ * @param {Object} fields - Columns to set, e.g. { score: 301 }
+ * @returns {Promise<void>}
+ */
+const updateGameSide = (db, gameId, players, playerId, fields) => Promise.all(
+  getSidePlayerIds(players, playerId).map(sidePlayerId => updateGamePlayer(db, gameId, sidePlayerId, fields))
+).then(() => undefined);
+
+/**
+ * The rules a game's mode is played with, e.g. { killerLives: 5 }
+ * @param {Object} game - games row
+ * @returns {Object} Mode settings
+ */
+const getModeSettings = (game) => JSON.parse(game.mode_settings || '{}');
+
+/**
+ * Sides as the game mode registry plays them, see gameModes.js: every seat,
+ * or each team's first player in a team game
+ * @param {Array} players - game_players rows in throwing order
+ * @returns {Array<Object>} [{ id, startingScore, score, originalScore, marks, modeState }]
+ */
+const toModePlayers = (players) => getSides(players).map(player => ({
+  id: player.player_id,
+  startingScore: player.starting_score,
+  score: player.score,
+  originalScore: player.score,
+  marks: player.marks ? JSON.parse(player.marks) : null,
+  modeState: player.mode_state ? JSON.parse(player.mode_state) : null
+}));
+
+/**
+ * Store the registry's view of the sides back on game_players
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {number} gameId - ID of the game
+ * @param {Array<Object>} modePlayers - See toModePlayers
+ * @param {Array} players - game_players rows
+ * @returns {Promise<void>}
+ */
+const saveModePlayers = (db, gameId, modePlayers, players) => Promise.all(modePlayers.map(player => updateGameSide(db, gameId, players, player.id, {
+  score: player.score,
+  marks: player.marks ? JSON.stringify(player.marks) : null,
+  mode_state: player.modeState ? JSON.stringify(player.modeState) : null
+})));
+
+/**
+ * Set every seat up for a new leg of the game's mode: x01 from each seat's
+ * starting score, cricket from empty marks, Killer with a number and lives
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {Object} game - games row
+ * @returns {Promise<void>}
+ */
+const startModeLeg = async (db, game) => {
+  const gameMode = getGameMode(game.game_mode || '501');
+  const settings = getModeSettings(game);
+  const players = await getGamePlayers(db, game.id);
+  const modePlayers = toModePlayers(players);
+
+  modePlayers.forEach((player, side) => gameMode.startLeg(player, side, { ...settings, startingScore: player.startingScore }));
+  await saveModePlayers(db, game.id, modePlayers, players);
+};
+
+/**
+ * The player in the seat after the given player, wrapping round to the first seat
+ * @param {Array} players - game_players rows in throwing order
+ * @param {number} playerId - ID of the current player
+ * @returns {number} ID of the next player
+ */
+const getNextPlayerId = (players, playerId) => {
+  const index = players.findIndex(player => player.player_id === playerId);
+  return players[(index + 1) % players.length].player_id;
+};
+
+/**
+ * Score line in seat order, e.g. '2-1-0'
+ * @param {Array} players - game_players rows in throwing order
+ * @param {string} field - Column to show, e.g. 'legs_won'
+ */
+const formatScoreLine = (players, field) => players.map(player => player[field]).join('-');
+
+module.exports = {
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  addGamePlayers,
+  addGameTeams,
+  getGamePlayers,
+  getGameTeams,
+  attachGamePlayers,
+  updateGamePlayer,
+  updateGameSide,
+  getModeSettings,
+  toModePlayers,
+  saveModePlayers,
+  startModeLeg,
+  getNextPlayerId,
+  formatScoreLine
+};
@@ -0,0 +1,80 @@
+/**
+ * Handicaps
+ *
+ * A handicap gives a player their own starting score, a head start of legs,
+ * or both. The automatic handicap lowers each player's starting score in
+ * proportion to their rolling 3-dart average, so everyone needs about as many
+ * darts per leg as the strongest player.
+ */
+
+const STARTING_SCORE = 501;
+const MIN_STARTING_SCORE = 101;
+const MAX_STARTING_SCORE = 1001;
+
+/**
+ * Fill in defaults and discard invalid values
+ * @param {Object} handicap - { startingScore, legs }, both optional
+ * @returns {Object} { startingScore, legs }, legs being the head start
+ */
+const normalizeHandicap = (handicap = {}) => {
+  const startingScore = parseInt(handicap.startingScore, 10) || STARTING_SCORE;
+
+  return {
+    startingScore: Math.min(Math.max(startingScore, MIN_STARTING_SCORE), MAX_STARTING_SCORE),
+    legs: Math.max(parseInt(handicap.legs, 10) || 0, 0)
+  };
+};
+
+/**
+ * Starting scores from 3-dart averages. The strongest player starts on 501;
+ * players without an average, and when nobody has one, do too
+ * @param {Object} averages - { [playerId]: 3-dart average or null }
+ * @returns {Object} { [playerId]: starting score }
+ */
+const computeAutoStartingScores = (averages) => {
+  const best = Math.max(0, ...Object.values(averages).filter(average => average > 0));
+
+  return Object.fromEntries(Object.entries(averages).map(([playerId, average]) => [
+    playerId,
+    best > 0 && average > 0
+      ? normalizeHandicap({ startingScore: Math.round(STARTING_SCORE * average / best) }).startingScore
+      : STARTING_SCORE
+  ]));
+};
+
+/**
+ * Whether a handicap changes anything, against the game's usual starting score
+ */
+const hasHandicap = (handicap, startingScore = STARTING_SCORE) => handicap.startingScore !== startingScore || handicap.legs > 0;
+
+/**
+ * Human readable handicap, e.g. '401 start, 1 leg head start'
+ */
+const describeHandicap = (handicap) => {
+  const parts = [];
+
+  if (handicap.startingScore !== STARTING_SCORE) parts.push(`${handicap.startingScore} start`);
+  if (handicap.legs > 0) parts.push(`${handicap.legs} leg${handicap.legs === 1 ? '' : 's'} head start`);
+
+  return parts.join(', ');
+};
+
+/**
+ * Handicap of a seat in a game, with its description, or null without one
+ * @param {Object} gamePlayer - game_players row
+ */
+const getSeatHandicap = (gamePlayer) => {
+  const handicap = normalizeHandicap({ startingScore: gamePlayer.starting_score, legs: gamePlayer.start_legs });
+  return hasHandicap(handicap) ? { ...handicap, description: describeHandicap(handicap) } : null;
+};
+
+module.exports = {
+  STARTING_SCORE,
+  MIN_STARTING_SCORE,
+  MAX_STARTING_SCORE,
+  normalizeHandicap,
+  computeAutoStartingScores,
+  hasHandicap,
+  describeHandicap,
+  getSeatHandicap
+};
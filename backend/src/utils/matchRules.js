@@ -0,0 +1,149 @@
+/**
+ * Match-end rules
+ *
+ * Decides when a legs match is over. A match is played first to N legs or
+ * best of N legs, optionally with a two-clear-legs rule. A tie, which is an
+ * even best-of finishing level or a two-clear match reaching its cap level,
+ * is broken by a sudden-death leg or a bull-off.
+ */
+
+const MATCH_FORMATS = ['first_to', 'best_of'];
+const TIE_BREAKS = ['leg', 'bull'];
+
+const DEFAULT_MATCH_RULES = {
+  format: 'first_to',
+  legs: 3,
+  twoClear: false,
+  suddenDeathAt: 0, // Legs each at which a level two-clear match goes to the tie-break, 0 for no cap
+  tieBreak: 'leg'
+};
+
+/**
+ * Legs needed to win a match, before any two-clear or tie-break rule
+ */
+const getLegsToWin = (rules) => {
+  return rules.format === 'best_of' ? Math.floor(rules.legs / 2) + 1 : rules.legs;
+};
+
+/**
+ * Fill in defaults and discard invalid values
+ * @param {Object} rules - { format, legs, twoClear, suddenDeathAt, tieBreak }, all optional
+ * @returns {Object} Complete rules
+ */
+const normalizeMatchRules = (rules = {}) => {
+  const normalized = {
+    format: MATCH_FORMATS.includes(rules.format) ? rules.format : DEFAULT_MATCH_RULES.format,
+    legs: Math.max(parseInt(rules.legs, 10) || DEFAULT_MATCH_RULES.legs, 1),
+    twoClear: !!rules.twoClear,
+    suddenDeathAt: Math.max(parseInt(rules.suddenDeathAt, 10) || 0, 0),
+    tieBreak: TIE_BREAKS.includes(rules.tieBreak) ? rules.tieBreak : DEFAULT_MATCH_RULES.tieBreak
+  };
+
+  // A cap below the winning line would end the match before anyone gets there
+  if (normalized.suddenDeathAt > 0) {
+    normalized.suddenDeathAt = Math.max(normalized.suddenDeathAt, getLegsToWin(normalized) - 1);
+  }
+
+  return normalized;
+};
+
+/**
+ * Legs each at which a level match goes to the tie-break, 0 when it cannot tie
+ */
+const getTiePoint = (rules) => {
+  if (rules.twoClear) return rules.suddenDeathAt;
+  if (rules.format === 'best_of' && rules.legs % 2 === 0) return rules.legs / 2;
+  return 0;
+};
+
+/**
+ * Decide whether a match is over after a leg
+ * @param {Object} legsWon - { [playerId]: legs won }
+ * @param {Object} rules - Match rules, see normalizeMatchRules
+ * @returns {Object} { decided, winnerId, decidedBy, suddenDeath, bullOff, tiedPlayers }.
+ *   decidedBy is 'legs', 'two_clear' or 'sudden_death'. When the match goes on,
+ *   suddenDeath means the next leg decides it and bullOff means a bull-off
+ *   between tiedPlayers does
+ */
+const decideMatch = (legsWon, rules) => {
+  const normalized = normalizeMatchRules(rules);
+  const standings = Object.entries(legsWon)
+    .map(([playerId, legs]) => ({ playerId: Number(playerId), legs: legs || 0 }))
+    .sort((a, b) => b.legs - a.legs);
+
+  const [leader, runnerUp] = standings;
+  const lead = leader.legs - (runnerUp ? runnerUp.legs : 0);
+  const tiePoint = getTiePoint(normalized);
+  const undecided = { decided: false, winnerId: null, decidedBy: null, suddenDeath: false, bullOff: false, tiedPlayers: [] };
+
+  // Past the tie point the match is decided on the next leg or by a bull-off
+  if (tiePoint > 0 && runnerUp && runnerUp.legs >= tiePoint) {
+    if (lead > 0) {
+      return { ...undecided, decided: true, winnerId: leader.playerId, decidedBy: 'sudden_death' };
+    }
+
+    const tiedPlayers = standings.filter(s => s.legs === leader.legs).map(s => s.playerId);
+    return normalized.tieBreak === 'bull'
+      ? { ...undecided, bullOff: true, tiedPlayers }
+      : { ...undecided, suddenDeath: true, tiedPlayers };
+  }
+
+  if (leader.legs >= getLegsToWin(normalized) && lead >= (normalized.twoClear ? 2 : 1)) {
+    return {
+      ...undecided,
+      decided: true,
+      winnerId: leader.playerId,
+      decidedBy: normalized.twoClear ? 'two_clear' : 'legs'
+    };
+  }
+
+  return undecided;
+};
+
+/**
+ * Rules stored on a games row
+ */
+const getGameMatchRules = (game) => normalizeMatchRules({
+  format: game.match_format,
+  legs: game.legs_required,
+  twoClear: game.two_clear,
+  suddenDeathAt: game.sudden_death_at,
+  tieBreak: game.tie_break
+});
+
+/**
+ * Human readable rules, e.g. 'Best of 5 legs, two clear, sudden-death leg at 5-5'
+ */
+const describeMatchRules = (rules) => {
+  const normalized = normalizeMatchRules(rules);
+  const parts = [`${normalized.format === 'best_of' ? 'Best of' : 'First to'} ${normalized.legs} legs`];
+  const tieBreak = normalized.tieBreak === 'bull' ? 'bull-off' : 'sudden-death leg';
+  const tiePoint = getTiePoint(normalized);
+
+  if (normalized.twoClear) parts.push('two clear');
+  if (tiePoint > 0) parts.push(`${tieBreak} at ${tiePoint}-${tiePoint}`);
+
+  return parts.join(', ');
+};
+
+/**
+ * Format a games row was played under, including set play
+ */
+const describeGameFormat = (game) => {
+  if (game.sets_to_win > 0) {
+    return `First to ${game.sets_to_win} sets of ${game.legs_per_set} legs`;
+  }
+  return describeMatchRules(getGameMatchRules(game));
+};
+
+module.exports = {
+  MATCH_FORMATS,
+  TIE_BREAKS,
+  DEFAULT_MATCH_RULES,
+  getLegsToWin,
+  normalizeMatchRules,
+  getGameMatchRules,
+  decideMatch,
+  describeMatchRules,
+  describeGameFormat
+};
@@ -0,0 +1,228 @@
+/**
+ * Solo practice routines
+ *
+ * A practice session is one player on a board outside a match. Each routine
+ * starts a progress object, applies the darts the board reports to it one by
+ * one, and says when the session is over and what it scored:
+ *
+ * - Bob's 27: start on 27, three darts at each double from D1 to the bull;
+ *   every hit adds the double, a round without a hit takes it off. Dropping
+ *   to 0 or below ends the session
+ * - Around the doubles: D1 to D20, then the bull, in order; scores the darts used
+ * - 121 checkout ladder: nine darts to check out each target, double out. A
+ *   checkout moves the target up one, a miss down one (never below 121).
+ *   Scores the highest target checked out
+ * - 100 darts at T20: scores the points of 100 darts aimed at the treble 20
+ */
+
+const { parseSegment } = require('./gameModes');
+
+const CHECKOUT_LADDER_START = 121;
+const CHECKOUT_LADDER_DARTS = 9; // Darts per target
+const CHECKOUT_LADDER_ATTEMPTS = 10;
+const T20_DRILL_DARTS = 100;
+
+const isDouble = (segment, number) => {
+  const hit = parseSegment(segment);
+  return !!hit && hit.multiplier === 2 && hit.number === number;
+};
+
+// Doubles in the order they are played, 25 being the bull
+const DOUBLES = [...Array.from({ length: 20 }, (_, index) => index + 1), 25];
+
+const targetLabel = (number) => (number === 25 ? 'DBULL' : `D${number}`);
+
+const PRACTICE_ROUTINES = {
+  bobs_27: {
+    id: 'bobs_27',
+    name: "Bob's 27",
+    description: 'Three darts at each double from D1 to the bull, starting on 27',
+    lowerIsBetter: false,
+    start: () => ({ score: 27, round: 1, dartsInRound: 0, hitsInRound: 0 }),
+    applyDart: (progress, segment) => {
+      const number = DOUBLES[progress.round - 1];
+      const hit = isDouble(segment, number);
+      const next = {
+        ...progress,
+        dartsInRound: progress.dartsInRound + 1,
+        hitsInRound: progress.hitsInRound + (hit ? 1 : 0),
+        score: progress.score + (hit ? number * 2 : 0)
+      };
+
+      if (next.dartsInRound === 3) {
+        if (next.hitsInRound === 0) next.score -= number * 2;
+        next.round += 1;
+        next.dartsInRound = 0;
+        next.hitsInRound = 0;
+      }
+
+      return { progress: next, hit };
+    },
+    isComplete: progress => progress.score <= 0 || progress.round > DOUBLES.length,
+    getScore: progress => progress.score,
+    getTarget: progress => targetLabel(DOUBLES[progress.round - 1])
+  },
+
+  around_the_doubles: {
+    id: 'around_the_doubles',
+    name: 'Around the doubles',
+    description: 'D1 to D20, then the bull, in order, in as few darts as possible',
+    lowerIsBetter: true,
+    start: () => ({ index: 0, darts: 0 }),
+    applyDart: (progress, segment) => {
+      const hit = isDouble(segment, DOUBLES[progress.index]);
+      return {
+        progress: { index: progress.index + (hit ? 1 : 0), darts: progress.darts + 1 },
+        hit
+      };
+    },
+    isComplete: progress => progress.index >= DOUBLES.length,
+    getScore: progress => progress.darts,
+    getTarget: progress => targetLabel(DOUBLES[progress.index])
+  },
+
+  checkout_121: {
+    id: 'checkout_121',
+    name: '121 checkout ladder',
+    description: `${CHECKOUT_LADDER_DARTS} darts to check out each target; a checkout moves the target up, a miss down`,
+    lowerIsBetter: false,
+    start: () => ({
+      target: CHECKOUT_LADDER_START,
+      remaining: CHECKOUT_LADDER_START,
+      turnStart: CHECKOUT_LADDER_START,
+      attempt: 1,
+      dartsInAttempt: 0,
+      best: 0
+    }),
+    applyDart: (progress, segment, score) => {
+      const next = { ...progress, dartsInAttempt: progress.dartsInAttempt + 1 };
+      const remaining = progress.remaining - score;
+      const finished = remaining === 0 && (segment.startsWith('D') || segment === 'DBULL');
+
+      if (finished) {
+        next.best = Math.max(next.best, next.target);
+      } else if (remaining <= 1) {
+        // Bust: back to the score at the start of the turn, and the turn is over
+        next.remaining = progress.turnStart;
+        next.dartsInAttempt = Math.ceil(next.dartsInAttempt / 3) * 3;
+      } else {
+        next.remaining = remaining;
+      }
+
+      if (next.dartsInAttempt % 3 === 0) {
+        next.turnStart = next.remaining;
+      }
+
+      if (finished || next.dartsInAttempt >= CHECKOUT_LADDER_DARTS) {
+        next.target = finished ? next.target + 1 : Math.max(next.target - 1, CHECKOUT_LADDER_START);
+        next.remaining = next.target;
+        next.turnStart = next.target;
+        next.attempt += 1;
+        next.dartsInAttempt = 0;
+      }
+
+      return { progress: next, hit: finished };
+    },
+    isComplete: progress => progress.attempt > CHECKOUT_LADDER_ATTEMPTS,
+    getScore: progress => progress.best,
+    getTarget: progress => `${progress.remaining} of ${progress.target}`
+  },
+
+  t20_100: {
+    id: 't20_100',
+    name: '100 darts at T20',
+    description: `${T20_DRILL_DARTS} darts at the treble 20, scoring every point`,
+    lowerIsBetter: false,
+    start: () => ({ darts: 0, points: 0, trebles: 0 }),
+    applyDart: (progress, segment, score) => {
+      const hit = segment === 'T20';
+      return {
+        progress: {
+          darts: progress.darts + 1,
+          points: progress.points + score,
+          trebles: progress.trebles + (hit ? 1 : 0)
+        },
+        hit
+      };
+    },
+    isComplete: progress => progress.darts >= T20_DRILL_DARTS,
+    getScore: progress => progress.points,
+    getTarget: () => 'T20'
+  }
+};
+
+/**
+ * Get a practice routine
+ * @param {string} routineId - e.g. 'bobs_27'
+ * @returns {Object} The routine
+ */
+const getPracticeRoutine = (routineId) => {
+  const routine = PRACTICE_ROUTINES[routineId];
+  if (!routine) {
+    throw new Error(`Unknown practice routine: ${routineId}`);
+  }
+  return routine;
+};
+
+/**
+ * Ids, names and descriptions of the practice routines
+ */
+const listPracticeRoutines = () => Object.values(PRACTICE_ROUTINES).map(
+  ({ id, name, description, lowerIsBetter }) => ({ id, name, description, lowerIsBetter })
+);
+
+/**
+ * Apply one dart to a practice session
+ * @param {string} routineId - Routine being practised
+ * @param {Object} progress - Progress so far, from routine.start()
+ * @param {string} segment - Segment hit
+ * @param {number} score - Points the dart scored
+ * @returns {Object} { progress, hit, complete, score, target }
+ */
+const applyPracticeDart = (routineId, progress, segment, score) => {
+  const routine = getPracticeRoutine(routineId);
+  const result = routine.applyDart(progress, segment, score);
+  const complete = routine.isComplete(result.progress);
+
+  return {
+    progress: result.progress,
+    hit: result.hit,
+    complete,
+    score: routine.getScore(result.progress),
+    target: complete ? null : routine.getTarget(result.progress)
+  };
+};
+
+/**
+ * Personal best, average and trend of a player's finished sessions of a routine
+ * @param {string} routineId - Routine practised
+ * @param {Array} sessions - practice_sessions rows, oldest first
+ * @returns {Object} { routine, name, sessions, best, average, trend }
+ */
+const summarizePracticeSessions = (routineId, sessions) => {
+  const routine = getPracticeRoutine(routineId);
+  const scores = sessions.map(session => session.score);
+  const best = scores.length === 0 ? null : (routine.lowerIsBetter ? Math.min(...scores) : Math.max(...scores));
+
+  return {
+    routine: routine.id,
+    name: routine.name,
+    lowerIsBetter: routine.lowerIsBetter,
+    sessions: sessions.length,
+    best,
+    average: scores.length === 0 ? null : scores.reduce((sum, score) => sum + score, 0) / scores.length,
+    trend: sessions.slice(-20).map(session => ({
+      sessionId: session.id,
+      score: session.score,
+      date: session.ended_at
+    }))
+  };
+};
+
+module.exports = {
+  PRACTICE_ROUTINES,
+  getPracticeRoutine,
+  listPracticeRoutines,
+  applyPracticeDart,
+  summarizePracticeSessions
+};
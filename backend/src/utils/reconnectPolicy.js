@@ -0,0 +1,126 @@
+/**
+ * Reconnect policy for Scolia board connections
+ *
+ * Turns Social API close codes into a retry decision: stop on bad credentials,
+ * back off longer when the board is already connected elsewhere, retry a ping
+ * timeout straight away and use jittered exponential backoff for everything
+ * else. Repeated failures open a circuit breaker that pauses retries until
+ * its cooldown is over; the first retry after that closes it on success or
+ * opens it again on failure.
+ */
+
+// Close codes documented in ScoliaAPI.md
+const CLOSE_CODES = {
+  PING_TIMEOUT: 4000,
+  INVALID_SERIAL: 4100,
+  ALREADY_CONNECTED: 4101,
+  INVALID_TOKEN: 4102
+};
+
+const DEFAULT_OPTIONS = {
+  baseDelay: 1000, // first backoff step
+  maxDelay: 60000, // cap for exponential backoff
+  alreadyConnectedDelay: 60000, // wait before retrying after 4101
+  failureThreshold: 8, // consecutive failures before the circuit opens
+  circuitCooldown: 5 * 60 * 1000 // how long the circuit stays open
+};
+
+/**
+ * Exponential backoff with "equal jitter"
+ * @param {number} attempt - Zero-based attempt number
+ * @param {Object} options - baseDelay and maxDelay in ms
+ * @param {Function} random - Random source, defaults to Math.random
+ * @returns {number} Delay in ms
+ */
+const computeBackoff = (attempt, options = DEFAULT_OPTIONS, random = Math.random) => {
+  const ceiling = Math.min(options.maxDelay, options.baseDelay * Math.pow(2, attempt));
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+};
+
+class ReconnectPolicy {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.random = options.random || Math.random;
+    this.reset();
+  }
+
+  /**
+   * Forget previous failures, e.g. after a successful connection
+   */
+  reset() {
+    this.failures = 0;
+    this.circuitOpenUntil = null;
+  }
+
+  /**
+   * Whether the circuit breaker is open, so no retry may be made before circuitOpenUntil
+   * @param {number} now - Time in ms, defaults to Date.now()
+   */
+  isCircuitOpen(now = Date.now()) {
+    return this.circuitOpenUntil !== null && now < this.circuitOpenUntil;
+  }
+
+  /**
+   * Decide how to react to a closed connection
+   * @param {number|null} code - WebSocket close code, null when the connection never opened
+   * @returns {{state: string, delay: number|null, reason: string}} delay is null when we must not retry
+   */
+  next(code) {
+    if (code === CLOSE_CODES.INVALID_SERIAL || code === CLOSE_CODES.INVALID_TOKEN) {
+      return {
+        state: 'auth_failed',
+        delay: null,
+        reason: code === CLOSE_CODES.INVALID_SERIAL ? 'Invalid serial number' : 'Invalid access token'
+      };
+    }
+
+    // A connection closing while the circuit is open waits out the rest of the cooldown
+    const now = Date.now();
+    if (this.isCircuitOpen(now)) {
+      return {
+        state: 'circuit_open',
+        delay: this.circuitOpenUntil - now,
+        reason: `${this.failures} consecutive failures`
+      };
+    }
+
+    this.failures++;
+
+    if (this.failures >= this.options.failureThreshold) {
+      this.circuitOpenUntil = now + this.options.circuitCooldown;
+      return {
+        state: 'circuit_open',
+        delay: this.options.circuitCooldown,
+        reason: `${this.failures} consecutive failures`
+      };
+    }
+
+    if (code === CLOSE_CODES.PING_TIMEOUT) {
+      return { state: 'reconnecting', delay: 0, reason: 'Ping timeout' };
+    }
+
+    if (code === CLOSE_CODES.ALREADY_CONNECTED) {
+      const delay = this.options.alreadyConnectedDelay;
+      return {
+        state: 'backoff',
+        delay: Math.round(delay + this.random() * delay / 2),
+        reason: 'Board already connected'
+      };
+    }
+
+    return {
+      state: 'backoff',
+      delay: computeBackoff(this.failures - 1, this.options, this.random),
+      reason: code ? `Closed with code ${code}` : 'Connection failed'
+    };
+  }
+}
+
+module.exports = {
+  CLOSE_CODES,
+  computeBackoff,
+  ReconnectPolicy
+};
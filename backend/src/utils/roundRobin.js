@@ -0,0 +1,167 @@
+/**
+ * Round-robin groups
+ *
+ * Players are drawn into groups, everyone in a group plays everyone else
+ * once, and the standings rank the group on games won. Players level on wins
+ * are split by the tiebreakers in the order the tournament sets, e.g.
+ * head-to-head, then leg difference, then 3-dart average; players still
+ * level keep their draw order.
+ */
+
+const TIEBREAKERS = ['head_to_head', 'leg_difference', 'legs_for', 'average'];
+const DEFAULT_TIEBREAKERS = ['head_to_head', 'leg_difference', 'average'];
+
+const MIN_GROUP_PLAYERS = 2;
+
+/**
+ * Keep the known tiebreakers, each once, in the order given
+ * @param {Array<string>} tiebreakers - e.g. ['leg_difference', 'head_to_head']
+ * @returns {Array<string>} The tiebreakers, or the default order when none are valid
+ */
+const normalizeTiebreakers = (tiebreakers) => {
+  const valid = Array.isArray(tiebreakers)
+    ? tiebreakers.filter((tiebreaker, index) => TIEBREAKERS.includes(tiebreaker) && tiebreakers.indexOf(tiebreaker) === index)
+    : [];
+  return valid.length > 0 ? valid : DEFAULT_TIEBREAKERS;
+};
+
+/**
+ * Group name from its position, e.g. 'Group A' for 1
+ */
+const getGroupName = (position) => `Group ${String.fromCharCode(64 + position)}`;
+
+/**
+ * Draw seeded players into groups, snaking so each group gets an even share
+ * of the top seeds: with two groups A gets seeds 1, 4, 5 and B seeds 2, 3, 6
+ * @param {Array<number>} seeds - Player IDs by seed, top seed first
+ * @param {number} groupCount - Number of groups
+ * @returns {Array<Array<number>>} Player IDs of each group, top seed first
+ */
+const drawGroups = (seeds, groupCount) => {
+  const groups = Array.from({ length: groupCount }, () => []);
+
+  seeds.forEach((playerId, index) => {
+    const pass = Math.floor(index / groupCount);
+    const offset = index % groupCount;
+    groups[pass % 2 === 0 ? offset : groupCount - 1 - offset].push(playerId);
+  });
+
+  return groups;
+};
+
+/**
+ * Fixtures of a round-robin group by the circle method: everyone plays once a
+ * round, and with an odd number of players one sits out each round
+ * @param {Array<number>} playerIds - Player IDs in draw order
+ * @returns {Array<Object>} [{ round, player1Id, player2Id }], round from 1
+ */
+const scheduleRoundRobin = (playerIds) => {
+  const slots = playerIds.length % 2 === 0 ? [...playerIds] : [...playerIds, null];
+  const fixtures = [];
+
+  for (let round = 1; round < slots.length; round++) {
+    for (let i = 0; i < slots.length / 2; i++) {
+      const [home, away] = [slots[i], slots[slots.length - 1 - i]];
+      if (home !== null && away !== null) {
+        // Alternate who throws first for the fixed player
+        const swap = i === 0 && round % 2 === 0;
+        fixtures.push({ round, player1Id: swap ? away : home, player2Id: swap ? home : away });
+      }
+    }
+
+    // Keep the first player fixed and rotate the rest one place
+    slots.splice(1, 0, slots.pop());
+  }
+
+  return fixtures;
+};
+
+/**
+ * What a tiebreaker compares, higher being better, for players level with each other
+ */
+const getTiebreakKey = (tiebreaker, rows, results) => {
+  if (tiebreaker === 'head_to_head') {
+    // Wins in the games between the players level with each other only
+    const ids = rows.map(row => row.playerId);
+    const wins = Object.fromEntries(ids.map(id => [id, 0]));
+    results
+      .filter(result => ids.includes(result.player1Id) && ids.includes(result.player2Id))
+      .forEach(result => { wins[result.winnerId] += 1; });
+    return row => wins[row.playerId];
+  }
+  if (tiebreaker === 'leg_difference') return row => row.legDifference;
+  if (tiebreaker === 'legs_for') return row => row.legsFor;
+  return row => row.average ?? -1;
+};
+
+/**
+ * Split rows by a key, best first
+ * @returns {Array<Array<Object>>} Blocks of rows still level with each other, in draw order
+ */
+const splitBy = (rows, key) => {
+  const blocks = [];
+  [...rows].sort((a, b) => key(b) - key(a)).forEach(row => {
+    const last = blocks[blocks.length - 1];
+    if (last && key(last[0]) === key(row)) {
+      last.push(row);
+    } else {
+      blocks.push([row]);
+    }
+  });
+  return blocks;
+};
+
+const rankBlock = (rows, tiebreakers, results) => {
+  if (rows.length < 2 || tiebreakers.length === 0) return rows;
+
+  const [tiebreaker, ...rest] = tiebreakers;
+  return splitBy(rows, getTiebreakKey(tiebreaker, rows, results)).flatMap(block => rankBlock(block, rest, results));
+};
+
+/**
+ * Standings of a group from its completed games
+ * @param {Array<number>} playerIds - Player IDs in draw order
+ * @param {Array<Object>} results - Completed games { player1Id, player2Id, winnerId, legs: { [playerId]: legs won } }
+ * @param {Object} scoring - { [playerId]: { points, darts } } scored over the group games, for the average
+ * @param {Array<string>} tiebreakers - Tiebreak order, see normalizeTiebreakers
+ * @returns {Array<Object>} Rows { position, playerId, played, won, lost, legsFor, legsAgainst,
+ *   legDifference, average }, best first
+ */
+const computeStandings = (playerIds, results, scoring = {}, tiebreakers = DEFAULT_TIEBREAKERS) => {
+  const rows = playerIds.map(playerId => {
+    const games = results.filter(result => result.player1Id === playerId || result.player2Id === playerId);
+    const legsFor = games.reduce((sum, result) => sum + (result.legs[playerId] || 0), 0);
+    const legsAgainst = games.reduce((sum, result) => {
+      const opponentId = result.player1Id === playerId ? result.player2Id : result.player1Id;
+      return sum + (result.legs[opponentId] || 0);
+    }, 0);
+    const won = games.filter(result => result.winnerId === playerId).length;
+    const { points = 0, darts = 0 } = scoring[playerId] || {};
+
+    return {
+      playerId,
+      played: games.length,
+      won,
+      lost: games.length - won,
+      legsFor,
+      legsAgainst,
+      legDifference: legsFor - legsAgainst,
+      average: darts > 0 ? (points / darts) * 3 : null
+    };
+  });
+
+  return splitBy(rows, row => row.won)
+    .flatMap(block => rankBlock(block, normalizeTiebreakers(tiebreakers), results))
+    .map((row, index) => ({ position: index + 1, ...row }));
+};
+
+module.exports = {
+  TIEBREAKERS,
+  DEFAULT_TIEBREAKERS,
+  MIN_GROUP_PLAYERS,
+  normalizeTiebreakers,
+  getGroupName,
+  drawGroups,
+  scheduleRoundRobin,
+  computeStandings
+};
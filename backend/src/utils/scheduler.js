@@ -0,0 +1,80 @@
+/**
+ * Board scheduler
+ *
+ * Ready tournament games wait in a queue and are called to the next free
+ * board in queue order. A game is passed over, keeping its place, while one
+ * of its players is still on a board or resting after their last game. A
+ * game pinned to a board (e.g. the TV board) waits for that board, and a
+ * free board held by a queued pinned game is not given to any other game.
+ */
+
+// Game statuses that keep a board, and its players, busy
+const BOARD_BUSY_STATUSES = ['pending', 'warmup', 'bull', 'in_progress', 'tiebreak'];
+
+// Board statuses a game can be called to: 'connected' is a Scolia board that is online
+const FREE_BOARD_STATUSES = ['available', 'connected'];
+
+const DEFAULT_REST_MINUTES = 5;
+
+/**
+ * Minutes a player rests between games, from PLAYER_REST_MINUTES
+ */
+const getRestMinutes = () => {
+  const minutes = parseInt(process.env.PLAYER_REST_MINUTES, 10);
+  return Number.isNaN(minutes) || minutes < 0 ? DEFAULT_REST_MINUTES : minutes;
+};
+
+/**
+ * When each of a game's players may next be called
+ * @param {Array<number>} playerIds - The game's players
+ * @param {Object} lastPlayed - { [playerId]: time their last game finished, in ms }
+ * @param {number} restMs - Rest between games, in ms
+ * @returns {number} Time in ms, 0 when every player is rested
+ */
+const getRestedAt = (playerIds, lastPlayed, restMs) => Math.max(
+  0,
+  ...playerIds.map(playerId => (lastPlayed[playerId] ? lastPlayed[playerId] + restMs : 0))
+);
+
+/**
+ * Call queued games to free boards
+ * @param {Array<Object>} queue - Queued games { id, playerIds, pinnedBoardId }, in queue order
+ * @param {Array<Object>} freeBoards - Boards without a game { id }, in the order to fill them
+ * @param {Set<number>} busyPlayerIds - Players on a board now
+ * @param {Object} lastPlayed - { [playerId]: time their last game finished, in ms }
+ * @param {Object} options - { now, restMs }
+ * @returns {Array<Object>} Calls { gameId, boardId }, in the order they were made
+ */
+const planAssignments = (queue, freeBoards, busyPlayerIds, lastPlayed, { now = Date.now(), restMs = 0 } = {}) => {
+  const free = new Set(freeBoards.map(board => board.id));
+  const busy = new Set(busyPlayerIds);
+  const held = new Set(queue.filter(game => game.pinnedBoardId).map(game => game.pinnedBoardId));
+  const calls = [];
+
+  for (const game of queue) {
+    if (free.size === 0) break;
+
+    const ready = game.playerIds.every(playerId => !busy.has(playerId)) &&
+      getRestedAt(game.playerIds, lastPlayed, restMs) <= now;
+    if (!ready) continue;
+
+    const boardId = game.pinnedBoardId
+      ? (free.has(game.pinnedBoardId) ? game.pinnedBoardId : null)
+      : freeBoards.map(board => board.id).find(id => free.has(id) && !held.has(id));
+    if (!boardId) continue;
+
+    free.delete(boardId);
+    game.playerIds.forEach(playerId => busy.add(playerId));
+    calls.push({ gameId: game.id, boardId });
+  }
+
+  return calls;
+};
+
+module.exports = {
+  BOARD_BUSY_STATUSES,
+  FREE_BOARD_STATUSES,
+  getRestMinutes,
+  getRestedAt,
+  planAssignments
+};
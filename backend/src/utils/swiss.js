@@ -0,0 +1,193 @@
+/**
+ * Swiss system
+ *
+ * Every player plays each round, against a player on the same record where
+ * possible and never against someone they have already played. Within each
+ * record the top half meets the bottom half (1 v 5, 2 v 6 ... among eight
+ * level players); a player who cannot be paired on their record floats down to
+ * the next one. With an odd number of players the lowest ranked player who has
+ * not had a bye sits the round out and is given the win.
+ *
+ * Players are ranked on wins, then by the tiebreakers in the order the
+ * tournament sets: Buchholz (the wins of everyone they played), leg
+ * difference or legs won. Players still level keep their seed order.
+ */
+
+const SWISS_TIEBREAKERS = ['buchholz', 'leg_difference', 'legs_for'];
+const DEFAULT_SWISS_TIEBREAKERS = ['buchholz', 'leg_difference'];
+
+const MIN_SWISS_PLAYERS = 2;
+
+/**
+ * Keep the known tiebreakers, each once, in the order given
+ * @param {Array<string>} tiebreakers - e.g. ['leg_difference', 'buchholz']
+ * @returns {Array<string>} The tiebreakers, or the default order when none are valid
+ */
+const normalizeSwissTiebreakers = (tiebreakers) => {
+  const valid = Array.isArray(tiebreakers)
+    ? tiebreakers.filter((tiebreaker, index) => SWISS_TIEBREAKERS.includes(tiebreaker) && tiebreakers.indexOf(tiebreaker) === index)
+    : [];
+  return valid.length > 0 ? valid : DEFAULT_SWISS_TIEBREAKERS;
+};
+
+/**
+ * The most rounds a field can play without a rematch being forced on everyone
+ */
+const getMaxRounds = (playerCount) => (playerCount % 2 === 0 ? playerCount - 1 : playerCount);
+
+const TIEBREAK_KEYS = {
+  buchholz: row => row.buchholz,
+  leg_difference: row => row.legDifference,
+  legs_for: row => row.legsFor
+};
+
+/**
+ * Standings from the games played so far
+ * @param {Array<number>} playerIds - Player IDs by seed, top seed first
+ * @param {Array<Object>} results - Completed games { player1Id, player2Id, winnerId, legs: { [playerId]: legs won } }
+ * @param {Array<number>} byes - Player IDs given a bye, once per bye
+ * @param {Array<string>} tiebreakers - Tiebreak order, see normalizeSwissTiebreakers
+ * @returns {Array<Object>} Rows { position, playerId, seed, played, won, lost, byes, legsFor,
+ *   legsAgainst, legDifference, buchholz }, best first; won includes byes
+ */
+const computeSwissStandings = (playerIds, results, byes = [], tiebreakers = DEFAULT_SWISS_TIEBREAKERS) => {
+  const rows = playerIds.map((playerId, index) => {
+    const games = results.filter(result => result.player1Id === playerId || result.player2Id === playerId);
+    const opponents = games.map(result => (result.player1Id === playerId ? result.player2Id : result.player1Id));
+    const legsFor = games.reduce((sum, result) => sum + (result.legs[playerId] || 0), 0);
+    const legsAgainst = games.reduce((sum, result, i) => sum + (result.legs[opponents[i]] || 0), 0);
+    const byeCount = byes.filter(id => id === playerId).length;
+    const won = games.filter(result => result.winnerId === playerId).length + byeCount;
+
+    return {
+      playerId,
+      seed: index + 1,
+      opponents,
+      played: games.length,
+      won,
+      lost: games.length + byeCount - won,
+      byes: byeCount,
+      legsFor,
+      legsAgainst,
+      legDifference: legsFor - legsAgainst
+    };
+  });
+
+  const wins = Object.fromEntries(rows.map(row => [row.playerId, row.won]));
+  rows.forEach(row => {
+    row.buchholz = row.opponents.reduce((sum, opponentId) => sum + (wins[opponentId] || 0), 0);
+  });
+
+  const keys = normalizeSwissTiebreakers(tiebreakers).map(tiebreaker => TIEBREAK_KEYS[tiebreaker]);
+  const compare = (a, b) => {
+    if (a.won !== b.won) return b.won - a.won;
+    for (const key of keys) {
+      if (key(a) !== key(b)) return key(b) - key(a);
+    }
+    return a.seed - b.seed;
+  };
+
+  return rows
+    .sort(compare)
+    .map(({ opponents, ...row }, index) => ({ position: index + 1, ...row }));
+};
+
+/**
+ * Order players for pairing: each record best first, its top half
+ * interleaved with its bottom half so the first open pairing is 1 v (n/2 + 1),
+ * and the lowest player of an odd record last, to float down to the next
+ */
+const getPairingOrder = (standings) => {
+  const order = [];
+  let start = 0;
+
+  while (start < standings.length) {
+    let end = start;
+    while (end < standings.length && standings[end].won === standings[start].won) end++;
+
+    const group = standings.slice(start, end);
+    const floater = group.length % 2 === 1 ? group.pop() : null;
+    const half = group.length / 2;
+    for (let i = 0; i < half; i++) {
+      order.push(group[i], group[i + half]);
+    }
+    if (floater) order.push(floater);
+    start = end;
+  }
+
+  return order;
+};
+
+// Pairings tried before giving up on pairing a round without a rematch
+const MAX_PAIRING_STEPS = 100000;
+
+/**
+ * Pair the first unpaired player with the first player after them they may
+ * meet, backing up to an earlier choice when the rest cannot be paired
+ * @returns {Array<Array<number>>|null} Pairs of player IDs, or null when there is no
+ *   such pairing or it was not found within MAX_PAIRING_STEPS
+ */
+const pairInOrder = (players, canMeet) => {
+  let steps = 0;
+
+  const pair = (remaining) => {
+    if (remaining.length === 0) return [];
+
+    const [first, ...rest] = remaining;
+    for (let i = 0; i < rest.length; i++) {
+      if (++steps > MAX_PAIRING_STEPS) return null;
+      if (!canMeet(first.playerId, rest[i].playerId)) continue;
+
+      const pairs = pair([...rest.slice(0, i), ...rest.slice(i + 1)]);
+      if (pairs) return [[first.playerId, rest[i].playerId], ...pairs];
+    }
+
+    return null;
+  };
+
+  return pair(players);
+};
+
+/**
+ * Pair the next round
+ * @param {Array<Object>} standings - Current standings, see computeSwissStandings
+ * @param {Array<Object>} results - Games played so far { player1Id, player2Id }, for rematches
+ * @returns {Object} { pairings: [{ player1Id, player2Id }], byePlayerId }, the
+ *   higher ranked player of each pairing first; a rematch is only made when the
+ *   round cannot be paired without one
+ */
+const pairRound = (standings, results) => {
+  const met = new Set(results.flatMap(result => [
+    `${result.player1Id}:${result.player2Id}`,
+    `${result.player2Id}:${result.player1Id}`
+  ]));
+
+  let players = [...standings];
+  let byePlayerId = null;
+
+  if (players.length % 2 === 1) {
+    const bye = [...players].reverse().find(row => row.byes === 0) || players[players.length - 1];
+    byePlayerId = bye.playerId;
+    players = players.filter(row => row !== bye);
+  }
+
+  const order = getPairingOrder(players);
+  const pairs = pairInOrder(order, (a, b) => !met.has(`${a}:${b}`)) || pairInOrder(order, () => true);
+
+  const rank = Object.fromEntries(standings.map(row => [row.playerId, row.position]));
+  const pairings = pairs.map(([a, b]) => (rank[a] <= rank[b]
+    ? { player1Id: a, player2Id: b }
+    : { player1Id: b, player2Id: a }));
+
+  return { pairings, byePlayerId };
+};
+
+module.exports = {
+  SWISS_TIEBREAKERS,
+  DEFAULT_SWISS_TIEBREAKERS,
+  MIN_SWISS_PLAYERS,
+  normalizeSwissTiebreakers,
+  getMaxRounds,
+  computeSwissStandings,
+  pairRound
+};
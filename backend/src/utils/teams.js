@@ -0,0 +1,136 @@
+/**
+ * Team play
+ *
+ * In a team match (doubles on pairs night, or larger teams) teammates share
+ * one score, legs and sets, and the teams throw alternately in a fixed order:
+ * A1, B1, A2, B2. Every player keeps their own seat, so stats stay per
+ * player; the scoring paths keep teammates' seats in step and play each team
+ * as one side, represented by its first player.
+ */
+
+const MIN_TEAMS = 2;
+
+/**
+ * Fill in team names and read the player IDs as numbers
+ * @param {Array<Object>} teams - [{ name, playerIds }], playerIds in throwing order within the team
+ * @returns {Array<Object>} [{ name, playerIds }]
+ */
+const normalizeTeams = (teams) => teams.map((team, index) => ({
+  name: String(team.name || '').trim() || `Team ${index + 1}`,
+  playerIds: (team.playerIds || []).map(playerId => parseInt(playerId, 10))
+}));
+
+/**
+ * Seat team players alternately from each team (A1, B1, A2, B2), so each
+ * team's first player sits in the first seats
+ * @param {Array<Object>} teams - Normalized teams, see normalizeTeams
+ * @returns {Array<Object>} [{ playerId, team }] in seat order, team being the team's 1-based position
+ * @throws {Error} Unless there are at least 2 teams of the same size and no player is in two of them
+ */
+const seatTeams = (teams) => {
+  if (teams.length < MIN_TEAMS) {
+    throw new Error(`A team match needs at least ${MIN_TEAMS} teams`);
+  }
+
+  const teamSize = teams[0].playerIds.length;
+  if (teamSize === 0 || teams.some(team => team.playerIds.length !== teamSize)) {
+    throw new Error('Teams must have the same number of players');
+  }
+
+  const playerIds = teams.flatMap(team => team.playerIds);
+  if (playerIds.some(playerId => !playerId) || new Set(playerIds).size !== playerIds.length) {
+    throw new Error('Every player must be in exactly one team');
+  }
+
+  return Array.from({ length: teamSize }, (_, index) => teams.map((team, teamIndex) => ({
+    playerId: team.playerIds[index],
+    team: teamIndex + 1
+  }))).flat();
+};
+
+/**
+ * Seat a team match's players, see seatTeams
+ * @param {Array<Object>} players - The match's players, each with an id
+ * @param {Array<Object>} teams - Normalized teams, see normalizeTeams
+ * @returns {Array<Object>} The players in seat order, each with their team's position as team
+ * @throws {Error} As seatTeams, or when the teams and the players do not match
+ */
+const seatTeamPlayers = (players, teams) => {
+  const seating = seatTeams(teams);
+  const findPlayer = playerId => players.find(player => parseInt(player.id, 10) === playerId);
+
+  if (seating.length !== players.length || seating.some(seat => !findPlayer(seat.playerId))) {
+    throw new Error('Every player must be in exactly one team');
+  }
+
+  return seating.map(seat => ({ ...findPlayer(seat.playerId), team: seat.team }));
+};
+
+/**
+ * Player IDs of the player's side: their team in throwing order, or just the
+ * player outside team play
+ * @param {Array<Object>} seats - Seats with player_id and team
+ * @param {number} playerId - ID of the player
+ * @returns {Array<number>} Player IDs, the side's first player first
+ */
+const getSidePlayerIds = (seats, playerId) => {
+  const seat = seats.find(s => s.player_id === playerId);
+  if (!seat || !seat.team) return [playerId];
+
+  return seats.filter(s => s.team === seat.team).map(s => s.player_id);
+};
+
+/**
+ * One seat per side: every seat, or each team's first player in team play
+ * @param {Array<Object>} seats - Seats with player_id and team, in seat order
+ * @returns {Array<Object>} The seats standing for their side
+ */
+const getSides = (seats) => seats.filter(seat => getSidePlayerIds(seats, seat.player_id)[0] === seat.player_id);
+
+/**
+ * Teams as the scoreboards show them, with the side's shared score, legs and
+ * sets read from its first player's seat
+ * @param {Array<Object>} teamRows - Team rows { position, name }
+ * @param {Array<Object>} seats - Seats with player_id and team, in seat order
+ * @param {Function} describeSide - Maps the first player's seat to { score, legsWon, setsWon, ... }
+ * @returns {Array<Object>} [{ id, name, playerIds, ... }], id being the team position; empty outside team play
+ */
+const formatTeams = (teamRows, seats, describeSide) => teamRows.map(team => {
+  const teamSeats = seats.filter(seat => seat.team === team.position);
+
+  return {
+    id: team.position,
+    name: team.name,
+    playerIds: teamSeats.map(seat => seat.player_id),
+    ...(teamSeats.length > 0 ? describeSide(teamSeats[0]) : {})
+  };
+});
+
+/**
+ * Teams of a board match, see formatTeams
+ * @param {Object} db - Promise-based database of the board matches
+ * @param {number} matchId - ID of the match
+ * @param {Array<Object>} seats - match_players rows in seat order
+ * @returns {Promise<Array>} The teams, empty outside team play
+ */
+const loadMatchTeams = async (db, matchId, seats) => {
+  const teamRows = await db.all('SELECT position, name FROM teams WHERE match_id = ? ORDER BY position', [matchId]);
+
+  return formatTeams(teamRows, seats, seat => ({
+    score: seat.current_score,
+    legsWon: seat.legs_won,
+    setsWon: seat.sets_won,
+    isWinner: !!seat.is_winner
+  }));
+};
+
+module.exports = {
+  MIN_TEAMS,
+  normalizeTeams,
+  seatTeams,
+  seatTeamPlayers,
+  getSidePlayerIds,
+  getSides,
+  formatTeams,
+  loadMatchTeams
+};
@@ -0,0 +1,86 @@
+/**
+ * Tournament games
+ *
+ * Games a tournament creates by itself, for its bracket, group fixtures and
+ * Swiss rounds, all played under the rules chosen when the draw is made.
+ */
+
+const { dbRun } = require('../models/database');
+const { logGameAction } = require('./gameLogger');
+const { normalizeMatchRules, describeMatchRules } = require('./matchRules');
+const { addGamePlayers } = require('./gamePlayers');
+
+/**
+ * Fill in defaults and discard invalid values
+ * @param {Object} settings - { legsRequired, format, twoClear, suddenDeathAt, tieBreak, setsToWin, legsPerSet },
+ *   format being the match format, 'first_to' or 'best_of'
+ * @returns {Object} Match rules, see normalizeMatchRules, with legsRequired, setsToWin and legsPerSet
+ */
+const normalizeGameSettings = (settings = {}) => {
+  const rules = normalizeMatchRules({ ...settings, legs: settings.legsRequired });
+
+  return {
+    ...rules,
+    legsRequired: rules.legs,
+    setsToWin: Math.max(parseInt(settings.setsToWin, 10) || 0, 0),
+    legsPerSet: Math.max(parseInt(settings.legsPerSet, 10) || 3, 1)
+  };
+};
+
+/**
+ * Human readable game settings, e.g. 'First to 3 sets of 3 legs'
+ */
+const describeGameSettings = (settings) => (settings.setsToWin > 0
+  ? `First to ${settings.setsToWin} sets of ${settings.legsPerSet} legs`
+  : describeMatchRules(settings));
+
+/**
+ * Create a pending two-player tournament game
+ * @param {SQLite3.Database} db - SQLite database instance
+ * @param {Object} game - { tournamentId, playerIds, settings, groupId, groupRound, swissRound, label }
+ *   settings: see normalizeGameSettings; groupId and groupRound for group fixtures,
+ *   swissRound for Swiss-system games;
+ *   label: what the game is, for the game log, e.g. 'Bracket game'
+ * @returns {Promise<number>} ID of the game
+ */
+const createTournamentGame = async (db, {
+  tournamentId,
+  playerIds,
+  settings,
+  groupId = null,
+  groupRound = null,
+  swissRound = null,
+  label
+}) => {
+  const rules = normalizeGameSettings(settings);
+
+  const { lastID: gameId } = await dbRun(
+    db,
+    `INSERT INTO games (
+      player1_id, player2_id, tournament_id, group_id, group_round, swiss_round,
+      legs_required, match_format, two_clear, sudden_death_at, tie_break,
+      sets_to_win, legs_per_set, status, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+    [
+      playerIds[0], playerIds[1], tournamentId, groupId, groupRound, swissRound,
+      rules.legs, rules.format, rules.twoClear ? 1 : 0, rules.suddenDeathAt, rules.tieBreak,
+      rules.setsToWin, rules.legsPerSet
+    ]
+  );
+
+  await addGamePlayers(db, gameId, playerIds);
+  await logGameAction(
+    db,
+    gameId,
+    'game_created',
+    `${label} created with players ${playerIds.join(', ')}, ${describeGameSettings(rules)}`
+  );
+
+  return gameId;
+};
+
+module.exports = {
+  normalizeGameSettings,
+  describeGameSettings,
+  createTournamentGame
+};
@@ -0,0 +1,206 @@
+/**
+ * Tournament phases
+ *
+ * A tournament can be defined as a run of phases, each with its own format
+ * and game rules: a round-robin group stage, Swiss rounds, a knockout, or a
+ * group stage or Swiss rounds whose top players qualify for a knockout. A
+ * phased tournament's status moves through its phases, e.g. pending ->
+ * groups -> knockout -> completed, instead of a single active status.
+ */
+
+const { BRACKET_FORMATS } = require('./bracket');
+const { normalizeTiebreakers } = require('./roundRobin');
+const { normalizeSwissTiebreakers } = require('./swiss');
+const { normalizeGameSettings } = require('./tournamentGames');
+
+const PHASE_FORMATS = ['round_robin', 'swiss', ...BRACKET_FORMATS];
+
+// Phases whose top players can qualify for a knockout
+const QUALIFYING_FORMATS = ['round_robin', 'swiss'];
+
+// Status of a phased tournament while each kind of phase is played
+const PHASE_STATUSES = {
+  round_robin: 'groups',
+  swiss: 'swiss',
+  single_elimination: 'knockout',
+  double_elimination: 'knockout'
+};
+
+const PHASE_NAMES = {
+  groups: 'Group stage',
+  swiss: 'Swiss rounds',
+  knockout: 'Knockout'
+};
+
+/**
+ * Check a tournament's phase definition
+ * @param {Array<Object>} phases - [{ format, groups, rounds, qualifiers, tiebreakers, legsRequired, matchFormat, ... }]
+ * @returns {string|null} What is wrong with it, or null when it is valid
+ */
+const validatePhases = (phases) => {
+  if (!Array.isArray(phases) || phases.length === 0 || phases.length > 2) {
+    return 'Phases must be a group stage or Swiss rounds, a knockout, or one of them then a knockout';
+  }
+
+  if (phases.some(phase => !phase || !PHASE_FORMATS.includes(phase.format))) {
+    return `Phase format must be one of ${PHASE_FORMATS.join(', ')}`;
+  }
+
+  if (phases.length === 2 && (!QUALIFYING_FORMATS.includes(phases[0].format) || !BRACKET_FORMATS.includes(phases[1].format))) {
+    return 'Only a group stage or Swiss rounds can lead into a knockout';
+  }
+
+  const [first] = phases;
+  if (first.format === 'round_robin') {
+    const groups = parseInt(first.groups || 1, 10);
+    if (!groups || groups < 1) {
+      return 'At least one group is required';
+    }
+
+    if (phases.length === 2) {
+      const qualifiers = parseInt(first.qualifiers, 10);
+      if (!qualifiers || qualifiers < 1 || groups * qualifiers < 2) {
+        return 'Set how many players of each group qualify for the knockout';
+      }
+    }
+  }
+
+  if (first.format === 'swiss') {
+    const rounds = parseInt(first.rounds, 10);
+    if (!rounds || rounds < 1) {
+      return 'Set how many Swiss rounds are played';
+    }
+
+    if (phases.length === 2) {
+      const qualifiers = parseInt(first.qualifiers, 10);
+      if (!qualifiers || qualifiers < 2) {
+        return 'Set how many players make the knockout cut';
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Fill in each phase's defaults, see validatePhases
+ * @returns {Array<Object>} [{ format, gameSettings, groups, rounds, qualifiers, tiebreakers }]: groups
+ *   for a group stage, rounds for Swiss rounds, qualifiers (per group for a group stage, in all
+ *   for Swiss rounds) and tiebreakers for both
+ */
+const normalizePhases = (phases) => phases.map((phase, index) => {
+  const normalized = {
+    format: phase.format,
+    gameSettings: normalizeGameSettings({ ...phase, format: phase.matchFormat })
+  };
+
+  const qualifiers = index < phases.length - 1 ? parseInt(phase.qualifiers, 10) : 0;
+
+  if (phase.format === 'swiss') {
+    return {
+      ...normalized,
+      rounds: parseInt(phase.rounds, 10),
+      qualifiers,
+      tiebreakers: normalizeSwissTiebreakers(phase.tiebreakers)
+    };
+  }
+
+  if (phase.format !== 'round_robin') return normalized;
+
+  return {
+    ...normalized,
+    groups: parseInt(phase.groups || 1, 10),
+    qualifiers,
+    tiebreakers: normalizeTiebreakers(phase.tiebreakers)
+  };
+});
+
+/**
+ * A tournament's phases, empty when it was not defined in phases
+ */
+const getPhases = (tournament) => JSON.parse((tournament && tournament.phases) || '[]');
+
+/**
+ * The statuses a phased tournament moves through, in order
+ */
+const getPhaseStatuses = (phases) => ['pending', ...phases.map(phase => PHASE_STATUSES[phase.format]), 'completed'];
+
+/**
+ * The status a tournament moves on to from its current one, or null when it is over
+ */
+const getNextStatus = (phases, status) => {
+  const statuses = getPhaseStatuses(phases);
+  const index = statuses.indexOf(status);
+  return index === -1 || index === statuses.length - 1 ? null : statuses[index + 1];
+};
+
+/**
+ * The status a tournament takes when a phase of the given format starts:
+ * the phase's own status, or 'active' when the tournament has no phases
+ */
+const getStartStatus = (tournament, format) => (getPhases(tournament).length > 0 ? PHASE_STATUSES[format] : 'active');
+
+/**
+ * A tournament's phase of the given kind, 'groups', 'swiss' or 'knockout'
+ * @returns {Object|null} The phase and its position from 0, or null when it has none
+ */
+const findPhase = (tournament, status) => {
+  const phases = getPhases(tournament);
+  const index = phases.findIndex(phase => PHASE_STATUSES[phase.format] === status);
+  return index === -1 ? null : { ...phases[index], index };
+};
+
+/**
+ * Draw or game options from a phase, as createGroups and createBracket take them
+ */
+const getPhaseOptions = (phase) => ({
+  ...phase.gameSettings,
+  matchFormat: phase.gameSettings.format,
+  format: phase.format,
+  groups: phase.groups,
+  rounds: phase.rounds,
+  tiebreakers: phase.tiebreakers
+});
+
+/**
+ * Seed group qualifiers into a knockout so players from the same group are
+ * kept apart in the first round: each group winner meets the runner-up of
+ * the next group (A1 v B2, B1 v C2 ... with the last group's winner meeting A2)
+ * @param {Array<Array<number>>} rankings - Player IDs of each group by standing, group A first
+ * @param {number} qualifiers - How many players of each group qualify
+ * @returns {Array<number>} Player IDs by knockout seed: the group winners, then the
+ *   runners-up, and so on
+ */
+const crossSeedQualifiers = (rankings, qualifiers) => {
+  const groupCount = rankings.length;
+  const seeds = [];
+
+  for (let tier = 0; tier < qualifiers; tier++) {
+    // Rotate each tier one group on, and reverse every other tier so the
+    // bracket's 1 v N pairing lines up a group's winner with the next group's runner-up
+    const order = Array.from({ length: groupCount }, (_, index) => (index + tier) % groupCount);
+    if (tier % 2 === 1) order.reverse();
+
+    order.forEach(group => {
+      if (rankings[group][tier] !== undefined) seeds.push(rankings[group][tier]);
+    });
+  }
+
+  return seeds;
+};
+
+module.exports = {
+  PHASE_FORMATS,
+  QUALIFYING_FORMATS,
+  PHASE_STATUSES,
+  PHASE_NAMES,
+  validatePhases,
+  normalizePhases,
+  getPhases,
+  getPhaseStatuses,
+  getNextStatus,
+  getStartStatus,
+  findPhase,
+  getPhaseOptions,
+  crossSeedQualifiers
+};
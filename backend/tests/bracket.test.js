@@ -0,0 +1,97 @@
+jest.mock('../src/services/summaryService', () => ({
+  getPlayerStats: jest.fn()
+}));
+
+const summaryService = require('../src/services/summaryService');
+const { seedPlayers, buildBracket, getRoundName } = require('../src/utils/bracket');
+const { seedEntrants } = require('../src/services/bracketService');
+
+const firstRound = matches => matches
+  .filter(match => match.bracket === 'winners' && match.round === 1)
+  .map(match => [match.seed1, match.seed2]);
+
+describe('seedPlayers', () => {
+  const players = [
+    { playerId: 1, average: 55 },
+    { playerId: 2, average: null },
+    { playerId: 3, average: 72 }
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps the order given for manual seeding', () => {
+    expect(seedPlayers(players)).toEqual([1, 2, 3]);
+  });
+
+  test('seeds on average, players without one last', () => {
+    expect(seedPlayers(players, 'average')).toEqual([3, 1, 2]);
+  });
+
+  test('shuffles for random seeding', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect(seedPlayers(players, 'random')).toEqual([2, 3, 1]);
+  });
+});
+
+describe('seedEntrants', () => {
+  test('seeds on each player\'s rolling average', async () => {
+    const averages = { 1: 48.5, 2: 61.2, 3: null };
+    summaryService.getPlayerStats.mockImplementation(async playerId => ({
+      averageStats: averages[playerId] === null ? null : { average: averages[playerId] }
+    }));
+
+    await expect(seedEntrants(['1', '2', '3'], 'average')).resolves.toEqual([2, 1, 3]);
+  });
+
+  test('keeps the order given without looking up averages', async () => {
+    summaryService.getPlayerStats.mockClear();
+
+    await expect(seedEntrants(['3', '1'], 'manual')).resolves.toEqual([3, 1]);
+    expect(summaryService.getPlayerStats).not.toHaveBeenCalled();
+  });
+});
+
+describe('buildBracket', () => {
+  test('places the seeds so the top seeds meet late', () => {
+    expect(firstRound(buildBracket('single_elimination', [1, 2, 3, 4, 5, 6, 7, 8]))).toEqual([
+      [1, 8], [4, 5], [2, 7], [3, 6]
+    ]);
+  });
+
+  test('gives the top seeds byes in a draw that is not a power of two', () => {
+    const matches = buildBracket('single_elimination', [11, 12, 13, 14, 15, 16]);
+
+    expect(firstRound(matches)).toEqual([[1, null], [4, 5], [2, null], [3, 6]]);
+    expect(matches.find(match => match.key === 'winners:1:1')).toMatchObject({
+      player1Id: 11,
+      player2Id: null,
+      next: { key: 'winners:2:1', slot: 1 }
+    });
+  });
+
+  test('drops losers into the losers bracket and plays a grand final', () => {
+    const matches = buildBracket('double_elimination', [1, 2, 3, 4]);
+
+    expect(matches.find(match => match.key === 'winners:1:2').loserNext).toEqual({ key: 'losers:1:1', slot: 2 });
+    expect(matches.find(match => match.key === 'losers:2:1').next).toEqual({ key: 'final:1:1', slot: 2 });
+    expect(matches.find(match => match.key === 'final:1:1').next).toEqual({ key: 'final:2:1', slot: 1 });
+  });
+
+  test('rejects an unknown format or too few players', () => {
+    expect(() => buildBracket('round_robin', [1, 2])).toThrow('Unknown bracket format: round_robin');
+    expect(() => buildBracket('single_elimination', [1])).toThrow('A bracket needs at least 2 players');
+  });
+});
+
+describe('getRoundName', () => {
+  test('names the late rounds', () => {
+    expect(getRoundName('winners', 3, 3)).toBe('Final');
+    expect(getRoundName('winners', 1, 4)).toBe('Round 1');
+    expect(getRoundName('winners', 2, 3, true)).toBe('Winners semi-final');
+    expect(getRoundName('losers', 2, 2)).toBe('Losers final');
+    expect(getRoundName('final', 2, 1)).toBe('Grand final reset');
+  });
+});
@@ -0,0 +1,120 @@
+const { once } = require('events');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { initDatabase } = require('../database/dbInit');
+const checkoutRoutes = require('../routes/checkoutRoutes');
+const { findRoutes, findSetups } = require('../src/utils/checkout');
+
+const allDarts = setups => setups.flatMap(setup => setup.darts);
+
+describe('findSetups', () => {
+  test('never sets up on a double', () => {
+    [180, 171, 169, 60].forEach(score => {
+      [1, 2, 3].forEach(dartsLeft => {
+        expect(allDarts(findSetups(score, dartsLeft, { limit: 50 })).filter(dart => /^D/.test(dart))).toEqual([]);
+      });
+    });
+  });
+
+  test('sets up 180 on trebles and singles', () => {
+    const setups = findSetups(180);
+
+    expect(setups[0]).toEqual({ darts: ['T20', 'T20', 'S20'], leaves: 40, route: ['D20'] });
+    expect(setups.map(setup => setup.darts)).not.toContainEqual(['T20', 'T20', 'D20']);
+    expect(setups.map(setup => setup.darts)).not.toContainEqual(['T18', 'T18', 'D20']);
+  });
+
+  test('sets up 60 with one dart on a single or a set-up treble', () => {
+    const setups = findSetups(60, 1);
+
+    expect(setups[0]).toEqual({ darts: ['S20'], leaves: 40, route: ['D20'] });
+    expect(allDarts(setups)).not.toContain('D20');
+    allDarts(setups).forEach(dart => expect(dart).toMatch(/^(S\d+|T(18|19|20)|BULL)$/));
+  });
+});
+
+describe('findRoutes', () => {
+  test('finishes 170 only with two treble 20s and the bull', () => {
+    expect(findRoutes(170, 3, { limit: 10 }).map(route => route.darts)).toEqual([['T20', 'T20', 'DBULL']]);
+    expect(findRoutes(170, 2)).toEqual([]);
+  });
+
+  test('has no route for the bogey numbers', () => {
+    [169, 168, 166, 165, 163, 162, 159].forEach(score => expect(findRoutes(score)).toEqual([]));
+  });
+
+  test('finishes 121 in three darts, starting on the treble 20', () => {
+    const routes = findRoutes(121);
+
+    expect(findRoutes(121, 2)).toEqual([]);
+    expect(routes[0]).toEqual({
+      darts: ['T20', 'T7', 'D20'],
+      finish: 'D20',
+      onMiss: { segment: 'S20', leaves: 101, route: ['T17', 'DBULL'] }
+    });
+    routes.forEach(route => {
+      expect(route.darts).toHaveLength(3);
+      expect(route.finish).toMatch(/^D/);
+    });
+  });
+
+  test('ranks routes on the player\'s preferred doubles first among those of as many darts', () => {
+    expect(findRoutes(60)[0].darts).toEqual(['S20', 'D20']);
+    expect(findRoutes(60, 3, { preferredDoubles: ['D18'] })[0].darts).toEqual(['T8', 'D18']);
+
+    // A one-dart finish still beats a preferred double
+    const routes = findRoutes(36, 3, { preferredDoubles: ['D8'] });
+    expect(routes.map(route => route.finish).slice(0, 2)).toEqual(['D18', 'D8']);
+  });
+});
+
+describe('GET /api/checkout', () => {
+  let db;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = await open({ filename: ':memory:', driver: sqlite3.Database });
+    await initDatabase(db);
+    await db.run("INSERT INTO players (name) VALUES ('Ann')");
+    await db.run("INSERT INTO boards (name) VALUES ('Board 1')");
+    await db.run("INSERT INTO matches (board_id, mode) VALUES (1, '501')");
+
+    const app = express();
+    app.use((req, res, next) => {
+      req.db = db;
+      next();
+    });
+    app.use('/api/checkout', checkoutRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/checkout`;
+  });
+
+  afterAll(async () => {
+    server.close();
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  test('prefers the doubles the player checks out on, not those hit while scoring', async () => {
+    const darts = [
+      ['D20', 40, 301], ['D20', 40, 261], ['D20', 40, 221],
+      ['D18', 36, 36], ['D18', 36, 36], ['D16', 32, 40]
+    ];
+    for (const [segment, score, scoreBefore] of darts) {
+      await db.run(
+        'INSERT INTO throws (match_id, player_id, round, position, segment, score, score_before) VALUES (1, 1, 1, 1, ?, ?, ?)',
+        [segment, score, scoreBefore]
+      );
+    }
+
+    const res = await fetch(`${baseUrl}?score=60&playerId=1`);
+    const body = await res.json();
+
+    expect(body.preferredDoubles).toEqual(['D18']);
+    expect(body.routes[0].darts).toEqual(['T8', 'D18']);
+  });
+});
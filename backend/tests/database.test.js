@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const database = require('../src/models/database');
+
+/**
+ * Run statements one after another on a plain connection
+ */
+const runAll = (db, statements) => statements.reduce(
+  (previous, sql) => previous.then(() => database.dbRun(db, sql)),
+  Promise.resolve()
+);
+
+describe('database init', () => {
+  let dir;
+  let filename;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'darts-db-'));
+    filename = path.join(dir, 'tournament.db');
+
+    // A database from before game_players, sets and the later game columns
+    const db = new sqlite3.Database(filename);
+    await runAll(db, [
+      'CREATE TABLE players (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL)',
+      `CREATE TABLE games (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        legs_required INTEGER NOT NULL,
+        status TEXT DEFAULT 'pending',
+        player1_id INTEGER NOT NULL,
+        player2_id INTEGER NOT NULL,
+        player1_legs INTEGER DEFAULT 0,
+        player2_legs INTEGER DEFAULT 0,
+        current_leg_player1_score INTEGER DEFAULT 501,
+        current_leg_player2_score INTEGER DEFAULT 501,
+        current_leg_player1_darts INTEGER DEFAULT 0,
+        current_leg_player2_darts INTEGER DEFAULT 0,
+        current_player INTEGER
+      )`,
+      `CREATE TABLE legs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        game_id INTEGER NOT NULL,
+        leg_number INTEGER NOT NULL,
+        winner_id INTEGER,
+        starter_id INTEGER NOT NULL
+      )`,
+      "INSERT INTO players (name) VALUES ('Ann'), ('Ben')",
+      `INSERT INTO games (legs_required, status, player1_id, player2_id, player1_legs, current_leg_player1_score,
+        current_leg_player2_score, current_leg_player1_darts, current_leg_player2_darts, current_player)
+       VALUES (3, 'in_progress', 1, 2, 1, 141, 220, 9, 9, 1)`
+    ]);
+    await new Promise(resolve => db.close(resolve));
+  });
+
+  afterAll(async () => {
+    await database.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('adds the missing columns and seats the players of existing games', async () => {
+    await database.init(filename);
+
+    const seats = await database.dbAll(
+      database.getDb(),
+      'SELECT game_id, player_id, position, legs_won, sets_won, set_legs_won, score, darts FROM game_players ORDER BY position'
+    );
+    expect(seats).toEqual([
+      { game_id: 1, player_id: 1, position: 1, legs_won: 1, sets_won: 0, set_legs_won: 0, score: 141, darts: 9 },
+      { game_id: 1, player_id: 2, position: 2, legs_won: 0, sets_won: 0, set_legs_won: 0, score: 220, darts: 9 }
+    ]);
+    expect(await database.dbGet(database.getDb(), 'SELECT game_mode, sets_to_win FROM games WHERE id = 1')).toEqual({
+      game_mode: '501',
+      sets_to_win: 0
+    });
+  });
+
+  test('leaves seated games alone when started again', async () => {
+    await database.dbRun(database.getDb(), 'UPDATE game_players SET score = 100 WHERE player_id = 1');
+    await database.close();
+    await database.init(filename);
+
+    expect(await database.dbAll(database.getDb(), 'SELECT player_id, score FROM game_players ORDER BY position')).toEqual([
+      { player_id: 1, score: 100 },
+      { player_id: 2, score: 220 }
+    ]);
+  });
+});
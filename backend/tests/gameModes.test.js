@@ -0,0 +1,248 @@
+const { parseSegment, getGameMode, isGameMode, listGameModes } = require('../src/utils/gameModes');
+
+/**
+ * Start a leg of a mode for players 1 to count, in seat order, and play it the
+ * way the scoring paths do: each dart judged with validateThrow and scored with
+ * applyThrow when valid
+ */
+const startLeg = (mode, count, settings = {}) => {
+  const gameMode = getGameMode(mode);
+  const players = Array.from({ length: count }, (_, index) => ({ id: index + 1 }));
+  players.forEach((player, side) => gameMode.startLeg(player, side, settings));
+
+  const getPlayer = playerId => players.find(player => player.id === playerId);
+  const getContext = (player, turn, roundComplete = false) => ({
+    opponents: players.filter(other => other !== player),
+    turn,
+    roundComplete,
+    settings
+  });
+
+  return {
+    players,
+    getPlayer,
+    throwTurn(playerId, segments) {
+      const player = getPlayer(playerId);
+      const turn = [];
+      player.originalScore = player.score;
+
+      return segments.map(segment => {
+        const hit = parseSegment(segment);
+        const context = getContext(player, [...turn]);
+        const result = gameMode.validateThrow(player, segment, hit ? hit.number * hit.multiplier : 0, context);
+
+        if (result.valid) {
+          gameMode.applyThrow(player, result, context);
+        }
+        turn.push(segment);
+        return result;
+      });
+    },
+    isLegWon: (playerId, turn = [], roundComplete = false) => gameMode.isLegWon(getPlayer(playerId), getContext(getPlayer(playerId), turn, roundComplete)),
+    getSuggestions: (playerId, turn = []) => gameMode.getSuggestions(getPlayer(playerId), getContext(getPlayer(playerId), turn))
+  };
+};
+
+describe('game mode registry', () => {
+  test('plays x01 variants as x01 and rejects unknown modes', () => {
+    expect(getGameMode('301').id).toBe('x01');
+    expect(getGameMode('killer').name).toBe('Killer');
+    expect(() => getGameMode('golf')).toThrow('Unknown game mode: golf');
+    expect(isGameMode('701')).toBe(true);
+    expect(isGameMode('golf')).toBe(false);
+    expect(listGameModes().map(mode => mode.id)).toEqual(['x01', 'cricket', 'around_the_clock', 'shanghai', 'killer']);
+  });
+
+  test('parses segments with the bull as 25', () => {
+    expect(parseSegment('T20')).toEqual({ number: 20, multiplier: 3 });
+    expect(parseSegment('BULL')).toEqual({ number: 25, multiplier: 1 });
+    expect(parseSegment('DBULL')).toEqual({ number: 25, multiplier: 2 });
+    expect(parseSegment('S21')).toBeNull();
+    expect(parseSegment('MISS')).toBeNull();
+  });
+});
+
+describe('x01', () => {
+  test('counts down and wins on a double finish', () => {
+    const leg = startLeg('501', 2, { startingScore: 101 });
+
+    leg.throwTurn(1, ['T20', 'S1']);
+    expect(leg.getPlayer(1).score).toBe(40);
+    expect(leg.isLegWon(1)).toBe(false);
+
+    expect(leg.throwTurn(1, ['D20'])[0]).toMatchObject({ bust: false, gameShot: true });
+    expect(leg.isLegWon(1)).toBe(true);
+  });
+
+  test('busts back to the score at the start of the turn', () => {
+    const leg = startLeg('501', 2, { startingScore: 40 });
+
+    const [, bust] = leg.throwTurn(1, ['S20', 'S19']);
+    expect(bust).toMatchObject({ bust: true, reason: 'Bust: cannot finish on 1 with double out' });
+    expect(leg.getPlayer(1).score).toBe(40);
+
+    expect(leg.throwTurn(1, ['S20', 'S20'])[1]).toMatchObject({ bust: true, reason: 'Bust: must finish on a double' });
+    expect(leg.getPlayer(1).score).toBe(40);
+  });
+
+  test('plays the double in and straight out options', () => {
+    const doubleIn = startLeg('301', 2, { startingScore: 301, doubleIn: true });
+    doubleIn.throwTurn(1, ['T20', 'D10', 'T20']);
+    expect(doubleIn.getPlayer(1).score).toBe(221);
+
+    const straightOut = startLeg('301', 2, { startingScore: 20, doubleOut: false });
+    straightOut.throwTurn(1, ['S20']);
+    expect(straightOut.isLegWon(1)).toBe(true);
+  });
+});
+
+describe('cricket', () => {
+  test('scores marks past three while an opponent has the number open', () => {
+    const leg = startLeg('cricket', 2);
+
+    leg.throwTurn(1, ['T20', 'T20', 'S19']);
+    expect(leg.getPlayer(1).marks).toMatchObject({ 20: 3, 19: 1 });
+    expect(leg.getPlayer(1).score).toBe(60);
+  });
+
+  test('closes a number on its third mark and scores nothing once everyone has closed it', () => {
+    const leg = startLeg('cricket', 2);
+
+    const [single, double] = leg.throwTurn(1, ['S20', 'D20']);
+    expect(single).toMatchObject({ marks: 1, points: 0, details: { number: 20, marksAdded: 1 } });
+    expect(double).toMatchObject({ marks: 2, points: 0, details: { number: 20, marksAdded: 2 } });
+    expect(leg.getPlayer(1).marks[20]).toBe(3);
+
+    leg.throwTurn(2, ['T20']);
+    const [closed] = leg.throwTurn(1, ['T20']);
+    expect(closed).toMatchObject({ marks: 0, points: 0, reason: 'Number closed by all players' });
+    expect(leg.getPlayer(1).score).toBe(0);
+
+    expect(leg.throwTurn(1, ['S14'])[0]).toMatchObject({ marks: 0, reason: 'No cricket number hit' });
+  });
+
+  test('wins with every number closed and at least the points of everyone else', () => {
+    const leg = startLeg('cricket', 2);
+
+    leg.throwTurn(1, ['T20', 'T19', 'T18']);
+    leg.throwTurn(1, ['T17', 'T16', 'T15']);
+    expect(leg.isLegWon(1)).toBe(false);
+
+    leg.throwTurn(1, ['DBULL', 'BULL']);
+    expect(leg.isLegWon(1)).toBe(true);
+    expect(leg.isLegWon(2)).toBe(false);
+  });
+
+  test('gives cut-throat points to the opponents with the number open', () => {
+    const leg = startLeg('cricket', 3, { cutThroat: true });
+
+    leg.throwTurn(2, ['T19']);
+    leg.throwTurn(1, ['T19', 'D19']);
+    expect(leg.players.map(player => player.score)).toEqual([0, 0, 38]);
+
+    leg.throwTurn(1, ['T20', 'S20']);
+    expect(leg.players.map(player => player.score)).toEqual([0, 20, 58]);
+  });
+
+  test('wins cut-throat with every number closed and the lowest score', () => {
+    const leg = startLeg('cricket', 2, { cutThroat: true });
+
+    leg.throwTurn(1, ['T20', 'T19', 'T18']);
+    leg.throwTurn(1, ['T17', 'T16', 'T15']);
+    leg.throwTurn(1, ['DBULL', 'BULL']);
+    expect(leg.isLegWon(1)).toBe(true);
+
+    leg.getPlayer(1).score = 40;
+    leg.getPlayer(2).score = 20;
+    expect(leg.isLegWon(1)).toBe(false);
+  });
+});
+
+describe('around the clock', () => {
+  test('moves on with any segment of the target and wins on the bull after 20', () => {
+    const leg = startLeg('around_the_clock', 2);
+
+    const [first, , third] = leg.throwTurn(1, ['S1', 'S3', 'T2']);
+    expect(first.points).toBe(1);
+    expect(third.points).toBe(1);
+    expect(leg.getPlayer(1)).toMatchObject({ score: 2, modeState: { target: 3 } });
+    expect(leg.getSuggestions(1)).toEqual(['S3']);
+
+    leg.getPlayer(1).modeState.target = 21;
+    expect(leg.getSuggestions(1)).toEqual(['BULL']);
+    leg.throwTurn(1, ['S20', 'BULL']);
+    expect(leg.isLegWon(1)).toBe(true);
+  });
+});
+
+describe('shanghai', () => {
+  test('aims each turn at the next number and scores its value times the multiplier', () => {
+    const leg = startLeg('shanghai', 2);
+
+    leg.throwTurn(1, ['T1', 'S1', 'S2']);
+    expect(leg.getPlayer(1).score).toBe(4);
+
+    leg.throwTurn(1, ['D2', 'S1', 'MISS']);
+    expect(leg.getPlayer(1)).toMatchObject({ score: 8, modeState: { turn: 2 } });
+    expect(leg.getSuggestions(1)).toEqual(['T3', 'D3', 'S3']);
+  });
+
+  test('wins at once with a Shanghai', () => {
+    const leg = startLeg('shanghai', 2);
+
+    leg.throwTurn(1, ['S1', 'D1', 'T1']);
+    expect(leg.isLegWon(1, ['S1', 'D1', 'T1'])).toBe(true);
+  });
+
+  test('wins on the highest score once the last round is complete', () => {
+    const leg = startLeg('shanghai', 2, { shanghaiRounds: 1 });
+
+    leg.throwTurn(1, ['T1']);
+    leg.throwTurn(2, ['S1']);
+    expect(leg.isLegWon(1)).toBe(false);
+    expect(leg.isLegWon(1, [], true)).toBe(true);
+
+    // Level at the top, the leg goes on
+    leg.throwTurn(2, ['T2']);
+    leg.getPlayer(1).score = leg.getPlayer(2).score;
+    expect(leg.isLegWon(1, [], true)).toBe(false);
+  });
+});
+
+describe('killer', () => {
+  test('gives each seat a number and its lives', () => {
+    const leg = startLeg('killer', 3, { killerLives: 2 });
+
+    expect(leg.players.map(player => [player.modeState.number, player.score])).toEqual([[20, 2], [1, 2], [18, 2]]);
+    expect(leg.getSuggestions(1)).toEqual(['D20']);
+  });
+
+  test('counts only doubles, and takes lives only once a killer', () => {
+    const leg = startLeg('killer', 3);
+
+    expect(leg.throwTurn(1, ['T1', 'D1']).map(result => result.reason)).toEqual(['Only doubles count', 'Not a killer yet']);
+    expect(leg.getPlayer(2).score).toBe(3);
+
+    leg.throwTurn(1, ['D20', 'D1', 'D1']);
+    expect(leg.getPlayer(1).modeState.killer).toBe(true);
+    expect(leg.getPlayer(2).score).toBe(1);
+    expect(leg.getSuggestions(1)).toEqual(['D1', 'D18']);
+
+    // A killer hitting their own double loses a life
+    leg.throwTurn(1, ['D20']);
+    expect(leg.getPlayer(1).score).toBe(2);
+  });
+
+  test('knocks out a player without lives and wins with the last lives standing', () => {
+    const leg = startLeg('killer', 3, { killerLives: 1 });
+    const gameMode = getGameMode('killer');
+
+    leg.throwTurn(1, ['D20', 'D1', 'D1']);
+    expect(leg.throwTurn(1, ['D1'])[0].reason).toBe('No one left on that number');
+    expect(gameMode.isOut(leg.getPlayer(2))).toBe(true);
+    expect(leg.isLegWon(1)).toBe(false);
+
+    leg.throwTurn(1, ['D18']);
+    expect(leg.isLegWon(1)).toBe(true);
+  });
+});
@@ -0,0 +1,102 @@
+const { once } = require('events');
+const express = require('express');
+const database = require('../src/models/database');
+const gameRoutes = require('../src/routes/gameRoutes');
+const scoringService = require('../src/services/scoringService');
+const { normalizeHandicap, computeAutoStartingScores, describeHandicap } = require('../src/utils/handicap');
+
+describe('handicaps', () => {
+  test('keeps starting scores between the limits', () => {
+    expect(normalizeHandicap()).toEqual({ startingScore: 501, legs: 0 });
+    expect(normalizeHandicap({ startingScore: '50', legs: -1 })).toEqual({ startingScore: 101, legs: 0 });
+    expect(normalizeHandicap({ startingScore: 2001, legs: '2' })).toEqual({ startingScore: 1001, legs: 2 });
+    expect(describeHandicap({ startingScore: 401, legs: 1 })).toBe('401 start, 1 leg head start');
+  });
+
+  test('starts the strongest player on 501 and the others in proportion to their average', () => {
+    expect(computeAutoStartingScores({ 1: 60, 2: 45, 3: null, 4: 10 })).toEqual({ 1: 501, 2: 376, 3: 501, 4: 101 });
+    expect(computeAutoStartingScores({ 1: null, 2: null })).toEqual({ 1: 501, 2: 501 });
+  });
+});
+
+describe('handicapped games on the game scoring path', () => {
+  let server;
+  let baseUrl;
+
+  const request = async (method, path, body) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.init(':memory:');
+    await database.dbRun(database.getDb(), 'INSERT INTO players (name) VALUES (?), (?), (?)', ['Ann', 'Ben', 'Cat']);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/games', gameRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/games`;
+  });
+
+  afterAll(async () => {
+    server.close();
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  test('starts each player on their own score and head start', async () => {
+    const { status, body: game } = await request('POST', '/', {
+      playerIds: [1, 2, 3],
+      handicaps: { 1: { startingScore: 301 }, 3: { legs: 1 } }
+    });
+
+    expect(status).toBe(201);
+    expect(game.players.map(player => [player.player_id, player.starting_score, player.score, player.legs_won])).toEqual([
+      [1, 301, 301, 0],
+      [2, 501, 501, 0],
+      [3, 501, 501, 1]
+    ]);
+  });
+
+  test('scores a handicapped player\'s checkout from their own starting score', async () => {
+    const { body: game } = await request('POST', '/', {
+      playerIds: [1, 2],
+      legsRequired: 1,
+      handicaps: { 1: { startingScore: 301 } }
+    });
+    await request('PATCH', `/${game.id}/status`, { status: 'bull' });
+    await scoringService.setBullWinner(game.id, 1);
+
+    await scoringService.processThrow(game.id, 1, 180, ['T20', 'T20', 'T20']);
+    await scoringService.processThrow(game.id, 2, 180, ['T20', 'T20', 'T20']);
+
+    // 140 would leave Ann below zero on 121, so the turn is bust
+    const bust = await scoringService.processThrow(game.id, 1, 140, ['T20', 'T20', 'S20']);
+    expect(bust.status).toBe('in_progress');
+    await scoringService.processThrow(game.id, 2, 0, ['0', '0', '0']);
+
+    const finished = await scoringService.processThrow(game.id, 1, 121, ['T20', 'T17', 'D5']);
+    expect(finished).toMatchObject({ status: 'completed', winner_id: 1 });
+
+    const throws = await database.dbAll(
+      database.getDb(),
+      'SELECT score, remaining, is_bust FROM throws t JOIN legs l ON t.leg_id = l.id WHERE l.game_id = ? AND t.player_id = 1 ORDER BY t.id',
+      [game.id]
+    );
+    expect(throws).toEqual([
+      { score: 180, remaining: 121, is_bust: 0 },
+      { score: 140, remaining: 121, is_bust: 1 },
+      { score: 121, remaining: 0, is_bust: 0 }
+    ]);
+
+    const stats = await scoringService.getPlayerStats(game.id, 1);
+    expect(stats).toMatchObject({ checkout_successes: 1, highest_checkout: 121 });
+  });
+});
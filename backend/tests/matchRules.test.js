@@ -0,0 +1,161 @@
+const { once } = require('events');
+const express = require('express');
+const database = require('../src/models/database');
+const gameRoutes = require('../src/routes/gameRoutes');
+const scoringService = require('../src/services/scoringService');
+const { normalizeMatchRules, decideMatch, describeMatchRules } = require('../src/utils/matchRules');
+
+describe('decideMatch', () => {
+  test('wins a first-to match on the legs needed', () => {
+    expect(decideMatch({ 1: 2, 2: 2 }, { format: 'first_to', legs: 3 }).decided).toBe(false);
+    expect(decideMatch({ 1: 3, 2: 2 }, { format: 'first_to', legs: 3 })).toMatchObject({
+      decided: true,
+      winnerId: 1,
+      decidedBy: 'legs'
+    });
+  });
+
+  test('wins a best-of match on a majority of its legs', () => {
+    expect(decideMatch({ 1: 2, 2: 1 }, { format: 'best_of', legs: 5 }).decided).toBe(false);
+    expect(decideMatch({ 1: 1, 2: 3 }, { format: 'best_of', legs: 5 })).toMatchObject({ decided: true, winnerId: 2 });
+  });
+
+  test('needs two clear legs until the sudden-death cap', () => {
+    const rules = { format: 'first_to', legs: 3, twoClear: true, suddenDeathAt: 4 };
+
+    expect(decideMatch({ 1: 3, 2: 2 }, rules).decided).toBe(false);
+    expect(decideMatch({ 1: 4, 2: 2 }, rules)).toMatchObject({ decided: true, winnerId: 1, decidedBy: 'two_clear' });
+    expect(decideMatch({ 1: 4, 2: 4 }, rules)).toMatchObject({ decided: false, suddenDeath: true, tiedPlayers: [1, 2] });
+    expect(decideMatch({ 1: 4, 2: 5 }, rules)).toMatchObject({ decided: true, winnerId: 2, decidedBy: 'sudden_death' });
+  });
+
+  test('sends an even best-of level at half its legs to the tie-break', () => {
+    expect(decideMatch({ 1: 2, 2: 2 }, { format: 'best_of', legs: 4 })).toMatchObject({ suddenDeath: true, bullOff: false });
+    expect(decideMatch({ 1: 2, 2: 2 }, { format: 'best_of', legs: 4, tieBreak: 'bull' })).toMatchObject({
+      decided: false,
+      suddenDeath: false,
+      bullOff: true,
+      tiedPlayers: [1, 2]
+    });
+  });
+
+  test('fills in the rules and describes them', () => {
+    expect(normalizeMatchRules({ format: 'race', legs: 0, suddenDeathAt: 1, twoClear: true })).toEqual({
+      format: 'first_to',
+      legs: 3,
+      twoClear: true,
+      suddenDeathAt: 2,
+      tieBreak: 'leg'
+    });
+    expect(describeMatchRules({ format: 'best_of', legs: 4, tieBreak: 'bull' })).toBe('Best of 4 legs, bull-off at 2-2');
+  });
+});
+
+describe('match rules on the game scoring path', () => {
+  let server;
+  let baseUrl;
+
+  const request = async (method, path, body) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  /**
+   * Create a game of two players starting on 101 and play its bull throw
+   */
+  const startGame = async (settings) => {
+    const { body: game } = await request('POST', '/', {
+      playerIds: [1, 2],
+      handicaps: { 1: { startingScore: 101 }, 2: { startingScore: 101 } },
+      ...settings
+    });
+    await request('PATCH', `/${game.id}/status`, { status: 'bull' });
+    return scoringService.setBullWinner(game.id, 1);
+  };
+
+  /**
+   * Check out a leg of 101 for the winner in two turns, the loser scoring nothing
+   */
+  const winLeg = async (game, winnerId) => {
+    let current = game;
+
+    for (const [score, darts] of [[61, ['T20', 'S1', '0']], [40, ['D20']]]) {
+      if (current.current_player !== winnerId) {
+        current = await scoringService.processThrow(game.id, current.current_player, 0, ['0', '0', '0']);
+      }
+      current = await scoringService.processThrow(game.id, winnerId, score, darts);
+    }
+    return current;
+  };
+
+  const getSeats = gameId => database.dbAll(
+    database.getDb(),
+    'SELECT player_id, legs_won, set_legs_won, sets_won, score FROM game_players WHERE game_id = ? ORDER BY position',
+    [gameId]
+  );
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.init(':memory:');
+    await database.dbRun(database.getDb(), 'INSERT INTO players (name) VALUES (?), (?)', ['Ann', 'Ben']);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/games', gameRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/games`;
+  });
+
+  afterAll(async () => {
+    server.close();
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  test('counts legs per set and wins on the sets needed', async () => {
+    let game = await startGame({ setsToWin: 2, legsPerSet: 2 });
+
+    game = await winLeg(game, 1);
+    game = await winLeg(game, 2);
+    game = await winLeg(game, 1);
+    expect(game).toMatchObject({ status: 'in_progress', current_set: 2 });
+    expect(await getSeats(game.id)).toEqual([
+      { player_id: 1, legs_won: 2, set_legs_won: 0, sets_won: 1, score: 101 },
+      { player_id: 2, legs_won: 1, set_legs_won: 0, sets_won: 0, score: 101 }
+    ]);
+
+    game = await winLeg(game, 1);
+    game = await winLeg(game, 1);
+    expect(game).toMatchObject({ status: 'completed', winner_id: 1, decided_by: 'sets' });
+    expect((await getSeats(game.id)).map(seat => seat.sets_won)).toEqual([2, 0]);
+  });
+
+  test('plays a sudden-death leg when an even best-of finishes level', async () => {
+    let game = await startGame({ format: 'best_of', legsRequired: 2 });
+
+    game = await winLeg(game, 1);
+    game = await winLeg(game, 2);
+    expect(game.status).toBe('in_progress');
+
+    game = await winLeg(game, 2);
+    expect(game).toMatchObject({ status: 'completed', winner_id: 2, decided_by: 'sudden_death' });
+  });
+
+  test('decides a level match with a bull-off when that is the tie-break', async () => {
+    let game = await startGame({ format: 'best_of', legsRequired: 2, tieBreak: 'bull' });
+
+    game = await winLeg(game, 1);
+    game = await winLeg(game, 2);
+    expect(game).toMatchObject({ status: 'tiebreak', current_player: 1 });
+
+    expect((await scoringService.recordBullShot(game.id, 1, { segment: 'S20', coordinates: [0, 60] })).result).toBeNull();
+    const { game: finished, result } = await scoringService.recordBullShot(game.id, 2, { segment: 'BULL', coordinates: [3, 4] });
+    expect(result).toMatchObject({ tiebreak: true, winnerId: 2 });
+    expect(finished).toMatchObject({ status: 'completed', winner_id: 2, decided_by: 'bull_off' });
+  });
+});
@@ -0,0 +1,108 @@
+const { parseSegment } = require('../src/utils/gameModes');
+const { getPracticeRoutine, applyPracticeDart, summarizePracticeSessions } = require('../src/utils/practice');
+
+/**
+ * Throw darts at a routine the way the board manager does, from a fresh
+ * session or the progress given
+ * @returns {Object} The result of the last dart, see applyPracticeDart
+ */
+const play = (routineId, segments, progress = getPracticeRoutine(routineId).start()) => {
+  let result = { progress };
+
+  for (const segment of segments) {
+    const hit = parseSegment(segment);
+    result = applyPracticeDart(routineId, result.progress, segment, hit ? hit.number * hit.multiplier : 0);
+  }
+  return result;
+};
+
+describe("Bob's 27", () => {
+  test('adds every hit double and takes the double off for a round without a hit', () => {
+    const first = play('bobs_27', ['D1', 'S1', 'D1']);
+    expect(first).toMatchObject({ score: 31, complete: false, target: 'D2' });
+
+    const second = play('bobs_27', ['S2', 'MISS', 'T2'], first.progress);
+    expect(second).toMatchObject({ score: 27, target: 'D3' });
+  });
+
+  test('ends the session once the score drops to zero', () => {
+    const progress = { score: 5, round: 3, dartsInRound: 0, hitsInRound: 0 };
+
+    expect(play('bobs_27', ['S3', 'S3'], progress).complete).toBe(false);
+    expect(play('bobs_27', ['S3', 'S3', 'S3'], progress)).toMatchObject({ score: -1, complete: true, target: null });
+  });
+
+  test('finishes on the bull', () => {
+    const progress = { score: 100, round: 21, dartsInRound: 0, hitsInRound: 0 };
+
+    expect(play('bobs_27', ['DBULL', 'BULL', 'MISS'], progress)).toMatchObject({ score: 150, complete: true });
+  });
+});
+
+describe('around the doubles', () => {
+  test('moves on only with the target double and scores the darts used', () => {
+    const result = play('around_the_doubles', ['D1', 'S2', 'D3', 'D2']);
+    expect(result).toMatchObject({ score: 4, hit: true, target: 'D3' });
+
+    const finished = play('around_the_doubles', ['BULL', 'DBULL'], { index: 20, darts: 40 });
+    expect(finished).toMatchObject({ score: 42, complete: true });
+  });
+});
+
+describe('121 checkout ladder', () => {
+  test('moves the target up after a checkout on a double', () => {
+    const result = play('checkout_121', ['T20', 'T11', 'D14']);
+
+    expect(result).toMatchObject({ hit: true, score: 121, target: '122 of 122' });
+    expect(result.progress).toMatchObject({ attempt: 2, dartsInAttempt: 0 });
+  });
+
+  test('busts back to the start of the turn, ending it', () => {
+    // Leaving 1, going below zero and finishing on a treble are all bust
+    for (const darts of [['T20', 'T20'], ['T19', 'T20', 'S5'], ['T20', 'S1', 'T20']]) {
+      const result = play('checkout_121', darts);
+      expect(result.progress).toMatchObject({ remaining: 121, dartsInAttempt: 3, turnStart: 121 });
+    }
+
+    const leftOver = play('checkout_121', ['T20', 'S1']);
+    expect(leftOver.progress).toMatchObject({ remaining: 60, turnStart: 121 });
+  });
+
+  test('moves the target down after nine darts without a checkout, never below 121', () => {
+    const misses = Array(9).fill('MISS');
+    const start = { target: 125, remaining: 125, turnStart: 125, attempt: 1, dartsInAttempt: 0, best: 123 };
+
+    const down = play('checkout_121', misses, start);
+    expect(down).toMatchObject({ hit: false, score: 123, target: '124 of 124' });
+
+    expect(play('checkout_121', misses).target).toBe('121 of 121');
+  });
+
+  test('ends after ten attempts', () => {
+    const result = play('checkout_121', Array(90).fill('MISS'));
+
+    expect(result).toMatchObject({ complete: true, score: 0 });
+  });
+});
+
+describe('100 darts at T20', () => {
+  test('scores every point of 100 darts and counts the trebles', () => {
+    const darts = [...Array(40).fill('T20'), ...Array(59).fill('S20'), 'S1'];
+
+    expect(play('t20_100', darts.slice(0, 99)).complete).toBe(false);
+
+    const result = play('t20_100', darts);
+    expect(result).toMatchObject({ score: 40 * 60 + 59 * 20 + 1, complete: true });
+    expect(result.progress.trebles).toBe(40);
+  });
+});
+
+describe('practice summaries', () => {
+  test('takes the best score the routine\'s way round', () => {
+    const sessions = [{ id: 1, score: 50, ended_at: 'a' }, { id: 2, score: 44, ended_at: 'b' }];
+
+    expect(summarizePracticeSessions('around_the_doubles', sessions)).toMatchObject({ best: 44, average: 47 });
+    expect(summarizePracticeSessions('bobs_27', sessions)).toMatchObject({ best: 50, sessions: 2 });
+    expect(() => getPracticeRoutine('golf')).toThrow('Unknown practice routine: golf');
+  });
+});
@@ -0,0 +1,64 @@
+const { CLOSE_CODES, computeBackoff, ReconnectPolicy } = require('../src/utils/reconnectPolicy');
+
+describe('computeBackoff', () => {
+  test('doubles up to the cap with equal jitter', () => {
+    const options = { baseDelay: 1000, maxDelay: 8000 };
+
+    expect(computeBackoff(0, options, () => 0)).toBe(500);
+    expect(computeBackoff(0, options, () => 1)).toBe(1000);
+    expect(computeBackoff(2, options, () => 0)).toBe(2000);
+    expect(computeBackoff(10, options, () => 1)).toBe(8000);
+  });
+});
+
+describe('ReconnectPolicy', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('stops on bad credentials', () => {
+    const policy = new ReconnectPolicy();
+
+    expect(policy.next(CLOSE_CODES.INVALID_SERIAL)).toEqual({ state: 'auth_failed', delay: null, reason: 'Invalid serial number' });
+    expect(policy.next(CLOSE_CODES.INVALID_TOKEN)).toEqual({ state: 'auth_failed', delay: null, reason: 'Invalid access token' });
+    expect(policy.failures).toBe(0);
+  });
+
+  test('retries a ping timeout straight away and waits when already connected', () => {
+    const policy = new ReconnectPolicy({ random: () => 0 });
+
+    expect(policy.next(CLOSE_CODES.PING_TIMEOUT)).toEqual({ state: 'reconnecting', delay: 0, reason: 'Ping timeout' });
+    expect(policy.next(CLOSE_CODES.ALREADY_CONNECTED)).toEqual({ state: 'backoff', delay: 60000, reason: 'Board already connected' });
+  });
+
+  test('backs off further after each failure until reset', () => {
+    const policy = new ReconnectPolicy({ random: () => 1 });
+
+    expect(policy.next(1006).delay).toBe(1000);
+    expect(policy.next(1006).delay).toBe(2000);
+    expect(policy.next(null)).toEqual({ state: 'backoff', delay: 4000, reason: 'Connection failed' });
+
+    policy.reset();
+    expect(policy.next(1006)).toEqual({ state: 'backoff', delay: 1000, reason: 'Closed with code 1006' });
+  });
+
+  test('opens the circuit after repeated failures and holds retries until the cooldown is over', () => {
+    jest.useFakeTimers({ now: 0 });
+    const policy = new ReconnectPolicy({ failureThreshold: 3, circuitCooldown: 10000, random: () => 0 });
+
+    policy.next(1006);
+    policy.next(1006);
+    expect(policy.next(1006)).toEqual({ state: 'circuit_open', delay: 10000, reason: '3 consecutive failures' });
+    expect(policy.isCircuitOpen()).toBe(true);
+
+    // A close while open waits out the rest of the cooldown without counting another failure
+    jest.setSystemTime(4000);
+    expect(policy.next(1006)).toEqual({ state: 'circuit_open', delay: 6000, reason: '3 consecutive failures' });
+    expect(policy.failures).toBe(3);
+
+    // The first retry after the cooldown that fails opens it again
+    jest.setSystemTime(10000);
+    expect(policy.isCircuitOpen()).toBe(false);
+    expect(policy.next(1006)).toEqual({ state: 'circuit_open', delay: 10000, reason: '4 consecutive failures' });
+  });
+});
@@ -0,0 +1,91 @@
+const {
+  DEFAULT_TIEBREAKERS,
+  normalizeTiebreakers,
+  getGroupName,
+  drawGroups,
+  scheduleRoundRobin,
+  computeStandings
+} = require('../src/utils/roundRobin');
+
+const pairKey = fixture => [fixture.player1Id, fixture.player2Id].sort().join('-');
+
+describe('normalizeTiebreakers', () => {
+  test('keeps known tiebreakers once, in order', () => {
+    expect(normalizeTiebreakers(['legs_for', 'bogus', 'head_to_head', 'legs_for'])).toEqual(['legs_for', 'head_to_head']);
+    expect(normalizeTiebreakers(['bogus'])).toEqual(DEFAULT_TIEBREAKERS);
+    expect(normalizeTiebreakers(undefined)).toEqual(DEFAULT_TIEBREAKERS);
+  });
+});
+
+describe('drawGroups', () => {
+  test('snakes the seeds through the groups', () => {
+    expect(drawGroups([1, 2, 3, 4, 5, 6], 2)).toEqual([[1, 4, 5], [2, 3, 6]]);
+    expect(drawGroups([1, 2, 3, 4, 5, 6, 7], 3)).toEqual([[1, 6, 7], [2, 5], [3, 4]]);
+    expect(getGroupName(2)).toBe('Group B');
+  });
+});
+
+describe('scheduleRoundRobin', () => {
+  test('pairs everyone once, each player once a round', () => {
+    const fixtures = scheduleRoundRobin([1, 2, 3, 4]);
+
+    expect(fixtures).toHaveLength(6);
+    expect(new Set(fixtures.map(pairKey)).size).toBe(6);
+    [1, 2, 3].forEach(round => {
+      const players = fixtures.filter(fixture => fixture.round === round).flatMap(fixture => [fixture.player1Id, fixture.player2Id]);
+      expect(players.sort()).toEqual([1, 2, 3, 4]);
+    });
+  });
+
+  test('sits one player out each round with an odd number of players', () => {
+    const fixtures = scheduleRoundRobin([1, 2, 3, 4, 5]);
+
+    expect(fixtures).toHaveLength(10);
+    expect(new Set(fixtures.map(pairKey)).size).toBe(10);
+    [1, 2, 3, 4, 5].forEach(round => {
+      expect(fixtures.filter(fixture => fixture.round === round)).toHaveLength(2);
+    });
+  });
+});
+
+describe('computeStandings', () => {
+  // Everyone wins one: 1 beats 2 3-1, 2 beats 3 3-0, 3 beats 1 3-2
+  const results = [
+    { player1Id: 1, player2Id: 2, winnerId: 1, legs: { 1: 3, 2: 1 } },
+    { player1Id: 2, player2Id: 3, winnerId: 2, legs: { 2: 3, 3: 0 } },
+    { player1Id: 3, player2Id: 1, winnerId: 3, legs: { 3: 3, 1: 2 } }
+  ];
+  const scoring = { 1: { points: 900, darts: 27 }, 2: { points: 990, darts: 27 } };
+
+  test('splits players level on wins by the tiebreakers in order', () => {
+    const standings = computeStandings([1, 2, 3], results, scoring);
+
+    expect(standings.map(row => row.playerId)).toEqual([2, 1, 3]);
+    expect(standings[0]).toEqual({
+      position: 1,
+      playerId: 2,
+      played: 2,
+      won: 1,
+      lost: 1,
+      legsFor: 4,
+      legsAgainst: 3,
+      legDifference: 1,
+      average: 110
+    });
+    expect(standings[2].average).toBeNull();
+  });
+
+  test('ranks on head-to-head between the players level only', () => {
+    // 1 and 2 win two each; 2 beat 1 but 1 has the better leg difference
+    const level = [
+      { player1Id: 1, player2Id: 2, winnerId: 2, legs: { 1: 2, 2: 3 } },
+      { player1Id: 1, player2Id: 3, winnerId: 1, legs: { 1: 3, 3: 0 } },
+      { player1Id: 1, player2Id: 4, winnerId: 1, legs: { 1: 3, 4: 0 } },
+      { player1Id: 2, player2Id: 3, winnerId: 2, legs: { 2: 3, 3: 2 } },
+      { player1Id: 2, player2Id: 4, winnerId: 4, legs: { 2: 0, 4: 3 } }
+    ];
+
+    expect(computeStandings([1, 2, 3, 4], level, {}, ['head_to_head', 'leg_difference']).map(row => row.playerId)).toEqual([2, 1, 4, 3]);
+    expect(computeStandings([1, 2, 3, 4], level, {}, ['leg_difference', 'head_to_head']).map(row => row.playerId)).toEqual([1, 2, 4, 3]);
+  });
+});
@@ -0,0 +1,147 @@
+const EventEmitter = require('events');
+const database = require('../src/models/database');
+const schedulerService = require('../src/services/schedulerService');
+const { getRestMinutes, getRestedAt, planAssignments } = require('../src/utils/scheduler');
+
+const MINUTE = 60 * 1000;
+
+describe('getRestMinutes', () => {
+  const restMinutes = process.env.PLAYER_REST_MINUTES;
+
+  afterEach(() => {
+    if (restMinutes === undefined) {
+      delete process.env.PLAYER_REST_MINUTES;
+    } else {
+      process.env.PLAYER_REST_MINUTES = restMinutes;
+    }
+  });
+
+  test('reads PLAYER_REST_MINUTES and falls back to 5', () => {
+    process.env.PLAYER_REST_MINUTES = '0';
+    expect(getRestMinutes()).toBe(0);
+
+    process.env.PLAYER_REST_MINUTES = 'soon';
+    expect(getRestMinutes()).toBe(5);
+
+    delete process.env.PLAYER_REST_MINUTES;
+    expect(getRestMinutes()).toBe(5);
+  });
+});
+
+describe('getRestedAt', () => {
+  test('waits for the player who finished last', () => {
+    expect(getRestedAt([1, 2], { 1: 1000, 2: 3000 }, 500)).toBe(3500);
+    expect(getRestedAt([3, 4], { 1: 1000 }, 500)).toBe(0);
+  });
+});
+
+describe('planAssignments', () => {
+  const boards = [{ id: 1 }, { id: 2 }];
+
+  test('calls games to free boards in queue order', () => {
+    const queue = [
+      { id: 10, playerIds: [1, 2] },
+      { id: 11, playerIds: [3, 4] },
+      { id: 12, playerIds: [5, 6] }
+    ];
+
+    expect(planAssignments(queue, boards, new Set(), {})).toEqual([
+      { gameId: 10, boardId: 1 },
+      { gameId: 11, boardId: 2 }
+    ]);
+  });
+
+  test('passes over a game whose player is busy or resting, keeping its place', () => {
+    const queue = [
+      { id: 10, playerIds: [1, 2] },
+      { id: 11, playerIds: [3, 4] },
+      { id: 12, playerIds: [5, 6] }
+    ];
+    const lastPlayed = { 3: MINUTE };
+
+    expect(planAssignments(queue, boards, new Set([1]), lastPlayed, { now: 2 * MINUTE, restMs: 5 * MINUTE })).toEqual([
+      { gameId: 12, boardId: 1 }
+    ]);
+    expect(planAssignments(queue, boards, new Set(), lastPlayed, { now: 6 * MINUTE, restMs: 5 * MINUTE })).toEqual([
+      { gameId: 10, boardId: 1 },
+      { gameId: 11, boardId: 2 }
+    ]);
+  });
+
+  test('never calls a player to two boards at once', () => {
+    const queue = [
+      { id: 10, playerIds: [1, 2] },
+      { id: 11, playerIds: [2, 3] }
+    ];
+
+    expect(planAssignments(queue, boards, new Set(), {})).toEqual([{ gameId: 10, boardId: 1 }]);
+  });
+
+  test('keeps a pinned game waiting for its board, which no other game takes', () => {
+    const queue = [
+      { id: 10, playerIds: [1, 2], pinnedBoardId: 3 },
+      { id: 11, playerIds: [3, 4] },
+      { id: 12, playerIds: [5, 6] }
+    ];
+
+    expect(planAssignments(queue, [{ id: 3 }, { id: 1 }], new Set([1]), {})).toEqual([
+      { gameId: 11, boardId: 1 }
+    ]);
+    expect(planAssignments(queue, [{ id: 3 }, { id: 1 }], new Set(), {})).toEqual([
+      { gameId: 10, boardId: 3 },
+      { gameId: 11, boardId: 1 }
+    ]);
+  });
+});
+
+describe('scheduler service', () => {
+  const restMinutes = process.env.PLAYER_REST_MINUTES;
+  const run = sql => database.dbRun(database.getDb(), sql);
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env.PLAYER_REST_MINUTES = '5';
+    await database.init(':memory:');
+
+    await run("INSERT INTO players (name) VALUES ('Ann'), ('Ben'), ('Cat')");
+    await run("INSERT INTO boards (name) VALUES ('TV Board')");
+    await run("INSERT INTO tournaments (name, status) VALUES ('Open', 'active')");
+
+    // Ann's last game finished just now; Ann and Cat are up next
+    await run(`INSERT INTO games (tournament_id, player1_id, player2_id, legs_required, status, winner_id, completed_at)
+               VALUES (1, 1, 2, 3, 'completed', 1, CURRENT_TIMESTAMP)`);
+    await run("INSERT INTO games (tournament_id, player1_id, player2_id, legs_required) VALUES (1, 1, 3, 3)");
+    await run('INSERT INTO game_players (game_id, player_id, position) VALUES (1, 1, 1), (1, 2, 2), (2, 1, 1), (2, 3, 2)');
+  });
+
+  afterAll(async () => {
+    await database.close();
+    if (restMinutes === undefined) {
+      delete process.env.PLAYER_REST_MINUTES;
+    } else {
+      process.env.PLAYER_REST_MINUTES = restMinutes;
+    }
+    jest.restoreAllMocks();
+  });
+
+  test('rests players from when their last game was completed, not when it was last changed', async () => {
+    const { queue: [waiting] } = await schedulerService.getSchedule();
+    expect(waiting.restedAt).not.toBeNull();
+    expect(await schedulerService.runScheduler()).toEqual([]);
+
+    // Edited long after it finished, the game no longer holds its players back
+    await run("UPDATE games SET completed_at = datetime('now', '-1 hour'), updated_at = CURRENT_TIMESTAMP WHERE id = 1");
+    expect((await schedulerService.getSchedule()).queue[0].restedAt).toBeNull();
+  });
+
+  test('calls the game to the board by its name', async () => {
+    const io = new EventEmitter();
+    const broadcast = jest.fn();
+    io.on('board:call', broadcast);
+
+    const [call] = await schedulerService.runScheduler(io);
+
+    expect(call).toMatchObject({ gameId: 2, boardId: 1, boardName: 'TV Board', message: 'Next up on TV Board: Ann v Cat' });
+    expect(broadcast).toHaveBeenCalledWith(call);
+  });
+});
@@ -0,0 +1,240 @@
+const EventEmitter = require('events');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { useScoliaSimulator } = require('../simulator/jestHelper');
+const { initDatabase } = require('../database/dbInit');
+const ScoliaBoardManager = require('../managers/ScoliaBoardManager');
+
+const SERIAL_NUMBER = 'SIM-001';
+const ACCESS_TOKEN = 'token';
+
+/**
+ * Poll until a check passes, failing after a timeout
+ */
+const waitFor = async (check, timeout = 2000) => {
+  const startedAt = Date.now();
+
+  while (!(await check())) {
+    if (Date.now() - startedAt > timeout) {
+      throw new Error('Timed out waiting for the board manager');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('ScoliaBoardManager against the simulator', () => {
+  const sim = useScoliaSimulator({ boards: [{ serialNumber: SERIAL_NUMBER, accessToken: ACCESS_TOKEN, seed: 1 }] });
+  const apiUrl = process.env.SCOLIA_API_URL;
+  const io = new EventEmitter();
+  let db;
+  let manager;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    db = await open({ filename: ':memory:', driver: sqlite3.Database });
+    await initDatabase(db);
+
+    const { lastID } = await db.run(
+      'INSERT INTO boards (name, serial_number, access_token) VALUES (?, ?, ?)',
+      ['Board 1', SERIAL_NUMBER, ACCESS_TOKEN]
+    );
+    await db.run('INSERT INTO players (name) VALUES (?), (?), (?), (?)', ['Alice', 'Bob', 'Cat', 'Dan']);
+
+    // The manager reads the URL when it connects, so the board connects to the simulator
+    process.env.SCOLIA_API_URL = sim.url;
+    manager = new ScoliaBoardManager(await db.get('SELECT * FROM boards WHERE id = ?', [lastID]), io, db);
+    await waitFor(() => manager.isConnected);
+  });
+
+  afterAll(async () => {
+    await manager.disconnect();
+    await db.close();
+
+    if (apiUrl === undefined) {
+      delete process.env.SCOLIA_API_URL;
+    } else {
+      process.env.SCOLIA_API_URL = apiUrl;
+    }
+    jest.restoreAllMocks();
+  });
+
+  test('connects the board and marks it online', async () => {
+    const board = await db.get('SELECT status FROM boards WHERE serial_number = ?', [SERIAL_NUMBER]);
+
+    expect(board.status).toBe('online');
+    expect(manager.getConnectionInfo().state).toBe('connected');
+  });
+
+  test('scores turns thrown on the board through to a won match', async () => {
+    const match = await manager.startMatch({ players: [{ id: 1, startingScore: 100 }, { id: 2 }], mode: '501', settings: {} });
+    const getScores = async () => (await db.all(
+      'SELECT player_id, current_score FROM match_players WHERE match_id = ? ORDER BY position',
+      [match.id]
+    )).map(player => player.current_score);
+
+    // Alice leaves 40, the takeout passes the turn to Bob
+    await sim.simulator.playTurn(SERIAL_NUMBER, ['S20', 'S20', 'S20']);
+    await waitFor(() => manager.currentMatch.activePosition === 2);
+    expect(await getScores()).toEqual([40, 501]);
+
+    await sim.simulator.playTurn(SERIAL_NUMBER, ['T20', 'T20', 'T20']);
+    await waitFor(() => manager.currentMatch.activePosition === 1);
+    expect(await getScores()).toEqual([40, 321]);
+
+    // A bust keeps the score from the start of the turn
+    await sim.simulator.playTurn(SERIAL_NUMBER, ['S20', 'S19']);
+    await waitFor(() => manager.currentMatch.activePosition === 2);
+    expect(await getScores()).toEqual([40, 321]);
+
+    await sim.simulator.playTurn(SERIAL_NUMBER, ['S1', 'S1', 'S1']);
+    await waitFor(() => manager.currentMatch.activePosition === 1);
+
+    // Checking out on the double wins the one-leg match
+    sim.simulator.throwDart(SERIAL_NUMBER, 'D20');
+    await waitFor(async () => (await db.get('SELECT state FROM matches WHERE id = ?', [match.id])).state === 'completed');
+
+    expect(await db.get('SELECT winner_id FROM matches WHERE id = ?', [match.id])).toEqual({ winner_id: 1 });
+    expect(await db.get('SELECT COUNT(*) AS count FROM throws WHERE match_id = ?', [match.id])).toEqual({ count: 12 });
+    expect(await db.all('SELECT segment FROM throws WHERE match_id = ? AND score = score_before', [match.id])).toEqual([
+      { segment: 'D20' }
+    ]);
+  });
+
+  test('rescores the leg when a busting dart is corrected', async () => {
+    const match = await manager.startMatch({ players: [{ id: 1, startingScore: 40 }, { id: 2 }], mode: '501', settings: {} });
+    const getScore = async () => (await db.get(
+      'SELECT current_score FROM match_players WHERE match_id = ? AND player_id = 1',
+      [match.id]
+    )).current_score;
+    const getThrowId = async segment => (await db.get(
+      'SELECT id FROM throws WHERE match_id = ? AND segment = ? ORDER BY id DESC',
+      [match.id, segment]
+    )).id;
+
+    // Alice busts on the S19 leaving 1
+    await sim.simulator.playTurn(SERIAL_NUMBER, ['S20', 'S19']);
+    await waitFor(() => manager.currentMatch.activePosition === 2);
+    await sim.simulator.playTurn(SERIAL_NUMBER, ['S1', 'S1', 'S1']);
+    await waitFor(() => manager.currentMatch.activePosition === 1);
+    expect(await getScore()).toBe(40);
+
+    // Read as an S10, the turn is no longer bust and leaves 10
+    const result = await manager.correctThrow({ throwId: await getThrowId('S19'), segment: 'S10', score: 10 });
+    expect(result).toEqual({ success: true, boardSynced: true });
+    expect(await getScore()).toBe(10);
+
+    // A correction making the turn being thrown bust ends it on the score it started from
+    sim.simulator.throwDart(SERIAL_NUMBER, 'S2');
+    await waitFor(async () => (await getScore()) === 8);
+
+    await manager.correctThrow({ throwId: await getThrowId('S2'), segment: 'S9', score: 9 });
+    expect(await getScore()).toBe(10);
+    expect(manager.currentMatch).toMatchObject({ activePosition: 1, dartsThrown: 3, turnStartScore: 10 });
+  });
+
+  test('plays legs into sets, rolling over to a new set with the next starter', async () => {
+    const match = await manager.startMatch({
+      players: [{ id: 1, startingScore: 40 }, { id: 2, startingScore: 40 }],
+      mode: '501',
+      settings: {},
+      setsToWin: 2,
+      legsPerSet: 2
+    });
+    const setsWon = [];
+    const onSetWon = event => setsWon.push(event);
+    io.on('set:won', onSetWon);
+
+    const getSeats = async () => (await db.all(
+      'SELECT legs_won, sets_won FROM match_players WHERE match_id = ? ORDER BY position',
+      [match.id]
+    )).map(seat => [seat.legs_won, seat.sets_won]);
+    const checkOut = async (position, seats) => {
+      await waitFor(() => manager.currentMatch.activePosition === position && manager.currentMatch.dartsThrown === 0);
+      await sim.simulator.playTurn(SERIAL_NUMBER, ['D20']);
+      await waitFor(async () => JSON.stringify(await getSeats()) === JSON.stringify(seats));
+    };
+
+    // Leg starters alternate within the first set, which Alice wins 2-1
+    await checkOut(1, [[1, 0], [0, 0]]);
+    await checkOut(2, [[1, 0], [1, 0]]);
+    await checkOut(1, [[0, 1], [0, 0]]);
+    expect(setsWon).toEqual([{ matchId: match.id, boardId: manager.board.id, playerId: 1, set: 1, sets: { 1: 1, 2: 0 } }]);
+
+    // The next set is started by the player after the one who started the last
+    expect(manager.currentMatch).toMatchObject({ set: 2, leg: 4, activePosition: 2 });
+    await checkOut(2, [[0, 1], [1, 0]]);
+    await checkOut(1, [[1, 1], [1, 0]]);
+    expect((await db.get('SELECT state FROM matches WHERE id = ?', [match.id])).state).toBe('active');
+
+    await waitFor(() => manager.currentMatch.activePosition === 2);
+    await sim.simulator.playTurn(SERIAL_NUMBER, ['S1', 'S1', 'S1']);
+    await checkOut(1, [[2, 2], [1, 0]]);
+    io.off('set:won', onSetWon);
+
+    expect(setsWon.map(event => event.playerId)).toEqual([1, 1]);
+    expect(await db.get('SELECT state, winner_id FROM matches WHERE id = ?', [match.id])).toEqual({
+      state: 'completed',
+      winner_id: 1
+    });
+  });
+
+  test('scores cricket marks and points through the game mode', async () => {
+    const match = await manager.startMatch({ players: [{ id: 1 }, { id: 2 }], mode: 'cricket', settings: {} });
+    const getSeats = async () => (await db.all(
+      'SELECT current_score, marks FROM match_players WHERE match_id = ? ORDER BY position',
+      [match.id]
+    )).map(seat => [seat.current_score, JSON.parse(seat.marks)[20]]);
+
+    // Alice closes the 20 and scores on it while Bob has it open
+    await sim.simulator.playTurn(SERIAL_NUMBER, ['T20', 'T20', 'S19']);
+    await waitFor(() => manager.currentMatch.activePosition === 2);
+    expect(await getSeats()).toEqual([[60, 3], [0, 0]]);
+
+    const darts = await db.all('SELECT marks FROM throws WHERE match_id = ? ORDER BY id', [match.id]);
+    expect(darts.map(dart => dart.marks)).toEqual([3, 3, 1]);
+  });
+
+  test('rotates the teams\' players and scores each team as one side', async () => {
+    const match = await manager.startMatch({
+      players: [{ id: 1, startingScore: 100 }, { id: 2, startingScore: 100 }, { id: 3 }, { id: 4 }],
+      teams: [{ name: 'Arrows', playerIds: [1, 3] }, { name: 'Flights', playerIds: [2, 4] }],
+      mode: '501',
+      settings: {}
+    });
+    const getSeats = () => db.all(
+      'SELECT player_id, team, current_score, is_winner FROM match_players WHERE match_id = ? ORDER BY position',
+      [match.id]
+    );
+
+    // A1, B1, then A2; teammates' seats stay in step
+    await sim.simulator.playTurn(SERIAL_NUMBER, ['S20', 'S20', 'S20']);
+    await waitFor(() => manager.currentMatch.activePosition === 2);
+    await sim.simulator.playTurn(SERIAL_NUMBER, ['S1', 'S1', 'S1']);
+    await waitFor(() => manager.currentMatch.activePosition === 3);
+    expect(await getSeats()).toEqual([
+      { player_id: 1, team: 1, current_score: 40, is_winner: 0 },
+      { player_id: 2, team: 2, current_score: 97, is_winner: 0 },
+      { player_id: 3, team: 1, current_score: 40, is_winner: 0 },
+      { player_id: 4, team: 2, current_score: 97, is_winner: 0 }
+    ]);
+
+    // A2 checks out the team's score and wins the match for both
+    await sim.simulator.playTurn(SERIAL_NUMBER, ['S20', 'D10']);
+    await waitFor(async () => (await db.get('SELECT state FROM matches WHERE id = ?', [match.id])).state === 'completed');
+
+    expect((await getSeats()).map(seat => seat.is_winner)).toEqual([1, 0, 1, 0]);
+    expect(await db.get('SELECT winner_id FROM matches WHERE id = ?', [match.id])).toEqual({ winner_id: 3 });
+  });
+
+  test('fetches camera images only when asked and deletes them with their throw', async () => {
+    const { id: throwId } = await db.get('SELECT id FROM throws ORDER BY id DESC LIMIT 1');
+    const countImages = async () => (await db.get('SELECT COUNT(*) AS count FROM throw_images')).count;
+
+    expect(await countImages()).toBe(0);
+    expect(await manager.getCameraImages(throwId)).toHaveLength(3);
+
+    await db.run('DELETE FROM throws WHERE id = ?', [throwId]);
+    expect(await countImages()).toBe(0);
+  });
+});
@@ -0,0 +1,95 @@
+const {
+  DEFAULT_SWISS_TIEBREAKERS,
+  normalizeSwissTiebreakers,
+  getMaxRounds,
+  computeSwissStandings,
+  pairRound
+} = require('../src/utils/swiss');
+
+describe('normalizeSwissTiebreakers', () => {
+  test('keeps known tiebreakers once, in order', () => {
+    expect(normalizeSwissTiebreakers(['legs_for', 'head_to_head', 'legs_for'])).toEqual(['legs_for']);
+    expect(normalizeSwissTiebreakers([])).toEqual(DEFAULT_SWISS_TIEBREAKERS);
+  });
+});
+
+describe('getMaxRounds', () => {
+  test('allows a round against everyone else, plus a bye round for an odd field', () => {
+    expect(getMaxRounds(8)).toBe(7);
+    expect(getMaxRounds(5)).toBe(5);
+  });
+});
+
+describe('computeSwissStandings', () => {
+  test('counts a bye as a win and ranks level players by Buchholz, then leg difference', () => {
+    const results = [
+      { player1Id: 1, player2Id: 2, winnerId: 2, legs: { 1: 1, 2: 3 } },
+      { player1Id: 2, player2Id: 3, winnerId: 3, legs: { 2: 2, 3: 3 } }
+    ];
+    const standings = computeSwissStandings([1, 2, 3], results, [1]);
+
+    expect(standings.map(row => [row.playerId, row.won, row.buchholz])).toEqual([
+      [2, 1, 2],
+      [3, 1, 1],
+      [1, 1, 1]
+    ]);
+    expect(standings[2]).toEqual({
+      position: 3,
+      playerId: 1,
+      seed: 1,
+      played: 1,
+      won: 1,
+      lost: 1,
+      byes: 1,
+      legsFor: 1,
+      legsAgainst: 3,
+      legDifference: -2,
+      buchholz: 1
+    });
+  });
+
+  test('keeps seed order for players still level', () => {
+    expect(computeSwissStandings([4, 2, 9], []).map(row => row.playerId)).toEqual([4, 2, 9]);
+  });
+});
+
+describe('pairRound', () => {
+  test('pairs the top half of the seeds against the bottom half in the first round', () => {
+    const standings = computeSwissStandings([1, 2, 3, 4, 5, 6, 7, 8], []);
+
+    expect(pairRound(standings, [])).toEqual({
+      pairings: [
+        { player1Id: 1, player2Id: 5 },
+        { player1Id: 2, player2Id: 6 },
+        { player1Id: 3, player2Id: 7 },
+        { player1Id: 4, player2Id: 8 }
+      ],
+      byePlayerId: null
+    });
+  });
+
+  test('gives the bye to the lowest ranked player who has not had one', () => {
+    const results = [{ player1Id: 1, player2Id: 2, winnerId: 1, legs: { 1: 3, 2: 0 } }];
+    const standings = computeSwissStandings([1, 2, 3], results, [3]);
+
+    expect(pairRound(standings, results)).toEqual({
+      pairings: [{ player1Id: 1, player2Id: 3 }],
+      byePlayerId: 2
+    });
+  });
+
+  test('floats a player down rather than make a rematch', () => {
+    const results = [
+      { player1Id: 1, player2Id: 3, winnerId: 1, legs: { 1: 3, 3: 0 } },
+      { player1Id: 2, player2Id: 4, winnerId: 2, legs: { 2: 3, 4: 1 } },
+      { player1Id: 1, player2Id: 2, winnerId: 1, legs: { 1: 3, 2: 2 } },
+      { player1Id: 4, player2Id: 3, winnerId: 4, legs: { 4: 3, 3: 1 } }
+    ];
+    const standings = computeSwissStandings([1, 2, 3, 4], results);
+
+    expect(pairRound(standings, results).pairings).toEqual([
+      { player1Id: 1, player2Id: 4 },
+      { player1Id: 2, player2Id: 3 }
+    ]);
+  });
+});
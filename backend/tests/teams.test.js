@@ -0,0 +1,141 @@
+const { once } = require('events');
+const express = require('express');
+const database = require('../src/models/database');
+const gameRoutes = require('../src/routes/gameRoutes');
+const scoringService = require('../src/services/scoringService');
+const { normalizeTeams, seatTeams, seatTeamPlayers, getSidePlayerIds, getSides } = require('../src/utils/teams');
+
+describe('seatTeams', () => {
+  test('seats the teams alternately', () => {
+    const teams = normalizeTeams([{ name: ' Arrows ', playerIds: ['1', '3'] }, { playerIds: [2, 4] }]);
+
+    expect(teams.map(team => team.name)).toEqual(['Arrows', 'Team 2']);
+    expect(seatTeams(teams)).toEqual([
+      { playerId: 1, team: 1 },
+      { playerId: 2, team: 2 },
+      { playerId: 3, team: 1 },
+      { playerId: 4, team: 2 }
+    ]);
+  });
+
+  test('rejects teams that cannot play each other', () => {
+    expect(() => seatTeams(normalizeTeams([{ playerIds: [1, 2] }]))).toThrow('A team match needs at least 2 teams');
+    expect(() => seatTeams(normalizeTeams([{ playerIds: [1, 2] }, { playerIds: [3] }]))).toThrow('Teams must have the same number of players');
+    expect(() => seatTeams(normalizeTeams([{ playerIds: [1, 2] }, { playerIds: [2, 3] }]))).toThrow('Every player must be in exactly one team');
+  });
+
+  test('seats a board match\'s players, who must all be in a team', () => {
+    const teams = normalizeTeams([{ playerIds: [1, 3] }, { playerIds: [2, 4] }]);
+    const players = [1, 2, 3, 4].map(id => ({ id, startingScore: 501 }));
+
+    expect(seatTeamPlayers(players, teams).map(player => [player.id, player.team])).toEqual([[1, 1], [2, 2], [3, 1], [4, 2]]);
+    expect(() => seatTeamPlayers(players.slice(0, 3), teams)).toThrow('Every player must be in exactly one team');
+  });
+});
+
+describe('sides', () => {
+  const seats = [
+    { player_id: 1, team: 1 },
+    { player_id: 2, team: 2 },
+    { player_id: 3, team: 1 },
+    { player_id: 4, team: 2 }
+  ];
+
+  test('plays each team as one side, led by its first player', () => {
+    expect(getSidePlayerIds(seats, 3)).toEqual([1, 3]);
+    expect(getSides(seats).map(seat => seat.player_id)).toEqual([1, 2]);
+  });
+
+  test('keeps every seat a side of its own outside team play', () => {
+    const singles = [{ player_id: 1, team: null }, { player_id: 2, team: null }];
+
+    expect(getSidePlayerIds(singles, 2)).toEqual([2]);
+    expect(getSides(singles)).toEqual(singles);
+  });
+});
+
+describe('team games on the game scoring path', () => {
+  let server;
+  let baseUrl;
+
+  const request = async (method, path, body) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  const getSeats = gameId => database.dbAll(
+    database.getDb(),
+    'SELECT player_id, team, score, legs_won FROM game_players WHERE game_id = ? ORDER BY position',
+    [gameId]
+  );
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.init(':memory:');
+    await database.dbRun(database.getDb(), 'INSERT INTO players (name) VALUES (?), (?), (?), (?)', ['Ann', 'Ben', 'Cat', 'Dan']);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/games', gameRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/games`;
+  });
+
+  afterAll(async () => {
+    server.close();
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  test('rejects teams of different sizes', async () => {
+    const res = await request('POST', '/', { teams: [{ playerIds: [1, 3] }, { playerIds: [2] }] });
+
+    expect(res).toEqual({ status: 400, body: { error: 'Teams must have the same number of players' } });
+  });
+
+  test('alternates the teams\' players and scores each team as one side', async () => {
+    const { status, body: game } = await request('POST', '/', {
+      teams: [{ name: 'Arrows', playerIds: [1, 3] }, { name: 'Flights', playerIds: [2, 4] }],
+      gameMode: '301',
+      legsRequired: 1
+    });
+    expect(status).toBe(201);
+    expect(game.players.map(player => player.player_id)).toEqual([1, 2, 3, 4]);
+
+    await request('PATCH', `/${game.id}/status`, { status: 'bull' });
+    await scoringService.setBullWinner(game.id, 1);
+
+    // A1, B1, A2, B2, then back to A1; teammates' seats stay in step
+    const turns = [
+      [1, 100, ['T20', 'S20', 'S20']],
+      [2, 60, ['S20', 'S20', 'S20']],
+      [3, 180, ['T20', 'T20', 'T20']],
+      [4, 1, ['S1', '0', '0']]
+    ];
+    for (const [playerId, score, darts] of turns) {
+      const updated = await scoringService.processThrow(game.id, playerId, score, darts);
+      expect(updated.current_player).toBe(playerId % 4 + 1);
+    }
+    expect(await getSeats(game.id)).toEqual([
+      { player_id: 1, team: 1, score: 21, legs_won: 0 },
+      { player_id: 2, team: 2, score: 240, legs_won: 0 },
+      { player_id: 3, team: 1, score: 21, legs_won: 0 },
+      { player_id: 4, team: 2, score: 240, legs_won: 0 }
+    ]);
+
+    // A1 checks out the team's score and wins the leg for both
+    const finished = await scoringService.processThrow(game.id, 1, 21, ['S1', 'D10']);
+    expect(finished).toMatchObject({ status: 'completed', winner_id: 1 });
+    expect((await getSeats(game.id)).map(seat => seat.legs_won)).toEqual([1, 0, 1, 0]);
+
+    const { body: details } = await request('GET', `/${game.id}`);
+    expect(details.teams.map(team => [team.name, team.playerIds, team.legsWon, team.isWinner])).toEqual([
+      ['Arrows', [1, 3], 1, true],
+      ['Flights', [2, 4], 0, false]
+    ]);
+  });
+});
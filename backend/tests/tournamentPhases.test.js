@@ -0,0 +1,98 @@
+const {
+  validatePhases,
+  normalizePhases,
+  getPhaseStatuses,
+  getNextStatus,
+  getStartStatus,
+  findPhase,
+  getPhaseOptions,
+  crossSeedQualifiers
+} = require('../src/utils/tournamentPhases');
+
+const groupsThenKnockout = [
+  { format: 'round_robin', groups: 2, qualifiers: 2, tiebreakers: ['leg_difference'], legsRequired: 2 },
+  { format: 'single_elimination', legsRequired: 3, matchFormat: 'best_of' }
+];
+
+describe('validatePhases', () => {
+  test('accepts a single phase or a qualifying phase then a knockout', () => {
+    expect(validatePhases([{ format: 'double_elimination' }])).toBeNull();
+    expect(validatePhases(groupsThenKnockout)).toBeNull();
+    expect(validatePhases([{ format: 'swiss', rounds: 5, qualifiers: 4 }, { format: 'single_elimination' }])).toBeNull();
+  });
+
+  test('rejects phases that cannot be played', () => {
+    expect(validatePhases([])).toMatch(/^Phases must be/);
+    expect(validatePhases([{ format: 'ladder' }])).toMatch(/^Phase format must be one of/);
+    expect(validatePhases([{ format: 'single_elimination' }, { format: 'round_robin' }])).toBe('Only a group stage or Swiss rounds can lead into a knockout');
+    expect(validatePhases([{ format: 'round_robin', groups: 1, qualifiers: 1 }, { format: 'single_elimination' }])).toBe('Set how many players of each group qualify for the knockout');
+    expect(validatePhases([{ format: 'swiss' }])).toBe('Set how many Swiss rounds are played');
+    expect(validatePhases([{ format: 'swiss', rounds: 5, qualifiers: 1 }, { format: 'single_elimination' }])).toBe('Set how many players make the knockout cut');
+  });
+});
+
+describe('normalizePhases', () => {
+  test('fills in each phase\'s defaults and game rules', () => {
+    const [groups, knockout] = normalizePhases(groupsThenKnockout);
+
+    expect(groups).toMatchObject({
+      format: 'round_robin',
+      groups: 2,
+      qualifiers: 2,
+      tiebreakers: ['leg_difference'],
+      gameSettings: { legsRequired: 2, format: 'first_to', setsToWin: 0, legsPerSet: 3 }
+    });
+    expect(knockout).toMatchObject({
+      format: 'single_elimination',
+      gameSettings: { legsRequired: 3, format: 'best_of' }
+    });
+  });
+
+  test('gives the last phase no qualifiers', () => {
+    const [groups] = normalizePhases([{ format: 'round_robin', groups: '2', qualifiers: 2 }]);
+
+    expect(groups).toMatchObject({ groups: 2, qualifiers: 0 });
+  });
+
+  test('fills in Swiss rounds and tiebreakers', () => {
+    const [swiss] = normalizePhases([{ format: 'swiss', rounds: '4', qualifiers: 8 }]);
+
+    expect(swiss).toMatchObject({ rounds: 4, qualifiers: 0, tiebreakers: ['buchholz', 'leg_difference'] });
+  });
+});
+
+describe('phase statuses', () => {
+  const phases = normalizePhases(groupsThenKnockout);
+  const tournament = { phases: JSON.stringify(phases) };
+
+  test('moves through each phase in turn', () => {
+    expect(getPhaseStatuses(phases)).toEqual(['pending', 'groups', 'knockout', 'completed']);
+    expect(getNextStatus(phases, 'groups')).toBe('knockout');
+    expect(getNextStatus(phases, 'completed')).toBeNull();
+    expect(getNextStatus(phases, 'active')).toBeNull();
+  });
+
+  test('starts a phase on its own status, or active without phases', () => {
+    expect(getStartStatus(tournament, 'round_robin')).toBe('groups');
+    expect(getStartStatus({ phases: null }, 'round_robin')).toBe('active');
+  });
+
+  test('finds a phase and turns it into draw options', () => {
+    const knockout = findPhase(tournament, 'knockout');
+
+    expect(knockout).toMatchObject({ format: 'single_elimination', index: 1 });
+    expect(findPhase(tournament, 'active')).toBeNull();
+    expect(getPhaseOptions(knockout)).toMatchObject({ format: 'single_elimination', matchFormat: 'best_of', legsRequired: 3 });
+  });
+});
+
+describe('crossSeedQualifiers', () => {
+  test('keeps players from the same group apart in the first round', () => {
+    expect(crossSeedQualifiers([[1, 2], [3, 4]], 2)).toEqual([1, 3, 2, 4]);
+    expect(crossSeedQualifiers([[1, 2], [3, 4], [5, 6]], 2)).toEqual([1, 3, 5, 2, 6, 4]);
+  });
+
+  test('skips a group short of qualifiers', () => {
+    expect(crossSeedQualifiers([[1, 2], [3]], 2)).toEqual([1, 3, 2]);
+  });
+});
@@ -0,0 +1,118 @@
+const { once } = require('events');
+const express = require('express');
+const database = require('../src/models/database');
+const tournamentRoutes = require('../src/routes/tournamentRoutes');
+const bracketService = require('../src/services/bracketService');
+const groupService = require('../src/services/groupService');
+const swissService = require('../src/services/swissService');
+
+describe('tournament draws', () => {
+  let server;
+  let baseUrl;
+
+  const request = async (method, path, body) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  const createTournament = async name => (
+    await database.dbRun(database.getDb(), 'INSERT INTO tournaments (name) VALUES (?)', [name])
+  ).lastID;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.init(':memory:');
+    await database.dbRun(database.getDb(), "INSERT INTO players (name) VALUES ('Ann'), ('Ben'), ('Cat'), ('Dan')");
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/tournaments', tournamentRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/tournaments`;
+  });
+
+  afterAll(async () => {
+    server.close();
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  describe('knockout bracket', () => {
+    test('answers 404 for a tournament that does not exist', async () => {
+      expect(await request('POST', '/999/bracket', { playerIds: [1, 2] })).toEqual({
+        status: 404,
+        body: { error: 'Tournament not found' }
+      });
+    });
+
+    test('answers 400 for too few players and 409 for a second draw', async () => {
+      const tournamentId = await createTournament('Cup');
+
+      expect((await request('POST', `/${tournamentId}/bracket`, { playerIds: [1] })).status).toBe(400);
+      expect((await request('POST', `/${tournamentId}/bracket`, { playerIds: [1, 2, 3, 4] })).status).toBe(201);
+      expect(await request('POST', `/${tournamentId}/bracket`, { playerIds: [1, 2, 3, 4] })).toEqual({
+        status: 409,
+        body: { error: 'Tournament already has a bracket' }
+      });
+    });
+
+    test('gives the service\'s request errors a client status', async () => {
+      const tournamentId = await createTournament('Plate');
+
+      await expect(bracketService.createBracket(999, { playerIds: [1, 2] })).rejects.toMatchObject({ status: 404 });
+      await expect(bracketService.createBracket(tournamentId, { playerIds: [1] })).rejects.toMatchObject({
+        status: 400,
+        message: 'A bracket needs at least 2 players'
+      });
+    });
+  });
+
+  describe('round-robin groups', () => {
+    test('answers 404 for a tournament that does not exist', async () => {
+      expect((await request('POST', '/999/groups', { playerIds: [1, 2, 3] })).status).toBe(404);
+    });
+
+    test('answers 400 for too few players and 409 for a second draw', async () => {
+      const tournamentId = await createTournament('League');
+
+      expect(await request('POST', `/${tournamentId}/groups`, { groups: 2, playerIds: [1, 2, 3] })).toEqual({
+        status: 400,
+        body: { error: 'Each group needs at least 2 players' }
+      });
+      expect((await request('POST', `/${tournamentId}/groups`, { playerIds: [1, 2, 3] })).status).toBe(201);
+      expect((await request('POST', `/${tournamentId}/groups`, { playerIds: [1, 2, 3] })).status).toBe(409);
+
+      await expect(groupService.createGroups(tournamentId, { playerIds: [1, 2, 3] })).rejects.toMatchObject({
+        status: 409,
+        message: 'Tournament already has groups'
+      });
+    });
+  });
+
+  describe('Swiss rounds', () => {
+    test('answers 404 for a tournament that does not exist', async () => {
+      expect((await request('POST', '/999/swiss', { rounds: 1, playerIds: [1, 2] })).status).toBe(404);
+      await expect(swissService.createSwiss(999, { rounds: 1, playerIds: [1, 2] })).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('answers 400 for too many rounds and 409 once the rounds have started', async () => {
+      const tournamentId = await createTournament('Open');
+
+      expect(await request('POST', `/${tournamentId}/swiss`, { rounds: 3, playerIds: [1, 2] })).toEqual({
+        status: 400,
+        body: { error: 'Rounds must be between 1 and 1' }
+      });
+      expect((await request('POST', `/${tournamentId}/swiss`, { rounds: 2, playerIds: [1, 2, 3, 4] })).status).toBe(201);
+      expect((await request('POST', `/${tournamentId}/swiss`, { rounds: 2, playerIds: [1, 2, 3, 4] })).status).toBe(409);
+
+      await expect(swissService.createSwiss(tournamentId, { rounds: 2, playerIds: [1, 2, 3, 4] })).rejects.toMatchObject({
+        status: 409,
+        message: 'Tournament already has Swiss rounds'
+      });
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { useSocket } from '../context/SocketContext';
+import ThrowImageViewer from './ThrowImageViewer';
 import styles from '../styles/AdminOverride.module.css';
 
 const AdminOverridePanel = ({ matchId, players, onUpdate }) => {
@@ -344,6 +345,8 @@ const AdminOverridePanel = ({ matchId, players, onUpdate }) => {
               </select>
             </div>
             
+            <ThrowImageViewer matchId={matchId} throwId={selectedThrowId} />
+            
             <button 
               className={`${styles.actionButton} ${styles.dangerButton}`}
               onClick={handleThrowRemoval}
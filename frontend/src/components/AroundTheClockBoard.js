@@ -0,0 +1,42 @@
+import React from 'react';
+import componentStyles from '../styles/Components.module.css';
+import streamStyles from '../styles/Stream.module.css';
+
+// Targets in order; 21 is the bull
+const TARGETS = Array.from({ length: 21 }, (_, index) => index + 1);
+
+const targetOf = player => (player.modeState && player.modeState.target) || 1;
+
+const AroundTheClockBoard = ({ players, variant = 'game' }) => {
+  const styles = variant === 'stream' ? streamStyles : componentStyles;
+
+  return (
+    <table className={styles.modeBoard}>
+      <thead>
+        <tr>
+          <th />
+          {TARGETS.map(target => (
+            <th key={target}>{target === 21 ? 'B' : target}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {players.map(player => (
+          <tr key={player.id} className={player.isActive ? styles.modeActive : ''}>
+            <th>{player.name}</th>
+            {TARGETS.map(target => (
+              <td
+                key={target}
+                className={target === targetOf(player) ? styles.modeTarget : ''}
+              >
+                {target < targetOf(player) ? '●' : ''}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default AroundTheClockBoard;
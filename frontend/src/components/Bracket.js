@@ -0,0 +1,103 @@
+import React from 'react';
+import Link from 'next/link';
+
+const BRACKET_TITLES = {
+  winners: 'Winners Bracket',
+  losers: 'Losers Bracket',
+  final: 'Grand Final'
+};
+
+// Group a bracket's matches into rounds, keeping the order they come in
+const groupRounds = (matches) => matches.reduce((rounds, match) => {
+  const last = rounds[rounds.length - 1];
+  if (last && last.round === match.round) {
+    last.matches.push(match);
+  } else {
+    rounds.push({ round: match.round, name: match.round_name, matches: [match] });
+  }
+  return rounds;
+}, []);
+
+// Legs, or sets when playing sets, won in a match's game
+const getMatchScore = (match, slot) => {
+  if (!match.game_id || match.game_status === 'pending') return '';
+  return match.sets_to_win > 0 ? match[`player${slot}_sets`] : match[`player${slot}_legs`];
+};
+
+const BracketSlot = ({ match, slot }) => {
+  const playerId = match[`player${slot}_id`];
+  const seed = match[`seed${slot}`];
+  const won = playerId && match.winner_id === playerId && match.status === 'completed';
+  const lost = playerId && match.status === 'completed' && !won;
+  
+  return (
+    <div className={`flex justify-between px-2 py-1 ${won ? 'font-bold' : ''} ${lost ? 'text-gray-400' : ''}`}>
+      <span>
+        {seed && <span className="text-xs text-gray-500 mr-1">{seed}</span>}
+        {match[`player${slot}_name`] || (match.status === 'waiting' ? 'TBD' : 'Bye')}
+      </span>
+      <span>{getMatchScore(match, slot)}</span>
+    </div>
+  );
+};
+
+const BracketMatch = ({ match }) => {
+  if (match.status === 'skipped') {
+    return (
+      <div className="border rounded bg-gray-50 text-xs text-gray-500 px-2 py-2 mb-4 w-56">
+        Not needed
+      </div>
+    );
+  }
+  
+  const live = match.game_status && !['pending', 'completed', 'cancelled'].includes(match.game_status);
+  const card = (
+    <div className={`border rounded bg-white mb-4 w-56 ${live ? 'border-green-500' : ''}`}>
+      <BracketSlot match={match} slot={1} />
+      <div className="border-t" />
+      <BracketSlot match={match} slot={2} />
+      {live && <div className="text-xs text-green-600 px-2 pb-1">Live{match.board_id ? ` on board ${match.board_id}` : ''}</div>}
+    </div>
+  );
+  
+  return match.game_id ? <Link href={`/games/${match.game_id}`}>{card}</Link> : card;
+};
+
+// Knockout bracket, one column per round, the losers bracket and grand final below
+const Bracket = ({ bracket }) => {
+  const brackets = ['winners', 'losers', 'final']
+    .map(name => ({ name, matches: bracket.matches.filter(match => match.bracket === name) }))
+    .filter(section => section.matches.length > 0);
+  const champion = bracket.matches.find(match => match.winner_id === bracket.championId);
+  
+  return (
+    <div>
+      {bracket.championId && champion && (
+        <div className="bg-yellow-100 border-l-4 border-yellow-500 p-4 mb-6">
+          Champion: <span className="font-bold">
+            {champion.player1_id === bracket.championId ? champion.player1_name : champion.player2_name}
+          </span>
+        </div>
+      )}
+      
+      {brackets.map(section => (
+        <div key={section.name} className="mb-8">
+          {brackets.length > 1 && <h2 className="text-xl font-bold mb-4">{BRACKET_TITLES[section.name]}</h2>}
+          
+          <div className="flex overflow-x-auto gap-6">
+            {groupRounds(section.matches).map(round => (
+              <div key={round.round} className="flex flex-col justify-around">
+                <h3 className="text-sm font-medium text-gray-600 mb-2">{round.name}</h3>
+                {round.matches.map(match => (
+                  <BracketMatch key={match.id} match={match} />
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default Bracket;
@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { useSocket } from '../context/SocketContext';
+import styles from '../styles/Components.module.css';
+
+// How long the decided bull-off stays on screen
+const RESULT_DISPLAY_TIME = 8000;
+
+const BullOff = ({ matchId, boardId, variant = 'game' }) => {
+  const { socket } = useSocket();
+  const [bullOff, setBullOff] = useState({ attempt: 1, shots: [], result: null });
+
+  useEffect(() => {
+    if (!socket) return;
+
+    let hideTimeout = null;
+
+    // Without a matchId or boardId every bull-off is shown, e.g. on the stream
+    const isRelevant = (data) =>
+      (!matchId || data.matchId === parseInt(matchId)) &&
+      (!boardId || data.boardId === parseInt(boardId));
+
+    const handleBullShot = (data) => {
+      if (!isRelevant(data)) return;
+
+      clearTimeout(hideTimeout);
+      setBullOff(prev => ({
+        attempt: data.attempt,
+        shots: data.attempt === prev.attempt && !prev.result ? [...prev.shots, data.shot] : [data.shot],
+        result: null
+      }));
+    };
+
+    const handleBullResult = (data) => {
+      if (!isRelevant(data)) return;
+
+      setBullOff({ attempt: data.attempt, shots: data.shots, result: data });
+
+      if (data.winnerId) {
+        hideTimeout = setTimeout(() => {
+          setBullOff({ attempt: 1, shots: [], result: null });
+        }, RESULT_DISPLAY_TIME);
+      }
+    };
+
+    socket.on('bull:shot', handleBullShot);
+    socket.on('bull:result', handleBullResult);
+
+    return () => {
+      clearTimeout(hideTimeout);
+      socket.off('bull:shot', handleBullShot);
+      socket.off('bull:result', handleBullResult);
+    };
+  }, [socket, matchId, boardId]);
+
+  const { attempt, shots, result } = bullOff;
+
+  if (shots.length === 0 && !result) return null;
+
+  const nameOf = (playerId) => {
+    const shot = shots.find(s => s.playerId === playerId);
+    return (shot && shot.playerName) || `Player ${playerId}`;
+  };
+
+  return (
+    <div className={`${styles.bullOff} ${variant === 'stream' ? styles.bullOffStream : ''}`}>
+      <div className={styles.bullOffTitle}>
+        Throw for Bull{attempt > 1 && ` - Re-throw ${attempt - 1}`}
+      </div>
+
+      <div className={styles.bullOffBody}>
+        <svg className={styles.bullOffBoard} viewBox="-60 -60 120 120" aria-hidden="true">
+          <circle r="60" fill="#2b2b2b" />
+          <circle r="15.9" fill="#1e8449" />
+          <circle r="6.35" fill="#c0392b" />
+          {shots.filter(shot => shot.coordinates && shot.distance !== null).map(shot => (
+            <circle
+              key={`${shot.playerId}-${attempt}`}
+              cx={Math.max(-58, Math.min(58, shot.coordinates[0]))}
+              cy={-Math.max(-58, Math.min(58, shot.coordinates[1]))}
+              r="3"
+              className={`${styles.bullOffDart} ${result && result.winnerId === shot.playerId ? styles.bullOffWinnerDart : ''}`}
+            />
+          ))}
+        </svg>
+
+        <ul className={styles.bullOffShots}>
+          {shots.map(shot => (
+            <li
+              key={`${shot.playerId}-${attempt}`}
+              className={result && result.winnerId === shot.playerId ? styles.bullOffWinner : ''}
+            >
+              <span>{shot.playerName || nameOf(shot.playerId)}</span>
+              <span>{shot.formattedDistance || (shot.distance !== null ? `${shot.distance} mm` : 'No score')}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {result && (
+        <div className={styles.bullOffResult}>
+          {result.winnerId ?
+            `${nameOf(result.winnerId)} throws first` :
+            `Tie - ${result.rethrow.map(nameOf).join(' and ')} throw again`}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BullOff;
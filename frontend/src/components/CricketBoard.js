@@ -0,0 +1,56 @@
+import React from 'react';
+import componentStyles from '../styles/Components.module.css';
+import streamStyles from '../styles/Stream.module.css';
+
+// Numbers in play, top to bottom; 25 is the bull
+const CRICKET_NUMBERS = [20, 19, 18, 17, 16, 15, 25];
+
+// One stroke, a cross, then a circled cross once the number is closed
+const MARK_SYMBOLS = ['', '/', 'X', 'Ⓧ'];
+
+const marksOf = (player, number) => Math.min((player.marks && player.marks[number]) || 0, 3);
+
+const CricketBoard = ({ players, cutThroat = false, variant = 'game' }) => {
+  const styles = variant === 'stream' ? streamStyles : componentStyles;
+
+  return (
+    <table className={styles.cricketBoard}>
+      <thead>
+        <tr>
+          <th />
+          {players.map(player => (
+            <th key={player.id} className={player.isActive ? styles.cricketActive : ''}>
+              {player.name}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {CRICKET_NUMBERS.map(number => {
+          const closedByAll = players.every(player => marksOf(player, number) === 3);
+
+          return (
+            <tr key={number} className={closedByAll ? styles.cricketClosed : ''}>
+              <th>{number === 25 ? 'Bull' : number}</th>
+              {players.map(player => (
+                <td key={player.id} className={styles.cricketMarks}>
+                  {MARK_SYMBOLS[marksOf(player, number)]}
+                </td>
+              ))}
+            </tr>
+          );
+        })}
+      </tbody>
+      <tfoot>
+        <tr>
+          <th>{cutThroat ? 'Pts (low)' : 'Pts'}</th>
+          {players.map(player => (
+            <td key={player.id} className={styles.cricketPoints}>{player.score || 0}</td>
+          ))}
+        </tr>
+      </tfoot>
+    </table>
+  );
+};
+
+export default CricketBoard;
@@ -0,0 +1,101 @@
+import React from 'react';
+import Link from 'next/link';
+import streamStyles from '../styles/Stream.module.css';
+
+const formatAverage = average => (average === null || average === undefined ? '-' : average.toFixed(1));
+
+const formatDifference = difference => (difference > 0 ? `+${difference}` : `${difference}`);
+
+const formatFixtureScore = fixture => (fixture.status === 'pending'
+  ? 'v'
+  : `${fixture.legs[fixture.player1_id] || 0} - ${fixture.legs[fixture.player2_id] || 0}`);
+
+// Live table of a round-robin group, the players going through to the
+// knockout marked. The stream variant is a compact overlay table, leaving out
+// legs for and against and the fixtures
+const GroupStandings = ({ group, qualifiers = 0, variant = 'page' }) => {
+  if (variant === 'stream') {
+    return (
+      <table className={streamStyles.groupStandings}>
+        <caption className={streamStyles.groupStandingsTitle}>{group.name}</caption>
+        <thead>
+          <tr>
+            <th />
+            <th>P</th>
+            <th>W</th>
+            <th>+/-</th>
+            <th>Avg</th>
+          </tr>
+        </thead>
+        <tbody>
+          {group.standings.map(row => (
+            <tr key={row.playerId} className={row.position <= qualifiers ? streamStyles.groupQualifier : ''}>
+              <th>{row.position}. {row.name}</th>
+              <td>{row.played}</td>
+              <td>{row.won}</td>
+              <td>{formatDifference(row.legDifference)}</td>
+              <td>{formatAverage(row.average)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  }
+
+  return (
+    <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">{group.name}</h2>
+        {group.complete && <span className="text-sm text-green-600 font-medium">Complete</span>}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-gray-600 border-b">
+              <th className="text-left py-2">#</th>
+              <th className="text-left py-2">Player</th>
+              <th className="py-2">P</th>
+              <th className="py-2">W</th>
+              <th className="py-2">L</th>
+              <th className="py-2">Legs +</th>
+              <th className="py-2">Legs -</th>
+              <th className="py-2">+/-</th>
+              <th className="py-2">Avg</th>
+            </tr>
+          </thead>
+          <tbody>
+            {group.standings.map(row => (
+              <tr key={row.playerId} className={`border-b text-center ${row.position <= qualifiers ? 'bg-green-50' : ''}`}>
+                <td className="text-left py-2">{row.position}</td>
+                <td className="text-left py-2 font-medium">{row.name}</td>
+                <td className="py-2">{row.played}</td>
+                <td className="py-2">{row.won}</td>
+                <td className="py-2">{row.lost}</td>
+                <td className="py-2">{row.legsFor}</td>
+                <td className="py-2">{row.legsAgainst}</td>
+                <td className="py-2">{formatDifference(row.legDifference)}</td>
+                <td className="py-2">{formatAverage(row.average)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {group.fixtures.length > 0 && (
+        <ul className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-1 text-sm">
+          {group.fixtures.map(fixture => (
+            <li key={fixture.id}>
+              <Link href={`/games/${fixture.id}`} className="text-blue-500 hover:text-blue-700">
+                <span className="text-gray-500 mr-2">R{fixture.group_round}</span>
+                {fixture.player1_name} {formatFixtureScore(fixture)} {fixture.player2_name}
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default GroupStandings;
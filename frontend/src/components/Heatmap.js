@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import styles from '../styles/Components.module.css';
+
+// Board geometry in mm from the bull, matching the coordinates Scolia reports
+const RADIUS = {
+  BULL: 6.35,
+  OUTER_BULL: 15.9,
+  TREBLE_INNER: 99,
+  TREBLE_OUTER: 107,
+  DOUBLE_INNER: 162,
+  DOUBLE_OUTER: 170
+};
+const TREBLE_CENTRE = (RADIUS.TREBLE_INNER + RADIUS.TREBLE_OUTER) / 2;
+const DOUBLE_CENTRE = (RADIUS.DOUBLE_INNER + RADIUS.DOUBLE_OUTER) / 2;
+
+// Numbers clockwise from the top of the board
+const SEGMENT_ORDER = [20, 1, 18, 4, 13, 6, 10, 15, 2, 17, 3, 19, 7, 16, 8, 11, 14, 9, 12, 5];
+
+const BIN_SIZE = 10;
+
+// Angle (radians, y up) through the middle of a number's wedge
+const numberAngle = (number) => Math.PI / 2 - SEGMENT_ORDER.indexOf(number) * Math.PI / 10;
+
+const pointOn = (number, radius) => ({
+  x: Math.cos(numberAngle(number)) * radius,
+  y: Math.sin(numberAngle(number)) * radius
+});
+
+// Number of the wedge a position falls in
+const numberAt = (x, y) => {
+  const degrees = (90 - Math.atan2(y, x) * 180 / Math.PI + 9 + 360) % 360;
+  return SEGMENT_ORDER[Math.floor(degrees / 18)];
+};
+
+const distance = (a, b) => Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+
+const radiusOf = (dart) => Math.sqrt(dart.x * dart.x + dart.y * dart.y);
+
+// The intended target is inferred from where the dart landed: a dart in or
+// beside the 20 bed counts as a T20 attempt, one near the double ring as a
+// double attempt at that number, and so on.
+const TARGETS = {
+  all: {
+    label: 'All darts',
+    includes: () => true,
+    aim: null
+  },
+  T20: {
+    label: 'T20 attempts',
+    includes: (dart) => [20, 1, 5].includes(numberAt(dart.x, dart.y)) && radiusOf(dart) > RADIUS.OUTER_BULL,
+    aim: () => pointOn(20, TREBLE_CENTRE)
+  },
+  T19: {
+    label: 'T19 attempts',
+    includes: (dart) => [19, 7, 3].includes(numberAt(dart.x, dart.y)) && radiusOf(dart) > RADIUS.OUTER_BULL,
+    aim: () => pointOn(19, TREBLE_CENTRE)
+  },
+  doubles: {
+    label: 'Doubles',
+    includes: (dart) => radiusOf(dart) >= RADIUS.DOUBLE_INNER - 20,
+    aim: (dart) => pointOn(numberAt(dart.x, dart.y), DOUBLE_CENTRE)
+  },
+  bull: {
+    label: 'Bull',
+    includes: (dart) => radiusOf(dart) <= 40,
+    aim: () => ({ x: 0, y: 0 })
+  }
+};
+
+// SVG path for the part of a wedge between two radii; SVG y points down
+const wedgePath = (index, inner, outer) => {
+  const start = Math.PI / 2 - (index * 18 - 9) * Math.PI / 180;
+  const end = start - Math.PI / 10;
+  const point = (radius, angle) => `${Math.cos(angle) * radius} ${-Math.sin(angle) * radius}`;
+
+  return `M ${point(inner, start)} L ${point(outer, start)} ` +
+    `A ${outer} ${outer} 0 0 1 ${point(outer, end)} L ${point(inner, end)} ` +
+    `A ${inner} ${inner} 0 0 0 ${point(inner, start)} Z`;
+};
+
+const Dartboard = () => (
+  <g>
+    <circle r={RADIUS.DOUBLE_OUTER + 25} fill="#1b1b1b" />
+    {SEGMENT_ORDER.map((number, index) => {
+      const dark = index % 2 === 0;
+      const labelPoint = pointOn(number, RADIUS.DOUBLE_OUTER + 14);
+
+      return (
+        <g key={number}>
+          <path d={wedgePath(index, RADIUS.OUTER_BULL, RADIUS.DOUBLE_OUTER)} fill={dark ? '#2b2b2b' : '#e8dcc0'} />
+          <path d={wedgePath(index, RADIUS.TREBLE_INNER, RADIUS.TREBLE_OUTER)} fill={dark ? '#c0392b' : '#1e8449'} />
+          <path d={wedgePath(index, RADIUS.DOUBLE_INNER, RADIUS.DOUBLE_OUTER)} fill={dark ? '#c0392b' : '#1e8449'} />
+          <text
+            x={labelPoint.x}
+            y={-labelPoint.y}
+            className={styles.heatmapNumber}
+            textAnchor="middle"
+            dominantBaseline="central"
+          >
+            {number}
+          </text>
+        </g>
+      );
+    })}
+    <circle r={RADIUS.OUTER_BULL} fill="#1e8449" />
+    <circle r={RADIUS.BULL} fill="#c0392b" />
+  </g>
+);
+
+const Heatmap = ({ playerId, matches = [] }) => {
+  const [darts, setDarts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [view, setView] = useState('points');
+  const [filters, setFilters] = useState({
+    target: 'all',
+    matchId: '',
+    leg: '',
+    from: '',
+    to: ''
+  });
+
+  useEffect(() => {
+    if (playerId) {
+      fetchHeatmap();
+    }
+  }, [playerId, filters.matchId, filters.leg, filters.from, filters.to]);
+
+  const fetchHeatmap = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const params = new URLSearchParams();
+      ['matchId', 'leg', 'from', 'to'].forEach(key => {
+        if (filters[key]) params.append(key, filters[key]);
+      });
+
+      const response = await fetch(`/api/players/${playerId}/heatmap?${params.toString()}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load heatmap');
+      }
+
+      setDarts(data.darts || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+
+    setFilters(prev => ({
+      ...prev,
+      [name]: value,
+      // Legs are numbered per match, so a new match starts from all legs
+      ...(name === 'matchId' ? { leg: '' } : {})
+    }));
+  };
+
+  const target = TARGETS[filters.target];
+  const targetDarts = useMemo(() => darts.filter(target.includes), [darts, target]);
+
+  const legs = useMemo(
+    () => [...new Set(darts.map(dart => dart.leg).filter(Boolean))].sort((a, b) => a - b),
+    [darts]
+  );
+
+  // Grouping: mean radial error against the intended target and RMS spread around the centroid
+  const grouping = useMemo(() => {
+    if (targetDarts.length === 0) return null;
+
+    const centroid = {
+      x: targetDarts.reduce((sum, d) => sum + d.x, 0) / targetDarts.length,
+      y: targetDarts.reduce((sum, d) => sum + d.y, 0) / targetDarts.length
+    };
+
+    const spread = Math.sqrt(
+      targetDarts.reduce((sum, d) => sum + Math.pow(distance(d, centroid), 2), 0) / targetDarts.length
+    );
+
+    const meanRadialError = target.aim ?
+      targetDarts.reduce((sum, d) => sum + distance(d, target.aim(d)), 0) / targetDarts.length :
+      null;
+
+    return { centroid, spread, meanRadialError };
+  }, [targetDarts, target]);
+
+  const bins = useMemo(() => {
+    const cells = new Map();
+
+    targetDarts.forEach(dart => {
+      const x = Math.floor(dart.x / BIN_SIZE) * BIN_SIZE;
+      const y = Math.floor(dart.y / BIN_SIZE) * BIN_SIZE;
+      const key = `${x},${y}`;
+
+      cells.set(key, { x, y, count: (cells.has(key) ? cells.get(key).count : 0) + 1 });
+    });
+
+    return Array.from(cells.values());
+  }, [targetDarts]);
+
+  const maxBinCount = Math.max(1, ...bins.map(bin => bin.count));
+
+  return (
+    <div className={styles.heatmap}>
+      <div className={styles.heatmapFilters}>
+        <label>
+          Target
+          <select name="target" value={filters.target} onChange={handleFilterChange}>
+            {Object.entries(TARGETS).map(([key, option]) => (
+              <option key={key} value={key}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label>
+          Match
+          <select name="matchId" value={filters.matchId} onChange={handleFilterChange}>
+            <option value="">All matches</option>
+            {matches.map(match => (
+              <option key={match.id} value={match.id}>{match.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label>
+          Leg
+          <select name="leg" value={filters.leg} onChange={handleFilterChange} disabled={!filters.matchId}>
+            <option value="">All legs</option>
+            {legs.map(leg => (
+              <option key={leg} value={leg}>Leg {leg}</option>
+            ))}
+          </select>
+        </label>
+
+        <label>
+          From
+          <input type="date" name="from" value={filters.from} onChange={handleFilterChange} />
+        </label>
+
+        <label>
+          To
+          <input type="date" name="to" value={filters.to} onChange={handleFilterChange} />
+        </label>
+
+        <label>
+          View
+          <select value={view} onChange={(e) => setView(e.target.value)}>
+            <option value="points">Points</option>
+            <option value="density">Density</option>
+          </select>
+        </label>
+      </div>
+
+      {error && <div className={styles.error}>{error}</div>}
+
+      <div className={styles.heatmapBody}>
+        <svg
+          className={styles.heatmapBoard}
+          viewBox="-200 -200 400 400"
+          role="img"
+          aria-label="Dart positions on the board"
+        >
+          <Dartboard />
+
+          {view === 'density' ? bins.map(bin => (
+            <rect
+              key={`${bin.x},${bin.y}`}
+              x={bin.x}
+              y={-(bin.y + BIN_SIZE)}
+              width={BIN_SIZE}
+              height={BIN_SIZE}
+              fill="#f1c40f"
+              fillOpacity={0.2 + 0.7 * (bin.count / maxBinCount)}
+            />
+          )) : targetDarts.map(dart => (
+            <circle key={dart.id} cx={dart.x} cy={-dart.y} r={2.5} className={styles.heatmapDart}>
+              <title>{dart.segment}</title>
+            </circle>
+          ))}
+
+          {grouping && (
+            <circle
+              cx={grouping.centroid.x}
+              cy={-grouping.centroid.y}
+              r={grouping.spread}
+              className={styles.heatmapSpread}
+            />
+          )}
+        </svg>
+
+        <div className={styles.heatmapStats}>
+          <div className={styles.detailsSection}>
+            <span className={styles.detailLabel}>Darts:</span>
+            <span className={styles.detailValue}>{loading ? '...' : targetDarts.length}</span>
+          </div>
+          <div className={styles.detailsSection}>
+            <span className={styles.detailLabel}>Mean error:</span>
+            <span className={styles.detailValue}>
+              {grouping && grouping.meanRadialError !== null ? `${grouping.meanRadialError.toFixed(1)} mm` : '-'}
+            </span>
+          </div>
+          <div className={styles.detailsSection}>
+            <span className={styles.detailLabel}>Spread:</span>
+            <span className={styles.detailValue}>
+              {grouping ? `${grouping.spread.toFixed(1)} mm` : '-'}
+            </span>
+          </div>
+          {!loading && darts.length === 0 && (
+            <p className={styles.emptyState}>No darts with board positions for these filters.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Heatmap;
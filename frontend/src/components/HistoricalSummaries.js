@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
 import styles from '../styles/Components.module.css';
 import MatchSummary from './MatchSummary';
 
@@ -107,6 +108,20 @@ const HistoricalSummaries = () => {
                     <span className={styles.detailLabel}>Board:</span>
                     <span className={styles.detailValue}>{match.board_name}</span>
                   </div>
+                  <div className={styles.detailsSection}>
+                    <span className={styles.detailLabel}>Heatmaps:</span>
+                    <span className={styles.detailValue}>
+                      {match.players.map(player => (
+                        <Link
+                          key={player.id}
+                          href={`/players/${player.player_id || player.id}`}
+                          className={styles.heatmapLink}
+                        >
+                          {player.name}
+                        </Link>
+                      ))}
+                    </span>
+                  </div>
                   <div className={styles.detailsSection}>
                     <span className={styles.detailLabel}>Duration:</span>
                     <span className={styles.detailValue}>
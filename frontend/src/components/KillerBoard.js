@@ -0,0 +1,45 @@
+import React from 'react';
+import componentStyles from '../styles/Components.module.css';
+import streamStyles from '../styles/Stream.module.css';
+
+const KILLER_LIVES = 3;
+
+const KillerBoard = ({ players, settings = {}, variant = 'game' }) => {
+  const styles = variant === 'stream' ? streamStyles : componentStyles;
+  const lives = settings.killerLives || KILLER_LIVES;
+
+  return (
+    <table className={styles.modeBoard}>
+      <thead>
+        <tr>
+          <th />
+          <th>Number</th>
+          <th>Lives</th>
+          <th />
+        </tr>
+      </thead>
+      <tbody>
+        {players.map(player => {
+          const state = player.modeState || {};
+          const out = player.score <= 0;
+
+          return (
+            <tr
+              key={player.id}
+              className={`${player.isActive ? styles.modeActive : ''} ${out ? styles.modeOut : ''}`}
+            >
+              <th>{player.name}</th>
+              <td className={styles.modeTarget}>{state.number ? `D${state.number}` : '-'}</td>
+              <td className={styles.modePoints}>
+                {'●'.repeat(Math.max(player.score, 0))}{'○'.repeat(Math.max(lives - player.score, 0))}
+              </td>
+              <td>{out ? 'Out' : state.killer ? 'Killer' : ''}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+};
+
+export default KillerBoard;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { useSocket } from '../context/SocketContext';
+import styles from '../styles/Components.module.css';
+
+// Board calls kept on screen
+const MAX_CALLS = 5;
+
+const REFRESH_INTERVAL = 15000;
+
+// Organiser's view of the board scheduler: the queue of ready tournament
+// games, dragged into the order they should be called, each optionally pinned
+// to a board such as the TV board, and the calls made so far
+const MatchQueue = () => {
+  const { socket } = useSocket();
+  const [schedule, setSchedule] = useState({ restMinutes: 0, boards: [], queue: [] });
+  const [calls, setCalls] = useState([]);
+  const [draggedId, setDraggedId] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchSchedule = async () => {
+    try {
+      const response = await fetch('/api/schedule');
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch the queue');
+      }
+
+      setSchedule(data);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchSchedule();
+    const intervalId = setInterval(fetchSchedule, REFRESH_INTERVAL);
+
+    return () => clearInterval(intervalId);
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleBoardCall = (call) => {
+      setCalls(prev => [{ ...call, calledAt: new Date() }, ...prev].slice(0, MAX_CALLS));
+      fetchSchedule();
+    };
+
+    socket.on('board:call', handleBoardCall);
+
+    return () => {
+      socket.off('board:call', handleBoardCall);
+    };
+  }, [socket]);
+
+  // Send a change to the scheduler, which calls any game it makes playable
+  const updateSchedule = async (url, method, body) => {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update the queue');
+      }
+
+      setSchedule(data);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+      fetchSchedule();
+    }
+  };
+
+  const handleDrop = (targetId) => {
+    if (!draggedId || draggedId === targetId) return;
+
+    const order = schedule.queue.map(game => game.id).filter(id => id !== draggedId);
+    order.splice(order.indexOf(targetId), 0, draggedId);
+
+    // Show the new order straight away
+    setSchedule(prev => ({ ...prev, queue: order.map(id => prev.queue.find(game => game.id === id)) }));
+    setDraggedId(null);
+    updateSchedule('/api/schedule/order', 'PUT', { gameIds: order });
+  };
+
+  const handlePin = (gameId, boardId) => {
+    updateSchedule(`/api/schedule/games/${gameId}/pin`, 'PATCH', { boardId: boardId ? parseInt(boardId, 10) : null });
+  };
+
+  const runNow = async () => {
+    try {
+      const response = await fetch('/api/schedule/run', { method: 'POST' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to run the scheduler');
+      }
+
+      fetchSchedule();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const getWaitReason = (game) => {
+    if (game.playerBusy) return 'Player on a board';
+    if (game.restedAt) return `Resting until ${new Date(game.restedAt).toLocaleTimeString()}`;
+    if (game.pinned_board_id) return `Waiting for board ${game.pinned_board_id}`;
+    return 'Waiting for a board';
+  };
+
+  return (
+    <div className={styles.matchQueue}>
+      <div className={styles.matchQueueHeader}>
+        <h2>Match Queue</h2>
+        <button type="button" onClick={runNow}>Call games now</button>
+      </div>
+      {error && <div className={styles.error}>{error}</div>}
+
+      {calls.length > 0 && (
+        <ul className={styles.boardCalls}>
+          {calls.map(call => (
+            <li key={`${call.gameId}-${call.calledAt.getTime()}`}>
+              <span>{call.calledAt.toLocaleTimeString()}</span> {call.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className={styles.queueBoards}>
+        {schedule.boards.map(board => (
+          <div key={board.id} className={`${styles.queueBoard} ${board.free ? styles.queueBoardFree : ''}`}>
+            <strong>{board.name}</strong>
+            <span>{board.game_id ? `Game #${board.game_id}` : board.free ? 'Free' : board.status}</span>
+          </div>
+        ))}
+      </div>
+
+      {schedule.queue.length === 0 ? (
+        <p>No games waiting for a board.</p>
+      ) : (
+        <ol className={styles.queueList}>
+          {schedule.queue.map(game => (
+            <li
+              key={game.id}
+              draggable
+              onDragStart={() => setDraggedId(game.id)}
+              onDragOver={e => e.preventDefault()}
+              onDrop={() => handleDrop(game.id)}
+              className={`${styles.queueItem} ${draggedId === game.id ? styles.queueItemDragging : ''}`}
+            >
+              <span className={styles.queueHandle} aria-hidden="true">⋮⋮</span>
+              <div className={styles.queueGame}>
+                <div>{game.players.map(player => player.name).join(' v ')}</div>
+                <div className={styles.queueDetails}>
+                  {game.tournament_name} · Game #{game.id} · {getWaitReason(game)}
+                </div>
+              </div>
+              <select
+                value={game.pinned_board_id || ''}
+                onChange={e => handlePin(game.id, e.target.value)}
+                aria-label="Pin to board"
+              >
+                <option value="">Any board</option>
+                {schedule.boards.map(board => (
+                  <option key={board.id} value={board.id}>Pin to {board.name}</option>
+                ))}
+              </select>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <p className={styles.queueDetails}>Players rest {schedule.restMinutes} minutes between games.</p>
+    </div>
+  );
+};
+
+export default MatchQueue;
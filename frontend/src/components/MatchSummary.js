@@ -59,6 +59,12 @@ const MatchSummary = ({ matchId }) => {
     return Number(value).toFixed(2);
   };
 
+  const DECIDED_BY_LABELS = {
+    two_clear: 'Won by two clear legs',
+    sudden_death: 'Decided by a sudden-death leg',
+    bull_off: 'Decided by bull-off'
+  };
+
   if (loading) {
     return (
       <div className={styles.loading}>
@@ -92,7 +98,15 @@ const MatchSummary = ({ matchId }) => {
   return (
     <div className={styles.matchSummary}>
       <div className={styles.header}>
-        <h2 className={styles.title}>Match Summary</h2>
+        <div>
+          <h2 className={styles.title}>Match Summary</h2>
+          {summaries[0].matchFormat && (
+            <div className={styles.matchFormat}>
+              {summaries[0].matchFormat}
+              {DECIDED_BY_LABELS[summaries[0].decidedBy] && ` · ${DECIDED_BY_LABELS[summaries[0].decidedBy]}`}
+            </div>
+          )}
+        </div>
         <button 
           onClick={refreshSummary} 
           className={styles.refreshButton}
@@ -123,7 +137,10 @@ const MatchSummary = ({ matchId }) => {
             {summaries.map(player => (
               <div key={player.playerId} className={styles.playerCard}>
                 <div className={styles.playerHeader}>
-                  <h3 className={styles.playerName}>{player.playerName}</h3>
+                  <h3 className={styles.playerName}>
+                    {player.playerName}
+                    {player.isWinner && <span className={styles.winnerBadge}>Winner</span>}
+                  </h3>
                   <div className={styles.playerResult}>
                     {player.legsWon}/{player.legsPlayed} legs
                   </div>
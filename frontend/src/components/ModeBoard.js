@@ -0,0 +1,37 @@
+import React from 'react';
+import CricketBoard from './CricketBoard';
+import AroundTheClockBoard from './AroundTheClockBoard';
+import ShanghaiBoard from './ShanghaiBoard';
+import KillerBoard from './KillerBoard';
+
+// Scoreboard renderer and display name of each game mode besides x01
+const MODES = {
+  cricket: { name: 'Cricket', Board: CricketBoard },
+  around_the_clock: { name: 'Around the Clock', Board: AroundTheClockBoard },
+  shanghai: { name: 'Shanghai', Board: ShanghaiBoard },
+  killer: { name: 'Killer', Board: KillerBoard }
+};
+
+// x01 has no board of its own; its players show their remaining score
+export const isX01 = mode => !MODES[mode];
+
+export const getModeName = match => {
+  if (match.mode === 'cricket' && match.settings?.cutThroat) return 'Cut-throat cricket';
+  return MODES[match.mode]?.name || match.mode;
+};
+
+const ModeBoard = ({ match, variant = 'game' }) => {
+  const mode = MODES[match.mode];
+  if (!mode) return null;
+
+  return (
+    <mode.Board
+      players={match.players}
+      settings={match.settings || {}}
+      cutThroat={!!match.settings?.cutThroat}
+      variant={variant}
+    />
+  );
+};
+
+export default ModeBoard;
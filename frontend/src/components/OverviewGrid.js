@@ -12,7 +12,10 @@ const OverviewGrid = ({ boards, matches }) => {
                                               match.state !== 'finished');
         
         return (
-          <div key={board.id} className={styles.boardCard}>
+          <div 
+            key={board.id} 
+            className={`${styles.boardCard} ${boardMatch && boardMatch.players.length > 2 ? styles.boardCardWide : ''}`}
+          >
             <div className={styles.boardHeader}>
               <h3 className={styles.boardName}>{board.name}</h3>
               <div className={`${styles.boardStatus} ${styles[board.status]}`}>
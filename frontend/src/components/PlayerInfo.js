@@ -1,7 +1,7 @@
 import React from 'react';
 import styles from '../styles/Components.module.css';
 
-const PlayerInfo = ({ player, isActive }) => {
+const PlayerInfo = ({ player, isActive, showSets = false }) => {
   if (!player) return null;
   
   return (
@@ -11,11 +11,23 @@ const PlayerInfo = ({ player, isActive }) => {
         {player.nickname && <span className={styles.playerNickname}>{player.nickname}</span>}
       </div>
       
+      {player.handicap && (
+        <div className={styles.playerHandicap}>Handicap: {player.handicap.description}</div>
+      )}
+      
       <div className={styles.scoreContainer}>
         <div className={styles.score}>{player.score}</div>
-        <div className={styles.legsWon}>
-          <span className={styles.legsLabel}>Legs:</span>
-          <span className={styles.legsValue}>{player.legsWon || 0}</span>
+        <div className={styles.matchCounts}>
+          {showSets && (
+            <div className={styles.legsWon}>
+              <span className={styles.legsLabel}>Sets:</span>
+              <span className={styles.legsValue}>{player.setsWon || 0}</span>
+            </div>
+          )}
+          <div className={styles.legsWon}>
+            <span className={styles.legsLabel}>Legs:</span>
+            <span className={styles.legsValue}>{player.legsWon || 0}</span>
+          </div>
         </div>
       </div>
       
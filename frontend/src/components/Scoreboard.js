@@ -3,12 +3,20 @@ import PlayerInfo from './PlayerInfo';
 import DartThrows from './DartThrows';
 import StatsPanel from './StatsPanel';
 import CheckoutSuggestion from './CheckoutSuggestion';
+import ModeBoard, { isX01, getModeName } from './ModeBoard';
 import styles from '../styles/Components.module.css';
 
 const Scoreboard = ({ match, minimal = false }) => {
   if (!match) return <div className={styles.loadingContainer}>Loading match data...</div>;
 
+  const teams = match.teams?.length > 0 ? match.teams : null;
+  const freeForAll = !teams && match.players.length > 2;
+  const playingSets = match.setsToWin > 0;
+  const format = playingSets
+    ? `Sets: ${match.setsToWin} of ${match.legsPerSet} legs - Set ${match.currentSet || 1}`
+    : `Legs: ${match.legsToWin}`;
   const activePlayer = match.players.find(p => p.isActive);
+  const getTeam = player => teams?.find(team => team.playerIds.includes(player.id));
   const dartsRemaining = activePlayer && activePlayer.currentTurn 
     ? 3 - activePlayer.currentTurn.length 
     : 3;
@@ -16,31 +24,42 @@ const Scoreboard = ({ match, minimal = false }) => {
   return (
     <div className={styles.scoreboardContainer}>
       <div className={styles.scoreboardHeader}>
-        <h2 className={styles.matchTitle}>{`${match.mode} Match - Legs: ${match.legsToWin}`}</h2>
+        <h2 className={styles.matchTitle}>
+          {`${getModeName(match)} Match - ${format}${freeForAll ? ` - ${match.players.length} players` : ''}${teams ? ` - ${teams.map(team => team.name).join(' vs ')}` : ''}`}
+        </h2>
         <div className={styles.matchState}>{match.state}</div>
       </div>
       
-      <div className={styles.playersGrid}>
+      <ModeBoard match={match} />
+      
+      {/* Team players are seated alternately, so each team fills a column */}
+      <div
+        className={`${styles.playersGrid} ${freeForAll ? styles.playersGridFreeForAll : ''}`}
+        style={teams ? { gridTemplateColumns: `repeat(${teams.length}, 1fr)` } : undefined}
+      >
         {match.players.map(player => (
           <div key={player.id} className={styles.playerColumn}>
+            {teams && <div className={styles.teamName}>{getTeam(player)?.name}</div>}
             <PlayerInfo 
               player={player} 
               isActive={player.id === (activePlayer?.id || null)} 
+              showSets={playingSets}
             />
             
             {!minimal && (
               <>
                 <DartThrows throws={[...player.history, ...player.currentTurn]} />
                 
-                {player.isActive && (
+                {player.isActive && isX01(match.mode) && (
                   <CheckoutSuggestion 
                     score={player.score} 
                     dartsRemaining={dartsRemaining}
                     showSuggestions={match.settings?.checkoutSuggestions}
+                    playerId={player.id}
                   />
                 )}
                 
-                <StatsPanel stats={player.stats} />
+                <StatsPanel stats={player.stats} mode={match.mode} />
               </>
             )}
           </div>
@@ -0,0 +1,43 @@
+import React from 'react';
+import componentStyles from '../styles/Components.module.css';
+import streamStyles from '../styles/Stream.module.css';
+
+const SHANGHAI_ROUNDS = 7;
+
+// Number a player aims at: the next one once their turn is over
+const targetOf = player => {
+  const turn = ((player.modeState && player.modeState.turn) || 0) +
+    (player.currentTurn && player.currentTurn.length > 0 ? 0 : 1);
+  return ((turn - 1) % 20) + 1;
+};
+
+const ShanghaiBoard = ({ players, settings = {}, variant = 'game' }) => {
+  const styles = variant === 'stream' ? streamStyles : componentStyles;
+  const rounds = settings.shanghaiRounds || SHANGHAI_ROUNDS;
+  const leader = Math.max(...players.map(player => player.score || 0));
+
+  return (
+    <table className={styles.modeBoard}>
+      <thead>
+        <tr>
+          <th>{`${rounds} rounds`}</th>
+          <th>Target</th>
+          <th>Pts</th>
+        </tr>
+      </thead>
+      <tbody>
+        {players.map(player => (
+          <tr key={player.id} className={player.isActive ? styles.modeActive : ''}>
+            <th>{player.name}</th>
+            <td className={styles.modeTarget}>{targetOf(player)}</td>
+            <td className={styles.modePoints}>
+              {player.score || 0}{leader > 0 && player.score === leader ? ' ★' : ''}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default ShanghaiBoard;
@@ -1,7 +1,27 @@
 import React from 'react';
 import styles from '../styles/Components.module.css';
 
-const StatsPanel = ({ stats = {} }) => {
+const StatsPanel = ({ stats = {}, mode }) => {
+  if (mode === 'cricket') {
+    return (
+      <div className={styles.statsPanel}>
+        <h3 className={styles.statsTitle}>Player Statistics</h3>
+        
+        <div className={styles.statsGrid}>
+          <div className={styles.statItem}>
+            <div className={styles.statLabel}>MPR</div>
+            <div className={styles.statValue}>{stats.marksPerRound ? stats.marksPerRound.toFixed(2) : '0.00'}</div>
+          </div>
+          
+          <div className={styles.statItem}>
+            <div className={styles.statLabel}>Darts/Leg</div>
+            <div className={styles.statValue}>{stats.dartsPerLeg || '0'}</div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className={styles.statsPanel}>
       <h3 className={styles.statsTitle}>Player Statistics</h3>
@@ -1,7 +1,14 @@
 import React from 'react';
+import ModeBoard, { isX01, getModeName } from './ModeBoard';
+import CheckoutSuggestion from './CheckoutSuggestion';
 import styles from '../styles/Stream.module.css';
 
-const StreamOverlay = ({ matches, minimal = true }) => {
+// Legs, and sets when playing sets, won by a player or team
+const formatLegsWon = (match, side) => (match.setsToWin > 0
+  ? `Sets: ${side.setsWon || 0}/${match.setsToWin} · Legs: ${side.legsWon || 0}/${match.legsPerSet}`
+  : `Legs: ${side.legsWon || 0}/${match.legsToWin}`);
+
+const StreamOverlay = ({ matches, minimal = true, showCheckout = false }) => {
   return (
     <div className={styles.streamContainer}>
       <div className={styles.streamGrid}>
@@ -9,42 +16,100 @@ const StreamOverlay = ({ matches, minimal = true }) => {
           <div key={match.id} className={styles.streamBoard}>
             <div className={styles.streamHeader}>
               <h3 className={styles.streamTitle}>Board {match.boardId}</h3>
-              <div className={styles.streamMode}>{match.mode}</div>
+              <div className={styles.streamMode}>
+                {getModeName(match)}
+              </div>
             </div>
             
-            <div className={styles.streamPlayers}>
-              {match.players.map(player => (
-                <div 
-                  key={player.id} 
-                  className={`${styles.streamPlayer} ${player.isActive ? styles.streamActive : ''}`}
-                >
-                  <div className={styles.streamPlayerHeader}>
-                    <div className={styles.streamPlayerName}>{player.name}</div>
-                    <div className={styles.streamLegsWon}>
-                      Legs: {player.legsWon || 0}/{match.legsToWin}
-                    </div>
-                  </div>
-                  
-                  <div className={styles.streamScore}>{player.score}</div>
+            <ModeBoard match={match} variant="stream" />
+            
+            {match.teams?.length > 0 ? (
+              <div className={styles.streamPlayers}>
+                {match.teams.map(team => {
+                  const teamPlayers = team.playerIds
+                    .map(playerId => match.players.find(player => player.id === playerId))
+                    .filter(Boolean);
                   
-                  <div className={styles.streamStats}>
-                    <div className={styles.streamStat}>
-                      <span className={styles.streamStatLabel}>AVG</span>
-                      <span className={styles.streamStatValue}>
-                        {player.stats?.avgScore ? player.stats.avgScore.toFixed(1) : '0.0'}
-                      </span>
+                  return (
+                    <div 
+                      key={team.id} 
+                      className={`${styles.streamPlayer} ${teamPlayers.some(player => player.isActive) ? styles.streamActive : ''}`}
+                    >
+                      <div className={styles.streamPlayerHeader}>
+                        <div className={styles.streamPlayerName}>{team.name}</div>
+                        <div className={styles.streamLegsWon}>{formatLegsWon(match, team)}</div>
+                      </div>
+                      
+                      <div className={styles.streamScore}>{team.score}</div>
+                      
+                      <div className={styles.streamTeamPlayers}>
+                        {teamPlayers.map(player => (
+                          <span 
+                            key={player.id} 
+                            className={player.isActive ? styles.streamTeamPlayerActive : ''}
+                          >
+                            {player.name}
+                          </span>
+                        ))}
+                      </div>
                     </div>
-                    
-                    <div className={styles.streamStat}>
-                      <span className={styles.streamStatLabel}>CO%</span>
-                      <span className={styles.streamStatValue}>
-                        {player.stats?.checkoutPercentage ? player.stats.checkoutPercentage.toFixed(0) : '0'}%
-                      </span>
+                  );
+                })}
+              </div>
+            ) : (
+              <div className={`${styles.streamPlayers} ${match.players.length > 2 ? styles.streamPlayersFreeForAll : ''}`}>
+                {match.players.map(player => (
+                  <div 
+                    key={player.id} 
+                    className={`${styles.streamPlayer} ${player.isActive ? styles.streamActive : ''}`}
+                  >
+                    <div className={styles.streamPlayerHeader}>
+                      <div className={styles.streamPlayerName}>{player.name}</div>
+                      <div className={styles.streamLegsWon}>{formatLegsWon(match, player)}</div>
                     </div>
+                    
+                    <div className={styles.streamScore}>{player.score}</div>
+                    
+                    {match.mode === 'cricket' ? (
+                      <div className={styles.streamStats}>
+                        <div className={styles.streamStat}>
+                          <span className={styles.streamStatLabel}>MPR</span>
+                          <span className={styles.streamStatValue}>
+                            {player.stats?.marksPerRound ? player.stats.marksPerRound.toFixed(2) : '0.00'}
+                          </span>
+                        </div>
+                      </div>
+                    ) : isX01(match.mode) && (
+                      <div className={styles.streamStats}>
+                        <div className={styles.streamStat}>
+                          <span className={styles.streamStatLabel}>AVG</span>
+                          <span className={styles.streamStatValue}>
+                            {player.stats?.avgScore ? player.stats.avgScore.toFixed(1) : '0.0'}
+                          </span>
+                        </div>
+                        
+                        <div className={styles.streamStat}>
+                          <span className={styles.streamStatLabel}>CO%</span>
+                          <span className={styles.streamStatValue}>
+                            {player.stats?.checkoutPercentage ? player.stats.checkoutPercentage.toFixed(0) : '0'}%
+                          </span>
+                        </div>
+                      </div>
+                    )}
+                    
+                    {showCheckout && player.isActive && isX01(match.mode) && (
+                      <CheckoutSuggestion
+                        score={player.score}
+                        dartsRemaining={3 - (player.currentTurn?.length || 0)}
+                        showSuggestions={match.settings?.checkoutSuggestions !== false}
+                        playerId={player.id}
+                        variant="stream"
+                      />
+                    )}
                   </div>
-                </div>
-              ))}
-            </div>
+                ))}
+              </div>
+            )}
           </div>
         ))}
       </div>
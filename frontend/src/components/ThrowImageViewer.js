@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import styles from '../styles/AdminOverride.module.css';
+
+const ThrowImageViewer = ({ matchId, throwId }) => {
+  const [images, setImages] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [selectedImage, setSelectedImage] = useState(null);
+  
+  useEffect(() => {
+    setImages([]);
+    setSelectedImage(null);
+    
+    if (matchId && throwId) {
+      fetchImages(false);
+    }
+  }, [matchId, throwId]);
+  
+  // Load stored images, or ask the board for them again when refreshing
+  const fetchImages = async (refresh) => {
+    setLoading(true);
+    setError('');
+    
+    try {
+      const response = await fetch(
+        `/api/games/${matchId}/throws/${throwId}/images${refresh ? '?refresh=true' : ''}`
+      );
+      
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load camera images');
+      }
+      
+      setImages(data.images || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  if (!throwId) return null;
+  
+  return (
+    <div className={styles.imageViewer}>
+      <div className={styles.imageViewerHeader}>
+        <label>Board Camera Images:</label>
+        <button
+          className={styles.refreshButton}
+          onClick={() => fetchImages(true)}
+          disabled={loading}
+        >
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+      
+      {error && <div className={styles.error}>{error}</div>}
+      
+      {!loading && !error && images.length === 0 && (
+        <div className={styles.noImages}>No camera images available for this throw</div>
+      )}
+      
+      <div className={styles.thumbnails}>
+        {images.map(image => (
+          <img
+            key={image.camera}
+            src={image.image}
+            alt={`Camera ${image.camera + 1}`}
+            className={`${styles.thumbnail} ${selectedImage === image ? styles.selectedThumbnail : ''}`}
+            onClick={() => setSelectedImage(selectedImage === image ? null : image)}
+          />
+        ))}
+      </div>
+      
+      {selectedImage && (
+        <img
+          src={selectedImage.image}
+          alt={`Camera ${selectedImage.camera + 1}`}
+          className={styles.fullImage}
+          onClick={() => setSelectedImage(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ThrowImageViewer;
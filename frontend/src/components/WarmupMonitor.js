@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { useSocket } from '../context/SocketContext';
+import styles from '../styles/Components.module.css';
+
+// Scatter of one player's warmup darts; 200 mm either side of the bull
+const WarmupScatter = ({ darts, grouping }) => (
+  <svg className={styles.warmupScatter} viewBox="-200 -200 400 400" aria-hidden="true">
+    <circle r="170" fill="#2b2b2b" />
+    <circle r="107" fill="none" stroke="#555" strokeWidth="8" />
+    <circle r="15.9" fill="#1e8449" />
+    <circle r="6.35" fill="#c0392b" />
+    {darts.filter(dart => dart.x !== null).map(dart => (
+      <circle key={dart.id} cx={dart.x} cy={-dart.y} r="6" className={styles.heatmapDart} />
+    ))}
+    {grouping.centroid && (
+      <circle
+        cx={grouping.centroid.x}
+        cy={-grouping.centroid.y}
+        r={grouping.spread}
+        className={styles.heatmapSpread}
+      />
+    )}
+  </svg>
+);
+
+const WarmupMonitor = () => {
+  const { socket } = useSocket();
+  const [warmups, setWarmups] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchWarmups();
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleWarmupThrow = (data) => {
+      fetchWarmup(data.matchId);
+    };
+
+    const handleWarmupComplete = (data) => {
+      setWarmups(prev => prev.filter(warmup => warmup.matchId !== data.matchId));
+    };
+
+    // A game can be put into warmup from anywhere, so recheck the list
+    const handleGameUpdated = (match) => {
+      if (match && match.state === 'warmup') {
+        fetchWarmups();
+      }
+    };
+
+    socket.on('warmup:throw', handleWarmupThrow);
+    socket.on('warmup:complete', handleWarmupComplete);
+    socket.on('game:updated', handleGameUpdated);
+
+    return () => {
+      socket.off('warmup:throw', handleWarmupThrow);
+      socket.off('warmup:complete', handleWarmupComplete);
+      socket.off('game:updated', handleGameUpdated);
+    };
+  }, [socket]);
+
+  const loadWarmup = async (match) => {
+    const response = await fetch(`/api/games/${match.id}/warmup`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to fetch warmup');
+    }
+
+    return { ...data, boardName: match.board ? match.board.name : 'Board' };
+  };
+
+  const fetchWarmups = async () => {
+    setError('');
+
+    try {
+      const response = await fetch('/api/games/active');
+      const matches = await response.json();
+
+      if (!response.ok) {
+        throw new Error(matches.message || 'Failed to fetch active games');
+      }
+
+      const inWarmup = matches.filter(match => match.state === 'warmup');
+      setWarmups(await Promise.all(inWarmup.map(loadWarmup)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Refresh one game after a warmup dart, keeping the board name from the list
+  const fetchWarmup = async (matchId) => {
+    try {
+      const updated = await loadWarmup({ id: matchId });
+
+      setWarmups(prev => {
+        const known = prev.find(warmup => warmup.matchId === matchId);
+        if (!known) return [...prev, updated];
+
+        return prev.map(warmup => (
+          warmup.matchId === matchId ? { ...updated, boardName: known.boardName } : warmup
+        ));
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const endWarmup = async (matchId) => {
+    try {
+      const response = await fetch(`/api/games/${matchId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ state: 'active' })
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || 'Failed to end warmup');
+      }
+
+      setWarmups(prev => prev.filter(warmup => warmup.matchId !== matchId));
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  if (warmups.length === 0 && !error) return null;
+
+  return (
+    <div className={styles.warmupMonitor}>
+      <h2>Warmup</h2>
+      {error && <div className={styles.error}>{error}</div>}
+
+      {warmups.map(warmup => (
+        <div key={warmup.matchId} className={styles.warmupMatch}>
+          <div className={styles.warmupHeader}>
+            <span>{warmup.boardName} - Game #{warmup.matchId}</span>
+            <button onClick={() => endWarmup(warmup.matchId)}>End Warmup</button>
+          </div>
+
+          <div className={styles.warmupPlayers}>
+            {warmup.players.map(player => (
+              <div key={player.playerId} className={styles.warmupPlayer}>
+                <WarmupScatter darts={player.darts} grouping={player.grouping} />
+                <div className={styles.detailsSection}>
+                  <span className={styles.detailLabel}>{player.name}:</span>
+                  <span className={styles.detailValue}>
+                    {player.dartsThrown}/{player.limit}{player.finished && ' done'}
+                  </span>
+                </div>
+                <div className={styles.detailsSection}>
+                  <span className={styles.detailLabel}>Spread:</span>
+                  <span className={styles.detailValue}>
+                    {player.grouping.spread !== null ? `${player.grouping.spread.toFixed(1)} mm` : '-'}
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default WarmupMonitor;
@@ -6,11 +6,14 @@ import { useSocket } from '../context/SocketContext';
 import SocketConnectionStatus from '../components/SocketConnectionStatus';
 import styles from '../styles/Admin.module.css';
 import HistoricalSummaries from '../components/HistoricalSummaries';
+import WarmupMonitor from '../components/WarmupMonitor';
+import MatchQueue from '../components/MatchQueue';
 
 // Tabs for different admin sections
 const AdminTabs = ({ activeTab, setActiveTab }) => {
   const tabs = [
     { id: 'boards', label: 'Dart Boards' },
+    { id: 'queue', label: 'Match Queue' },
     { id: 'settings', label: 'Configuration' },
     { id: 'history', label: 'Match History' },
     { id: 'players', label: 'Players' }
@@ -135,6 +138,23 @@ const AddBoardForm = ({ onBoardAdded }) => {
   );
 };
 
+// Connection state, last close code and next retry time for a board
+const ConnectionDetails = ({ connection }) => {
+  if (!connection) return null;
+  
+  const details = [connection.state.replace(/_/g, ' ')];
+  
+  if (connection.lastCloseCode) {
+    details.push(`last close ${connection.lastCloseCode}${connection.lastCloseReason ? ` (${connection.lastCloseReason})` : ''}`);
+  }
+  
+  if (connection.nextRetryAt) {
+    details.push(`retry at ${new Date(connection.nextRetryAt).toLocaleTimeString()}`);
+  }
+  
+  return <div className={styles.connectionDetails}>{details.join(' · ')}</div>;
+};
+
 // Component for board list and management
 const BoardsManagement = ({ boards, onBoardConnected, onBoardDisconnected, onBoardDeleted, onBoardEdit }) => {
   const connectBoard = async (boardId) => {
@@ -175,6 +195,24 @@ const BoardsManagement = ({ boards, onBoardConnected, onBoardDisconnected, onBoa
     }
   };
   
+  const sendBoardCommand = async (boardId, command) => {
+    try {
+      const response = await fetch(`/api/boards/${boardId}/commands/${command}`, {
+        method: 'POST',
+      });
+      
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Board command failed');
+      }
+      
+      alert(`${data.command} acknowledged${data.result && Object.keys(data.result).length > 0 ? `: ${JSON.stringify(data.result)}` : ''}`);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+  
   const deleteBoard = async (boardId) => {
     if (!confirm('Are you sure you want to delete this board?')) {
       return;
@@ -223,16 +261,43 @@ const BoardsManagement = ({ boards, onBoardConnected, onBoardDisconnected, onBoa
                   <span className={`${styles.statusBadge} ${styles[board.status]}`}>
                     {board.status}
                   </span>
+                  <ConnectionDetails connection={board.connection} />
                 </td>
                 <td>{board.last_seen ? new Date(board.last_seen).toLocaleString() : 'Never'}</td>
                 <td className={styles.actions}>
                   {board.status === 'online' ? (
-                    <button 
-                      onClick={() => disconnectBoard(board.id)}
-                      className={styles.disconnectButton}
-                    >
-                      Disconnect
-                    </button>
+                    <>
+                      <button 
+                        onClick={() => disconnectBoard(board.id)}
+                        className={styles.disconnectButton}
+                      >
+                        Disconnect
+                      </button>
+                      <button 
+                        onClick={() => sendBoardCommand(board.id, 'recalibrate')}
+                        className={styles.commandButton}
+                      >
+                        Recalibrate
+                      </button>
+                      <button 
+                        onClick={() => sendBoardCommand(board.id, 'reset-phase')}
+                        className={styles.commandButton}
+                      >
+                        Reset Phase
+                      </button>
+                      <button 
+                        onClick={() => sendBoardCommand(board.id, 'get-sbc-status')}
+                        className={styles.commandButton}
+                      >
+                        Status
+                      </button>
+                      <button 
+                        onClick={() => sendBoardCommand(board.id, 'get-sbc-configuration')}
+                        className={styles.commandButton}
+                      >
+                        Configuration
+                      </button>
+                    </>
                   ) : (
                     <button 
                       onClick={() => connectBoard(board.id)}
@@ -330,7 +395,20 @@ const ConfigurationSettings = () => {
         startingScore: 501,
         doubleIn: false,
         doubleOut: true,
-        masterOut: false
+        masterOut: false,
+        bullOff: false,
+        warmup: false,
+        warmupDarts: 9
+      },
+      cricket: {
+        cutThroat: false
+      },
+      matchRules: {
+        format: 'first_to',
+        legs: 3,
+        twoClear: false,
+        suddenDeathAt: 0,
+        tieBreak: 'leg'
       }
     },
     refresh_interval: 5000,
@@ -456,6 +534,58 @@ const ConfigurationSettings = () => {
     }));
   };
 
+  const handleBullOffChange = (checked) => {
+    setSettings(prev => ({
+      ...prev,
+      game_defaults: {
+        ...prev.game_defaults,
+        x01: {
+          ...prev.game_defaults.x01,
+          bullOff: checked
+        }
+      }
+    }));
+  };
+
+  const handleWarmupChange = (key, value) => {
+    setSettings(prev => ({
+      ...prev,
+      game_defaults: {
+        ...prev.game_defaults,
+        x01: {
+          ...prev.game_defaults.x01,
+          [key]: value
+        }
+      }
+    }));
+  };
+
+  const handleCutThroatChange = (checked) => {
+    setSettings(prev => ({
+      ...prev,
+      game_defaults: {
+        ...prev.game_defaults,
+        cricket: {
+          ...prev.game_defaults.cricket,
+          cutThroat: checked
+        }
+      }
+    }));
+  };
+
+  const handleMatchRulesChange = (key, value) => {
+    setSettings(prev => ({
+      ...prev,
+      game_defaults: {
+        ...prev.game_defaults,
+        matchRules: {
+          ...prev.game_defaults.matchRules,
+          [key]: value
+        }
+      }
+    }));
+  };
+
   const handleRefreshIntervalChange = (value) => {
     setSettings(prev => ({
       ...prev,
@@ -474,6 +604,16 @@ const ConfigurationSettings = () => {
     return <div className={styles.loading}>Loading settings...</div>;
   }
 
+  // Settings saved before match rules existed have none
+  const matchRules = {
+    format: 'first_to',
+    legs: 3,
+    twoClear: false,
+    suddenDeathAt: 0,
+    tieBreak: 'leg',
+    ...settings.game_defaults.matchRules
+  };
+
   return (
     <div className={styles.settingsContainer}>
       <h2>Application Settings</h2>
@@ -520,6 +660,108 @@ const ConfigurationSettings = () => {
             <option value="master">Master Out</option>
           </select>
         </div>
+        
+        <div className={styles.settingRow}>
+          <label>Throw for Bull:</label>
+          <input 
+            type="checkbox" 
+            checked={!!settings.game_defaults.x01.bullOff} 
+            onChange={(e) => handleBullOffChange(e.target.checked)}
+          />
+        </div>
+        
+        <div className={styles.settingRow}>
+          <label>Warmup:</label>
+          <input 
+            type="checkbox" 
+            checked={!!settings.game_defaults.x01.warmup} 
+            onChange={(e) => handleWarmupChange('warmup', e.target.checked)}
+          />
+        </div>
+        
+        <div className={styles.settingRow}>
+          <label>Warmup Darts per Player:</label>
+          <input 
+            type="number" 
+            min="3" 
+            max="30" 
+            step="3" 
+            value={settings.game_defaults.x01.warmupDarts || 9} 
+            disabled={!settings.game_defaults.x01.warmup}
+            onChange={(e) => handleWarmupChange('warmupDarts', Number(e.target.value))}
+          />
+        </div>
+      </div>
+      
+      <div className={styles.settingsGroup}>
+        <h3>Game Defaults (Cricket)</h3>
+        
+        <div className={styles.settingRow}>
+          <label>Cut-throat:</label>
+          <input 
+            type="checkbox" 
+            checked={!!(settings.game_defaults.cricket && settings.game_defaults.cricket.cutThroat)} 
+            onChange={(e) => handleCutThroatChange(e.target.checked)}
+          />
+        </div>
+      </div>
+      
+      <div className={styles.settingsGroup}>
+        <h3>Match Rules</h3>
+        
+        <div className={styles.settingRow}>
+          <label>Format:</label>
+          <select 
+            value={matchRules.format} 
+            onChange={(e) => handleMatchRulesChange('format', e.target.value)}
+          >
+            <option value="first_to">First to</option>
+            <option value="best_of">Best of</option>
+          </select>
+        </div>
+        
+        <div className={styles.settingRow}>
+          <label>Legs:</label>
+          <input 
+            type="number" 
+            min="1" 
+            max="21" 
+            value={matchRules.legs} 
+            onChange={(e) => handleMatchRulesChange('legs', Number(e.target.value))}
+          />
+        </div>
+        
+        <div className={styles.settingRow}>
+          <label>Two Clear Legs:</label>
+          <input 
+            type="checkbox" 
+            checked={!!matchRules.twoClear} 
+            onChange={(e) => handleMatchRulesChange('twoClear', e.target.checked)}
+          />
+        </div>
+        
+        <div className={styles.settingRow}>
+          <label>Tie-break at (legs each, 0 = never):</label>
+          <input 
+            type="number" 
+            min="0" 
+            max="21" 
+            value={matchRules.suddenDeathAt} 
+            disabled={!matchRules.twoClear}
+            onChange={(e) => handleMatchRulesChange('suddenDeathAt', Number(e.target.value))}
+          />
+        </div>
+        
+        <div className={styles.settingRow}>
+          <label>Tie-break:</label>
+          <select 
+            value={matchRules.tieBreak} 
+            onChange={(e) => handleMatchRulesChange('tieBreak', e.target.value)}
+          >
+            <option value="leg">Sudden-death leg</option>
+            <option value="bull">Bull-off</option>
+          </select>
+        </div>
       </div>
       
       <div className={styles.settingsGroup}>
@@ -821,6 +1063,14 @@ export default function AdminPage() {
                 onBoardEdit={handleBoardEdit}
               />
             )}
+            
+            <WarmupMonitor />
+          </div>
+        )}
+        
+        {activeTab === 'queue' && (
+          <div className={styles.grid}>
+            <MatchQueue />
           </div>
         )}
         
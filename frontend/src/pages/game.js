@@ -6,6 +6,7 @@ import { useSocket } from '../context/SocketContext';
 import Scoreboard from '../components/Scoreboard';
 import LoadingSpinner from '../components/LoadingSpinner';
 import AdminOverridePanel from '../components/AdminOverridePanel';
+import BullOff from '../components/BullOff';
 import styles from '../styles/Game.module.css';
 
 export default function GamePage() {
@@ -18,6 +19,9 @@ export default function GamePage() {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [showOverridePanel, setShowOverridePanel] = useState(false);
+  const [boardPhase, setBoardPhase] = useState(null);
+  const [newMatchMode, setNewMatchMode] = useState('x01');
+  const [newMatchSets, setNewMatchSets] = useState(0);
   
   // Fetch match data on component mount and when IDs change
   useEffect(() => {
@@ -28,6 +32,23 @@ export default function GamePage() {
     }
   }, [boardId, matchId]);
   
+  // Track the board phase so players know when to pull their darts
+  useEffect(() => {
+    if (!socket || !boardId) return;
+    
+    const handleBoardPhase = (data) => {
+      if (data.boardId === parseInt(boardId)) {
+        setBoardPhase(data.phase);
+      }
+    };
+    
+    socket.on('board:phase', handleBoardPhase);
+    
+    return () => {
+      socket.off('board:phase', handleBoardPhase);
+    };
+  }, [socket, boardId]);
+  
   // Set up socket listeners for real-time updates
   useEffect(() => {
     if (!socket || !matchId) return;
@@ -181,10 +202,12 @@ export default function GamePage() {
         },
         body: JSON.stringify({
           boardId: parseInt(boardId),
-          mode: 'x01',
+          mode: newMatchMode,
           players: selectedPlayers,
           legsToWin: 3,
-          settings: settings.game_defaults.x01
+          setsToWin: newMatchSets,
+          legsPerSet: 3,
+          settings: settings.game_defaults[newMatchMode] || {}
         }),
       });
       
@@ -309,6 +332,14 @@ export default function GamePage() {
         
         {match ? (
           <>
+            {boardPhase === 'Takeout' && (
+              <div className={styles.takeoutBanner}>
+                Remove darts
+              </div>
+            )}
+            
+            <BullOff matchId={match.id} />
+            
             {showOverridePanel && (
               <AdminOverridePanel 
                 matchId={match.id} 
@@ -346,13 +377,36 @@ export default function GamePage() {
           <div className={styles.noMatch}>
             <h2>No Active Match</h2>
             {board && board.status === 'online' && (
-              <button 
-                onClick={startNewMatch}
-                className={styles.startButton}
-                disabled={isLoading}
-              >
-                Start New Match
-              </button>
+              <>
+                <select
+                  value={newMatchMode}
+                  onChange={(e) => setNewMatchMode(e.target.value)}
+                  className={styles.modeSelect}
+                >
+                  <option value="x01">x01</option>
+                  <option value="cricket">Cricket</option>
+                  <option value="around_the_clock">Around the Clock</option>
+                  <option value="shanghai">Shanghai</option>
+                  <option value="killer">Killer</option>
+                </select>
+                <select
+                  value={newMatchSets}
+                  onChange={(e) => setNewMatchSets(parseInt(e.target.value, 10))}
+                  className={styles.modeSelect}
+                >
+                  <option value={0}>First to 3 legs</option>
+                  <option value={2}>First to 2 sets</option>
+                  <option value={3}>First to 3 sets</option>
+                  <option value={4}>First to 4 sets</option>
+                </select>
+                <button 
+                  onClick={startNewMatch}
+                  className={styles.startButton}
+                  disabled={isLoading}
+                >
+                  Start New Match
+                </button>
+              </>
             )}
             {board && board.status !== 'online' && (
               <div className={styles.offlineWarning}>
@@ -3,6 +3,7 @@ import { useRouter } from 'next/router';
 import Head from 'next/head';
 import Link from 'next/link';
 import { useSocket } from '../../context/SocketContext';
+import ModeBoard, { isX01, getModeName } from '../../components/ModeBoard';
 
 export default function GamePage() {
   const router = useRouter();
@@ -193,46 +194,59 @@ export default function GamePage() {
     </div>
   );
   
+  // In team play teammates share one score; each team's first player throws for bull
+  const getTeam = player => (gameState.teams || []).find(team => team.id === player.team);
+  const isBullThrower = player => !getTeam(player) || getTeam(player).playerIds[0] === player.id;
+  
   const renderBullThrow = () => (
     <div className="bg-white shadow-md rounded-lg p-6 mb-6">
       <h2 className="text-xl font-bold mb-4">Throw for Bull</h2>
       <p className="mb-4">Players should throw for bull to determine who starts.</p>
       <div className="grid grid-cols-2 gap-4">
-        <button 
-          onClick={() => handleSetBullWinner(gameState.game.player1_id)}
-          className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded"
-        >
-          {gameState.player1.name} Wins Bull
-        </button>
-        <button 
-          onClick={() => handleSetBullWinner(gameState.game.player2_id)}
-          className="bg-red-500 hover:bg-red-600 text-white py-2 px-4 rounded"
-        >
-          {gameState.player2.name} Wins Bull
-        </button>
+        {gameState.players.filter(isBullThrower).map(player => (
+          <button 
+            key={player.id}
+            onClick={() => handleSetBullWinner(player.id)}
+            className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded"
+          >
+            {getTeam(player) ? getTeam(player).name : player.name} Wins Bull
+          </button>
+        ))}
       </div>
     </div>
   );
   
+  const currentPlayer = gameState?.players?.find(player => player.isActive);
+  
   const renderActiveGame = () => (
     <div>
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
         {/* Scoreboard */}
         <div className="bg-white shadow-md rounded-lg p-6">
           <h2 className="text-xl font-bold mb-4">Scoreboard</h2>
-          <div className="grid grid-cols-2 gap-4 mb-6">
-            <div className={`p-4 rounded-lg ${gameState.game.current_player === gameState.player1.id ? 'bg-blue-100 border-2 border-blue-500' : 'bg-gray-100'}`}>
-              <div className="font-bold text-lg">{gameState.player1.name}</div>
-              <div className="text-3xl font-bold">{gameState.game.player1_legs}</div>
-              <div className="text-2xl">{gameState.game.current_leg_player1_score}</div>
-            </div>
-            <div className={`p-4 rounded-lg ${gameState.game.current_player === gameState.player2.id ? 'bg-red-100 border-2 border-red-500' : 'bg-gray-100'}`}>
-              <div className="font-bold text-lg">{gameState.player2.name}</div>
-              <div className="text-3xl font-bold">{gameState.game.player2_legs}</div>
-              <div className="text-2xl">{gameState.game.current_leg_player2_score}</div>
-            </div>
+          <div className={`grid ${gameState.players.length > 2 ? 'grid-cols-2 lg:grid-cols-4' : 'grid-cols-2'} gap-4 mb-6`}>
+            {gameState.players.map(player => (
+              <div key={player.id} className={`p-4 rounded-lg ${player.isActive ? 'bg-blue-100 border-2 border-blue-500' : 'bg-gray-100'}`}>
+                <div className="font-bold text-lg">{player.name}</div>
+                {getTeam(player) && (
+                  <div className="text-xs text-gray-500">{getTeam(player).name}</div>
+                )}
+                {player.handicap && (
+                  <div className="text-xs text-gray-500">Handicap: {player.handicap.description}</div>
+                )}
+                <div className="text-3xl font-bold">{player.legsWon}</div>
+                <div className="text-2xl">{player.score}</div>
+              </div>
+            ))}
           </div>
+          {/* Marks, targets or lives of the modes besides x01 */}
+          {!isX01(gameState.mode) && (
+            <div className="mb-6">
+              <ModeBoard match={gameState} />
+            </div>
+          )}
           <div className="text-sm text-gray-600">
+            <p>{getModeName(gameState)}</p>
             <p>First to {gameState.game.legs_required} legs</p>
             <p>Current leg: {gameState.currentLeg?.leg_number || 1}</p>
           </div>
@@ -243,14 +257,11 @@ export default function GamePage() {
           <h2 className="text-xl font-bold mb-4">Input Score</h2>
           <div className="mb-4">
             <p className="text-lg font-medium mb-2">
-              Current Player: {gameState.game.current_player === gameState.player1.id 
-                ? gameState.player1.name 
-                : gameState.player2.name}
+              Current Player: {currentPlayer?.name}
+              {currentPlayer && getTeam(currentPlayer) && ` (${getTeam(currentPlayer).name})`}
             </p>
             <p className="text-sm text-gray-600 mb-4">
-              Remaining: {gameState.game.current_player === gameState.player1.id 
-                ? gameState.game.current_leg_player1_score 
-                : gameState.game.current_leg_player2_score}
+              {isX01(gameState.mode) ? 'Remaining' : 'Score'}: {currentPlayer?.score}
             </p>
           </div>
           
@@ -317,7 +328,7 @@ export default function GamePage() {
                 {gameState.throws.map((t, index) => (
                   <tr key={t.id || index}>
                     <td className="px-4 py-2 whitespace-nowrap">
-                      {t.player_id === gameState.player1.id ? gameState.player1.name : gameState.player2.name}
+                      {gameState.players.find(player => player.id === t.player_id)?.name}
                     </td>
                     <td className="px-4 py-2 whitespace-nowrap">
                       {t.score} {t.is_bust ? '(BUST)' : ''}
@@ -368,7 +379,7 @@ export default function GamePage() {
         <>
           <div className="bg-white shadow-md rounded-lg p-6 mb-6">
             <h1 className="text-2xl font-bold mb-2">
-              Game #{id}: {gameState.player1.name} vs {gameState.player2.name}
+              Game #{id}: {(gameState.teams && gameState.teams.length > 0 ? gameState.teams : gameState.players).map(side => side.name).join(' vs ')}
             </h1>
             <div className="text-sm text-gray-600 mb-2">
               Status: <span className="font-medium">{gameState.game.status}</span>
@@ -390,13 +401,11 @@ export default function GamePage() {
               <h2 className="text-xl font-bold mb-4">Game Completed</h2>
               <p className="text-lg mb-4">
                 Winner: <span className="font-bold">
-                  {gameState.game.player1_legs >= gameState.game.legs_required 
-                    ? gameState.player1.name 
-                    : gameState.player2.name}
+                  {gameState.players.find(player => player.id === gameState.game.winner_id)?.name}
                 </span>
               </p>
               <div className="text-lg">
-                Final Score: {gameState.game.player1_legs} - {gameState.game.player2_legs}
+                Final Score: {gameState.players.map(player => (gameState.game.sets_to_win > 0 ? player.setsWon : player.legsWon)).join(' - ')}
               </div>
             </div>
           )}
@@ -3,6 +3,23 @@ import { useRouter } from 'next/router';
 import Head from 'next/head';
 import Link from 'next/link';
 
+// Free-for-all games seat 2 to 8 players
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 8;
+
+const X01_MODES = ['501', '301', '701'];
+
+// Team play splits the seats into two teams that throw alternately: A1, B1, A2, B2
+const TEAM_COUNT = 2;
+
+const GAME_MODES = [
+  ...X01_MODES.map(mode => ({ value: mode, label: mode })),
+  { value: 'cricket', label: 'Cricket' },
+  { value: 'around_the_clock', label: 'Around the Clock' },
+  { value: 'shanghai', label: 'Shanghai' },
+  { value: 'killer', label: 'Killer' }
+];
+
 export default function NewGame() {
   const router = useRouter();
   const [players, setPlayers] = useState([]);
@@ -10,13 +27,25 @@ export default function NewGame() {
   const [tournaments, setTournaments] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [autoHandicaps, setAutoHandicaps] = useState({});
   
   const [formData, setFormData] = useState({
-    player1Id: '',
-    player2Id: '',
+    playerIds: ['', ''],
     boardId: '',
     tournamentId: '',
-    legsRequired: 3
+    gameMode: '501',
+    cutThroat: false,
+    shanghaiRounds: 7,
+    killerLives: 3,
+    teamPlay: false,
+    teamNames: ['', ''],
+    legsRequired: 3,
+    format: 'first_to',
+    twoClear: false,
+    suddenDeathAt: 0,
+    tieBreak: 'leg',
+    handicap: 'none', // 'none', 'manual' or 'auto'
+    handicaps: {} // { [playerId]: { startingScore, legs } }
   });
   
   // Fetch players, boards, and tournaments
@@ -25,10 +54,11 @@ export default function NewGame() {
       try {
         setIsLoading(true);
         
-        const [playersResponse, boardsResponse, tournamentsResponse] = await Promise.all([
+        const [playersResponse, boardsResponse, tournamentsResponse, settingsResponse] = await Promise.all([
           fetch('/api/players'),
           fetch('/api/games/boards'), // Adjust if your API is different
-          fetch('/api/tournaments?status=active')
+          fetch('/api/tournaments?status=active'),
+          fetch('/api/settings')
         ]);
         
         if (!playersResponse.ok) {
@@ -49,6 +79,23 @@ export default function NewGame() {
           setTournaments(tournamentsData);
         }
         
+        // Start from the match rules configured in the admin settings
+        if (settingsResponse.ok) {
+          const settingsData = await settingsResponse.json();
+          const matchRules = settingsData.game_defaults?.matchRules;
+          
+          if (matchRules) {
+            setFormData(prev => ({
+              ...prev,
+              legsRequired: matchRules.legs || prev.legsRequired,
+              format: matchRules.format || prev.format,
+              twoClear: !!matchRules.twoClear,
+              suddenDeathAt: matchRules.suddenDeathAt || 0,
+              tieBreak: matchRules.tieBreak || prev.tieBreak
+            }));
+          }
+        }
+        
         setError(null);
       } catch (err) {
         console.error('Error fetching data:', err);
@@ -61,12 +108,81 @@ export default function NewGame() {
     fetchData();
   }, []);
   
+  // Preview the automatic handicap once every seat is filled
+  useEffect(() => {
+    if (formData.handicap !== 'auto' || formData.playerIds.some(id => !id)) {
+      setAutoHandicaps({});
+      return;
+    }
+    
+    const fetchHandicaps = async () => {
+      try {
+        const response = await fetch(`/api/games/handicaps?playerIds=${formData.playerIds.join(',')}`);
+        if (response.ok) {
+          setAutoHandicaps(await response.json());
+        }
+      } catch (err) {
+        console.error('Error fetching handicaps:', err);
+      }
+    };
+    
+    fetchHandicaps();
+  }, [formData.handicap, formData.playerIds]);
+  
   // Handle form input changes
   const handleInputChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
+    let fieldValue = value;
+    
+    if (type === 'checkbox') {
+      fieldValue = checked;
+    } else if (['legsRequired', 'suddenDeathAt', 'shanghaiRounds', 'killerLives'].includes(name)) {
+      fieldValue = parseInt(value, 10) || 0;
+    }
+    
+    setFormData(prev => ({
+      ...prev,
+      [name]: fieldValue
+    }));
+  };
+  
+  // Change the player in a seat
+  const handlePlayerChange = (index, value) => {
+    setFormData(prev => ({
+      ...prev,
+      playerIds: prev.playerIds.map((id, i) => (i === index ? value : id))
+    }));
+  };
+  
+  const addPlayer = () => {
+    setFormData(prev => ({ ...prev, playerIds: [...prev.playerIds, ''] }));
+  };
+  
+  const removePlayer = (index) => {
+    setFormData(prev => ({ ...prev, playerIds: prev.playerIds.filter((_, i) => i !== index) }));
+  };
+  
+  const handleTeamNameChange = (team, value) => {
     setFormData(prev => ({
       ...prev,
-      [name]: name === 'legsRequired' ? parseInt(value, 10) : value
+      teamNames: prev.teamNames.map((name, i) => (i === team ? value : name))
+    }));
+  };
+  
+  // In team play a seat belongs to the team it alternates for
+  const getTeamName = team => formData.teamNames[team] || `Team ${team + 1}`;
+  const getSeatLabel = index => (formData.teamPlay
+    ? `${getTeamName(index % TEAM_COUNT)} Player ${Math.floor(index / TEAM_COUNT) + 1}`
+    : `Player ${index + 1}`);
+  
+  // Change a player's starting score or head start of legs
+  const handleHandicapChange = (playerId, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      handicaps: {
+        ...prev.handicaps,
+        [playerId]: { ...prev.handicaps[playerId], [field]: parseInt(value, 10) || 0 }
+      }
     }));
   };
   
@@ -76,23 +192,44 @@ export default function NewGame() {
     
     try {
       // Validate form
-      if (!formData.player1Id || !formData.player2Id) {
-        setError('Please select both players');
+      if (formData.playerIds.some(id => !id)) {
+        setError('Please select a player for every seat');
         return;
       }
       
-      if (formData.player1Id === formData.player2Id) {
+      if (new Set(formData.playerIds).size !== formData.playerIds.length) {
         setError('Please select different players');
         return;
       }
       
-      // Submit the form
+      if (formData.teamPlay && formData.playerIds.length % TEAM_COUNT !== 0) {
+        setError('Teams must have the same number of players');
+        return;
+      }
+      
+      // Submit the form; each mode is sent only the settings it plays with
+      const { handicap, handicaps, cutThroat, shanghaiRounds, killerLives, teamPlay, teamNames, ...gameData } = formData;
+      const playerIds = formData.playerIds.map(id => parseInt(id, 10));
+      const modeSettings = {
+        cricket: { cutThroat },
+        shanghai: { shanghaiRounds },
+        killer: { killerLives }
+      }[formData.gameMode] || {};
       const response = await fetch('/api/games', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(formData)
+        body: JSON.stringify({
+          ...gameData,
+          playerIds,
+          teams: teamPlay
+            ? teamNames.map((name, team) => ({ name, playerIds: playerIds.filter((_, i) => i % TEAM_COUNT === team) }))
+            : [],
+          modeSettings,
+          handicaps: handicap === 'none' ? {} : handicaps,
+          autoHandicap: handicap === 'auto'
+        })
       });
       
       if (!response.ok) {
@@ -136,48 +273,80 @@ export default function NewGame() {
         ) : (
           <form onSubmit={handleSubmit}>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
-              {/* Player 1 Selection */}
-              <div>
-                <label className="block text-gray-700 font-medium mb-2" htmlFor="player1Id">
-                  Player 1
-                </label>
-                <select
-                  id="player1Id"
-                  name="player1Id"
-                  value={formData.player1Id}
-                  onChange={handleInputChange}
-                  className="w-full border rounded px-3 py-2"
-                  required
-                >
-                  <option value="">Select Player 1</option>
-                  {players.map(player => (
-                    <option key={player.id} value={player.id}>
-                      {player.name} {player.nickname ? `(${player.nickname})` : ''}
-                    </option>
-                  ))}
-                </select>
-              </div>
+              {/* Player Selection, in throwing order */}
+              {formData.playerIds.map((playerId, index) => (
+                <div key={index}>
+                  <label className="block text-gray-700 font-medium mb-2" htmlFor={`player${index + 1}Id`}>
+                    {getSeatLabel(index)}
+                  </label>
+                  <div className="flex">
+                    <select
+                      id={`player${index + 1}Id`}
+                      value={playerId}
+                      onChange={(e) => handlePlayerChange(index, e.target.value)}
+                      className="w-full border rounded px-3 py-2"
+                      required
+                    >
+                      <option value="">Select {getSeatLabel(index)}</option>
+                      {players.map(player => (
+                        <option key={player.id} value={player.id}>
+                          {player.name} {player.nickname ? `(${player.nickname})` : ''}
+                        </option>
+                      ))}
+                    </select>
+                    {formData.playerIds.length > MIN_PLAYERS && (
+                      <button
+                        type="button"
+                        onClick={() => removePlayer(index)}
+                        className="ml-2 px-3 text-red-500 hover:text-red-700"
+                        title="Remove player"
+                      >
+                        ✕
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+              
+              {formData.playerIds.length < MAX_PLAYERS && (
+                <div className="flex items-end">
+                  <button
+                    type="button"
+                    onClick={addPlayer}
+                    className="text-blue-500 hover:text-blue-700 font-medium py-2"
+                  >
+                    + Add Player
+                  </button>
+                </div>
+              )}
               
-              {/* Player 2 Selection */}
+              {/* Team Play */}
               <div>
-                <label className="block text-gray-700 font-medium mb-2" htmlFor="player2Id">
-                  Player 2
+                <label className="flex items-center text-gray-700 font-medium mb-2" htmlFor="teamPlay">
+                  <input
+                    id="teamPlay"
+                    name="teamPlay"
+                    type="checkbox"
+                    checked={formData.teamPlay}
+                    onChange={handleInputChange}
+                    className="mr-2"
+                  />
+                  Team play
                 </label>
-                <select
-                  id="player2Id"
-                  name="player2Id"
-                  value={formData.player2Id}
-                  onChange={handleInputChange}
-                  className="w-full border rounded px-3 py-2"
-                  required
-                >
-                  <option value="">Select Player 2</option>
-                  {players.map(player => (
-                    <option key={player.id} value={player.id}>
-                      {player.name} {player.nickname ? `(${player.nickname})` : ''}
-                    </option>
-                  ))}
-                </select>
+                {formData.teamPlay && (
+                  <div className="flex gap-2">
+                    {formData.teamNames.map((name, team) => (
+                      <input
+                        key={team}
+                        type="text"
+                        placeholder={`Team ${team + 1}`}
+                        value={name}
+                        onChange={(e) => handleTeamNameChange(team, e.target.value)}
+                        className="w-full border rounded px-3 py-2"
+                      />
+                    ))}
+                  </div>
+                )}
               </div>
               
               {/* Board Selection (Optional) */}
@@ -226,10 +395,98 @@ export default function NewGame() {
                 </div>
               )}
               
+              {/* Game Mode */}
+              <div>
+                <label className="block text-gray-700 font-medium mb-2" htmlFor="gameMode">
+                  Game Mode
+                </label>
+                <select
+                  id="gameMode"
+                  name="gameMode"
+                  value={formData.gameMode}
+                  onChange={handleInputChange}
+                  className="w-full border rounded px-3 py-2"
+                >
+                  {GAME_MODES.map(mode => (
+                    <option key={mode.value} value={mode.value}>{mode.label}</option>
+                  ))}
+                </select>
+              </div>
+              
+              {/* Mode Options */}
+              {formData.gameMode === 'cricket' && (
+                <div>
+                  <label className="flex items-center text-gray-700 font-medium mb-2" htmlFor="cutThroat">
+                    <input
+                      id="cutThroat"
+                      name="cutThroat"
+                      type="checkbox"
+                      checked={formData.cutThroat}
+                      onChange={handleInputChange}
+                      className="mr-2"
+                    />
+                    Cut-throat
+                  </label>
+                </div>
+              )}
+              
+              {formData.gameMode === 'shanghai' && (
+                <div>
+                  <label className="block text-gray-700 font-medium mb-2" htmlFor="shanghaiRounds">
+                    Rounds
+                  </label>
+                  <input
+                    id="shanghaiRounds"
+                    name="shanghaiRounds"
+                    type="number"
+                    min="1"
+                    max="20"
+                    value={formData.shanghaiRounds}
+                    onChange={handleInputChange}
+                    className="w-full border rounded px-3 py-2"
+                  />
+                </div>
+              )}
+              
+              {formData.gameMode === 'killer' && (
+                <div>
+                  <label className="block text-gray-700 font-medium mb-2" htmlFor="killerLives">
+                    Lives
+                  </label>
+                  <input
+                    id="killerLives"
+                    name="killerLives"
+                    type="number"
+                    min="1"
+                    max="9"
+                    value={formData.killerLives}
+                    onChange={handleInputChange}
+                    className="w-full border rounded px-3 py-2"
+                  />
+                </div>
+              )}
+              
+              {/* Match Format */}
+              <div>
+                <label className="block text-gray-700 font-medium mb-2" htmlFor="format">
+                  Format
+                </label>
+                <select
+                  id="format"
+                  name="format"
+                  value={formData.format}
+                  onChange={handleInputChange}
+                  className="w-full border rounded px-3 py-2"
+                >
+                  <option value="first_to">First to</option>
+                  <option value="best_of">Best of</option>
+                </select>
+              </div>
+              
               {/* Legs Required */}
               <div>
                 <label className="block text-gray-700 font-medium mb-2" htmlFor="legsRequired">
-                  First to (Legs)
+                  {formData.format === 'best_of' ? 'Best of (Legs)' : 'First to (Legs)'}
                 </label>
                 <select
                   id="legsRequired"
@@ -243,12 +500,115 @@ export default function NewGame() {
                   <option value="3">3</option>
                   <option value="4">4</option>
                   <option value="5">5</option>
+                  <option value="6">6</option>
                   <option value="7">7</option>
+                  <option value="8">8</option>
                   <option value="9">9</option>
+                  <option value="11">11</option>
+                </select>
+              </div>
+              
+              {/* Two Clear Legs */}
+              <div>
+                <label className="flex items-center text-gray-700 font-medium mb-2" htmlFor="twoClear">
+                  <input
+                    id="twoClear"
+                    name="twoClear"
+                    type="checkbox"
+                    checked={formData.twoClear}
+                    onChange={handleInputChange}
+                    className="mr-2"
+                  />
+                  Two clear legs
+                </label>
+                <input
+                  id="suddenDeathAt"
+                  name="suddenDeathAt"
+                  type="number"
+                  min="0"
+                  value={formData.suddenDeathAt}
+                  onChange={handleInputChange}
+                  disabled={!formData.twoClear}
+                  className="w-full border rounded px-3 py-2"
+                  title="Legs each at which the tie-break decides the game, 0 for no cap"
+                />
+              </div>
+              
+              {/* Tie-break */}
+              <div>
+                <label className="block text-gray-700 font-medium mb-2" htmlFor="tieBreak">
+                  Tie-break
+                </label>
+                <select
+                  id="tieBreak"
+                  name="tieBreak"
+                  value={formData.tieBreak}
+                  onChange={handleInputChange}
+                  className="w-full border rounded px-3 py-2"
+                >
+                  <option value="leg">Sudden-death leg</option>
+                  <option value="bull">Bull-off</option>
+                </select>
+              </div>
+              
+              {/* Handicap */}
+              <div>
+                <label className="block text-gray-700 font-medium mb-2" htmlFor="handicap">
+                  Handicap
+                </label>
+                <select
+                  id="handicap"
+                  name="handicap"
+                  value={formData.handicap}
+                  onChange={handleInputChange}
+                  className="w-full border rounded px-3 py-2"
+                >
+                  <option value="none">None</option>
+                  <option value="manual">Set per player</option>
+                  <option value="auto">Automatic, from 3-dart averages</option>
                 </select>
               </div>
             </div>
             
+            {/* Per-player handicaps; the automatic handicap sets the starting scores */}
+            {formData.handicap !== 'none' && (
+              <div className="mb-6">
+                <div className="grid grid-cols-3 gap-4 text-sm font-medium text-gray-600 mb-2">
+                  <div>Player</div>
+                  <div>Starting score</div>
+                  <div>Head start (legs)</div>
+                </div>
+                {formData.playerIds.filter(Boolean).map(playerId => {
+                  const player = players.find(p => String(p.id) === String(playerId));
+                  const handicap = formData.handicaps[playerId] || {};
+                  const autoHandicap = autoHandicaps[playerId];
+                  
+                  return (
+                    <div key={playerId} className="grid grid-cols-3 gap-4 mb-2 items-center">
+                      <div>{player ? player.name : `Player ${playerId}`}</div>
+                      <input
+                        type="number"
+                        min="101"
+                        max="1001"
+                        placeholder={X01_MODES.includes(formData.gameMode) ? formData.gameMode : '501'}
+                        value={formData.handicap === 'auto' ? (autoHandicap ? autoHandicap.startingScore : '') : (handicap.startingScore || '')}
+                        onChange={(e) => handleHandicapChange(playerId, 'startingScore', e.target.value)}
+                        disabled={formData.handicap === 'auto' || !X01_MODES.includes(formData.gameMode)}
+                        className="w-full border rounded px-3 py-2"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        value={handicap.legs || 0}
+                        onChange={(e) => handleHandicapChange(playerId, 'legs', e.target.value)}
+                        className="w-full border rounded px-3 py-2"
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+            
             <div className="flex justify-end">
               <button
                 type="submit"
@@ -85,14 +85,12 @@ export default function Home() {
                     <span className="bg-green-100 text-green-800 text-xs px-2 py-1 rounded">In Progress</span>
                   </div>
                   <div className="mb-2">
-                    <div className="flex justify-between">
-                      <span>{game.player1_name}</span>
-                      <span className="font-bold">{game.player1_legs}</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span>{game.player2_name}</span>
-                      <span className="font-bold">{game.player2_legs}</span>
-                    </div>
+                    {game.players.map(player => (
+                      <div key={player.player_id} className="flex justify-between">
+                        <span>{player.name}</span>
+                        <span className="font-bold">{game.sets_to_win > 0 ? player.sets_won : player.legs_won}</span>
+                      </div>
+                    ))}
                   </div>
                   <div className="text-sm text-gray-500 mb-3">
                     {game.board_name ? `Board: ${game.board_name}` : 'No board assigned'}
@@ -121,12 +119,11 @@ export default function Home() {
                     <span className="bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded">Pending</span>
                   </div>
                   <div className="mb-2">
-                    <div className="flex justify-between">
-                      <span>{game.player1_name}</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span>{game.player2_name}</span>
-                    </div>
+                    {game.players.map(player => (
+                      <div key={player.player_id} className="flex justify-between">
+                        <span>{player.name}</span>
+                      </div>
+                    ))}
                   </div>
                   <div className="text-sm text-gray-500 mb-3">
                     {game.board_name ? `Board: ${game.board_name}` : 'No board assigned'}
@@ -168,6 +168,9 @@ export default function OverviewPage() {
           <Link href="/admin" className={styles.adminLink}>
             Admin Dashboard
           </Link>
+          <Link href="/practice" className={styles.adminLink}>
+            Practice
+          </Link>
           <Link href="/stream" className={styles.streamLink} target="_blank">
             Open Stream View
           </Link>
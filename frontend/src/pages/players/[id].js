@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import Heatmap from '../../components/Heatmap';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import styles from '../../styles/Player.module.css';
+
+export default function PlayerPage() {
+  const router = useRouter();
+  const { id } = router.query;
+  const [player, setPlayer] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (id) {
+      fetchPlayer();
+    }
+  }, [id]);
+
+  const fetchPlayer = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const [playerResponse, statsResponse] = await Promise.all([
+        fetch(`/api/players/${id}`),
+        fetch(`/api/players/${id}/stats`)
+      ]);
+
+      if (!playerResponse.ok) {
+        throw new Error('Failed to fetch player');
+      }
+
+      setPlayer(await playerResponse.json());
+
+      if (statsResponse.ok) {
+        setStats(await statsResponse.json());
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString();
+
+  // Options for the heatmap match filter
+  const matchOptions = (player?.matches || []).map(match => ({
+    id: match.id,
+    label: `#${match.id} ${match.mode} (${formatDate(match.created_at)})`
+  }));
+
+  return (
+    <div className={styles.container}>
+      <Head>
+        <title>{player ? `${player.name} | ` : ''}Dart Scoring System</title>
+        <meta name="description" content="Player statistics and dart heatmap" />
+      </Head>
+
+      <header className={styles.header}>
+        <h1 className={styles.title}>
+          {player ? player.name : 'Player'}
+          {player?.nickname && <span className={styles.nickname}>"{player.nickname}"</span>}
+        </h1>
+
+        <Link href="/admin" className={styles.backLink}>
+          Back to Admin
+        </Link>
+      </header>
+
+      {error && <div className={styles.error}>Error: {error}</div>}
+
+      {isLoading ? (
+        <LoadingSpinner size="large" text="Loading player..." />
+      ) : player && (
+        <main className={styles.main}>
+          {stats && (
+            <div className={styles.statsGrid}>
+              <div className={styles.statCard}>
+                <span className={styles.statValue}>{stats.totalMatches}</span>
+                <span className={styles.statLabel}>Matches</span>
+              </div>
+              <div className={styles.statCard}>
+                <span className={styles.statValue}>{Math.round(stats.winRate || 0)}%</span>
+                <span className={styles.statLabel}>Win rate</span>
+              </div>
+              <div className={styles.statCard}>
+                <span className={styles.statValue}>{(stats.avgScore || 0).toFixed(1)}</span>
+                <span className={styles.statLabel}>Avg per dart</span>
+              </div>
+              <div className={styles.statCard}>
+                <span className={styles.statValue}>{stats.heatmap ? stats.heatmap.mappedDarts : 0}</span>
+                <span className={styles.statLabel}>Mapped darts</span>
+              </div>
+            </div>
+          )}
+
+          <h2 className={styles.sectionTitle}>Heatmap</h2>
+          <Heatmap playerId={id} matches={matchOptions} />
+        </main>
+      )}
+    </div>
+  );
+}
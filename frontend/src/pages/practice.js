@@ -0,0 +1,310 @@
+import React, { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useSocket } from '../context/SocketContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import styles from '../styles/Practice.module.css';
+
+// Sparkline of a routine's recent scores, oldest on the left
+const Trend = ({ trend }) => {
+  if (trend.length < 2) return null;
+
+  const scores = trend.map(point => point.score);
+  const min = Math.min(...scores);
+  const range = Math.max(...scores) - min || 1;
+  const points = trend
+    .map((point, index) => `${(index / (trend.length - 1)) * 100},${30 - ((point.score - min) / range) * 28 - 1}`)
+    .join(' ');
+
+  return (
+    <svg className={styles.trend} viewBox="0 0 100 30" preserveAspectRatio="none">
+      <polyline points={points} />
+    </svg>
+  );
+};
+
+export default function PracticePage() {
+  const { socket } = useSocket();
+  const [players, setPlayers] = useState([]);
+  const [boards, setBoards] = useState([]);
+  const [routines, setRoutines] = useState([]);
+  const [playerId, setPlayerId] = useState('');
+  const [boardId, setBoardId] = useState('');
+  const [routine, setRoutine] = useState('');
+  const [session, setSession] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [recentSessions, setRecentSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchOptions();
+  }, []);
+
+  useEffect(() => {
+    if (playerId) {
+      fetchPlayerPractice();
+    }
+  }, [playerId]);
+
+  // Follow the running session's darts from the board
+  useEffect(() => {
+    if (!socket || !session) return;
+
+    const handlePracticeThrow = (data) => {
+      if (data.sessionId !== session.id) return;
+
+      setSession(current => ({
+        ...current,
+        score: data.sessionScore,
+        darts: data.dart,
+        hits: (current.hits || 0) + (data.hit ? 1 : 0),
+        target: data.nextTarget,
+        progress: data.progress,
+        throws: [...(current.throws || []), data]
+      }));
+    };
+
+    const handlePracticeEnded = (data) => {
+      if (data.id !== session.id) return;
+
+      setSession(data);
+      fetchPlayerPractice();
+    };
+
+    socket.on('practice:throw', handlePracticeThrow);
+    socket.on('practice:ended', handlePracticeEnded);
+
+    return () => {
+      socket.off('practice:throw', handlePracticeThrow);
+      socket.off('practice:ended', handlePracticeEnded);
+    };
+  }, [socket, session?.id]);
+
+  const fetchOptions = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const [playersResponse, boardsResponse, routinesResponse] = await Promise.all([
+        fetch('/api/players'),
+        fetch('/api/boards'),
+        fetch('/api/practice/routines')
+      ]);
+
+      if (!playersResponse.ok || !boardsResponse.ok || !routinesResponse.ok) {
+        throw new Error('Failed to fetch practice options');
+      }
+
+      const routineList = await routinesResponse.json();
+      setPlayers(await playersResponse.json());
+      setBoards((await boardsResponse.json()).filter(board => board.status === 'online'));
+      setRoutines(routineList);
+      setRoutine(routineList[0]?.id || '');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const fetchPlayerPractice = async () => {
+    try {
+      const [summaryResponse, sessionsResponse] = await Promise.all([
+        fetch(`/api/practice/players/${playerId}`),
+        fetch(`/api/practice/sessions?playerId=${playerId}&limit=10`)
+      ]);
+
+      if (!summaryResponse.ok || !sessionsResponse.ok) {
+        throw new Error('Failed to fetch practice history');
+      }
+
+      setSummary(await summaryResponse.json());
+      setRecentSessions(await sessionsResponse.json());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const startSession = async () => {
+    setError('');
+
+    try {
+      const response = await fetch('/api/practice/sessions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ boardId: parseInt(boardId), playerId: parseInt(playerId), routine })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to start practice');
+      }
+
+      setSession(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const endSession = async () => {
+    try {
+      const response = await fetch(`/api/practice/sessions/${session.id}/end`, { method: 'POST' });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to end practice');
+      }
+
+      setSession(data);
+      fetchPlayerPractice();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const getRoutineName = (id) => routines.find(r => r.id === id)?.name || id;
+  const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleDateString() : '-');
+  const running = session && session.state === 'active';
+
+  return (
+    <div className={styles.container}>
+      <Head>
+        <title>Practice | Dart Scoring System</title>
+        <meta name="description" content="Solo practice routines with personal bests and trends" />
+      </Head>
+
+      <header className={styles.header}>
+        <h1 className={styles.title}>Practice</h1>
+
+        <Link href="/overview" className={styles.backLink}>
+          Back to Overview
+        </Link>
+      </header>
+
+      {error && <div className={styles.error}>Error: {error}</div>}
+
+      {isLoading ? (
+        <LoadingSpinner size="large" text="Loading practice..." />
+      ) : (
+        <main className={styles.main}>
+          <div className={styles.setup}>
+            <select value={playerId} onChange={(e) => setPlayerId(e.target.value)} disabled={running}>
+              <option value="">Select player</option>
+              {players.map(player => (
+                <option key={player.id} value={player.id}>{player.name}</option>
+              ))}
+            </select>
+
+            <select value={boardId} onChange={(e) => setBoardId(e.target.value)} disabled={running}>
+              <option value="">Select board</option>
+              {boards.map(board => (
+                <option key={board.id} value={board.id}>{board.name}</option>
+              ))}
+            </select>
+
+            <select value={routine} onChange={(e) => setRoutine(e.target.value)} disabled={running}>
+              {routines.map(r => (
+                <option key={r.id} value={r.id}>{r.name}</option>
+              ))}
+            </select>
+
+            {running ? (
+              <button className={styles.endButton} onClick={endSession}>End Session</button>
+            ) : (
+              <button className={styles.startButton} onClick={startSession} disabled={!playerId || !boardId || !routine}>
+                Start Session
+              </button>
+            )}
+          </div>
+
+          {routine && !running && (
+            <p className={styles.description}>{routines.find(r => r.id === routine)?.description}</p>
+          )}
+
+          {session && (
+            <div className={styles.session}>
+              <h2 className={styles.sectionTitle}>
+                {getRoutineName(session.routine)}{running ? '' : ` - ${session.state}`}
+              </h2>
+
+              <div className={styles.statsGrid}>
+                <div className={styles.statCard}>
+                  <span className={styles.statValue}>{session.score ?? 0}</span>
+                  <span className={styles.statLabel}>Score</span>
+                </div>
+                <div className={styles.statCard}>
+                  <span className={styles.statValue}>{session.darts || 0}</span>
+                  <span className={styles.statLabel}>Darts</span>
+                </div>
+                <div className={styles.statCard}>
+                  <span className={styles.statValue}>
+                    {session.darts ? Math.round(((session.hits || 0) / session.darts) * 100) : 0}%
+                  </span>
+                  <span className={styles.statLabel}>On target</span>
+                </div>
+                {running && (
+                  <div className={styles.statCard}>
+                    <span className={`${styles.statValue} ${styles.target}`}>{session.target}</span>
+                    <span className={styles.statLabel}>Aim at</span>
+                  </div>
+                )}
+              </div>
+
+              <div className={styles.darts}>
+                {(session.throws || []).slice(-12).map(dart => (
+                  <span key={dart.dart} className={dart.hit ? styles.dartHit : styles.dart}>
+                    {dart.segment}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {summary && (
+            <>
+              <h2 className={styles.sectionTitle}>Personal Bests</h2>
+              <div className={styles.routineGrid}>
+                {summary.routines.map(r => (
+                  <div key={r.routine} className={styles.routineCard}>
+                    <div className={styles.routineName}>{r.name}</div>
+                    <div className={styles.statValue}>{r.best ?? '-'}</div>
+                    <div className={styles.statLabel}>
+                      {r.sessions} sessions, average {r.average !== null ? r.average.toFixed(1) : '-'}
+                      {r.lowerIsBetter ? ' (lower is better)' : ''}
+                    </div>
+                    <Trend trend={r.trend} />
+                  </div>
+                ))}
+              </div>
+
+              <h2 className={styles.sectionTitle}>Recent Sessions</h2>
+              <table className={styles.sessionTable}>
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Routine</th>
+                    <th>Score</th>
+                    <th>Darts</th>
+                    <th>State</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {recentSessions.map(s => (
+                    <tr key={s.id}>
+                      <td>{formatDate(s.started_at)}</td>
+                      <td>{getRoutineName(s.routine)}</td>
+                      <td>{s.score}</td>
+                      <td>{s.darts}</td>
+                      <td>{s.state}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </main>
+      )}
+    </div>
+  );
+}
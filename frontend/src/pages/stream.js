@@ -3,17 +3,20 @@ import Head from 'next/head';
 import { useRouter } from 'next/router';
 import { useSocket } from '../context/SocketContext';
 import StreamOverlay from '../components/StreamOverlay';
+import BullOff from '../components/BullOff';
+import GroupStandings from '../components/GroupStandings';
 import LoadingSpinner from '../components/LoadingSpinner';
 import styles from '../styles/Stream.module.css';
 
 export default function StreamPage() {
   const router = useRouter();
-  const { transparent } = router.query;
+  const { transparent, checkout, groups: groupsTournamentId } = router.query;
   const { socket, isConnected } = useSocket();
   
   const [matches, setMatches] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
+  const [groups, setGroups] = useState({ groups: [], qualifiers: 0 });
   
   // Fetch matches on component mount
   useEffect(() => {
@@ -28,6 +31,21 @@ export default function StreamPage() {
     return () => clearInterval(intervalId);
   }, [isConnected]);
   
+  // Group standings of a tournament, refreshed as its group games finish
+  useEffect(() => {
+    if (!groupsTournamentId) return;
+    
+    const fetchGroups = () => fetch(`/api/tournaments/${groupsTournamentId}/groups`)
+      .then(response => (response.ok ? response.json() : { groups: [], qualifiers: 0 }))
+      .then(setGroups)
+      .catch(err => console.error('Error fetching groups:', err));
+    
+    fetchGroups();
+    const intervalId = setInterval(fetchGroups, 15000);
+    
+    return () => clearInterval(intervalId);
+  }, [groupsTournamentId]);
+  
   // Set up socket listeners for real-time updates
   useEffect(() => {
     if (!socket) return;
@@ -118,7 +136,7 @@ export default function StreamPage() {
     
     try {
       // Fetch active matches
-      const response = await fetch('/api/games?state=active,playing&limit=4');
+      const response = await fetch('/api/games?state=bullshot,active,playing&limit=4');
       
       if (!response.ok) {
         throw new Error('Failed to fetch matches');
@@ -159,8 +177,18 @@ export default function StreamPage() {
           <div className={styles.noMatchesText}>No active matches</div>
         </div>
       ) : (
-        <StreamOverlay matches={matches} />
+        <StreamOverlay matches={matches} showCheckout={checkout === 'true'} />
       )}
+      
+      {groups.groups.length > 0 && (
+        <div className={styles.groupStandingsPanel}>
+          {groups.groups.map(group => (
+            <GroupStandings key={group.id} group={group} qualifiers={groups.qualifiers} variant="stream" />
+          ))}
+        </div>
+      )}
+      
+      <BullOff variant="stream" />
     </div>
   );
 } 
\ No newline at end of file
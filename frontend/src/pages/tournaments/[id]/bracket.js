@@ -0,0 +1,252 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Link from 'next/link';
+import Bracket from '../../../components/Bracket';
+
+const REFRESH_INTERVAL = 15000;
+
+export default function TournamentBracketPage() {
+  const router = useRouter();
+  const { id } = router.query;
+  const [bracket, setBracket] = useState(null);
+  const [players, setPlayers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draw, setDraw] = useState({
+    format: 'single_elimination',
+    seeding: 'manual',
+    playerIds: [],
+    legsRequired: 3,
+    matchFormat: 'first_to'
+  });
+  
+  const fetchBracket = async () => {
+    try {
+      const response = await fetch(`/api/tournaments/${id}/bracket`);
+      
+      if (!response.ok) {
+        throw new Error('Failed to fetch bracket');
+      }
+      
+      setBracket(await response.json());
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching bracket:', err);
+      setError('Failed to load the bracket. Please try again later.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  // Load the bracket, and keep it current while games are played
+  useEffect(() => {
+    if (!id) return;
+    
+    fetchBracket();
+    const intervalId = setInterval(fetchBracket, REFRESH_INTERVAL);
+    
+    return () => clearInterval(intervalId);
+  }, [id]);
+  
+  // A knockout-only phased tournament's phase sets the draw's defaults
+  const phases = bracket ? bracket.tournament.phases : null;
+  useEffect(() => {
+    const [phase] = JSON.parse(phases || '[]');
+    if (!phase || ['round_robin', 'swiss'].includes(phase.format)) return;
+    
+    setDraw(prev => ({
+      ...prev,
+      format: phase.format,
+      legsRequired: phase.gameSettings.legsRequired,
+      matchFormat: phase.gameSettings.format
+    }));
+  }, [phases]);
+  
+  // Players to draw, until the bracket is drawn
+  useEffect(() => {
+    if (!bracket || bracket.matches.length > 0 || players.length > 0) return;
+    
+    fetch('/api/players')
+      .then(response => (response.ok ? response.json() : []))
+      .then(setPlayers)
+      .catch(err => console.error('Error fetching players:', err));
+  }, [bracket]);
+  
+  // A knockout after a group stage or Swiss rounds is drawn from their standings, not by hand
+  const [firstPhase] = JSON.parse(phases || '[]');
+  const drawnFromGroups = !!firstPhase && firstPhase.format === 'round_robin';
+  const drawnFromSwiss = !!firstPhase && firstPhase.format === 'swiss';
+  
+  const handleDrawChange = (e) => {
+    const { name, value } = e.target;
+    setDraw(prev => ({ ...prev, [name]: name === 'legsRequired' ? parseInt(value, 10) || 1 : value }));
+  };
+  
+  // Players are seeded in the order they are ticked
+  const togglePlayer = (playerId) => {
+    setDraw(prev => ({
+      ...prev,
+      playerIds: prev.playerIds.includes(playerId)
+        ? prev.playerIds.filter(existing => existing !== playerId)
+        : [...prev.playerIds, playerId]
+    }));
+  };
+  
+  const handleDraw = async (e) => {
+    e.preventDefault();
+    
+    try {
+      const response = await fetch(`/api/tournaments/${id}/bracket`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(draw)
+      });
+      
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to draw bracket');
+      }
+      
+      setBracket(data);
+      setError(null);
+    } catch (err) {
+      console.error('Error drawing bracket:', err);
+      setError(err.message);
+    }
+  };
+  
+  const renderDrawForm = () => (
+    <form onSubmit={handleDraw} className="bg-white shadow-md rounded-lg p-6 mb-6">
+      <h2 className="text-xl font-bold mb-4">Draw the Bracket</h2>
+      
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <div>
+          <label className="block text-gray-700 font-medium mb-2" htmlFor="format">Format</label>
+          <select id="format" name="format" value={draw.format} onChange={handleDrawChange} className="w-full border rounded px-3 py-2">
+            <option value="single_elimination">Single elimination</option>
+            <option value="double_elimination">Double elimination</option>
+          </select>
+        </div>
+        
+        <div>
+          <label className="block text-gray-700 font-medium mb-2" htmlFor="seeding">Seeding</label>
+          <select id="seeding" name="seeding" value={draw.seeding} onChange={handleDrawChange} className="w-full border rounded px-3 py-2">
+            <option value="manual">Manual (order picked)</option>
+            <option value="random">Random</option>
+            <option value="average">By average</option>
+          </select>
+        </div>
+        
+        <div>
+          <label className="block text-gray-700 font-medium mb-2" htmlFor="matchFormat">Games</label>
+          <select id="matchFormat" name="matchFormat" value={draw.matchFormat} onChange={handleDrawChange} className="w-full border rounded px-3 py-2">
+            <option value="first_to">First to</option>
+            <option value="best_of">Best of</option>
+          </select>
+        </div>
+        
+        <div>
+          <label className="block text-gray-700 font-medium mb-2" htmlFor="legsRequired">Legs</label>
+          <input
+            id="legsRequired"
+            name="legsRequired"
+            type="number"
+            min="1"
+            value={draw.legsRequired}
+            onChange={handleDrawChange}
+            className="w-full border rounded px-3 py-2"
+          />
+        </div>
+      </div>
+      
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-6">
+        {players.map(player => {
+          const seed = draw.playerIds.indexOf(player.id) + 1;
+          
+          return (
+            <label key={player.id} className="flex items-center">
+              <input
+                type="checkbox"
+                checked={seed > 0}
+                onChange={() => togglePlayer(player.id)}
+                className="mr-2"
+              />
+              {player.name}
+              {seed > 0 && draw.seeding === 'manual' && <span className="ml-1 text-xs text-gray-500">(seed {seed})</span>}
+            </label>
+          );
+        })}
+      </div>
+      
+      <button
+        type="submit"
+        disabled={draw.playerIds.length < 2}
+        className="bg-blue-500 hover:bg-blue-600 disabled:bg-gray-300 text-white py-2 px-4 rounded"
+      >
+        Draw Bracket ({draw.playerIds.length} players)
+      </button>
+    </form>
+  );
+  
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <Head>
+        <title>{bracket ? `${bracket.tournament.name} Bracket` : 'Bracket'} | Dart Tournament App</title>
+        <meta name="description" content="Tournament knockout bracket" />
+      </Head>
+      
+      <div className="mb-6">
+        <Link href="/" className="text-blue-500 hover:text-blue-700 font-medium">
+          ← Back to Dashboard
+        </Link>
+      </div>
+      
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+      
+      {isLoading ? (
+        <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+          <p>Loading bracket...</p>
+        </div>
+      ) : !bracket ? (
+        <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+          <p>Tournament not found.</p>
+        </div>
+      ) : (
+        <>
+          <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+            <h1 className="text-2xl font-bold mb-2">{bracket.tournament.name}</h1>
+            <div className="text-sm text-gray-600">
+              Status: <span className="font-medium">{bracket.tournament.status}</span>
+              {bracket.format && ` · ${bracket.format.replace('_', ' ')}, seeded ${bracket.seeding}`}
+            </div>
+          </div>
+          
+          {bracket.matches.length > 0 ? <Bracket bracket={bracket} /> : drawnFromGroups ? (
+            <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+              <p>
+                The knockout is drawn from the group standings once every group game is played.{' '}
+                <Link href={`/tournaments/${id}/groups`} className="text-blue-500 hover:text-blue-700 font-medium">
+                  View the groups →
+                </Link>
+              </p>
+            </div>
+          ) : drawnFromSwiss ? (
+            <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+              <p>
+                The knockout is drawn from the Swiss standings once the last round is played.{' '}
+                <Link href={`/tournaments/${id}/swiss`} className="text-blue-500 hover:text-blue-700 font-medium">
+                  View the Swiss rounds →
+                </Link>
+              </p>
+            </div>
+          ) : renderDrawForm()}
+        </>
+      )}
+    </div>
+  );
+}
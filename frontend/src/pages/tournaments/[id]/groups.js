@@ -0,0 +1,288 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Link from 'next/link';
+import GroupStandings from '../../../components/GroupStandings';
+
+const REFRESH_INTERVAL = 15000;
+
+const TIEBREAKER_LABELS = {
+  head_to_head: 'Head-to-head',
+  leg_difference: 'Leg difference',
+  legs_for: 'Legs won',
+  average: 'Average'
+};
+
+export default function TournamentGroupsPage() {
+  const router = useRouter();
+  const { id } = router.query;
+  const [groups, setGroups] = useState(null);
+  const [players, setPlayers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draw, setDraw] = useState({
+    groups: 2,
+    seeding: 'manual',
+    playerIds: [],
+    tiebreakers: ['head_to_head', 'leg_difference', 'average'],
+    legsRequired: 3,
+    matchFormat: 'first_to'
+  });
+  
+  const fetchGroups = async () => {
+    try {
+      const response = await fetch(`/api/tournaments/${id}/groups`);
+      
+      if (!response.ok) {
+        throw new Error('Failed to fetch groups');
+      }
+      
+      setGroups(await response.json());
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching groups:', err);
+      setError('Failed to load the groups. Please try again later.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  // Load the groups, and keep the standings current while games are played
+  useEffect(() => {
+    if (!id) return;
+    
+    fetchGroups();
+    const intervalId = setInterval(fetchGroups, REFRESH_INTERVAL);
+    
+    return () => clearInterval(intervalId);
+  }, [id]);
+  
+  // A phased tournament's group stage sets the draw's defaults
+  const phases = groups ? groups.tournament.phases : null;
+  useEffect(() => {
+    const [phase] = JSON.parse(phases || '[]');
+    if (!phase || phase.format !== 'round_robin') return;
+    
+    setDraw(prev => ({
+      ...prev,
+      groups: phase.groups,
+      tiebreakers: phase.tiebreakers,
+      legsRequired: phase.gameSettings.legsRequired,
+      matchFormat: phase.gameSettings.format
+    }));
+  }, [phases]);
+  
+  // Players to draw, until the groups are drawn
+  useEffect(() => {
+    if (!groups || groups.groups.length > 0 || players.length > 0) return;
+    
+    fetch('/api/players')
+      .then(response => (response.ok ? response.json() : []))
+      .then(setPlayers)
+      .catch(err => console.error('Error fetching players:', err));
+  }, [groups]);
+  
+  const handleDrawChange = (e) => {
+    const { name, value } = e.target;
+    setDraw(prev => ({ ...prev, [name]: ['legsRequired', 'groups'].includes(name) ? parseInt(value, 10) || 1 : value }));
+  };
+  
+  // Players are seeded in the order they are ticked
+  const togglePlayer = (playerId) => {
+    setDraw(prev => ({
+      ...prev,
+      playerIds: prev.playerIds.includes(playerId)
+        ? prev.playerIds.filter(existing => existing !== playerId)
+        : [...prev.playerIds, playerId]
+    }));
+  };
+  
+  // Tiebreakers apply in the order they are ticked
+  const toggleTiebreaker = (tiebreaker) => {
+    setDraw(prev => ({
+      ...prev,
+      tiebreakers: prev.tiebreakers.includes(tiebreaker)
+        ? prev.tiebreakers.filter(existing => existing !== tiebreaker)
+        : [...prev.tiebreakers, tiebreaker]
+    }));
+  };
+  
+  const handleDraw = async (e) => {
+    e.preventDefault();
+    
+    try {
+      const response = await fetch(`/api/tournaments/${id}/groups`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(draw)
+      });
+      
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to draw groups');
+      }
+      
+      setGroups(data);
+      setError(null);
+    } catch (err) {
+      console.error('Error drawing groups:', err);
+      setError(err.message);
+    }
+  };
+  
+  const renderDrawForm = () => (
+    <form onSubmit={handleDraw} className="bg-white shadow-md rounded-lg p-6 mb-6">
+      <h2 className="text-xl font-bold mb-4">Draw the Groups</h2>
+      
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <div>
+          <label className="block text-gray-700 font-medium mb-2" htmlFor="groups">Groups</label>
+          <input
+            id="groups"
+            name="groups"
+            type="number"
+            min="1"
+            value={draw.groups}
+            onChange={handleDrawChange}
+            className="w-full border rounded px-3 py-2"
+          />
+        </div>
+        
+        <div>
+          <label className="block text-gray-700 font-medium mb-2" htmlFor="seeding">Seeding</label>
+          <select id="seeding" name="seeding" value={draw.seeding} onChange={handleDrawChange} className="w-full border rounded px-3 py-2">
+            <option value="manual">Manual (order picked)</option>
+            <option value="random">Random</option>
+            <option value="average">By average</option>
+          </select>
+        </div>
+        
+        <div>
+          <label className="block text-gray-700 font-medium mb-2" htmlFor="matchFormat">Games</label>
+          <select id="matchFormat" name="matchFormat" value={draw.matchFormat} onChange={handleDrawChange} className="w-full border rounded px-3 py-2">
+            <option value="first_to">First to</option>
+            <option value="best_of">Best of</option>
+          </select>
+        </div>
+        
+        <div>
+          <label className="block text-gray-700 font-medium mb-2" htmlFor="legsRequired">Legs</label>
+          <input
+            id="legsRequired"
+            name="legsRequired"
+            type="number"
+            min="1"
+            value={draw.legsRequired}
+            onChange={handleDrawChange}
+            className="w-full border rounded px-3 py-2"
+          />
+        </div>
+      </div>
+      
+      <div className="mb-6">
+        <span className="block text-gray-700 font-medium mb-2">Tiebreakers</span>
+        <div className="flex flex-wrap gap-4">
+          {Object.entries(TIEBREAKER_LABELS).map(([tiebreaker, label]) => {
+            const order = draw.tiebreakers.indexOf(tiebreaker) + 1;
+            
+            return (
+              <label key={tiebreaker} className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={order > 0}
+                  onChange={() => toggleTiebreaker(tiebreaker)}
+                  className="mr-2"
+                />
+                {label}
+                {order > 0 && <span className="ml-1 text-xs text-gray-500">({order})</span>}
+              </label>
+            );
+          })}
+        </div>
+      </div>
+      
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-6">
+        {players.map(player => {
+          const seed = draw.playerIds.indexOf(player.id) + 1;
+          
+          return (
+            <label key={player.id} className="flex items-center">
+              <input
+                type="checkbox"
+                checked={seed > 0}
+                onChange={() => togglePlayer(player.id)}
+                className="mr-2"
+              />
+              {player.name}
+              {seed > 0 && draw.seeding === 'manual' && <span className="ml-1 text-xs text-gray-500">(seed {seed})</span>}
+            </label>
+          );
+        })}
+      </div>
+      
+      <button
+        type="submit"
+        disabled={draw.playerIds.length < draw.groups * 2}
+        className="bg-blue-500 hover:bg-blue-600 disabled:bg-gray-300 text-white py-2 px-4 rounded"
+      >
+        Draw Groups ({draw.playerIds.length} players)
+      </button>
+    </form>
+  );
+  
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <Head>
+        <title>{groups ? `${groups.tournament.name} Groups` : 'Groups'} | Dart Tournament App</title>
+        <meta name="description" content="Tournament round-robin groups and standings" />
+      </Head>
+      
+      <div className="mb-6">
+        <Link href="/" className="text-blue-500 hover:text-blue-700 font-medium">
+          ← Back to Dashboard
+        </Link>
+      </div>
+      
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+      
+      {isLoading ? (
+        <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+          <p>Loading groups...</p>
+        </div>
+      ) : !groups ? (
+        <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+          <p>Tournament not found.</p>
+        </div>
+      ) : (
+        <>
+          <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+            <h1 className="text-2xl font-bold mb-2">{groups.tournament.name}</h1>
+            <div className="text-sm text-gray-600">
+              Status: <span className="font-medium">{groups.tournament.status}</span>
+              {groups.groups.length > 0 && ` · ties split by ${groups.tiebreakers.map(t => TIEBREAKER_LABELS[t].toLowerCase()).join(', ')}`}
+            </div>
+          </div>
+          
+          {groups.qualifiers > 0 && groups.groups.length > 0 && (
+            <div className="bg-blue-50 border-l-4 border-blue-500 p-4 mb-6">
+              The top {groups.qualifiers} of each group go through to the knockout, drawn when the last group game is won.{' '}
+              {groups.tournament.status !== 'groups' && (
+                <Link href={`/tournaments/${id}/bracket`} className="text-blue-500 hover:text-blue-700 font-medium">
+                  View the bracket →
+                </Link>
+              )}
+            </div>
+          )}
+          
+          {groups.groups.length === 0 ? renderDrawForm() : groups.groups.map(group => (
+            <GroupStandings key={group.id} group={group} qualifiers={groups.qualifiers} />
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
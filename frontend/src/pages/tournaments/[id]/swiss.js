@@ -0,0 +1,360 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Link from 'next/link';
+
+const REFRESH_INTERVAL = 15000;
+
+const TIEBREAKER_LABELS = {
+  buchholz: 'Buchholz',
+  leg_difference: 'Leg difference',
+  legs_for: 'Legs won'
+};
+
+const formatDifference = difference => (difference > 0 ? `+${difference}` : `${difference}`);
+
+const formatGameScore = game => (game.status === 'pending'
+  ? 'v'
+  : `${game.legs[game.player1_id] || 0} - ${game.legs[game.player2_id] || 0}`);
+
+export default function TournamentSwissPage() {
+  const router = useRouter();
+  const { id } = router.query;
+  const [swiss, setSwiss] = useState(null);
+  const [players, setPlayers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draw, setDraw] = useState({
+    rounds: 5,
+    seeding: 'manual',
+    playerIds: [],
+    tiebreakers: ['buchholz', 'leg_difference'],
+    legsRequired: 3,
+    matchFormat: 'first_to'
+  });
+  
+  const fetchSwiss = async () => {
+    try {
+      const response = await fetch(`/api/tournaments/${id}/swiss`);
+      
+      if (!response.ok) {
+        throw new Error('Failed to fetch Swiss rounds');
+      }
+      
+      setSwiss(await response.json());
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching Swiss rounds:', err);
+      setError('Failed to load the Swiss rounds. Please try again later.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  // Load the rounds, and keep the standings and pairings current while games are played
+  useEffect(() => {
+    if (!id) return;
+    
+    fetchSwiss();
+    const intervalId = setInterval(fetchSwiss, REFRESH_INTERVAL);
+    
+    return () => clearInterval(intervalId);
+  }, [id]);
+  
+  // A phased tournament's Swiss phase sets the draw's defaults
+  const phases = swiss ? swiss.tournament.phases : null;
+  useEffect(() => {
+    const [phase] = JSON.parse(phases || '[]');
+    if (!phase || phase.format !== 'swiss') return;
+    
+    setDraw(prev => ({
+      ...prev,
+      rounds: phase.rounds,
+      tiebreakers: phase.tiebreakers,
+      legsRequired: phase.gameSettings.legsRequired,
+      matchFormat: phase.gameSettings.format
+    }));
+  }, [phases]);
+  
+  // Players to draw, until the first round is paired
+  useEffect(() => {
+    if (!swiss || swiss.rounds > 0 || players.length > 0) return;
+    
+    fetch('/api/players')
+      .then(response => (response.ok ? response.json() : []))
+      .then(setPlayers)
+      .catch(err => console.error('Error fetching players:', err));
+  }, [swiss]);
+  
+  const handleDrawChange = (e) => {
+    const { name, value } = e.target;
+    setDraw(prev => ({ ...prev, [name]: ['legsRequired', 'rounds'].includes(name) ? parseInt(value, 10) || 1 : value }));
+  };
+  
+  // Players are seeded in the order they are ticked
+  const togglePlayer = (playerId) => {
+    setDraw(prev => ({
+      ...prev,
+      playerIds: prev.playerIds.includes(playerId)
+        ? prev.playerIds.filter(existing => existing !== playerId)
+        : [...prev.playerIds, playerId]
+    }));
+  };
+  
+  // Tiebreakers apply in the order they are ticked
+  const toggleTiebreaker = (tiebreaker) => {
+    setDraw(prev => ({
+      ...prev,
+      tiebreakers: prev.tiebreakers.includes(tiebreaker)
+        ? prev.tiebreakers.filter(existing => existing !== tiebreaker)
+        : [...prev.tiebreakers, tiebreaker]
+    }));
+  };
+  
+  const handleDraw = async (e) => {
+    e.preventDefault();
+    
+    try {
+      const response = await fetch(`/api/tournaments/${id}/swiss`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(draw)
+      });
+      
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to pair the first round');
+      }
+      
+      setSwiss(data);
+      setError(null);
+    } catch (err) {
+      console.error('Error pairing the first round:', err);
+      setError(err.message);
+    }
+  };
+  
+  const renderDrawForm = () => (
+    <form onSubmit={handleDraw} className="bg-white shadow-md rounded-lg p-6 mb-6">
+      <h2 className="text-xl font-bold mb-4">Start the Swiss Rounds</h2>
+      
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <div>
+          <label className="block text-gray-700 font-medium mb-2" htmlFor="rounds">Rounds</label>
+          <input
+            id="rounds"
+            name="rounds"
+            type="number"
+            min="1"
+            value={draw.rounds}
+            onChange={handleDrawChange}
+            className="w-full border rounded px-3 py-2"
+          />
+        </div>
+        
+        <div>
+          <label className="block text-gray-700 font-medium mb-2" htmlFor="seeding">Seeding</label>
+          <select id="seeding" name="seeding" value={draw.seeding} onChange={handleDrawChange} className="w-full border rounded px-3 py-2">
+            <option value="manual">Manual (order picked)</option>
+            <option value="random">Random</option>
+            <option value="average">By average</option>
+          </select>
+        </div>
+        
+        <div>
+          <label className="block text-gray-700 font-medium mb-2" htmlFor="matchFormat">Games</label>
+          <select id="matchFormat" name="matchFormat" value={draw.matchFormat} onChange={handleDrawChange} className="w-full border rounded px-3 py-2">
+            <option value="first_to">First to</option>
+            <option value="best_of">Best of</option>
+          </select>
+        </div>
+        
+        <div>
+          <label className="block text-gray-700 font-medium mb-2" htmlFor="legsRequired">Legs</label>
+          <input
+            id="legsRequired"
+            name="legsRequired"
+            type="number"
+            min="1"
+            value={draw.legsRequired}
+            onChange={handleDrawChange}
+            className="w-full border rounded px-3 py-2"
+          />
+        </div>
+      </div>
+      
+      <div className="mb-6">
+        <span className="block text-gray-700 font-medium mb-2">Tiebreakers</span>
+        <div className="flex flex-wrap gap-4">
+          {Object.entries(TIEBREAKER_LABELS).map(([tiebreaker, label]) => {
+            const order = draw.tiebreakers.indexOf(tiebreaker) + 1;
+            
+            return (
+              <label key={tiebreaker} className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={order > 0}
+                  onChange={() => toggleTiebreaker(tiebreaker)}
+                  className="mr-2"
+                />
+                {label}
+                {order > 0 && <span className="ml-1 text-xs text-gray-500">({order})</span>}
+              </label>
+            );
+          })}
+        </div>
+      </div>
+      
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-6">
+        {players.map(player => {
+          const seed = draw.playerIds.indexOf(player.id) + 1;
+          
+          return (
+            <label key={player.id} className="flex items-center">
+              <input
+                type="checkbox"
+                checked={seed > 0}
+                onChange={() => togglePlayer(player.id)}
+                className="mr-2"
+              />
+              {player.name}
+              {seed > 0 && draw.seeding === 'manual' && <span className="ml-1 text-xs text-gray-500">(seed {seed})</span>}
+            </label>
+          );
+        })}
+      </div>
+      
+      <button
+        type="submit"
+        disabled={draw.playerIds.length < 2}
+        className="bg-blue-500 hover:bg-blue-600 disabled:bg-gray-300 text-white py-2 px-4 rounded"
+      >
+        Pair Round 1 ({draw.playerIds.length} players)
+      </button>
+    </form>
+  );
+  
+  const renderStandings = () => (
+    <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">Standings</h2>
+        {swiss.complete && <span className="text-sm text-green-600 font-medium">Complete</span>}
+      </div>
+      
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-gray-600 border-b">
+              <th className="text-left py-2">#</th>
+              <th className="text-left py-2">Player</th>
+              <th className="py-2">P</th>
+              <th className="py-2">W</th>
+              <th className="py-2">L</th>
+              <th className="py-2">Bye</th>
+              <th className="py-2">Buchholz</th>
+              <th className="py-2">Legs +</th>
+              <th className="py-2">Legs -</th>
+              <th className="py-2">+/-</th>
+            </tr>
+          </thead>
+          <tbody>
+            {swiss.standings.map(row => (
+              <tr key={row.playerId} className={`border-b text-center ${row.position <= swiss.qualifiers ? 'bg-green-50' : ''}`}>
+                <td className="text-left py-2">{row.position}</td>
+                <td className="text-left py-2 font-medium">{row.name}</td>
+                <td className="py-2">{row.played}</td>
+                <td className="py-2">{row.won}</td>
+                <td className="py-2">{row.lost}</td>
+                <td className="py-2">{row.byes || '-'}</td>
+                <td className="py-2">{row.buchholz}</td>
+                <td className="py-2">{row.legsFor}</td>
+                <td className="py-2">{row.legsAgainst}</td>
+                <td className="py-2">{formatDifference(row.legDifference)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+  
+  // Latest round first
+  const renderRounds = () => [...swiss.pairings].reverse().map(round => (
+    <div key={round.round} className="bg-white shadow-md rounded-lg p-6 mb-6">
+      <h2 className="text-xl font-bold mb-4">Round {round.round}</h2>
+      
+      <ul className="grid grid-cols-1 md:grid-cols-2 gap-1 text-sm">
+        {round.games.map(game => (
+          <li key={game.id}>
+            <Link href={`/games/${game.id}`} className="text-blue-500 hover:text-blue-700">
+              {game.player1_name} {formatGameScore(game)} {game.player2_name}
+            </Link>
+          </li>
+        ))}
+      </ul>
+      
+      {round.byePlayerName && (
+        <p className="mt-2 text-sm text-gray-600">Bye: {round.byePlayerName}</p>
+      )}
+    </div>
+  ));
+  
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <Head>
+        <title>{swiss ? `${swiss.tournament.name} Swiss Rounds` : 'Swiss Rounds'} | Dart Tournament App</title>
+        <meta name="description" content="Tournament Swiss-system rounds and standings" />
+      </Head>
+      
+      <div className="mb-6">
+        <Link href="/" className="text-blue-500 hover:text-blue-700 font-medium">
+          ← Back to Dashboard
+        </Link>
+      </div>
+      
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+      
+      {isLoading ? (
+        <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+          <p>Loading Swiss rounds...</p>
+        </div>
+      ) : !swiss ? (
+        <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+          <p>Tournament not found.</p>
+        </div>
+      ) : (
+        <>
+          <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+            <h1 className="text-2xl font-bold mb-2">{swiss.tournament.name}</h1>
+            <div className="text-sm text-gray-600">
+              Status: <span className="font-medium">{swiss.tournament.status}</span>
+              {swiss.rounds > 0 && ` · round ${swiss.currentRound} of ${swiss.rounds}, ties split by ${swiss.tiebreakers.map(t => TIEBREAKER_LABELS[t].toLowerCase()).join(', ')}`}
+            </div>
+          </div>
+          
+          {swiss.qualifiers > 0 && swiss.rounds > 0 && (
+            <div className="bg-blue-50 border-l-4 border-blue-500 p-4 mb-6">
+              The top {swiss.qualifiers} go through to the knockout, drawn when the last game of round {swiss.rounds} is won.{' '}
+              {swiss.tournament.status !== 'swiss' && (
+                <Link href={`/tournaments/${id}/bracket`} className="text-blue-500 hover:text-blue-700 font-medium">
+                  View the bracket →
+                </Link>
+              )}
+            </div>
+          )}
+          
+          {swiss.rounds === 0 ? renderDrawForm() : (
+            <>
+              {renderStandings()}
+              {renderRounds()}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}